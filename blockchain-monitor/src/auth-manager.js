@@ -1,4 +1,7 @@
 import { ethers } from 'ethers';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('auth');
 
 export class AuthManager {
   constructor() {
@@ -16,23 +19,11 @@ export class AuthManager {
 
   async verifySignature(address, signature, message) {
     try {
-      // Debug logging
-      console.log('=== Authentication Debug ===');
-      console.log('Address:', address);
-      console.log('Message:', message);
-      console.log('Signature:', signature);
-      
-      // Calculate message hash for debugging
-      const messageHash = ethers.hashMessage(message);
-      console.log('Message Hash:', messageHash);
-      
       const recoveredAddress = ethers.verifyMessage(message, signature);
-      console.log('Recovered Address:', recoveredAddress);
-      console.log('Expected Address:', address);
-      console.log('Addresses match:', recoveredAddress.toLowerCase() === address.toLowerCase());
-      
+      logger.debug('Verifying signature', { address, recoveredAddress });
+
       if (recoveredAddress.toLowerCase() !== address.toLowerCase()) {
-        console.log('Authentication failed: Address mismatch');
+        logger.warn('Authentication failed: Address mismatch', { address, recoveredAddress });
         return false;
       }
 
@@ -45,11 +36,11 @@ export class AuthManager {
           const maxAge = 5 * 60 * 1000; // 5 minutes
           
           if (Date.now() - timestamp > maxAge) {
-            console.log('Authentication failed: Message expired');
+            logger.warn('Authentication failed: Message expired', { address });
             return false;
           }
           
-          console.log('Authentication successful (simple format)');
+          logger.info('Authentication successful', { address, format: 'simple' });
           return true;
         }
       }
@@ -63,11 +54,11 @@ export class AuthManager {
           const maxAge = 5 * 60 * 1000; // 5 minutes
           
           if (Date.now() - timestamp > maxAge) {
-            console.log('Authentication failed: Message expired');
+            logger.warn('Authentication failed: Message expired', { address });
             return false;
           }
           
-          console.log('Authentication successful (trollbox format)');
+          logger.info('Authentication successful', { address, format: 'trollbox' });
           return true;
         }
       }
@@ -78,7 +69,7 @@ export class AuthManager {
       const timestampLine = messageLines.find(line => line.startsWith('Timestamp: '));
       
       if (!addressLine || !timestampLine) {
-        console.log('Authentication failed: Invalid message format');
+        logger.warn('Authentication failed: Invalid message format', { address });
         return false;
       }
 
@@ -86,20 +77,20 @@ export class AuthManager {
       const timestamp = parseInt(timestampLine.replace('Timestamp: ', ''));
 
       if (messageAddress.toLowerCase() !== address.toLowerCase()) {
-        console.log('Authentication failed: Address in message does not match');
+        logger.warn('Authentication failed: Address in message does not match', { address });
         return false;
       }
 
       const maxAge = 5 * 60 * 1000;
       if (Date.now() - timestamp > maxAge) {
-        console.log('Authentication failed: Message expired');
+        logger.warn('Authentication failed: Message expired', { address });
         return false;
       }
 
-      console.log('Authentication successful (structured format)');
+      logger.info('Authentication successful', { address, format: 'structured' });
       return true;
     } catch (error) {
-      console.error('Signature verification error:', error);
+      logger.error('Signature verification error:', error, { address });
       return false;
     }
   }
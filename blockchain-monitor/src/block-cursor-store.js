@@ -0,0 +1,139 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('monitor');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Find the block a contract was deployed in, by binary search over its code at past blocks
+ * (the node has to serve historical state)
+ * @param {ethers.Provider} provider - Provider
+ * @param {string} address - Contract address
+ * @param {number} headBlock - Newest block to consider
+ * @returns {Promise<number|null>} - Deployment block, or null if there is no code at `headBlock`
+ */
+export async function findDeploymentBlock(provider, address, headBlock) {
+  if (await provider.getCode(address, headBlock) === '0x') return null;
+
+  let low = 0;
+  let high = headBlock;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (await provider.getCode(address, middle) === '0x') {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Persists the last fully processed block for each event source
+ * ('pools', 'exchangeHelper', 'vault:<address>') so a restart can
+ * backfill exactly the blocks that were missed while we were down
+ */
+export class BlockCursorStore {
+  constructor(filePath = null) {
+    this.filePath = filePath || path.join(__dirname, '..', '..', 'data', 'block-cursors.json');
+    this.cursors = new Map(); // Map<source, { blockNumber, updatedAt }>
+    this.saveInterval = null;
+    this.isDirty = false;
+  }
+
+  async initialize() {
+    try {
+      await this.load();
+      logger.info(`Loaded block cursors for ${this.cursors.size} sources`);
+
+      // Cursors move every few seconds, so flush them on a short timer instead of on every update
+      this.saveInterval = setInterval(async () => {
+        if (this.isDirty) {
+          await this.save();
+        }
+      }, 30 * 1000);
+
+    } catch (error) {
+      logger.error('Failed to initialize BlockCursorStore:', error.message);
+      logger.info('Starting without saved block cursors');
+    }
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf-8');
+      const parsed = JSON.parse(data);
+      this.cursors = new Map(Object.entries(parsed || {}));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // File doesn't exist yet, first run
+        this.cursors = new Map();
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  async save() {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+      // Write to a temp file and rename so a crash mid-write never leaves a truncated file
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.cursors), null, 2));
+      await fs.rename(tmpPath, this.filePath);
+
+      this.isDirty = false;
+    } catch (error) {
+      logger.error('Failed to save block cursors:', error.message);
+    }
+  }
+
+  /**
+   * Get the last processed block for a source
+   * @param {string} source - Cursor name
+   * @returns {number|null} - Block number, or null if we have never processed this source
+   */
+  get(source) {
+    const cursor = this.cursors.get(source);
+    return cursor ? cursor.blockNumber : null;
+  }
+
+  /**
+   * Move a source's cursor forward (never backwards)
+   * @param {string} source - Cursor name
+   * @param {number} blockNumber - Last block that has been fully processed
+   */
+  advance(source, blockNumber) {
+    const current = this.get(source);
+    if (current !== null && current >= blockNumber) return;
+
+    this.cursors.set(source, { blockNumber, updatedAt: Date.now() });
+    this.isDirty = true;
+  }
+
+  /**
+   * Get all cursors
+   * @returns {Object} - Map of source -> { blockNumber, updatedAt }
+   */
+  getAll() {
+    return Object.fromEntries(this.cursors);
+  }
+
+  /**
+   * Stop the auto-save timer and flush pending changes
+   */
+  async stop() {
+    if (this.saveInterval) {
+      clearInterval(this.saveInterval);
+      this.saveInterval = null;
+    }
+
+    if (this.isDirty) {
+      await this.save();
+    }
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Remembers the block hash of every recent height we emitted events for,
+ * so we can later notice when one of those blocks is no longer canonical
+ */
+export class BlockHashTracker {
+  constructor(windowSize = 64) {
+    this.windowSize = windowSize; // Heights older than head - windowSize are treated as final
+    this.blocks = new Map(); // Map<blockNumber, { hash, keys: Set<string> }>
+  }
+
+  /**
+   * Record that we emitted something from a block
+   * @param {number} blockNumber - Block height
+   * @param {string} blockHash - Block hash as seen in the log
+   * @param {string} key - Optional processed-tx key to release if the block is reorged out
+   * @returns {Object|null} - The previously tracked entry if it had a different hash
+   */
+  track(blockNumber, blockHash, key = null) {
+    if (blockNumber === undefined || blockNumber === null || !blockHash) return null;
+
+    const hash = blockHash.toLowerCase();
+    const existing = this.blocks.get(blockNumber);
+
+    if (existing && existing.hash !== hash) {
+      // Same height, different hash: the old block was replaced
+      this.blocks.set(blockNumber, { hash, keys: new Set(key ? [key] : []) });
+      return { blockNumber, ...existing };
+    }
+
+    if (existing) {
+      if (key) existing.keys.add(key);
+    } else {
+      this.blocks.set(blockNumber, { hash, keys: new Set(key ? [key] : []) });
+    }
+
+    return null;
+  }
+
+  /**
+   * Stop tracking a height
+   * @param {number} blockNumber - Block height
+   * @param {string} blockHash - Only forget the height if it is tracked with this hash
+   * @returns {Object|null} - The removed entry
+   */
+  forget(blockNumber, blockHash = null) {
+    const entry = this.blocks.get(blockNumber);
+    if (!entry) return null;
+    if (blockHash && entry.hash !== blockHash.toLowerCase()) return null;
+
+    this.blocks.delete(blockNumber);
+    return { blockNumber, ...entry };
+  }
+
+  /**
+   * Heights still inside the reorg window, oldest first
+   * @param {number} headBlock - Current chain head
+   * @returns {Array<{blockNumber: number, hash: string}>}
+   */
+  getUnfinalized(headBlock) {
+    this.prune(headBlock);
+
+    return Array.from(this.blocks.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([blockNumber, entry]) => ({ blockNumber, hash: entry.hash }));
+  }
+
+  /**
+   * Drop heights that are deep enough to be considered final
+   * @param {number} headBlock - Current chain head
+   * @returns {number} - Number of heights dropped
+   */
+  prune(headBlock) {
+    const cutoff = headBlock - this.windowSize;
+    let removed = 0;
+
+    for (const blockNumber of this.blocks.keys()) {
+      if (blockNumber < cutoff) {
+        this.blocks.delete(blockNumber);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  get size() {
+    return this.blocks.size;
+  }
+}
@@ -1,8 +1,19 @@
 import { ethers } from 'ethers';
 import EventEmitter from 'events';
+import path from 'path';
 import cache from './cache.js';
-import { createProvider, checkProviderConnection } from './provider.js';
+import { checkProviderConnection } from './provider.js';
+import { getConfig } from './config.js';
 import { ProcessedTxTracker } from './processed-tx-tracker.js';
+import { BlockHashTracker } from './block-hash-tracker.js';
+import { LIQUIDITY_EVENT_TYPES } from './event-storage.js';
+import metrics from './metrics.js';
+import { monitorHealth } from './health-checks.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('monitor');
+
+const poolEventsIngested = metrics.counter('pool_events_ingested_total', 'Pool events emitted for storage and broadcast, by pool and event type');
 
 // Standard Uniswap V3 events
 const UNISWAP_V3_ABI = [
@@ -25,8 +36,7 @@ const PANCAKESWAP_V3_ABI = [
 // Combined ABI for compatibility
 const POOL_ABI = [...UNISWAP_V3_ABI, ...PANCAKESWAP_V3_ABI];
 
-// ExchangeHelper contract address and ABI
-const EXCHANGE_HELPER_ADDRESS = process.env.EXCHANGE_HELPER_ADDRESS || '0xD82D7Bdd614bA07527351DE627C558Adbd0f7caE';
+// ExchangeHelper contract ABI
 const EXCHANGE_HELPER_ABI = [
   'event BoughtTokensETH(address who, uint256 amount)',
   'event BoughtTokensWETH(address who, uint256 amount)',
@@ -34,33 +44,44 @@ const EXCHANGE_HELPER_ABI = [
   'event SoldTokensWETH(address who, uint256 amount)'
 ];
 
-// Rate limiting configuration for QuickNode
-const RATE_LIMIT_CONFIG = {
-  requestsPerSecond: 5, // Further reduced to be safe with QuickNode limits
-  requestDelay: 200, // 200ms between requests (5 requests/second)
-  maxRetries: 3,
-  retryDelay: 2000, // Increased initial retry delay
-  backoffMultiplier: 2,
-  enableEnhancedLookup: true // Enable enhanced tx lookup to get actual sender/recipient
-};
+// Request pacing and 429 backoff live in the shared RPC scheduler (rpc-scheduler.js)
+const ENABLE_ENHANCED_LOOKUP = true; // Enable enhanced tx lookup to get actual sender/recipient
 
 export class BlockchainMonitor extends EventEmitter {
-  constructor(rpcUrl, poolAddresses, poolMetadata = []) {
+  constructor(provider, poolAddresses, poolMetadata = [], options = {}) {
     super();
-    this.provider = createProvider(rpcUrl);
+    this.provider = provider;
     this.poolAddresses = poolAddresses;
     this.contracts = new Map();
     this.poolMetadata = new Map(); // Map poolAddress -> { symbol, name, etc }
     this.isRunning = false;
-    this.requestQueue = [];
-    this.lastRequestTime = 0;
     this.exchangeHelper = null;
-    this.lastEventTime = Date.now(); // Track last event for heartbeat
+    // Chain entry from config.chains: its ExchangeHelper, cache scope and data directory
+    const chain = options.chain || getConfig().chain;
+    this.chainId = chain.chainId;
+    this.exchangeHelperAddress = chain.contracts.exchangeHelper;
+    this.cache = cache.forChain(chain.chainId);
     this.heartbeatInterval = null;
     this.connectionCheckInterval = null;
     this.lastBlockUpdateTime = Date.now(); // Track last block update
-    this.processedTxTracker = new ProcessedTxTracker();
+    this.processedTxTracker = new ProcessedTxTracker(path.join(chain.dataDir, 'processed-txs.json'));
     this.isRecovering = false; // Track recovery state
+    this.isPolling = false;
+
+    // Reorg protection: only ingest logs buried under `confirmations` blocks,
+    // and remember recent block hashes so we can retract events from orphaned blocks
+    this.confirmations = options.confirmations || 0;
+    this.blockHashTracker = new BlockHashTracker(options.reorgWindow || 64);
+    this.reorgStats = { detected: 0, lastReorgBlock: null, lastReorgAt: null };
+    this.rescanFrom = null; // First block of a post-reorg rescan that has not finished yet
+
+    // Catch-up ranges of pools added while running, retried on each poll until they succeed
+    this.poolCatchUps = [];
+
+    // Durable per-source cursors ('pools', 'exchangeHelper') used to backfill after restarts
+    this.cursorStore = options.cursorStore || null;
+    this.backfillChunkSize = options.backfillChunkSize || 100;
+    this.backfillStatus = { state: 'idle' };
 
     // Build pool metadata map
     for (const pool of poolMetadata) {
@@ -76,15 +97,15 @@ export class BlockchainMonitor extends EventEmitter {
     }
 
     // Initialize ExchangeHelper contract
-    if (EXCHANGE_HELPER_ADDRESS && EXCHANGE_HELPER_ADDRESS !== ethers.ZeroAddress) {
+    if (this.exchangeHelperAddress && this.exchangeHelperAddress !== ethers.ZeroAddress) {
       this.exchangeHelper = new ethers.Contract(
-        EXCHANGE_HELPER_ADDRESS,
+        this.exchangeHelperAddress,
         EXCHANGE_HELPER_ABI,
         this.provider
       );
-      console.log(`ExchangeHelper contract initialized at ${EXCHANGE_HELPER_ADDRESS}`);
+      logger.info(`ExchangeHelper contract initialized at ${this.exchangeHelperAddress}`);
     } else {
-      console.warn('No ExchangeHelper address configured');
+      logger.warn('No ExchangeHelper address configured');
     }
 
     // Initialize processed transaction tracker
@@ -102,27 +123,22 @@ export class BlockchainMonitor extends EventEmitter {
 
     this.isRunning = true;
 
-    // For WebSocket providers, set up event listeners for real-time updates
-    if (this.provider.isWebSocketProvider) {
-      console.log('Setting up WebSocket event listeners...');
-      await this.setupWebSocketListeners();
-
-      // Set up reconnection handler using callbacks
-      this.provider.onReconnected = async () => {
-        console.log('Provider reconnected, re-establishing event listeners...');
-        await this.setupWebSocketListeners();
-      };
+    // Catch up on everything mined while we were down before going live
+    const headBlock = await this.provider.getBlockNumber();
+    const safeBlock = Math.max(0, headBlock - this.confirmations);
+    const resumeBlock = this.getResumeBlock();
 
-      // Set up disconnection handler using callbacks
-      this.provider.onDisconnected = () => {
-        console.log('Provider disconnected, event listeners will be re-established on reconnection');
-      };
+    if (resumeBlock !== null && resumeBlock < safeBlock) {
+      this.lastBlock = resumeBlock;
+      await this.backfill();
+    } else {
+      this.lastBlock = safeBlock;
+      this.advanceCursors(this.lastBlock);
     }
+    logger.info(`Starting from block ${this.lastBlock} (confirmation depth: ${this.confirmations})`);
 
-    // Start polling for events (works for both HTTP and WebSocket as backup)
-    this.lastBlock = await this.provider.getBlockNumber();
-    console.log(`Starting from block ${this.lastBlock}`);
-
+    // Live events come from polling: the provider pool serves every endpoint, WebSocket ones included,
+    // over plain requests, so new events show up within one interval after they are confirmed
     this.pollInterval = setInterval(async () => {
       await this.pollEvents();
     }, 20000); // Poll every 20 seconds to reduce API load
@@ -133,147 +149,236 @@ export class BlockchainMonitor extends EventEmitter {
     // Start periodic connection health checks
     this.startConnectionHealthCheck();
 
-    console.log(`Monitoring ${this.poolAddresses.length} pools for events...`);
+    logger.info(`Monitoring ${this.poolAddresses.length} pools for events...`);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Oldest saved cursor across our sources, or null on first run
+  getResumeBlock() {
+    if (!this.cursorStore) return null;
+
+    const sources = this.exchangeHelper ? ['pools', 'exchangeHelper'] : ['pools'];
+    const cursors = sources
+      .map(source => this.cursorStore.get(source))
+      .filter(blockNumber => blockNumber !== null);
+
+    return cursors.length > 0 ? Math.min(...cursors) : null;
   }
 
-  // Rate-limited request execution
-  async rateLimitedRequest(requestFn) {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < RATE_LIMIT_CONFIG.requestDelay) {
-      await this.sleep(RATE_LIMIT_CONFIG.requestDelay - timeSinceLastRequest);
+  advanceCursors(blockNumber, sources = ['pools', 'exchangeHelper']) {
+    if (!this.cursorStore) return;
+
+    for (const source of sources) {
+      if (source === 'exchangeHelper' && !this.exchangeHelper) continue;
+      this.cursorStore.advance(source, blockNumber);
     }
-    
-    this.lastRequestTime = Date.now();
-    
-    // Execute with retry logic
-    let lastError;
-    for (let attempt = 0; attempt < RATE_LIMIT_CONFIG.maxRetries; attempt++) {
-      try {
-        return await requestFn();
-      } catch (error) {
-        lastError = error;
-        
-        // Check if it's a rate limit error
-        if (error.code === 429 || (error.error && error.error.code === 429)) {
-          const retryDelay = RATE_LIMIT_CONFIG.retryDelay * Math.pow(RATE_LIMIT_CONFIG.backoffMultiplier, attempt);
-          console.log(`Rate limited. Retrying after ${retryDelay}ms...`);
-          await this.sleep(retryDelay);
-        } else {
-          // For non-rate-limit errors, throw immediately
-          throw error;
+  }
+
+  // Scan from this.lastBlock to the confirmed head in rate-limited chunks
+  async backfill() {
+    const startBlock = this.lastBlock + 1;
+    let targetBlock = Math.max(0, (await this.provider.getBlockNumber()) - this.confirmations);
+
+    this.backfillStatus = {
+      state: 'running',
+      fromBlock: startBlock,
+      toBlock: targetBlock,
+      currentBlock: this.lastBlock,
+      percent: 0,
+      startedAt: Date.now(),
+      finishedAt: null
+    };
+
+    logger.info(`⏪ Backfilling blocks ${startBlock} to ${targetBlock} from saved cursor...`);
+
+    try {
+      while (this.lastBlock < targetBlock) {
+        const chunkEnd = Math.min(this.lastBlock + this.backfillChunkSize, targetBlock);
+        await this.scanRange(this.lastBlock + 1, chunkEnd, this.backfillChunkSize);
+        this.lastBlock = chunkEnd;
+
+        const total = targetBlock - startBlock + 1;
+        this.backfillStatus.currentBlock = chunkEnd;
+        this.backfillStatus.percent = Math.round(((chunkEnd - startBlock + 1) / total) * 1000) / 10;
+
+        // Blocks kept coming while we were scanning, extend the target until we are caught up
+        if (this.lastBlock >= targetBlock) {
+          const latestSafeBlock = Math.max(0, (await this.provider.getBlockNumber()) - this.confirmations);
+          if (latestSafeBlock > targetBlock) {
+            targetBlock = latestSafeBlock;
+            this.backfillStatus.toBlock = targetBlock;
+          }
         }
       }
+
+      this.backfillStatus.state = 'complete';
+      this.backfillStatus.percent = 100;
+      this.backfillStatus.finishedAt = Date.now();
+      logger.info(`✅ Backfill complete, caught up to block ${this.lastBlock}`);
+    } catch (error) {
+      // Polling resumes from this.lastBlock, so whatever is left gets picked up there
+      this.backfillStatus.state = 'failed';
+      this.backfillStatus.error = error.message;
+      this.backfillStatus.finishedAt = Date.now();
+      logger.error('Backfill failed, continuing in live mode:', error.message);
     }
-    
-    throw lastError;
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  getBackfillStatus() {
+    return {
+      ...this.backfillStatus,
+      lastBlock: this.lastBlock ?? null,
+      cursors: {
+        pools: this.cursorStore ? this.cursorStore.get('pools') : null,
+        exchangeHelper: this.cursorStore && this.exchangeHelper ? this.cursorStore.get('exchangeHelper') : null
+      }
+    };
+  }
+
+  // Also warns while recovering from a stalled connection
+  getHealth(stallMs) {
+    const health = monitorHealth(this, stallMs);
+    if (health.status === 'pass' && this.isRecovering) {
+      health.status = 'warn';
+    }
+
+    return { ...health, isRecovering: this.isRecovering, lastBlock: this.lastBlock ?? null, pools: this.contracts.size };
   }
 
   async pollEvents() {
+    // Skip this tick if the previous poll (or a reorg rescan) is still running
+    if (this.isPolling) return;
+    this.isPolling = true;
+
     try {
-      const currentBlock = await this.rateLimitedRequest(() => this.provider.getBlockNumber());
+      const currentBlock = await this.provider.getBlockNumber();
+      this.lastBlockUpdateTime = Date.now(); // Polling counts as a block update for the heartbeat
+
+      // Only ingest blocks that are buried under enough confirmations
+      const safeBlock = currentBlock - this.confirmations;
+
+      await this.runPoolCatchUps();
+
+      // A failed chunk leaves lastBlock (and the cursors) before it, so the next tick retries it
+      if (safeBlock > this.lastBlock) {
+        await this.scanRange(this.lastBlock + 1, safeBlock, 5, toBlock => {
+          this.lastBlock = Math.max(this.lastBlock, toBlock);
+        });
+      }
+
+      await this.checkForReorgs(currentBlock);
+    } catch (error) {
+      logger.error('Error polling events:', error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Fetch and process pool + ExchangeHelper logs for an inclusive block range
+   * @param {number} startBlock - First block
+   * @param {number} endBlock - Last block
+   * @param {number} maxBlockRange - Blocks per chunk
+   * @param {Function} onChunk - Called with the chunk's last block once every source has processed the chunk
+   * @throws When a source cannot be queried; the cursors stay before the failed chunk
+   */
+  async scanRange(startBlock, endBlock, maxBlockRange = 5, onChunk = null) {
+    // Process in smaller chunks to reduce load (callers pass a bigger range for backfills)
+    let fromBlock = startBlock;
+
+    while (fromBlock <= endBlock) {
+      const toBlock = Math.min(fromBlock + maxBlockRange - 1, endBlock);
       
-      if (currentBlock > this.lastBlock) {
-        // Process in smaller chunks to reduce load
-        const maxBlockRange = 5; // Reduced from 9
-        let fromBlock = this.lastBlock + 1;
-        
-        while (fromBlock <= currentBlock) {
-          const toBlock = Math.min(fromBlock + maxBlockRange - 1, currentBlock);
-          
-          // Query all events at once using a combined filter to reduce requests
-          for (const [address, contract] of this.contracts) {
-            try {
-              // Check cache first
-              const filter = {
-                address: address,
-                fromBlock: fromBlock,
-                toBlock: toBlock
-              };
-              
-              let events = await cache.getLogs(filter);
-              
-              if (events === undefined) {
-                // Cache miss - fetch from provider
-                events = await this.rateLimitedRequest(async () => {
-                  return await this.provider.getLogs(filter);
-                });
-                
-                // Cache the results
-                cache.setLogs(filter, events);
-              }
-              
-              // Process the logs
-              if (events.length > 0) {
-                console.log(`Found ${events.length} events for pool ${address}`);
-              }
-              
-              for (const log of events) {
-                await this.processLog(address, contract, log);
-              }
-              
-              // Add a small delay between pools
-              await this.sleep(RATE_LIMIT_CONFIG.requestDelay);
-              
-            } catch (error) {
-              console.error(`Error querying events for ${address}:`, error.message);
-            }
-          }
-          
-          // Also check for ExchangeHelper events if configured
-          if (this.exchangeHelper) {
-            try {
-              const exchangeHelperFilter = {
-                address: EXCHANGE_HELPER_ADDRESS,
-                fromBlock: fromBlock,
-                toBlock: toBlock
-              };
-              
-              let exchangeEvents = await cache.getLogs(exchangeHelperFilter);
-              
-              if (exchangeEvents === undefined) {
-                exchangeEvents = await this.rateLimitedRequest(async () => {
-                  return await this.provider.getLogs(exchangeHelperFilter);
-                });
-                
-                cache.setLogs(exchangeHelperFilter, exchangeEvents);
-              }
-              
-              if (exchangeEvents.length > 0) {
-                console.log(`Found ${exchangeEvents.length} ExchangeHelper events`);
-              }
-              
-              for (const log of exchangeEvents) {
-                await this.processExchangeHelperLog(log);
-              }
-              
-              await this.sleep(RATE_LIMIT_CONFIG.requestDelay);
-              
-            } catch (error) {
-              console.error(`Error querying ExchangeHelper events:`, error.message);
-            }
-          }
-          
-          fromBlock = toBlock + 1;
-        }
+      // Query all events at once using a combined filter to reduce requests
+      for (const [address, contract] of this.contracts) {
+        await this.scanPool(address, contract, fromBlock, toBlock);
+      }
+      
+      // Also check for ExchangeHelper events if configured
+      if (this.exchangeHelper) {
+        await this.scanExchangeHelper(fromBlock, toBlock);
+      }
+
+      this.advanceCursors(toBlock);
+      if (onChunk) onChunk(toBlock);
+      
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  async scanExchangeHelper(fromBlock, toBlock) {
+    try {
+      const exchangeHelperFilter = {
+        address: this.exchangeHelperAddress,
+        fromBlock: fromBlock,
+        toBlock: toBlock
+      };
+      
+      let exchangeEvents = await this.cache.getLogs(exchangeHelperFilter);
+      
+      if (exchangeEvents === undefined) {
+        exchangeEvents = await this.provider.getLogs(exchangeHelperFilter);
         
-        this.lastBlock = currentBlock;
+        this.cache.setLogs(exchangeHelperFilter, exchangeEvents);
+      }
+      
+      if (exchangeEvents.length > 0) {
+        logger.info(`Found ${exchangeEvents.length} ExchangeHelper events`);
+      }
+      
+      for (const log of exchangeEvents) {
+        await this.processExchangeHelperLog(log);
       }
     } catch (error) {
-      console.error('Error polling events:', error);
+      logger.error(`Error querying ExchangeHelper events for blocks ${fromBlock}-${toBlock}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Fetch and process one pool's logs for an inclusive block range (throws when the logs cannot be fetched)
+  async scanPool(address, contract, fromBlock, toBlock) {
+    try {
+      // Check cache first
+      const filter = {
+        address: address,
+        fromBlock: fromBlock,
+        toBlock: toBlock
+      };
+
+      let events = await this.cache.getLogs(filter);
+
+      if (events === undefined) {
+        // Cache miss - fetch from provider
+        events = await this.provider.getLogs(filter);
+
+        // Cache the results
+        this.cache.setLogs(filter, events);
+      }
+
+      // Process the logs
+      if (events.length > 0) {
+        logger.info(`Found ${events.length} events for pool ${address}`);
+      }
+
+      for (const log of events) {
+        await this.processLog(address, contract, log);
+      }
+
+    } catch (error) {
+      logger.error(`Error querying events for ${address} in blocks ${fromBlock}-${toBlock}:`, error.message);
+      throw error;
     }
   }
 
   async processLog(poolAddress, contract, log) {
     try {
-      // Check if transaction was already processed
-      if (this.processedTxTracker.isProcessed(log.transactionHash)) {
-        console.log(`Skipping duplicate transaction: ${log.transactionHash}`);
+      // Check if this log was already processed (keyed per log: one tx can hold e.g. Burn + Collect)
+      const logKey = this.getLogKey(log);
+      if (this.processedTxTracker.isProcessed(logKey)) {
+        logger.info(`Skipping duplicate log: ${logKey}`);
         return;
       }
 
@@ -281,7 +386,13 @@ export class BlockchainMonitor extends EventEmitter {
       const parsedLog = contract.interface.parseLog(log);
       if (!parsedLog) return;
       
-      // Only process Swap events from pools
+      // Liquidity events get their own typed records
+      if (LIQUIDITY_EVENT_TYPES.includes(parsedLog.name)) {
+        await this.processLiquidityLog(poolAddress, parsedLog, log, logKey);
+        return;
+      }
+
+      // Everything else we care about is a Swap
       if (parsedLog.name !== 'Swap') {
         return;
       }
@@ -328,18 +439,12 @@ export class BlockchainMonitor extends EventEmitter {
       let actualRecipient = args.recipient;
       
       // Only do enhanced lookup if enabled and for Swap events
-      if (RATE_LIMIT_CONFIG.enableEnhancedLookup && parsedLog.name === 'Swap') {
+      if (ENABLE_ENHANCED_LOOKUP && parsedLog.name === 'Swap') {
         try {
-          // Add delay to respect rate limits
-          await this.sleep(RATE_LIMIT_CONFIG.requestDelay);
-          
           // Get transaction details to find the actual sender
           const tx = await this.provider.getTransaction(log.transactionHash);
           actualSender = tx.from;
           
-          // Add another delay before next request
-          await this.sleep(RATE_LIMIT_CONFIG.requestDelay);
-          
           // Get transaction receipt to analyze Transfer events
           const receipt = await this.provider.getTransactionReceipt(log.transactionHash);
           
@@ -372,7 +477,7 @@ export class BlockchainMonitor extends EventEmitter {
             }
           }
         } catch (error) {
-          console.error('Error fetching actual sender/recipient:', error.message);
+          logger.error('Error fetching actual sender/recipient:', error.message);
           // Continue with router addresses if we can't get actual ones
         }
       }
@@ -400,19 +505,103 @@ export class BlockchainMonitor extends EventEmitter {
 
       // Debug log for Swap events
       if (parsedLog.name === 'Swap') {
-        console.log(`Swap event - Router: ${args.sender} -> ${args.recipient}, Actual: ${actualSender} -> ${actualRecipient}`);
+        logger.info(`Swap event - Router: ${args.sender} -> ${args.recipient}, Actual: ${actualSender} -> ${actualRecipient}`);
       }
 
-      // Mark transaction as processed BEFORE emitting to prevent race conditions
-      this.processedTxTracker.markProcessed(log.transactionHash);
+      // Remember the block hash (retracts anything we emitted from a replaced block first)
+      this.trackBlock(log.blockNumber, log.blockHash, logKey);
+
+      // Mark log as processed BEFORE emitting to prevent race conditions
+      this.processedTxTracker.markProcessed(logKey);
 
-      this.emit('poolEvent', eventData);
+      this.emitPoolEvent(eventData);
     } catch (error) {
       // Log the error to see what's happening
-      console.error(`Error processing log for pool ${poolAddress}:`, error.message);
+      logger.error(`Error processing log for pool ${poolAddress}:`, error.message);
+    }
+  }
+
+  getLogKey(log) {
+    return `${log.transactionHash}-${log.logIndex ?? log.index}`;
+  }
+
+  // Decode Mint/Burn/Collect/Flash into typed records (ticks as numbers, amounts as strings)
+  decodeLiquidityArgs(parsedLog) {
+    const args = parsedLog.args;
+
+    switch (parsedLog.name) {
+      case 'Mint':
+        return {
+          sender: args.sender,
+          owner: args.owner,
+          tickLower: Number(args.tickLower),
+          tickUpper: Number(args.tickUpper),
+          liquidity: args.amount.toString(),
+          amount0: args.amount0.toString(),
+          amount1: args.amount1.toString()
+        };
+      case 'Burn':
+        return {
+          owner: args.owner,
+          tickLower: Number(args.tickLower),
+          tickUpper: Number(args.tickUpper),
+          liquidity: args.amount.toString(),
+          amount0: args.amount0.toString(),
+          amount1: args.amount1.toString()
+        };
+      case 'Collect':
+        return {
+          owner: args.owner,
+          recipient: args.recipient,
+          tickLower: Number(args.tickLower),
+          tickUpper: Number(args.tickUpper),
+          amount0: args.amount0.toString(),
+          amount1: args.amount1.toString()
+        };
+      case 'Flash':
+        return {
+          sender: args.sender,
+          recipient: args.recipient,
+          amount0: args.amount0.toString(),
+          amount1: args.amount1.toString(),
+          paid0: args.paid0.toString(),
+          paid1: args.paid1.toString()
+        };
+      default:
+        return null;
     }
   }
 
+  async processLiquidityLog(poolAddress, parsedLog, log, logKey) {
+    const args = this.decodeLiquidityArgs(parsedLog);
+    if (!args) return;
+
+    const poolMeta = this.poolMetadata.get(poolAddress.toLowerCase());
+
+    const eventData = {
+      poolAddress,
+      eventName: parsedLog.name,
+      category: 'liquidity',
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      transactionIndex: log.transactionIndex,
+      logIndex: log.logIndex ?? log.index,
+      args,
+      tokenSymbol: poolMeta?.symbol || 'UNKNOWN',
+      poolName: poolMeta?.name,
+      timestamp: Date.now()
+    };
+
+    const range = args.tickLower !== undefined ? ` ticks [${args.tickLower}, ${args.tickUpper}]` : '';
+    logger.info(`${parsedLog.name} event on pool ${poolAddress}${range}`);
+
+    this.trackBlock(log.blockNumber, log.blockHash, logKey);
+    this.processedTxTracker.markProcessed(logKey);
+
+    this.emitPoolEvent(eventData);
+  }
+
   async handleEvent(poolAddress, eventName, event) {
     const eventData = {
       poolAddress,
@@ -426,14 +615,20 @@ export class BlockchainMonitor extends EventEmitter {
       timestamp: Date.now()
     };
 
+    this.emitPoolEvent(eventData);
+  }
+
+  emitPoolEvent(eventData) {
+    poolEventsIngested.inc({ pool: eventData.poolAddress.toLowerCase(), type: eventData.eventName });
     this.emit('poolEvent', eventData);
   }
 
   async processExchangeHelperLog(log) {
     try {
-      // Check if transaction was already processed
-      if (this.processedTxTracker.isProcessed(log.transactionHash)) {
-        console.log(`Skipping duplicate ExchangeHelper transaction: ${log.transactionHash}`);
+      // Check if this log was already processed
+      const logKey = this.getLogKey(log);
+      if (this.processedTxTracker.isProcessed(logKey)) {
+        logger.info(`Skipping duplicate ExchangeHelper log: ${logKey}`);
         return;
       }
 
@@ -454,7 +649,7 @@ export class BlockchainMonitor extends EventEmitter {
       };
       
       const eventData = {
-        contractAddress: EXCHANGE_HELPER_ADDRESS,
+        contractAddress: this.exchangeHelperAddress,
         eventName: parsedLog.name,
         blockNumber: log.blockNumber,
         blockHash: log.blockHash,
@@ -466,56 +661,89 @@ export class BlockchainMonitor extends EventEmitter {
         isExchangeHelper: true // Flag to distinguish from pool events
       };
       
-      console.log(`ExchangeHelper ${parsedLog.name} event - User: ${args.who}, Amount: ${args.amount}`);
+      logger.info(`ExchangeHelper ${parsedLog.name} event - User: ${args.who}, Amount: ${args.amount}`);
+
+      this.trackBlock(log.blockNumber, log.blockHash, logKey);
 
-      // Mark transaction as processed BEFORE emitting to prevent race conditions
-      this.processedTxTracker.markProcessed(log.transactionHash);
+      // Mark log as processed BEFORE emitting to prevent race conditions
+      this.processedTxTracker.markProcessed(logKey);
 
       // Emit as a special event type for ExchangeHelper trades
       this.emit('exchangeHelperEvent', eventData);
 
     } catch (error) {
-      console.error('Error processing ExchangeHelper log:', error.message);
+      logger.error('Error processing ExchangeHelper log:', error.message);
     }
   }
 
-  async setupWebSocketListeners() {
-    // Remove all existing listeners first to prevent duplicates
-    for (const contract of this.contracts.values()) {
-      contract.removeAllListeners();
-    }
-    if (this.exchangeHelper) {
-      this.exchangeHelper.removeAllListeners();
+  // Track the hash of a block we emitted events from
+  trackBlock(blockNumber, blockHash, key = null) {
+    const replaced = this.blockHashTracker.track(blockNumber, blockHash, key);
+    if (replaced) {
+      this.handleReorgedBlock(replaced, blockHash);
     }
+  }
 
-    // Set up real-time event listeners for each pool
-    for (const [poolAddress, contract] of this.contracts) {
+  // Compare tracked block hashes against the canonical chain and retract orphaned blocks
+  async checkForReorgs(headBlock) {
+    const tracked = this.blockHashTracker.getUnfinalized(headBlock);
+    let earliestReorgBlock = null;
+
+    for (const { blockNumber, hash } of tracked) {
       try {
-        // Listen to all events but filter to Swap only in processLog
-        contract.on('*', async (event) => {
-          console.log(`Real-time event from pool ${poolAddress}:`, event.eventName);
-          this.lastEventTime = Date.now(); // Update heartbeat
-          await this.processLog(poolAddress, contract, event.log);
-        });
+        const block = await this.provider.getBlock(blockNumber);
+
+        // A missing block usually means a lagging node, check again next poll
+        if (!block || block.hash.toLowerCase() === hash) continue;
+
+        const entry = this.blockHashTracker.forget(blockNumber, hash);
+        if (!entry) continue;
+
+        this.handleReorgedBlock(entry, block.hash);
+        if (earliestReorgBlock === null || blockNumber < earliestReorgBlock) {
+          earliestReorgBlock = blockNumber;
+        }
       } catch (error) {
-        console.error(`Error setting up listeners for pool ${poolAddress}:`, error);
+        logger.error(`Error verifying block ${blockNumber}:`, error.message);
       }
     }
 
-    // Set up listener for ExchangeHelper events
-    if (this.exchangeHelper) {
-      this.exchangeHelper.on('*', async (event) => {
-        console.log(`Real-time ExchangeHelper event:`, event.eventName);
-        this.lastEventTime = Date.now(); // Update heartbeat
-        await this.processExchangeHelperLog(event.log);
-      });
+    if (earliestReorgBlock !== null) {
+      // Cached logs for the reorged range are stale, re-ingest from the canonical chain
+      this.cache.clearCache('log');
+      this.rescanFrom = Math.min(this.rescanFrom ?? earliestReorgBlock, earliestReorgBlock);
+    }
+
+    // The orphaned hashes are forgotten by now, so a failed rescan is remembered and retried next poll
+    if (this.rescanFrom !== null) {
+      const rescanTo = Math.min(this.lastBlock, headBlock - this.confirmations);
+      if (rescanTo >= this.rescanFrom) {
+        logger.info(`🔁 Re-scanning blocks ${this.rescanFrom} to ${rescanTo} after reorg`);
+        await this.scanRange(this.rescanFrom, rescanTo, 5, toBlock => {
+          this.rescanFrom = toBlock + 1;
+        });
+      }
+      this.rescanFrom = null;
     }
+  }
 
-    // Listen for new blocks (useful for updating lastBlock)
-    this.provider.removeAllListeners('block'); // Remove old listener
-    this.provider.on('block', (blockNumber) => {
-      this.lastBlock = blockNumber;
-      this.lastBlockUpdateTime = Date.now(); // Update block heartbeat
+  handleReorgedBlock(entry, canonicalHash) {
+    // Let the transactions from the orphaned block be processed again if they get re-included
+    for (const key of entry.keys || []) {
+      this.processedTxTracker.unmarkProcessed(key);
+    }
+
+    this.reorgStats.detected++;
+    this.reorgStats.lastReorgBlock = entry.blockNumber;
+    this.reorgStats.lastReorgAt = Date.now();
+
+    logger.warn(`⚠️ Reorg detected at block ${entry.blockNumber}: ${entry.hash} is no longer canonical${canonicalHash ? ` (now ${canonicalHash})` : ''}`);
+
+    this.emit('reorg', {
+      blockNumber: entry.blockNumber,
+      blockHash: entry.hash,
+      canonicalHash: canonicalHash || null,
+      detectedAt: Date.now()
     });
   }
 
@@ -527,14 +755,14 @@ export class BlockchainMonitor extends EventEmitter {
 
       // If no block updates for 5 minutes, something is wrong
       if (timeSinceLastBlock > 5 * 60 * 1000) {
-        console.error(`⚠️ HEARTBEAT FAILED: No block updates for ${Math.round(timeSinceLastBlock / 1000)}s`);
-        console.error('Connection appears stalled. Attempting automatic recovery...');
+        logger.error(`⚠️ HEARTBEAT FAILED: No block updates for ${Math.round(timeSinceLastBlock / 1000)}s`);
+        logger.error('Connection appears stalled. Attempting automatic recovery...');
         this.emit('connectionStalled');
 
         // Attempt automatic recovery
         await this.recoverConnection();
       } else {
-        console.log(`✓ Heartbeat OK - Last block update: ${Math.round(timeSinceLastBlock / 1000)}s ago`);
+        logger.info(`✓ Heartbeat OK - Last block update: ${Math.round(timeSinceLastBlock / 1000)}s ago`);
       }
     }, 2 * 60 * 1000); // Check every 2 minutes
   }
@@ -545,17 +773,17 @@ export class BlockchainMonitor extends EventEmitter {
       try {
         const isConnected = await checkProviderConnection(this.provider);
         if (!isConnected) {
-          console.error('⚠️ CONNECTION HEALTH CHECK FAILED');
-          console.error('Attempting automatic recovery...');
+          logger.error('⚠️ CONNECTION HEALTH CHECK FAILED');
+          logger.error('Attempting automatic recovery...');
           this.emit('connectionFailed');
 
           // Attempt automatic recovery
           await this.recoverConnection();
         } else {
-          console.log('✓ Connection health check passed');
+          logger.info('✓ Connection health check passed');
         }
       } catch (error) {
-        console.error('Connection health check error:', error.message);
+        logger.error('Connection health check error:', error.message);
         // Attempt recovery on health check errors too
         await this.recoverConnection();
       }
@@ -565,58 +793,44 @@ export class BlockchainMonitor extends EventEmitter {
   async recoverConnection() {
     // Prevent multiple simultaneous recovery attempts
     if (this.isRecovering) {
-      console.log('Recovery already in progress, skipping...');
+      logger.info('Recovery already in progress, skipping...');
       return;
     }
 
     this.isRecovering = true;
-    console.log('🔄 Starting connection recovery...');
+    logger.info('🔄 Starting connection recovery...');
 
     try {
-      // Step 1: Remove all existing listeners to prevent duplicates
-      console.log('   1. Removing existing event listeners...');
-      if (this.provider.isWebSocketProvider) {
-        this.provider.removeAllListeners();
-        for (const contract of this.contracts.values()) {
-          contract.removeAllListeners();
-        }
-        if (this.exchangeHelper) {
-          this.exchangeHelper.removeAllListeners();
-        }
+      // Step 1: Try to get current block to test connection
+      logger.info('   1. Testing provider connection...');
+      const pool = this.provider.pool || this.provider; // Scheduled views wrap the pool
+      if (pool.isProviderPool) {
+        // Re-score every endpoint so requests move to whichever one is healthy now
+        const stats = await pool.checkHealth();
+        logger.info(`   Provider pool re-scored, best endpoint: ${pool.rankEndpoints()[0].label} (head ${stats.headBlock})`);
       }
-
-      // Step 2: Try to get current block to test connection
-      console.log('   2. Testing provider connection...');
-      let connectionOk = false;
       try {
         await this.provider.getBlockNumber();
-        connectionOk = true;
-        console.log('   ✓ Provider connection is working');
+        logger.info('   ✓ Provider connection is working');
       } catch (error) {
-        console.error('   ✗ Provider connection failed:', error.message);
+        logger.error('   ✗ Provider connection failed:', error.message);
       }
 
-      // Step 3: Re-establish event listeners
-      if (connectionOk && this.provider.isWebSocketProvider) {
-        console.log('   3. Re-establishing WebSocket event listeners...');
-        await this.setupWebSocketListeners();
-      }
-
-      // Step 4: Reset heartbeat timestamp
+      // Step 2: Reset heartbeat timestamp
       this.lastBlockUpdateTime = Date.now();
-      console.log('   4. Reset heartbeat timestamp');
+      logger.info('   2. Reset heartbeat timestamp');
 
-      // Step 5: Verify recovery
-      console.log('   5. Verifying recovery...');
+      // Step 3: Verify recovery
+      logger.info('   3. Verifying recovery...');
       await this.sleep(5000); // Wait 5 seconds
       const currentBlock = await this.provider.getBlockNumber();
-      console.log(`   ✓ Recovery successful! Current block: ${currentBlock}`);
+      logger.info(`   ✓ Recovery successful! Current block: ${currentBlock}`);
 
       this.emit('connectionRecovered');
 
     } catch (error) {
-      console.error('❌ Connection recovery failed:', error.message);
-      console.error('The monitor will continue attempting recovery on next heartbeat check.');
+      logger.error('❌ Connection recovery failed:', error.message);
+      logger.error('The monitor will continue attempting recovery on next heartbeat check.');
     } finally {
       this.isRecovering = false;
     }
@@ -624,7 +838,8 @@ export class BlockchainMonitor extends EventEmitter {
 
   async scanHistoricalBlocks(hoursBack = 24) {
     try {
-      const currentBlock = await this.provider.getBlockNumber();
+      // Stop short of the unconfirmed tip, polling picks those blocks up once they are safe
+      const currentBlock = (await this.provider.getBlockNumber()) - this.confirmations;
       const currentBlockData = await this.provider.getBlock(currentBlock);
       const currentTimestamp = currentBlockData.timestamp;
 
@@ -636,9 +851,9 @@ export class BlockchainMonitor extends EventEmitter {
       const estimatedBlocksBack = Math.floor(secondsBack / 2);
       const fromBlock = Math.max(0, currentBlock - estimatedBlocksBack);
 
-      console.log(`🔍 Starting historical scan from block ${fromBlock} to ${currentBlock} (last ${hoursBack} hours)`);
-      console.log(`   Estimated ${estimatedBlocksBack} blocks to scan`);
-      console.log(`   Currently tracking ${this.processedTxTracker.processedTxs.size} processed transactions`);
+      logger.info(`🔍 Starting historical scan from block ${fromBlock} to ${currentBlock} (last ${hoursBack} hours)`);
+      logger.info(`   Estimated ${estimatedBlocksBack} blocks to scan`);
+      logger.info(`   Currently tracking ${this.processedTxTracker.processedTxs.size} processed transactions`);
 
       let totalEventsFound = 0;
       let duplicatesSkipped = 0;
@@ -647,7 +862,7 @@ export class BlockchainMonitor extends EventEmitter {
       for (let startBlock = fromBlock; startBlock <= currentBlock; startBlock += maxBlockRange) {
         const endBlock = Math.min(startBlock + maxBlockRange - 1, currentBlock);
 
-        console.log(`   Scanning blocks ${startBlock} to ${endBlock}...`);
+        logger.info(`   Scanning blocks ${startBlock} to ${endBlock}...`);
 
         // Query all pools
         for (const [address, contract] of this.contracts) {
@@ -658,17 +873,15 @@ export class BlockchainMonitor extends EventEmitter {
               toBlock: endBlock
             };
 
-            const events = await this.rateLimitedRequest(async () => {
-              return await this.provider.getLogs(filter);
-            });
+            const events = await this.provider.getLogs(filter);
 
             if (events.length > 0) {
-              console.log(`   Found ${events.length} events for pool ${address} in blocks ${startBlock}-${endBlock}`);
+              logger.info(`   Found ${events.length} events for pool ${address} in blocks ${startBlock}-${endBlock}`);
 
               // Count duplicates
               const beforeCount = this.processedTxTracker.processedTxs.size;
               for (const log of events) {
-                if (this.processedTxTracker.isProcessed(log.transactionHash)) {
+                if (this.processedTxTracker.isProcessed(this.getLogKey(log))) {
                   duplicatesSkipped++;
                 }
                 totalEventsFound++;
@@ -680,10 +893,8 @@ export class BlockchainMonitor extends EventEmitter {
               }
             }
 
-            await this.sleep(RATE_LIMIT_CONFIG.requestDelay);
-
           } catch (error) {
-            console.error(`Error scanning pool ${address}:`, error.message);
+            logger.error(`Error scanning pool ${address}:`, error.message);
           }
         }
 
@@ -691,21 +902,19 @@ export class BlockchainMonitor extends EventEmitter {
         if (this.exchangeHelper) {
           try {
             const exchangeHelperFilter = {
-              address: EXCHANGE_HELPER_ADDRESS,
+              address: this.exchangeHelperAddress,
               fromBlock: startBlock,
               toBlock: endBlock
             };
 
-            const exchangeEvents = await this.rateLimitedRequest(async () => {
-              return await this.provider.getLogs(exchangeHelperFilter);
-            });
+            const exchangeEvents = await this.provider.getLogs(exchangeHelperFilter);
 
             if (exchangeEvents.length > 0) {
-              console.log(`   Found ${exchangeEvents.length} ExchangeHelper events in blocks ${startBlock}-${endBlock}`);
+              logger.info(`   Found ${exchangeEvents.length} ExchangeHelper events in blocks ${startBlock}-${endBlock}`);
 
               // Count duplicates
               for (const log of exchangeEvents) {
-                if (this.processedTxTracker.isProcessed(log.transactionHash)) {
+                if (this.processedTxTracker.isProcessed(this.getLogKey(log))) {
                   duplicatesSkipped++;
                 }
                 totalEventsFound++;
@@ -717,28 +926,26 @@ export class BlockchainMonitor extends EventEmitter {
               }
             }
 
-            await this.sleep(RATE_LIMIT_CONFIG.requestDelay);
-
           } catch (error) {
-            console.error(`Error scanning ExchangeHelper:`, error.message);
+            logger.error(`Error scanning ExchangeHelper:`, error.message);
           }
         }
 
         // Progress update
         const progress = ((endBlock - fromBlock) / (currentBlock - fromBlock) * 100).toFixed(1);
-        console.log(`   Progress: ${progress}% (${endBlock - fromBlock} / ${currentBlock - fromBlock} blocks)`);
+        logger.info(`   Progress: ${progress}% (${endBlock - fromBlock} / ${currentBlock - fromBlock} blocks)`);
       }
 
       const newEvents = totalEventsFound - duplicatesSkipped;
-      console.log(`✅ Historical scan complete!`);
-      console.log(`   Total events found: ${totalEventsFound}`);
-      console.log(`   Duplicates skipped: ${duplicatesSkipped}`);
-      console.log(`   New events processed: ${newEvents}`);
+      logger.info(`✅ Historical scan complete!`);
+      logger.info(`   Total events found: ${totalEventsFound}`);
+      logger.info(`   Duplicates skipped: ${duplicatesSkipped}`);
+      logger.info(`   New events processed: ${newEvents}`);
 
       return { totalEventsFound, duplicatesSkipped, newEvents };
 
     } catch (error) {
-      console.error('Error during historical block scan:', error);
+      logger.error('Error during historical block scan:', error);
       throw error;
     }
   }
@@ -762,36 +969,71 @@ export class BlockchainMonitor extends EventEmitter {
       this.connectionCheckInterval = null;
     }
 
-    // Remove WebSocket listeners if using WebSocket provider
-    if (this.provider.isWebSocketProvider) {
-      this.provider.removeAllListeners();
-      for (const contract of this.contracts.values()) {
-        contract.removeAllListeners();
-      }
-      if (this.exchangeHelper) {
-        this.exchangeHelper.removeAllListeners();
-      }
-    }
-
     // Stop and save processed tx tracker
     await this.processedTxTracker.stop();
 
-    console.log('Stopped monitoring pools');
+    logger.info('Stopped monitoring pools');
   }
 
-  addPool(poolAddress) {
+  /**
+   * Start monitoring a pool while running
+   * @param {string} poolAddress - Pool address
+   * @param {Object} metadata - Pool metadata in the pools.json shape ({ address, symbol, name, token0, token1 })
+   * @param {number} fromBlock - First block to catch up from (defaults to the next polled block)
+   */
+  async addPool(poolAddress, metadata = null, fromBlock = null) {
     if (this.contracts.has(poolAddress)) return;
 
     const contract = new ethers.Contract(poolAddress, POOL_ABI, this.provider);
     this.contracts.set(poolAddress, contract);
     this.poolAddresses.push(poolAddress);
+    if (metadata) {
+      this.poolMetadata.set(poolAddress.toLowerCase(), metadata);
+    }
+
+    if (!this.isRunning) return;
+
+    // Polling continues after this.lastBlock, so only the blocks before it need a catch-up
+    const toBlock = this.lastBlock;
+    if (fromBlock !== null && fromBlock <= toBlock) {
+      logger.info(`⏪ Catching up new pool ${poolAddress} from block ${fromBlock} to ${toBlock}...`);
+      this.poolCatchUps.push({ poolAddress, contract, fromBlock, toBlock });
+      await this.runPoolCatchUps();
+    }
+  }
+
+  // Scan pending new-pool catch-ups; a failed one resumes from its last finished chunk on the next poll
+  async runPoolCatchUps() {
+    for (const catchUp of [...this.poolCatchUps]) {
+      if (!this.contracts.has(catchUp.poolAddress)) {
+        this.poolCatchUps = this.poolCatchUps.filter(entry => entry !== catchUp);
+        continue;
+      }
+
+      try {
+        while (catchUp.fromBlock <= catchUp.toBlock) {
+          const endChunk = Math.min(catchUp.fromBlock + this.backfillChunkSize - 1, catchUp.toBlock);
+          await this.scanPool(catchUp.poolAddress, catchUp.contract, catchUp.fromBlock, endChunk);
+          catchUp.fromBlock = endChunk + 1;
+        }
+        this.poolCatchUps = this.poolCatchUps.filter(entry => entry !== catchUp);
+      } catch (error) {
+        logger.warn(`⚠️ Catch-up of pool ${catchUp.poolAddress} stopped at block ${catchUp.fromBlock}, retrying on the next poll`);
+      }
+    }
   }
 
   removePool(poolAddress) {
-    const contract = this.contracts.get(poolAddress);
-    if (!contract) return;
+    const key = [...this.contracts.keys()].find(addr => addr.toLowerCase() === poolAddress.toLowerCase());
+    if (!key) return;
+
+    this.contracts.delete(key);
+    this.poolAddresses = this.poolAddresses.filter(addr => addr !== key);
+    logger.info(`⏹️ Stopped monitoring pool ${key}`);
+  }
 
-    this.contracts.delete(poolAddress);
-    this.poolAddresses = this.poolAddresses.filter(addr => addr !== poolAddress);
+  // Relabel a pool; events emitted from now on carry the new symbol
+  updatePoolMetadata(metadata) {
+    this.poolMetadata.set(metadata.address.toLowerCase(), metadata);
   }
 }
\ No newline at end of file
@@ -2,10 +2,18 @@ import NodeCache from 'node-cache';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import metrics from './metrics.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('cache');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const CACHE_FILE = path.join(__dirname, '..', 'data', 'contract-state-cache.json');
 
+const cacheHits = metrics.counter('cache_hits_total', 'Cache lookups that found a value, by cache');
+const cacheMisses = metrics.counter('cache_misses_total', 'Cache lookups that found nothing, by cache');
+const cacheKeys = metrics.gauge('cache_keys', 'Entries currently held, by cache');
+
 class BlockchainCache {
     constructor() {
         // Different cache instances for different data types with appropriate TTL
@@ -36,6 +44,19 @@ class BlockchainCache {
             sets: 0
         };
 
+        // Cache names for the per-cache metrics
+        this.cacheNames = new Map([
+            [this.transactionCache, 'transaction'],
+            [this.blockCache, 'block'],
+            [this.contractStateCache, 'contractState'],
+            [this.logCache, 'log']
+        ]);
+        metrics.collect(() => {
+            for (const [instance, name] of this.cacheNames) {
+                cacheKeys.set({ cache: name }, instance.getStats().keys);
+            }
+        });
+
         // Track if we need to persist
         this.persistenceEnabled = true;
         this.persistencePending = false;
@@ -58,11 +79,11 @@ class BlockchainCache {
                         this.contractStateCache.set(key, entry.value, ttl > 0 ? ttl : 10000000);
                     }
                 }
-                console.log(`[Cache] Loaded ${Object.keys(parsed.entries).length} entries from disk`);
+                logger.info(`[Cache] Loaded ${Object.keys(parsed.entries).length} entries from disk`);
             }
         } catch (error) {
             if (error.code !== 'ENOENT') {
-                console.error('[Cache] Error loading persistent cache:', error);
+                logger.error('[Cache] Error loading persistent cache:', error);
             }
         }
     }
@@ -94,7 +115,7 @@ class BlockchainCache {
             await fs.writeFile(CACHE_FILE, json);
             this.persistencePending = false;
         } catch (error) {
-            console.error('[Cache] Error saving persistent cache:', error);
+            logger.error('[Cache] Error saving persistent cache:', error);
         }
     }
 
@@ -118,11 +139,14 @@ class BlockchainCache {
     // Generic get method with stats
     async get(cache, key) {
         const value = cache.get(key);
+        const name = this.cacheNames.get(cache);
         if (value !== undefined) {
             this.stats.hits++;
+            cacheHits.inc({ cache: name });
             return value;
         }
         this.stats.misses++;
+        cacheMisses.inc({ cache: name });
         return undefined;
     }
     
@@ -173,18 +197,50 @@ class BlockchainCache {
 
         return result;
     }
-    
+
+    deleteContractState(address, method, args = []) {
+        const key = `state:${address}:${method}:${JSON.stringify(args)}`;
+        const deleted = this.contractStateCache.del(key);
+
+        if (deleted > 0) {
+            this.schedulePersistence();
+        }
+
+        return deleted;
+    }
+
     // Log methods
     async getLogs(filter) {
         const key = this.getLogCacheKey(filter);
         return this.get(this.logCache, key);
     }
-    
+
     setLogs(filter, logs) {
         const key = this.getLogCacheKey(filter);
         return this.set(this.logCache, key, logs);
     }
-    
+
+    // The same methods with every key scoped to one chain, so a fork and the chain it forked
+    // (same addresses, same block numbers) never read each other's entries
+    forChain(chainId) {
+        const prefix = `${chainId}:`;
+        const scopedFilter = filter => ({ ...filter, address: `${prefix}${filter.address || 'all'}` });
+
+        return {
+            chainId,
+            getTransaction: txHash => this.getTransaction(`${prefix}${txHash}`),
+            setTransaction: (txHash, transaction) => this.setTransaction(`${prefix}${txHash}`, transaction),
+            getBlock: blockNumber => this.getBlock(`${prefix}${blockNumber}`),
+            setBlock: (blockNumber, block) => this.setBlock(`${prefix}${blockNumber}`, block),
+            getContractState: (address, method, args) => this.getContractState(`${prefix}${address}`, method, args),
+            setContractState: (address, method, args, value, ttl) => this.setContractState(`${prefix}${address}`, method, args, value, ttl),
+            deleteContractState: (address, method, args) => this.deleteContractState(`${prefix}${address}`, method, args),
+            getLogs: filter => this.getLogs(scopedFilter(filter)),
+            setLogs: (filter, logs) => this.setLogs(scopedFilter(filter), logs),
+            clearCache: cacheType => this.clearCache(cacheType)
+        };
+    }
+
     // Clear specific cache
     clearCache(cacheType) {
         switch(cacheType) {
@@ -227,7 +283,7 @@ class BlockchainCache {
     // Log cache statistics periodically
     startStatsLogging(intervalMs = 300000) { // 5 minutes default
         setInterval(() => {
-            console.log('[Cache Stats]', this.getStats());
+            logger.info('[Cache Stats]', this.getStats());
         }, intervalMs);
     }
 }
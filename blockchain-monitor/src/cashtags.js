@@ -0,0 +1,134 @@
+import axios from 'axios';
+import cache from './cache.js';
+import { MON_SYMBOLS, USD_SYMBOLS, isBaseToken0 } from './trade-enricher.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('ws');
+
+const PRICE_CACHE_SECONDS = 30;
+export const MAX_CASHTAGS = 5;
+
+// `$SYMBOL`: a letter then up to 9 letters or digits, so amounts like $100 are left alone
+const CASHTAG_PATTERN = /(?<![\w$])\$([a-zA-Z][a-zA-Z0-9]{0,9})(?![\w])/g;
+
+/**
+ * Symbols tagged in a message, uppercased and without duplicates
+ * @param {string} content - Message text
+ * @returns {string[]} - At most MAX_CASHTAGS symbols
+ */
+export function parseCashtags(content) {
+  const symbols = new Set();
+  for (const match of String(content).matchAll(CASHTAG_PATTERN)) {
+    symbols.add(match[1].toUpperCase());
+  }
+  return [...symbols].slice(0, MAX_CASHTAGS);
+}
+
+/**
+ * CashtagPrices - Live prices of `$SYMBOL` cashtags from the OHLC service
+ *
+ * A symbol resolves to the first enabled pool with that symbol, the primary chain's pools first.
+ * Prices come from the chain's OHLC service (`/api/stats?interval=24h`), are cached for 30 seconds
+ * and are given for the pool's listed token in its quote token (and in USD when the quote is MON or
+ * a stablecoin):
+ *   { symbol, chainId, poolAddress, price, quoteSymbol, priceUSD, change24h, updatedAt }
+ */
+export class CashtagPrices {
+  constructor(chains) {
+    this.chains = chains;
+  }
+
+  resolve(symbol) {
+    const wanted = symbol.toUpperCase();
+    for (const chain of this.chains.list()) {
+      const pool = chain.poolRegistry?.getPools().find(candidate => candidate.symbol === wanted);
+      if (pool) return { chain, pool };
+    }
+    return null;
+  }
+
+  /**
+   * Prices of the symbols that resolve to a pool
+   * @param {string[]} symbols - Cashtag symbols
+   * @returns {Promise<Object>} - { [SYMBOL]: price, or null while the OHLC service has none }
+   */
+  async getPrices(symbols) {
+    const prices = {};
+    for (const symbol of symbols) {
+      const resolved = this.resolve(symbol);
+      if (resolved) {
+        prices[symbol.toUpperCase()] = await this.getPrice(resolved.chain, resolved.pool);
+      }
+    }
+    return prices;
+  }
+
+  async getPrice(chain, pool) {
+    const chainCache = cache.forChain(chain.chainId);
+    const cached = await chainCache.getContractState(pool.address.toLowerCase(), 'cashtagPrice', []);
+    if (cached) return cached;
+
+    const stats = await this.fetchStats(chain, pool);
+    if (!stats) return null;
+
+    const decimals0 = Number(pool.token0?.decimals ?? 18);
+    const decimals1 = Number(pool.token1?.decimals ?? 18);
+    const symbol0 = (pool.token0?.symbol || '').toUpperCase();
+    const symbol1 = (pool.token1?.symbol || '').toUpperCase();
+
+    // The OHLC service reports token1 per token0 in raw units; same base/quote rule as TradeEnricher
+    const price0In1 = stats.currentPrice * Math.pow(10, decimals0 - decimals1);
+    const baseIsToken0 = isBaseToken0(symbol0, symbol1);
+    const price = baseIsToken0 ? price0In1 : (price0In1 > 0 ? 1 / price0In1 : 0);
+    const quoteSymbol = baseIsToken0 ? symbol1 : symbol0;
+
+    let priceUSD = null;
+    if (USD_SYMBOLS.includes(quoteSymbol)) {
+      priceUSD = price;
+    } else if (MON_SYMBOLS.includes(quoteSymbol) && chain.monPriceService) {
+      const monPrice = await chain.monPriceService.getMonPrice();
+      priceUSD = monPrice !== null ? price * monPrice : null;
+    }
+
+    // The OHLC change is for token1 per token0; a token1 base moved by its inverse
+    let change24h = stats.percentageChange;
+    if (change24h !== null && !baseIsToken0) {
+      change24h = (100 / (1 + change24h / 100)) - 100;
+    }
+
+    const result = {
+      symbol: pool.symbol,
+      chainId: chain.chainId,
+      poolAddress: pool.address.toLowerCase(),
+      price,
+      quoteSymbol,
+      priceUSD,
+      change24h,
+      updatedAt: Date.now()
+    };
+    chainCache.setContractState(pool.address.toLowerCase(), 'cashtagPrice', [], result, PRICE_CACHE_SECONDS);
+    return result;
+  }
+
+  // { currentPrice, percentageChange }; a pool without 24h of history still has its current price
+  async fetchStats(chain, pool) {
+    if (!chain.ohlcApiUrl) return null;
+
+    try {
+      const { data } = await axios.get(`${chain.ohlcApiUrl}/api/stats`, {
+        params: { pool: pool.address, interval: '24h' },
+        timeout: 5000
+      });
+      return { currentPrice: data.currentPrice, percentageChange: data.percentageChange ?? null };
+    } catch (error) {
+      const body = error.response?.data;
+      if (error.response?.status === 404 && body?.currentPrice) {
+        return { currentPrice: body.currentPrice, percentageChange: null };
+      }
+      if (!error.response || (error.response.status >= 500 && error.response.status !== 503)) {
+        logger.warn(`Could not fetch the ${pool.symbol} price from the OHLC service:`, error.message);
+      }
+      return null;
+    }
+  }
+}
@@ -0,0 +1,64 @@
+import { createLogger } from './logger.js';
+
+const logger = createLogger('chains');
+
+/**
+ * ChainRegistry - The chains this process monitors, looked up by chain ID
+ *
+ * Each chain is a context holding everything started for it:
+ * { chainId, name, dataDir, provider, ohlcApiUrl, monPriceService, vaultService, eventStorage,
+ *   loanStorage, loanLedger, loanAlerts, presaleStorage, presaleMonitor, stakingStorage,
+ *   stakingMonitor, blockchainMonitor, loanMonitor, vaultMetrics, factoryWatcher, poolRegistry,
+ *   referralTracker, cursorStore, counts: { pools, vaults, presales, staking } }
+ * Monitors that are disabled on a chain are null in its context.
+ *
+ * The first chain added is the primary one, used when a request does not name a chain.
+ */
+export class ChainRegistry {
+  constructor() {
+    this.chains = new Map(); // Map chainId -> context
+    this.primary = null;
+  }
+
+  add(context) {
+    if (this.chains.has(context.chainId)) {
+      throw new Error(`Chain ${context.chainId} is already registered`);
+    }
+
+    this.chains.set(context.chainId, context);
+    if (!this.primary) {
+      this.primary = context;
+    }
+    logger.info(`⛓️ Registered chain ${context.name} (chainId ${context.chainId})`);
+    return context;
+  }
+
+  /**
+   * Look up a chain
+   * @param {number|string} [chainId] - Chain ID, as a number or numeric string; the primary chain when omitted
+   * @returns {Object|null} - The chain's context, or null if it is not monitored here
+   */
+  get(chainId) {
+    if (chainId === undefined || chainId === null || chainId === '') {
+      return this.primary;
+    }
+    return this.chains.get(Number(chainId)) || null;
+  }
+
+  list() {
+    return [...this.chains.values()];
+  }
+
+  get chainIds() {
+    return [...this.chains.keys()];
+  }
+
+  // Chain IDs and names for API responses
+  describe() {
+    return this.list().map(chain => ({
+      chainId: chain.chainId,
+      name: chain.name,
+      primary: chain === this.primary
+    }));
+  }
+}
@@ -0,0 +1,530 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import deployment from '../../assets/deployment.json' assert { type: 'json' };
+import { redactUrl } from './provider.js';
+import { normalizeLeadTimes } from './loan-alerts.js';
+import { decodeEncryptionKey } from './dm-store.js';
+
+/**
+ * Configuration shared by the blockchain monitor and the OHLC service
+ *
+ * Every setting is declared once in SETTINGS with its environment variable, type, default and
+ * limits. Values are resolved from, lowest precedence first: the default, the chain profile
+ * selected by CHAIN, the JSON file named by CONFIG_FILE (nested like the config object, e.g.
+ * `{ "websocket": { "maxConnectionsPerIp": 20 } }`) and the environment.
+ *
+ * Settings marked `perChain` (contracts, RPC, data directory, monitored addresses) are resolved once
+ * for CHAIN and once for every chain listed in CHAINS, into `config.chains`. A chain's own values come
+ * from `<NAME>_<VARIABLE>` (e.g. `LOCAL_RPC_URL`) and the file's `chains.<name>` section; CHAIN also
+ * reads the plain variables and top-level file sections, and is mirrored to `config.chain`/`config.rpc`.
+ *
+ * `loadConfig()` checks every value up front and throws a ConfigError listing all the invalid ones,
+ * so a bad deployment fails at boot instead of when a value is first used. Settings marked
+ * `secret` are masked by `describeConfig()`, which both services log at startup.
+ */
+
+const OHLC_INTERVALS = ['1m', '5m', '15m', '30m', '1h', '6h', '12h', '24h', '1w', '1M'];
+
+// assets/deployment.json is keyed by chain ID
+const monadTestnet = deployment['10143'];
+const monadMainnet = deployment['143'] || {};
+
+// Per-chain defaults, selected by CHAIN
+export const CHAIN_PROFILES = {
+  'monad-testnet': {
+    chain: {
+      chainId: 10143,
+      contracts: {
+        factory: monadTestnet.Factory,
+        exchangeHelper: monadTestnet.Exchange,
+        monUsdtPool: '0xE4baba78F933D58d52b7D564212b2C4CF910A36a', // Uniswap V3 MON/USDT
+        wmon: '0x760AfE86e5de5fa0Ee542fc7B7B713e1c5425701',
+        uniswapV3Factory: '0x961235a9020B05C44DF1026D956D1F4D78014276',
+        pancakeV3Factory: '0x3b7838D96Fc18AD1972aFa17574686be79C50040',
+        uniswapQuoterV2: '0x1b4E313fEF15630AF3e6F2dE550Dbf4cC9D3081d',
+        pancakeQuoterV2: '0x7f988126C2c5d4967Bb5E70bDeB7e26DB6BD5C28'
+      },
+      // Where every file lived before chains got their own directories
+      dataDir: 'data'
+    },
+    rpc: {
+      url: 'https://rpc.ankr.com/monad_testnet',
+      wsUrl: 'wss://monad-testnet.rpc.ankr.com/ws'
+    }
+  },
+  // Monad mainnet; until deployment.json lists it, the Noma contracts come from CONFIG_FILE or MONAD_MAINNET_*_ADDRESS
+  'monad-mainnet': {
+    chain: {
+      chainId: 143,
+      contracts: {
+        factory: monadMainnet.Factory,
+        exchangeHelper: monadMainnet.Exchange
+      }
+    },
+    rpc: {
+      url: 'https://rpc.monad.xyz',
+      wsUrl: 'wss://rpc.monad.xyz'
+    }
+  },
+  // A local node (anvil/hardhat); contract addresses come from CONFIG_FILE or the *_ADDRESS variables
+  local: {
+    chain: {
+      chainId: 31337,
+      contracts: {}
+    },
+    rpc: {
+      url: 'http://localhost:8545',
+      wsUrl: 'ws://localhost:8545'
+    }
+  }
+};
+
+// Files of chains without a profile `dataDir` go to data/chains/<chainId>
+const REPO_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// Older deployments set CHAIN=mainnet for "not local", which has always meant the Monad testnet
+const CHAIN_ALIASES = { mainnet: 'monad-testnet', testnet: 'monad-testnet' };
+
+/**
+ * Settings: { path, env, type, default, service, secret, required, ... }
+ * - type: string, int, number, boolean, enum (`values`), url, address, list (`of` an item type), endpoints,
+ *   intervalLimits, roomRetention
+ * - min/max bound ints and numbers; `validate` throws on values the type alone cannot rule out
+ * - service: 'blockchain' or 'ohlc' when only one service uses the setting
+ * - perChain: resolved separately for every configured chain
+ * - secret: true masks the value, 'url' keeps only the URL's host
+ */
+const SETTINGS = [
+  // Chain
+  // CHAIN and CHAINS (more chains served by the blockchain monitor, e.g. "monad-mainnet,local") are read by loadConfig()
+  { path: 'chain.chainId', env: 'CHAIN_ID', type: 'int', min: 1, required: true, perChain: true },
+  // Relative paths are resolved from the repository root
+  { path: 'chain.dataDir', env: 'DATA_DIR', type: 'string', perChain: true },
+  { path: 'chain.ohlcApiUrl', env: 'OHLC_API_URL', type: 'url', default: 'http://localhost:3001', service: 'blockchain', perChain: true },
+  { path: 'chain.contracts.factory', env: 'FACTORY_ADDRESS', type: 'address', service: 'blockchain', required: true, perChain: true },
+  { path: 'chain.contracts.exchangeHelper', env: 'EXCHANGE_HELPER_ADDRESS', type: 'address', service: 'blockchain', perChain: true },
+  { path: 'chain.contracts.monUsdtPool', env: 'MON_USDT_POOL_ADDRESS', type: 'address', service: 'blockchain', perChain: true },
+  { path: 'chain.contracts.wmon', env: 'WMON_ADDRESS', type: 'address', service: 'blockchain', perChain: true },
+  { path: 'chain.contracts.uniswapV3Factory', env: 'UNISWAP_V3_FACTORY_ADDRESS', type: 'address', service: 'blockchain', perChain: true },
+  { path: 'chain.contracts.pancakeV3Factory', env: 'PANCAKE_V3_FACTORY_ADDRESS', type: 'address', service: 'blockchain', perChain: true },
+  { path: 'chain.contracts.uniswapQuoterV2', type: 'address', service: 'blockchain', perChain: true },
+  { path: 'chain.contracts.pancakeQuoterV2', type: 'address', service: 'blockchain', perChain: true },
+  // Uniswap V3 and PancakeSwap V3 fee tiers searched for vault pools
+  { path: 'chain.feeTiers', type: 'list', of: 'int', default: [100, 500, 2500, 3000, 10000], service: 'blockchain', perChain: true },
+
+  // RPC
+  { path: 'rpc.url', env: 'RPC_URL', type: 'url', protocols: ['http:', 'https:', 'ws:', 'wss:'], secret: 'url', required: true, perChain: true },
+  { path: 'rpc.urls', env: 'RPC_URLS', type: 'endpoints', secret: 'url', perChain: true },
+  { path: 'rpc.wsUrl', env: 'WS_RPC_URL', type: 'url', protocols: ['ws:', 'wss:'], secret: 'url', service: 'ohlc', perChain: true },
+  { path: 'rpc.logsQuorum', env: 'RPC_LOGS_QUORUM', type: 'int', default: 1, min: 1, perChain: true },
+  { path: 'rpc.maxBlockLag', env: 'RPC_MAX_BLOCK_LAG', type: 'int', default: 5, min: 0, perChain: true },
+  { path: 'rpc.requestTimeoutMs', env: 'RPC_REQUEST_TIMEOUT_MS', type: 'int', default: 15000, min: 100, perChain: true },
+  { path: 'rpc.rateLimit', env: 'RPC_RATE_LIMIT', type: 'number', default: 10, min: 0.1, perChain: true },
+  { path: 'rpc.burst', env: 'RPC_BURST', type: 'number', min: 1, perChain: true },
+  { path: 'rpc.maxConcurrent', env: 'RPC_MAX_CONCURRENT', type: 'int', default: 4, min: 1, perChain: true },
+  { path: 'rpc.multicall', env: 'RPC_MULTICALL', type: 'boolean', default: true, perChain: true },
+  { path: 'rpc.multicallAddress', env: 'RPC_MULTICALL_ADDRESS', type: 'address', perChain: true },
+
+  // Servers
+  { path: 'http.port', env: 'HTTP_PORT', type: 'int', default: 3004, min: 1, max: 65535, service: 'blockchain' },
+  { path: 'websocket.port', env: 'WEBSOCKET_PORT', type: 'int', default: 8080, min: 1, max: 65535, service: 'blockchain' },
+  { path: 'websocket.maxConnectionsPerIp', env: 'WS_MAX_CONNECTIONS_PER_IP', type: 'int', default: 10, min: 1, service: 'blockchain' },
+  { path: 'websocket.adminAddresses', env: 'ADMIN_ADDRESSES', type: 'list', of: 'address', default: [], service: 'blockchain' },
+  { path: 'admin.apiKey', env: 'ADMIN_API_KEY', type: 'string', secret: true, service: 'blockchain' },
+
+  // Storage
+  { path: 'storage.backend', env: 'STORAGE_BACKEND', type: 'enum', values: ['json', 'log'], default: 'json', service: 'blockchain' },
+  { path: 'storage.historyFile', env: 'HISTORY_FILE_PATH', type: 'string', service: 'blockchain' },
+  { path: 'storage.eventRetentionDays', env: 'EVENT_RETENTION_DAYS', type: 'number', default: 30, min: 1, service: 'blockchain' },
+  { path: 'storage.loanRetentionDays', env: 'LOAN_RETENTION_DAYS', type: 'number', default: 90, min: 1, service: 'blockchain' },
+  { path: 'chat.maxMessages', env: 'CHAT_MAX_MESSAGES', type: 'int', default: 1000, min: 1, service: 'blockchain' },
+  { path: 'chat.maxAgeDays', env: 'CHAT_MAX_AGE_DAYS', type: 'number', default: 0, min: 0, service: 'blockchain' },
+  { path: 'chat.editWindowMinutes', env: 'CHAT_EDIT_WINDOW_MINUTES', type: 'number', default: 15, min: 0, service: 'blockchain' },
+  // Per-room overrides, e.g. { "global": { "maxMessages": 5000 }, "stream:*": { "maxAgeDays": 1 } }
+  { path: 'chat.rooms', env: 'CHAT_ROOM_RETENTION', type: 'roomRetention', default: {}, service: 'blockchain' },
+  // Swaps worth at least this much are posted into their pool's room (0 turns trade posts off)
+  { path: 'chat.tradeAlertMinUsd', env: 'CHAT_TRADE_ALERT_MIN_USD', type: 'number', default: 10000, min: 0, service: 'blockchain' },
+  // 32 bytes as hex or base64; generated into data/dm.key when unset
+  { path: 'chat.dmEncryptionKey', env: 'DM_ENCRYPTION_KEY', type: 'string', secret: true, validate: decodeEncryptionKey, service: 'blockchain' },
+
+  // Monitors
+  { path: 'monitor.poolAddresses', env: 'POOL_ADDRESSES', type: 'list', of: 'address', service: 'blockchain', perChain: true },
+  { path: 'monitor.vaultAddresses', env: 'VAULT_ADDRESSES', type: 'list', of: 'address', service: 'blockchain', perChain: true },
+  { path: 'monitor.presaleAddresses', env: 'PRESALE_ADDRESSES', type: 'list', of: 'address', service: 'blockchain', perChain: true },
+  { path: 'monitor.stakingAddresses', env: 'STAKING_ADDRESSES', type: 'list', of: 'address', service: 'blockchain', perChain: true },
+  { path: 'monitor.confirmationDepth', env: 'CONFIRMATION_DEPTH', type: 'int', default: 2, min: 0, service: 'blockchain', perChain: true },
+  { path: 'monitor.reorgWindowBlocks', env: 'REORG_WINDOW_BLOCKS', type: 'int', default: 64, min: 1, service: 'blockchain', perChain: true },
+  // First block scanned for presale and staking contracts without a cursor (unset: each one's deployment block)
+  { path: 'monitor.contractStartBlock', env: 'CONTRACT_START_BLOCK', type: 'int', min: 0, service: 'blockchain', perChain: true },
+  { path: 'monitor.backfillChunkSize', env: 'BACKFILL_CHUNK_SIZE', type: 'int', default: 100, min: 1, service: 'blockchain' },
+  { path: 'monitor.historicalScanHours', env: 'HISTORICAL_SCAN_HOURS', type: 'number', default: 0, min: 0, service: 'blockchain' },
+  { path: 'monitor.autoRestartHours', env: 'AUTO_RESTART_HOURS', type: 'number', default: 0, min: 0, service: 'blockchain' },
+  { path: 'loans.alertLeadTimes', env: 'LOAN_ALERT_LEAD_TIMES', type: 'list', of: 'string', validate: normalizeLeadTimes, service: 'blockchain' },
+  { path: 'vaults.metricsIntervalMinutes', env: 'VAULT_METRICS_INTERVAL_MINUTES', type: 'number', default: 15, min: 0.1, service: 'blockchain' },
+  { path: 'factory.watchIntervalSeconds', env: 'FACTORY_WATCH_INTERVAL_SECONDS', type: 'number', default: 60, min: 0, service: 'blockchain' },
+  { path: 'pools.watchIntervalSeconds', env: 'POOLS_WATCH_INTERVAL_SECONDS', type: 'number', default: 5, min: 0, service: 'blockchain' },
+
+  // OHLC service
+  { path: 'ohlc.port', env: 'PORT', type: 'int', default: 3001, min: 1, max: 65535, service: 'ohlc' },
+  { path: 'ohlc.wsPort', env: 'WS_PORT', type: 'int', default: 3002, min: 1, max: 65535, service: 'ohlc' },
+  { path: 'ohlc.useWebsocket', env: 'USE_WEBSOCKET', type: 'boolean', default: false, service: 'ohlc' },
+  // Candles returned per interval; the file can set single intervals, e.g. { "1m": 500 }
+  { path: 'ohlc.datapointLimits', env: 'OHLC_DATAPOINT_LIMIT', type: 'intervalLimits', default: 100, service: 'ohlc' },
+
+  // Health probes
+  { path: 'health.maxBlockAgeSeconds', env: 'HEALTH_MAX_BLOCK_AGE_SECONDS', type: 'number', default: 120, min: 1 },
+  { path: 'health.stallSeconds', env: 'HEALTH_STALL_SECONDS', type: 'number', default: 600, min: 1, service: 'blockchain' },
+  { path: 'health.maxPriceAgeSeconds', env: 'HEALTH_MAX_PRICE_AGE_SECONDS', type: 'number', default: 300, min: 1, service: 'ohlc' },
+
+  // Logging
+  { path: 'logging.level', env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'] },
+  { path: 'logging.levels', env: 'LOG_LEVELS', type: 'string' },
+  { path: 'logging.format', env: 'LOG_FORMAT', type: 'enum', values: ['json', 'pretty'] }
+];
+
+let current = null;
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function getPath(object, settingPath) {
+  return settingPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, settingPath, value) {
+  const keys = settingPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] ??= {}), object);
+  parent[last] = value;
+}
+
+function deepFreeze(object) {
+  for (const value of Object.values(object)) {
+    if (value && typeof value === 'object') deepFreeze(value);
+  }
+  return Object.freeze(object);
+}
+
+function parseNumber(setting, value, integer) {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (String(value).trim() === '' || !Number.isFinite(number)) {
+    throw new Error(`must be a number, got "${value}"`);
+  }
+  if (integer && !Number.isInteger(number)) {
+    throw new Error(`must be a whole number, got "${value}"`);
+  }
+  if (setting.min !== undefined && number < setting.min) {
+    throw new Error(`must be at least ${setting.min}, got ${number}`);
+  }
+  if (setting.max !== undefined && number > setting.max) {
+    throw new Error(`must be at most ${setting.max}, got ${number}`);
+  }
+  return number;
+}
+
+function parseValue(setting, value, type = setting.type) {
+  switch (type) {
+    case 'string':
+      return String(value);
+    case 'int':
+      return parseNumber(setting, value, true);
+    case 'number':
+      return parseNumber(setting, value, false);
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const normalized = String(value).trim().toLowerCase();
+      if (['true', '1', 'yes'].includes(normalized)) return true;
+      if (['false', '0', 'no'].includes(normalized)) return false;
+      throw new Error(`must be true or false, got "${value}"`);
+    }
+    case 'enum': {
+      const normalized = String(value).trim();
+      if (!setting.values.includes(normalized)) {
+        throw new Error(`must be one of ${setting.values.join(', ')}, got "${value}"`);
+      }
+      return normalized;
+    }
+    case 'url': {
+      let url;
+      try {
+        url = new URL(String(value).trim());
+      } catch (error) {
+        throw new Error('must be a valid URL');
+      }
+      const protocols = setting.protocols || ['http:', 'https:'];
+      if (!protocols.includes(url.protocol)) {
+        throw new Error(`must use ${protocols.map(protocol => protocol.replace(':', '')).join(' or ')}`);
+      }
+      return String(value).trim();
+    }
+    case 'address': {
+      const address = String(value).trim();
+      if (!ethers.isAddress(address)) {
+        throw new Error(`must be an address, got "${value}"`);
+      }
+      return ethers.getAddress(address);
+    }
+    case 'list': {
+      const items = Array.isArray(value)
+        ? value
+        : String(value).split(',').map(item => item.trim()).filter(Boolean);
+      return items.map(item => parseValue(setting, item, setting.of));
+    }
+    case 'endpoints': {
+      // "url|weight,url|weight" (weight defaults to 1) or [{ url, weight }]
+      const entries = Array.isArray(value)
+        ? value.map(entry => (typeof entry === 'string' ? entry.split('|') : [entry.url, entry.weight]))
+        : String(value).split(',').map(entry => entry.trim()).filter(Boolean).map(entry => entry.split('|'));
+      return entries.map(([url, weight]) => ({
+        url: parseValue({ protocols: ['http:', 'https:', 'ws:', 'wss:'] }, url, 'url'),
+        weight: weight === undefined || weight === '' ? 1 : parseNumber({ min: 0.01 }, weight, false)
+      }));
+    }
+    case 'intervalLimits': {
+      // A single limit for every interval, or { interval: limit } on top of the default
+      if (typeof value !== 'object') {
+        const limit = parseNumber({ min: 1 }, value, true);
+        return Object.fromEntries(OHLC_INTERVALS.map(interval => [interval, limit]));
+      }
+      const limits = Object.fromEntries(OHLC_INTERVALS.map(interval => [interval, 100]));
+      for (const [interval, limit] of Object.entries(value)) {
+        if (!OHLC_INTERVALS.includes(interval)) {
+          throw new Error(`unknown interval "${interval}" (use ${OHLC_INTERVALS.join(', ')})`);
+        }
+        limits[interval] = parseNumber({ min: 1 }, limit, true);
+      }
+      return limits;
+    }
+    case 'roomRetention': {
+      // { room: { maxMessages?, maxAgeDays? } }, as an object in the file or JSON in the environment
+      let rooms = value;
+      if (typeof rooms === 'string') {
+        try {
+          rooms = JSON.parse(rooms);
+        } catch (error) {
+          throw new Error('must be JSON like {"global":{"maxMessages":1000}}');
+        }
+      }
+      if (!rooms || typeof rooms !== 'object' || Array.isArray(rooms)) {
+        throw new Error('must map room IDs to { maxMessages, maxAgeDays }');
+      }
+      return Object.fromEntries(Object.entries(rooms).map(([room, policy]) => {
+        if (!policy || typeof policy !== 'object') {
+          throw new Error(`room "${room}" must be { maxMessages, maxAgeDays }`);
+        }
+        const parsed = {};
+        if (policy.maxMessages !== undefined) parsed.maxMessages = parseNumber({ min: 1 }, policy.maxMessages, true);
+        if (policy.maxAgeDays !== undefined) parsed.maxAgeDays = parseNumber({ min: 0 }, policy.maxAgeDays, false);
+        return [room, parsed];
+      }));
+    }
+    default:
+      throw new Error(`unknown setting type ${type}`);
+  }
+}
+
+function readConfigFile(filePath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('must contain a JSON object');
+    }
+    return parsed;
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE ${filePath}: ${error.message}`]);
+  }
+}
+
+// Prefix of a chain's own variables: 'monad-mainnet' -> 'MONAD_MAINNET_'
+export function chainEnvPrefix(chainName) {
+  return `${chainName.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_`;
+}
+
+// Where a per-chain setting lives in a config.chains entry: 'chain.contracts.factory' -> 'contracts.factory'
+function chainEntryPath(settingPath) {
+  return settingPath.startsWith('chain.') ? settingPath.slice('chain.'.length) : settingPath;
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Resolve and validate the configuration for a service
+ * @param {Object} options - { service: 'blockchain' | 'ohlc', env, file } (`file` defaults to env.CONFIG_FILE)
+ * @returns {Object} - Frozen config, nested like the setting paths; unset optional values are null.
+ *   `chains` lists CHAIN and then the CHAINS entries as { name, chainId, dataDir, contracts, rpc, monitor, ... }
+ *   (the OHLC service only gets CHAIN)
+ * @throws {ConfigError} - Listing every invalid or missing value
+ */
+export function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const filePath = options.file ?? env.CONFIG_FILE ?? null;
+  const file = filePath ? readConfigFile(path.resolve(filePath)) : {};
+  const settings = SETTINGS.filter(setting => !setting.service || !options.service || setting.service === options.service);
+
+  const config = {};
+  const sources = {};
+  const problems = [];
+  const warnings = [];
+
+  // Takes the first set value of `layers` ([value, source] pairs, highest precedence first)
+  const resolve = (setting, layers, label, chainName) => {
+    const [value, source] = layers.find(([candidate]) => isSet(candidate)) || [setting.default, 'default'];
+    if (value === undefined || value === null) {
+      if (setting.required) {
+        problems.push(`${label} is required for chain ${chainName}`);
+      }
+      return { value: null };
+    }
+
+    try {
+      const parsed = parseValue(setting, value);
+      if (setting.validate) {
+        setting.validate(parsed);
+      }
+      return { value: parsed, source };
+    } catch (error) {
+      problems.push(`${label}: ${error.message}`);
+      return { value: null };
+    }
+  };
+
+  const resolveChainName = (name, variable) => {
+    const chainName = String(name).trim();
+    if (CHAIN_ALIASES[chainName]) {
+      warnings.push(`${variable}=${chainName} is deprecated, use ${CHAIN_ALIASES[chainName]}`);
+      return CHAIN_ALIASES[chainName];
+    }
+    return chainName;
+  };
+
+  // The chains decide which profiles fill in the defaults, so they are resolved first
+  const primaryName = resolveChainName(env.CHAIN || getPath(file, 'chain.name') || 'monad-testnet', 'CHAIN');
+  sources['chain.name'] = env.CHAIN ? 'env' : getPath(file, 'chain.name') ? 'file' : 'default';
+  const extraNames = isSet(env.CHAINS)
+    ? env.CHAINS.split(',').map(name => name.trim()).filter(Boolean)
+    : Object.keys(file.chains || {});
+  const chainNames = options.service === 'ohlc'
+    ? [primaryName]
+    : [...new Set([primaryName, ...extraNames.map(name => resolveChainName(name, 'CHAINS'))])];
+
+  const chains = [];
+  for (const name of chainNames) {
+    const isPrimary = name === primaryName;
+    const prefix = chainEnvPrefix(name);
+    const profile = CHAIN_PROFILES[name] || {};
+    const section = file.chains?.[name] || {};
+    if (!CHAIN_PROFILES[name]) {
+      warnings.push(`No chain profile named "${name}", its settings only come from ${prefix}* variables and CONFIG_FILE`);
+    }
+
+    const entry = { name };
+    for (const setting of settings.filter(setting => setting.perChain)) {
+      const entryPath = chainEntryPath(setting.path);
+      const variables = setting.env ? [`${prefix}${setting.env}`, ...(isPrimary ? [setting.env] : [])] : [];
+      const label = isPrimary
+        ? (setting.env ? `${setting.path} (${setting.env})` : setting.path)
+        : `chains.${name}.${entryPath}${setting.env ? ` (${prefix}${setting.env})` : ''}`;
+
+      const { value, source } = resolve(setting, [
+        ...variables.map(variable => [env[variable], 'env']),
+        [getPath(section, setting.path), 'file'],
+        [isPrimary ? getPath(file, setting.path) : undefined, 'file'],
+        [getPath(profile, setting.path), 'profile']
+      ], label, name);
+      setPath(entry, entryPath, value);
+      if (source) {
+        sources[isPrimary ? setting.path : `chains.${name}.${entryPath}`] = source;
+      }
+    }
+
+    if (entry.chainId) {
+      entry.dataDir = path.resolve(REPO_ROOT, entry.dataDir || path.join('data', 'chains', String(entry.chainId)));
+    }
+    chains.push(entry);
+  }
+
+  const seenChainIds = new Map();
+  for (const chain of chains) {
+    if (chain.chainId && seenChainIds.has(chain.chainId)) {
+      problems.push(`chains ${seenChainIds.get(chain.chainId)} and ${chain.name} both use chain ID ${chain.chainId}`);
+    }
+    seenChainIds.set(chain.chainId, chain.name);
+  }
+
+  for (const setting of settings.filter(setting => !setting.perChain)) {
+    const label = setting.env ? `${setting.path} (${setting.env})` : setting.path;
+    const { value, source } = resolve(setting, [
+      [setting.env ? env[setting.env] : undefined, 'env'],
+      [getPath(file, setting.path), 'file'],
+      [getPath(CHAIN_PROFILES[primaryName] || {}, setting.path), 'profile']
+    ], label, primaryName);
+    setPath(config, setting.path, value);
+    if (source) {
+      sources[setting.path] = source;
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  // CHAIN is also served as config.chain / config.rpc / config.monitor, where single-chain code reads it
+  const { rpc, monitor, ...primaryChain } = chains[0];
+  config.chain = primaryChain;
+  config.rpc = rpc;
+  config.monitor = { ...config.monitor, ...monitor };
+  config.chains = chains;
+
+  Object.defineProperty(config, 'meta', {
+    value: { service: options.service || null, file: filePath, sources, warnings },
+    enumerable: false
+  });
+
+  current = deepFreeze(config);
+  return current;
+}
+
+// The config loaded at startup, for modules that are not handed their settings
+export function getConfig() {
+  return current || loadConfig();
+}
+
+/**
+ * Copy of a config that is safe to log: secrets are masked and RPC URLs keep only their host
+ * @param {Object} config - From loadConfig()
+ * @returns {Object}
+ */
+export function describeConfig(config) {
+  const described = JSON.parse(JSON.stringify(config));
+
+  for (const setting of SETTINGS.filter(setting => setting.secret)) {
+    const paths = [setting.path];
+    if (setting.perChain) {
+      paths.push(...(config.chains || []).map((chain, index) => `chains.${index}.${chainEntryPath(setting.path)}`));
+    }
+
+    for (const settingPath of paths) {
+      const value = getPath(config, settingPath);
+      if (value === undefined || value === null) continue;
+
+      let masked = '[REDACTED]';
+      if (setting.secret === 'url') {
+        masked = Array.isArray(value)
+          ? value.map(endpoint => ({ ...endpoint, url: redactUrl(endpoint.url) }))
+          : redactUrl(value);
+      }
+      setPath(described, settingPath, masked);
+    }
+  }
+
+  return described;
+}
@@ -0,0 +1,287 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { createStorageAdapter } from './storage-adapter.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('ws');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CIPHER = 'aes-256-gcm';
+const MAX_PAGE_SIZE = 100;
+const MAX_MESSAGES_PER_THREAD = 5000;
+
+/**
+ * Decode a DM encryption key: 32 bytes as 64 hex characters or base64
+ * @param {string} key - Encoded key
+ * @returns {Buffer} - Raw key
+ */
+export function decodeEncryptionKey(key) {
+  const value = String(key).trim();
+  const raw = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (raw.length !== 32) {
+    throw new Error('must be 32 bytes, as 64 hex characters or base64');
+  }
+  return raw;
+}
+
+/**
+ * DirectMessageStore - Direct message threads between two addresses, encrypted at rest
+ *
+ * A thread's ID is its two participants, lowercased and sorted: `0xaaa:0xbbb`. Message bodies are
+ * encrypted with AES-256-GCM under the server key (DM_ENCRYPTION_KEY, or a key generated once into
+ * data/dm.key when it is unset), bound to the message and thread IDs; everything else (participants,
+ * timestamps, read markers) is stored in the clear so threads can be listed without decrypting.
+ *
+ * Stored in data/dm.*.log (append-only log backend):
+ *   messages: { id, threadId, from, to, iv, tag, ciphertext, timestamp }
+ *   threads:  { id, participants, lastMessageId, lastMessageAt, readMarkers: { [address]: { messageId, readAt } } }
+ *   blocks:   { key: 'blocker:blocked', blocker, blocked, at }
+ */
+export class DirectMessageStore {
+  constructor(options = {}) {
+    this.dmPath = options.filePath || path.join(__dirname, '..', '..', 'data', 'dm.json');
+    this.keyPath = path.join(path.dirname(this.dmPath), 'dm.key');
+    this.key = options.encryptionKey ? decodeEncryptionKey(options.encryptionKey) : null;
+
+    this.adapter = createStorageAdapter('log', {
+      messages: { file: this.dmPath, section: 'messages' },
+      threads: { file: this.dmPath, section: 'threads' },
+      blocks: { file: this.dmPath, section: 'blocks' }
+    });
+    this.messages = this.adapter.collection('messages', {
+      indexes: {
+        thread: message => message.threadId
+      }
+    });
+    this.threads = this.adapter.collection('threads', {
+      indexes: {
+        participant: thread => thread.participants
+      }
+    });
+    this.blocks = this.adapter.collection('blocks', {
+      idField: 'key',
+      indexes: {
+        blocker: block => block.blocker
+      }
+    });
+  }
+
+  async initialize() {
+    await fs.mkdir(path.dirname(this.dmPath), { recursive: true });
+    if (!this.key) {
+      this.key = await this.loadGeneratedKey();
+    }
+    await this.adapter.open();
+    logger.info(`Loaded ${this.threads.size} direct message threads (${this.messages.size} messages)`);
+  }
+
+  // Without DM_ENCRYPTION_KEY, a random key kept next to the data (readable by the owner only)
+  async loadGeneratedKey() {
+    try {
+      return decodeEncryptionKey(await fs.readFile(this.keyPath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const key = crypto.randomBytes(32);
+    await fs.writeFile(this.keyPath, key.toString('hex'), { mode: 0o600 });
+    logger.warn(`DM_ENCRYPTION_KEY is not set; generated a key in ${this.keyPath}. Set DM_ENCRYPTION_KEY to keep the key away from the data.`);
+    return key;
+  }
+
+  static threadId(a, b) {
+    return [a.toLowerCase(), b.toLowerCase()].sort().join(':');
+  }
+
+  encrypt(body, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(body, 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+  }
+
+  // Stored record -> message as sent to clients; body is null if it cannot be decrypted (e.g. the key changed)
+  decrypt(record) {
+    let body = null;
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, this.key, Buffer.from(record.iv, 'base64'));
+      decipher.setAAD(Buffer.from(`${record.id}:${record.threadId}`));
+      decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+      body = Buffer.concat([decipher.update(Buffer.from(record.ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      logger.warn(`Could not decrypt direct message ${record.id}`);
+    }
+
+    return {
+      id: record.id,
+      threadId: record.threadId,
+      from: record.from,
+      to: record.to,
+      body,
+      timestamp: record.timestamp
+    };
+  }
+
+  async sendMessage(from, to, body) {
+    const sender = from.toLowerCase();
+    const recipient = to.toLowerCase();
+    const threadId = DirectMessageStore.threadId(sender, recipient);
+    const id = uuidv4();
+    const timestamp = Date.now();
+
+    await this.messages.put({
+      id,
+      threadId,
+      from: sender,
+      to: recipient,
+      ...this.encrypt(body, `${id}:${threadId}`),
+      timestamp
+    });
+
+    const thread = this.threads.get(threadId);
+    await this.threads.put({
+      id: threadId,
+      participants: [sender, recipient].sort(),
+      readMarkers: {},
+      ...thread,
+      lastMessageId: id,
+      lastMessageAt: timestamp
+    });
+
+    const threadMessages = this.messages.find('thread', threadId);
+    if (threadMessages.length > MAX_MESSAGES_PER_THREAD) {
+      await this.messages.remove(threadMessages.slice(0, threadMessages.length - MAX_MESSAGES_PER_THREAD).map(old => old.id));
+    }
+
+    return { id, threadId, from: sender, to: recipient, body, timestamp };
+  }
+
+  getThread(threadId) {
+    return this.threads.get(threadId);
+  }
+
+  isParticipant(threadId, address) {
+    return Boolean(this.threads.get(threadId)?.participants.includes(address.toLowerCase()));
+  }
+
+  /**
+   * Threads of an address, most recent first
+   * @returns {Array} - { threadId, with, lastMessage, lastMessageAt, unread, readMarkers }
+   */
+  getThreads(address) {
+    const normalizedAddress = address.toLowerCase();
+    return [...this.threads.find('participant', normalizedAddress)]
+      .sort((a, b) => b.lastMessageAt - a.lastMessageAt)
+      .map(thread => {
+        const lastMessage = this.messages.get(thread.lastMessageId);
+        return {
+          threadId: thread.id,
+          with: thread.participants.find(participant => participant !== normalizedAddress) || normalizedAddress,
+          lastMessage: lastMessage ? this.decrypt(lastMessage) : null,
+          lastMessageAt: thread.lastMessageAt,
+          unread: this.getUnreadCount(thread, normalizedAddress),
+          readMarkers: thread.readMarkers
+        };
+      });
+  }
+
+  // Messages to `address` after its read marker
+  getUnreadCount(thread, address) {
+    const readAt = thread.readMarkers?.[address]?.readAt || 0;
+    return this.messages.find('thread', thread.id)
+      .filter(message => message.to === address && message.timestamp > readAt)
+      .length;
+  }
+
+  /**
+   * A page of a thread, oldest first (same cursors as MessageStore.getMessages)
+   * @returns {Object|null} - { messages, hasMore }, or null if the cursor message is not in the thread
+   */
+  getMessages(threadId, { before, after, limit = 50 } = {}) {
+    const threadMessages = this.messages.find('thread', threadId);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+
+    let start;
+    let end;
+    let hasMore;
+    if (after) {
+      const position = threadMessages.findIndex(message => message.id === after);
+      if (position === -1) return null;
+      start = position + 1;
+      end = start + pageSize;
+      hasMore = end < threadMessages.length;
+    } else {
+      end = before ? threadMessages.findIndex(message => message.id === before) : threadMessages.length;
+      if (end === -1) return null;
+      start = Math.max(end - pageSize, 0);
+      hasMore = start > 0;
+    }
+
+    return {
+      messages: threadMessages.slice(start, end).map(message => this.decrypt(message)),
+      hasMore
+    };
+  }
+
+  /**
+   * Read receipt: `address` has read the thread up to `messageId` (the latest message when omitted).
+   * `readAt` is that message's timestamp, so later messages stay unread.
+   * @returns {Promise<Object|null>} - { messageId, readAt }, or null if the message is not in the thread
+   */
+  async markRead(threadId, address, messageId = null) {
+    const thread = this.threads.get(threadId);
+    const message = this.messages.get(messageId || thread?.lastMessageId);
+    if (!thread || !message || message.threadId !== threadId) return null;
+
+    // A receipt for an older message (late or out of order) leaves the marker where it is
+    const normalizedAddress = address.toLowerCase();
+    const current = thread.readMarkers?.[normalizedAddress];
+    if (current && current.readAt >= message.timestamp) return current;
+
+    const marker = { messageId: message.id, readAt: message.timestamp };
+    await this.threads.put({
+      ...thread,
+      readMarkers: { ...thread.readMarkers, [normalizedAddress]: marker }
+    });
+    return marker;
+  }
+
+  // ===== Block lists =====
+
+  isBlocked(blocker, blocked) {
+    return this.blocks.has(`${blocker.toLowerCase()}:${blocked.toLowerCase()}`);
+  }
+
+  getBlocked(address) {
+    return this.blocks.find('blocker', address).map(block => block.blocked);
+  }
+
+  async block(blocker, blocked) {
+    const normalizedBlocker = blocker.toLowerCase();
+    const normalizedBlocked = blocked.toLowerCase();
+    return this.blocks.put({
+      key: `${normalizedBlocker}:${normalizedBlocked}`,
+      blocker: normalizedBlocker,
+      blocked: normalizedBlocked,
+      at: Date.now()
+    });
+  }
+
+  async unblock(blocker, blocked) {
+    const [removed] = await this.blocks.remove(`${blocker.toLowerCase()}:${blocked.toLowerCase()}`);
+    return removed || null;
+  }
+
+  async close() {
+    await this.adapter.close();
+  }
+}
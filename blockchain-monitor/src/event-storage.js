@@ -1,6 +1,11 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createStorageAdapter } from './storage-adapter.js';
+import { getTradeDirection } from './trade-enricher.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('monitor');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -22,11 +27,30 @@ function bigIntReviver(key, value) {
   return value;
 }
 
+// Pool events that describe liquidity changes rather than trades
+export const LIQUIDITY_EVENT_TYPES = ['Mint', 'Burn', 'Collect', 'Flash'];
+
 export class EventStorage {
-  constructor(filePath, poolMetadata = []) {
+  constructor(filePath, poolMetadata = [], options = {}) {
     this.filePath = filePath;
-    this.events = [];
     this.isInitialized = false;
+    this.chainId = options.chainId ?? null; // Stamped on every record of this chain's store
+
+    // Storage backend: 'json' rewrites events-history.json, 'log' appends to events-history.log
+    this.adapter = createStorageAdapter(options.backend, {
+      events: { file: filePath }
+    }, { reviver: bigIntReviver, replacer: bigIntReplacer });
+    this.collection = this.adapter.collection('events', {
+      defaults: { chainId: this.chainId },
+      getId: event => event.id || this.generateEventId(event),
+      indexes: {
+        pool: event => event.poolAddress,
+        tx: event => event.transactionHash,
+        block: event => event.blockNumber,
+        blockHash: event => event.blockHash,
+        type: event => event.eventName
+      }
+    });
 
     // Build pool metadata map for quick lookups
     this.poolMetadata = new Map();
@@ -35,27 +59,19 @@ export class EventStorage {
     }
   }
 
+  get events() {
+    return this.collection.all();
+  }
+
   async initialize() {
     try {
       await fs.mkdir(path.dirname(this.filePath), { recursive: true });
-      
-      try {
-        const data = await fs.readFile(this.filePath, 'utf-8');
-        this.events = JSON.parse(data, bigIntReviver);
-        console.log(`Loaded ${this.events.length} events from storage`);
-      } catch (error) {
-        if (error.code === 'ENOENT') {
-          this.events = [];
-          await this.save();
-          console.log('Created new event storage file');
-        } else {
-          throw error;
-        }
-      }
-      
+      await this.adapter.open();
+      logger.info(`Loaded ${this.collection.size} events from storage (${this.adapter.backend} backend)`);
+
       this.isInitialized = true;
     } catch (error) {
-      console.error('Failed to initialize event storage:', error);
+      logger.error('Failed to initialize event storage:', error);
       throw error;
     }
   }
@@ -68,33 +84,38 @@ export class EventStorage {
     const eventId = this.generateEventId(event);
 
     // Check if event already exists
-    const existingEvent = this.events.find(e => e.id === eventId);
+    const existingEvent = this.collection.get(eventId);
     if (existingEvent) {
-      console.log(`Event ${eventId} already exists in storage, skipping`);
+      logger.info(`Event ${eventId} already exists in storage, skipping`);
       return existingEvent;
     }
 
     const eventWithId = {
       ...event,
+      chainId: this.chainId,
       id: eventId,
       storedAt: Date.now()
     };
 
-    this.events.push(eventWithId);
-    await this.save();
+    await this.collection.put(eventWithId);
 
     return eventWithId;
   }
 
   async save() {
     try {
-      await fs.writeFile(this.filePath, JSON.stringify(this.events, bigIntReplacer, 2));
+      await this.collection.replaceAll(this.collection.all());
     } catch (error) {
-      console.error('Failed to save events:', error);
+      logger.error('Failed to save events:', error);
       throw error;
     }
   }
 
+  // Metadata for a pool added or relabelled after startup
+  addPoolMetadata(pool) {
+    this.poolMetadata.set(pool.address.toLowerCase(), pool);
+  }
+
   generateEventId(event) {
     return `${event.transactionHash}-${event.logIndex}`;
   }
@@ -121,39 +142,57 @@ export class EventStorage {
   }
 
   getEventsByPool(poolAddress) {
-    return this.events
-      .filter(event =>
-        event.poolAddress.toLowerCase() === poolAddress.toLowerCase()
-      )
+    return this.collection.find('pool', poolAddress)
       .map(e => this.enrichEventWithSymbol(e));
   }
 
   getEventsByTransactionHash(txHash) {
-    return this.events
-      .filter(event => event.transactionHash === txHash)
+    return this.collection.find('tx', txHash)
       .map(e => this.enrichEventWithSymbol(e));
   }
 
   getEventsByBlockRange(startBlock, endBlock) {
-    return this.events
-      .filter(event =>
-        event.blockNumber >= startBlock && event.blockNumber <= endBlock
-      )
+    return this.collection.findRange('block', startBlock, endBlock)
       .map(e => this.enrichEventWithSymbol(e));
   }
 
   getEventsByType(eventName) {
-    return this.events
-      .filter(event => event.eventName === eventName)
+    return this.collection.find('type', eventName)
+      .map(e => this.enrichEventWithSymbol(e));
+  }
+
+  /**
+   * Query liquidity events (Mint/Burn/Collect/Flash)
+   * @param {Object} filters - { pool, types, startTime, endTime, limit }
+   * @returns {Array} Matching events, newest first
+   */
+  getLiquidityEvents({ pool = null, types = LIQUIDITY_EVENT_TYPES, startTime = null, endTime = null, limit = 100 } = {}) {
+    const wantedTypes = types.filter(type => LIQUIDITY_EVENT_TYPES.includes(type));
+
+    let events = pool
+      ? this.collection.find('pool', pool).filter(event => wantedTypes.includes(event.eventName))
+      : this.events.filter(event => wantedTypes.includes(event.eventName));
+
+    if (startTime) {
+      events = events.filter(event => event.timestamp >= startTime);
+    }
+    if (endTime) {
+      events = events.filter(event => event.timestamp <= endTime);
+    }
+
+    return events
+      .slice(-limit)
+      .reverse()
       .map(e => this.enrichEventWithSymbol(e));
   }
 
   getEventCount() {
-    return this.events.length;
+    return this.collection.size;
   }
 
-  getLatestEvents(limit = 100) {
-    return this.events
+  getLatestEvents(limit = 100, filterFn = null) {
+    const events = filterFn ? this.events.filter(filterFn) : this.events;
+    return events
       .slice(-limit)
       .reverse()
       .map(e => this.enrichEventWithSymbol(e));
@@ -161,7 +200,7 @@ export class EventStorage {
 
   getLatestTrades(limit = 50) {
     // Filter only Swap events (trades) and return the most recent ones
-    const swapEvents = this.events.filter(event => event.eventName === 'Swap');
+    const swapEvents = this.collection.find('type', 'Swap');
     return swapEvents
       .slice(-limit)
       .reverse()
@@ -170,8 +209,7 @@ export class EventStorage {
 
   getLatestGlobalTrades(limit = 50) {
     // Get latest trades across all pools
-    const swapEvents = this.events
-      .filter(event => event.eventName === 'Swap')
+    const swapEvents = this.collection.find('type', 'Swap')
       .slice(-limit)
       .reverse();
 
@@ -189,22 +227,17 @@ export class EventStorage {
     if (event.eventName !== 'Swap') return null;
 
     const args = event.args;
-    const amount0 = BigInt(args.amount0 || '0');
-    const amount1 = BigInt(args.amount1 || '0');
-
-    // Determine trade direction
-    const isBuy = amount0 > 0n && amount1 < 0n;
-    const isSell = amount0 < 0n && amount1 > 0n;
+    const poolMeta = event.poolAddress ? this.poolMetadata.get(event.poolAddress.toLowerCase()) : null;
 
     // Get token symbol from event (if it was added) or from pool metadata
     let tokenSymbol = event.tokenSymbol;
     if (!tokenSymbol && event.poolAddress) {
-      const poolMeta = this.poolMetadata.get(event.poolAddress.toLowerCase());
       tokenSymbol = poolMeta?.symbol || 'UNKNOWN';
     }
 
     return {
-      type: isBuy ? 'buy' : isSell ? 'sell' : 'unknown',
+      // Same rule as trade.direction: buy or sell of the pool's base token, whichever side it is on
+      type: getTradeDirection(poolMeta, args.amount0, args.amount1),
       amount0: args.amount0,
       amount1: args.amount1,
       sender: args.sender,
@@ -213,45 +246,48 @@ export class EventStorage {
       actualSender: event.actualSender || args.sender,
       actualRecipient: event.actualRecipient || args.recipient,
       // Add capitalized token symbol
-      tokenSymbol: tokenSymbol
+      tokenSymbol: tokenSymbol,
+      // USD value, execution price and price impact computed at ingest (see trade-enricher.js)
+      ...(event.trade || {})
     };
   }
 
+  /**
+   * Remove every event that came from a block that is no longer canonical
+   * @param {string} blockHash - Hash of the orphaned block
+   * @returns {Array} - The removed events
+   */
+  async removeEventsByBlockHash(blockHash) {
+    const orphaned = this.collection.find('blockHash', blockHash);
+    if (orphaned.length === 0) return [];
+
+    const removed = await this.collection.remove(orphaned.map(event => event.id));
+    logger.info(`Removed ${removed.length} events from orphaned block ${blockHash}`);
+
+    return removed;
+  }
+
   async clearOldEvents(daysToKeep = 30) {
     const cutoffTime = Date.now() - (daysToKeep * 24 * 60 * 60 * 1000);
-    const originalCount = this.events.length;
+    const originalCount = this.collection.size;
+    const keptEvents = this.events.filter(event => event.timestamp >= cutoffTime);
 
-    this.events = this.events.filter(event => event.timestamp >= cutoffTime);
-
-    if (this.events.length < originalCount) {
-      await this.save();
-      console.log(`Cleared ${originalCount - this.events.length} old events`);
+    if (keptEvents.length < originalCount) {
+      await this.collection.replaceAll(keptEvents);
+      logger.info(`Cleared ${originalCount - keptEvents.length} old events`);
     }
   }
 
   async removeDuplicates() {
-    const originalCount = this.events.length;
-    const seenIds = new Set();
-    const uniqueEvents = [];
-
-    for (const event of this.events) {
-      const id = event.id || this.generateEventId(event);
-      if (!seenIds.has(id)) {
-        seenIds.add(id);
-        uniqueEvents.push({ ...event, id });
-      } else {
-        console.log(`Removing duplicate event: ${id}`);
-      }
-    }
-
-    this.events = uniqueEvents;
-    const removedCount = originalCount - this.events.length;
+    // Duplicate ids are dropped while loading; rewrite the file so they are gone for good
+    const removedCount = this.collection.duplicatesOnLoad;
 
     if (removedCount > 0) {
       await this.save();
-      console.log(`Removed ${removedCount} duplicate events from storage`);
+      this.collection.duplicatesOnLoad = 0;
+      logger.info(`Removed ${removedCount} duplicate events from storage`);
     }
 
     return removedCount;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,214 @@
+import { ethers } from 'ethers';
+import EventEmitter from 'events';
+import { VaultService } from './vaults.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('factory');
+
+const POOL_TOKENS_ABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function fee() view returns (uint24)'
+];
+
+const ERC20_METADATA_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+/**
+ * FactoryWatcher - Discovers vaults and pools deployed through NomaFactory while running
+ *
+ * The factory emits no deployment events, so every check compares `numDeployers()` and each
+ * deployer's `numVaults()` with what we already know, and only lists vaults of deployers whose
+ * count went up. New vaults are resolved through VaultService.getVaultDescription().
+ *
+ * Emits, in this order for each new vault:
+ * - 'poolAdded' { pool, vault, fromBlock } when its pool is not monitored yet. `pool` has the pools.json shape:
+ *   { address, symbol, name, token0: { symbol, address, decimals }, token1: {...}, feeTier }
+ * - 'vaultAdded' { vault, fromBlock } with
+ *   { address, tokenSymbol, tokenName, deployer, poolAddress, presaleContract, stakingContract }
+ *
+ * `fromBlock` is the block after the previous check, so monitors can scan whatever the new contracts
+ * emitted before they were found. On the first check it is the current head.
+ */
+export class FactoryWatcher extends EventEmitter {
+  constructor(provider, options = {}) {
+    super();
+    this.provider = provider;
+    this.vaultService = options.vaultService || new VaultService(provider);
+    this.factory = this.vaultService.nomaFactoryContract;
+    this.intervalMs = options.intervalMs || 60 * 1000;
+
+    this.knownVaults = new Set((options.knownVaults || []).map(address => address.toLowerCase()));
+    this.knownPools = new Set((options.knownPools || []).map(address => address.toLowerCase()));
+    this.vaultCounts = new Map(); // Map deployer -> number of vaults already handled
+    this.pendingVaults = new Map(); // Map vault -> fromBlock of the check that first saw it, while unresolved
+    this.deployers = [];
+
+    this.checkInterval = null;
+    this.isChecking = false;
+    this.lastCheckedBlock = null;
+    this.stats = { vaultsAdded: 0, poolsAdded: 0, lastCheckAt: null, lastError: null };
+  }
+
+  start() {
+    if (this.checkInterval) return;
+
+    this.check();
+    this.checkInterval = setInterval(() => this.check(), this.intervalMs);
+    logger.info(`🏭 [FactoryWatcher] Watching NomaFactory for new vaults every ${Math.round(this.intervalMs / 1000)}s`);
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * Look for deployers and vaults added since the last check
+   * @returns {Promise<number>} - Number of vaults added
+   */
+  async check() {
+    if (this.isChecking) return 0;
+    this.isChecking = true;
+
+    let added = 0;
+
+    try {
+      const headBlock = await this.provider.getBlockNumber();
+      const fromBlock = this.lastCheckedBlock === null ? headBlock : this.lastCheckedBlock + 1;
+
+      const numDeployers = Number(await this.factory.numDeployers());
+      if (numDeployers !== this.deployers.length) {
+        this.deployers = [...await this.factory.getDeployers()];
+      }
+
+      // Issued together so the RPC scheduler can batch them into one multicall
+      const counts = await Promise.all(this.deployers.map(deployer => this.factory.numVaults(deployer)));
+      const changedDeployers = [];
+
+      for (let i = 0; i < this.deployers.length; i++) {
+        const deployer = this.deployers[i];
+        const count = Number(counts[i]);
+        if (count <= (this.vaultCounts.get(deployer) || 0)) continue;
+
+        const vaults = await this.factory.getVaults(deployer);
+        let isComplete = true;
+
+        for (const vaultAddress of vaults) {
+          if (this.knownVaults.has(vaultAddress.toLowerCase())) continue;
+
+          const key = vaultAddress.toLowerCase();
+          const vaultFromBlock = this.pendingVaults.get(key) ?? fromBlock;
+
+          if (await this.addVault(vaultAddress, deployer, vaultFromBlock)) {
+            this.pendingVaults.delete(key);
+            added++;
+          } else {
+            this.pendingVaults.set(key, vaultFromBlock);
+            isComplete = false;
+          }
+        }
+
+        // A vault that could not be resolved yet is retried on the next check
+        if (isComplete) {
+          this.vaultCounts.set(deployer, count);
+        }
+        changedDeployers.push(deployer);
+      }
+
+      // The cached factory lists (and the /vaults list built from them) no longer hold every vault
+      if (added > 0) {
+        this.vaultService.invalidateVaultList(changedDeployers);
+        logger.info(`🏭 [FactoryWatcher] Added ${added} new vaults`);
+      }
+
+      this.lastCheckedBlock = headBlock;
+      this.stats.lastCheckAt = Date.now();
+      this.stats.lastError = null;
+    } catch (error) {
+      this.stats.lastError = error.message;
+      logger.error('[FactoryWatcher] Error checking NomaFactory:', error.message);
+    } finally {
+      this.isChecking = false;
+    }
+
+    return added;
+  }
+
+  async addVault(vaultAddress, deployer, fromBlock) {
+    const description = await this.vaultService.getVaultDescription(vaultAddress);
+    if (!description || !description.poolAddress || description.poolAddress === ethers.ZeroAddress) {
+      logger.warn(`⚠️ [FactoryWatcher] Could not resolve vault ${vaultAddress}, will retry`);
+      return false;
+    }
+
+    const poolAddress = description.poolAddress;
+    const vault = {
+      address: vaultAddress,
+      tokenSymbol: description.tokenSymbol,
+      tokenName: description.tokenName,
+      deployer,
+      poolAddress,
+      presaleContract: description.presaleContract,
+      stakingContract: description.stakingContract
+    };
+
+    if (!this.knownPools.has(poolAddress.toLowerCase())) {
+      const pool = await this.describePool(poolAddress, description);
+      this.knownPools.add(poolAddress.toLowerCase());
+      this.stats.poolsAdded++;
+      logger.info(`🏭 [FactoryWatcher] New pool ${poolAddress} (${pool.name})`);
+      this.emit('poolAdded', { pool, vault, fromBlock });
+    }
+
+    this.knownVaults.add(vaultAddress.toLowerCase());
+    this.stats.vaultsAdded++;
+    logger.info(`🏭 [FactoryWatcher] New vault ${vaultAddress} (${vault.tokenSymbol}) by ${deployer}`);
+    this.emit('vaultAdded', { vault, fromBlock });
+
+    return true;
+  }
+
+  // Pool metadata in the pools.json shape, with the pool's own token order
+  async describePool(poolAddress, description) {
+    const pool = new ethers.Contract(poolAddress, POOL_TOKENS_ABI, this.provider);
+    const [token0, token1, fee] = await Promise.all([pool.token0(), pool.token1(), pool.fee()]);
+    const [info0, info1] = await Promise.all([token0, token1].map(address => this.describeToken(address)));
+
+    return {
+      address: poolAddress,
+      symbol: (description.tokenSymbol || info0.symbol).toUpperCase(),
+      name: `${info0.symbol}/${info1.symbol}`,
+      token0: info0,
+      token1: info1,
+      feeTier: Number(fee)
+    };
+  }
+
+  async describeToken(address) {
+    const token = new ethers.Contract(address, ERC20_METADATA_ABI, this.provider);
+
+    try {
+      const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+      return { symbol, address, decimals: Number(decimals) };
+    } catch (error) {
+      logger.warn(`⚠️ [FactoryWatcher] Could not read token ${address}:`, error.message);
+      return { symbol: 'UNKNOWN', address, decimals: 18 };
+    }
+  }
+
+  getStats() {
+    return {
+      deployers: this.deployers.length,
+      vaults: this.knownVaults.size,
+      pendingVaults: this.pendingVaults.size,
+      pools: this.knownPools.size,
+      lastCheckedBlock: this.lastCheckedBlock,
+      ...this.stats
+    };
+  }
+}
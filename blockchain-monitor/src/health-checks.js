@@ -0,0 +1,113 @@
+/**
+ * Liveness and readiness checks shared by the blockchain monitor and the OHLC service
+ *
+ * Components report their own state through `getHealth()`, returning at least
+ * { status: 'pass' | 'warn' | 'fail' }. Each registered check feeds readiness (can we serve
+ * complete, current data?) and, if marked `liveness`, liveness (is the process broken in a way a
+ * restart would fix?). A check that throws counts as failed.
+ *
+ * Until `started()` is called, readiness fails and liveness passes without running any check, so a
+ * slow startup (storage loading, backfills) neither receives traffic nor gets the process restarted.
+ */
+
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+export function worstStatus(statuses) {
+  return statuses.reduce((worst, status) => (
+    STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst
+  ), 'pass');
+}
+
+/**
+ * Health of an event monitor: fails when it stopped or processed no block for `stallMs`, warns
+ * while its backfill is running or after it failed (history may be incomplete)
+ * @param {Object} monitor - Any monitor with isRunning, lastBlockUpdateTime and backfillStatus
+ * @param {number} stallMs - How long without a processed block counts as stalled
+ */
+export function monitorHealth(monitor, stallMs = 10 * 60 * 1000) {
+  const now = Date.now();
+  const lastBlockUpdateAgeMs = now - monitor.lastBlockUpdateTime;
+  const backfill = monitor.backfillStatus.state;
+  // A backfill reports its own progress; the stall clock starts when it finishes
+  const isStalled = backfill !== 'running'
+    && now - Math.max(monitor.lastBlockUpdateTime, monitor.backfillStatus.finishedAt || 0) > stallMs;
+
+  let status = 'pass';
+  if (!monitor.isRunning || isStalled) {
+    status = 'fail';
+  } else if (backfill === 'running' || backfill === 'failed') {
+    status = 'warn';
+  }
+
+  return { status, isRunning: monitor.isRunning, lastBlockUpdateAgeMs, backfill };
+}
+
+export class HealthChecks {
+  constructor() {
+    this.checks = new Map(); // Map<name, { check, liveness }>
+    this.startedAt = Date.now();
+    this.isStarted = false;
+  }
+
+  // Call once every component has started
+  started() {
+    this.isStarted = true;
+  }
+
+  /**
+   * Add a component check
+   * @param {string} name - Key in the response's `checks`
+   * @param {Function} check - Returns (or resolves to) { status, ...details }
+   * @param {Object} options - { liveness: true } to also fail /healthz when this check fails
+   */
+  register(name, check, options = {}) {
+    this.checks.set(name, { check, liveness: options.liveness === true });
+  }
+
+  /**
+   * Run the checks for a probe
+   * @param {string} probe - 'liveness' or 'readiness'
+   * @returns {Promise<Object>} - { status, checks, uptimeSeconds, timestamp }
+   */
+  async run(probe) {
+    const checks = {};
+
+    if (!this.isStarted) {
+      return {
+        status: probe === 'liveness' ? 'pass' : 'fail',
+        starting: true,
+        checks,
+        uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+        timestamp: Date.now()
+      };
+    }
+
+    for (const [name, { check, liveness }] of this.checks) {
+      if (probe === 'liveness' && !liveness) continue;
+
+      try {
+        checks[name] = await check();
+      } catch (error) {
+        checks[name] = { status: 'fail', error: error.message };
+      }
+    }
+
+    return {
+      status: worstStatus(Object.values(checks).map(result => result.status)),
+      checks,
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Express handler for a probe: 200 unless a check failed, 503 otherwise
+   * @param {string} probe - 'liveness' or 'readiness'
+   */
+  handler(probe) {
+    return async (req, res) => {
+      const result = await this.run(probe);
+      res.status(result.status === 'fail' ? 503 : 200).json(result);
+    };
+  }
+}
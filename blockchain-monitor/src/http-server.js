@@ -1,10 +1,15 @@
+import { ethers } from 'ethers';
 import express from 'express';
 import cors from 'cors';
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import metrics, { METRICS_CONTENT_TYPE } from './metrics.js';
 import { ReferralStore } from './referral-store.js';
-import { VaultService } from './vaults.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('http');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -17,17 +22,21 @@ function bigIntReplacer(key, value) {
 }
 
 export class HTTPServer {
-  constructor(port = 3004, referralStore = null, rpcUrl = null, loanStorage = null) {
+  constructor(port = 3004, referralStore = null, chains = null) {
     this.port = port;
     this.app = express();
     this.referralStore = referralStore || new ReferralStore();
-    this.vaultService = rpcUrl ? new VaultService(rpcUrl) : null;
-    this.loanStorage = loanStorage;
+    // ChainRegistry of the monitored chains; requests pick one with ?chainId= (the primary chain otherwise)
+    this.chains = chains;
+    this.adminApiKey = null; // Admin endpoints stay disabled without a key
+    this.healthChecks = null;
+    this.moderation = null; // Trollbox ModerationStore, set by the WebSocket server's owner
     this.tokens = [];
 
     // Middleware
     this.app.use(cors());
     this.app.use(express.json());
+    this.app.use((req, res, next) => this.selectChain(req, res, next));
 
     // Setup routes
     this.setupRoutes();
@@ -37,7 +46,7 @@ export class HTTPServer {
     // Only initialize if we created our own store
     if (!this.referralStore.isInitialized) {
       await this.referralStore.initialize();
-      console.log('HTTP server referral store initialized');
+      logger.info('HTTP server referral store initialized');
     }
 
     // Load tokens from shared data/tokens.json
@@ -46,17 +55,85 @@ export class HTTPServer {
       const tokensData = await fs.readFile(tokensPath, 'utf-8');
       const parsed = JSON.parse(tokensData);
       this.tokens = parsed.tokens || [];
-      console.log(`Loaded ${this.tokens.length} tokens from tokens.json`);
+      logger.info(`Loaded ${this.tokens.length} tokens from tokens.json`);
     } catch (error) {
-      console.error('Error loading tokens.json:', error);
+      logger.error('Error loading tokens.json:', error);
       this.tokens = [];
     }
   }
 
+  // Sets req.chain to the chain named by ?chainId= (400 if malformed, 404 if not monitored here)
+  selectChain(req, res, next) {
+    const { chainId } = req.query;
+    if (chainId !== undefined && !/^\d+$/.test(chainId)) {
+      return res.status(400).json({ error: 'Invalid chainId' });
+    }
+
+    req.chain = this.chains ? this.chains.get(chainId) : {};
+    if (!req.chain) {
+      return res.status(404).json({ error: `Chain ${chainId} not monitored` });
+    }
+
+    next();
+  }
+
   setupRoutes() {
     // Health check
     this.app.get('/api/health', (req, res) => {
-      res.json({ status: 'ok', timestamp: Date.now() });
+      const backfill = {};
+      if (req.chain.blockchainMonitor) {
+        backfill.pools = req.chain.blockchainMonitor.getBackfillStatus();
+      }
+      if (req.chain.loanMonitor) {
+        backfill.loans = req.chain.loanMonitor.getBackfillStatus();
+      }
+      if (req.chain.presaleMonitor) {
+        backfill.presales = req.chain.presaleMonitor.getBackfillStatus();
+      }
+      if (req.chain.stakingMonitor) {
+        backfill.staking = req.chain.stakingMonitor.getBackfillStatus();
+      }
+
+      res.json({
+        status: 'ok',
+        timestamp: Date.now(),
+        chainId: req.chain.chainId ?? null,
+        chains: this.chains ? this.chains.describe() : [],
+        backfilling: Object.values(backfill).some(status => status.state === 'running'),
+        backfill,
+        rpc: req.chain.provider?.pool?.isProviderPool ? req.chain.provider.pool.getStats() : null,
+        rpcScheduler: req.chain.provider?.scheduler ? req.chain.provider.scheduler.getStats() : null,
+        loanPositions: req.chain.loanLedger ? req.chain.loanLedger.getStats() : null,
+        vaultMetrics: req.chain.vaultMetrics ? req.chain.vaultMetrics.getStats() : null,
+        factory: req.chain.factoryWatcher ? req.chain.factoryWatcher.getStats() : null
+      });
+    });
+
+    // Liveness and readiness probes for the process manager: 503 when a check fails
+    for (const [route, probe] of [['/healthz', 'liveness'], ['/readyz', 'readiness']]) {
+      this.app.get(route, async (req, res) => {
+        if (!this.healthChecks) {
+          return res.status(503).json({ error: 'Health checks not enabled' });
+        }
+
+        try {
+          await this.healthChecks.handler(probe)(req, res);
+        } catch (error) {
+          logger.error(`Error running ${probe} checks:`, error);
+          res.status(500).json({ error: 'Failed to run health checks' });
+        }
+      });
+    }
+
+    // Prometheus metrics
+    this.app.get('/metrics', async (req, res) => {
+      try {
+        res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+        res.send(await metrics.render());
+      } catch (error) {
+        logger.error('Error rendering metrics:', error);
+        res.status(500).json({ error: 'Failed to render metrics' });
+      }
     });
 
     // Register a referral code
@@ -83,7 +160,7 @@ export class HTTPServer {
           });
         }
       } catch (error) {
-        console.error('Error registering code:', error);
+        logger.error('Error registering code:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
@@ -128,7 +205,7 @@ export class HTTPServer {
           res.status(400).json(result);
         }
       } catch (error) {
-        console.error('Error registering referral:', error);
+        logger.error('Error registering referral:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
@@ -173,7 +250,8 @@ export class HTTPServer {
           volumeUSD,
           transactionHash,
           tokenSymbol,
-          type
+          type,
+          chainId: req.chain.chainId ?? null
         });
         
         res.json({ 
@@ -181,7 +259,7 @@ export class HTTPServer {
           trade 
         });
       } catch (error) {
-        console.error('Error tracking trade:', error);
+        logger.error('Error tracking trade:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
@@ -193,7 +271,7 @@ export class HTTPServer {
         const stats = this.referralStore.getReferralStats(address);
         res.json(stats);
       } catch (error) {
-        console.error('Error getting stats:', error);
+        logger.error('Error getting stats:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
@@ -205,7 +283,7 @@ export class HTTPServer {
         const referralData = this.referralStore.checkReferral(userAddress, poolAddress);
         res.json(referralData);
       } catch (error) {
-        console.error('Error checking referral:', error);
+        logger.error('Error checking referral:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
@@ -217,7 +295,7 @@ export class HTTPServer {
         const referrals = this.referralStore.getReferralsByCode(code, poolAddress);
         res.json(referrals);
       } catch (error) {
-        console.error('Error getting referrals by code:', error);
+        logger.error('Error getting referrals by code:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
@@ -229,7 +307,7 @@ export class HTTPServer {
         const referrals = this.referralStore.getReferralsByCode(code);
         res.json(referrals);
       } catch (error) {
-        console.error('Error getting referrals by code:', error);
+        logger.error('Error getting referrals by code:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
@@ -239,7 +317,7 @@ export class HTTPServer {
       try {
         res.json(this.referralStore.codes);
       } catch (error) {
-        console.error('Error getting codes:', error);
+        logger.error('Error getting codes:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
@@ -248,16 +326,45 @@ export class HTTPServer {
     this.app.get('/api/referrals/trades/recent', (req, res) => {
       try {
         const limit = parseInt(req.query.limit) || 100;
-        const recentTrades = this.referralStore.trades
-          .slice(-limit)
-          .reverse();
+        const recentTrades = this.referralStore.getRecentTrades(limit);
         res.json(recentTrades);
       } catch (error) {
-        console.error('Error getting recent trades:', error);
+        logger.error('Error getting recent trades:', error);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
 
+    // Get a vault's metrics over time
+    // Query params: metric (comma-separated), from / to (ms), resolution (raw, 5m, 15m, 1h, 4h, 1d, 1w; picked from the range if omitted)
+    this.app.get('/vaults/:address/history', (req, res) => {
+      try {
+        if (!req.chain.vaultMetrics) {
+          return res.status(503).json({ error: 'Vault metrics not enabled' });
+        }
+
+        const { address } = req.params;
+        const { metric, from, to, resolution } = req.query;
+
+        let history;
+        try {
+          history = req.chain.vaultMetrics.getHistory(address, {
+            metrics: metric ? metric.split(',').map(m => m.trim()) : undefined,
+            from: from ? parseInt(from) : undefined,
+            to: to ? parseInt(to) : undefined,
+            resolution
+          });
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        res.setHeader('Content-Type', 'application/json');
+        res.send(JSON.stringify(history, bigIntReplacer));
+      } catch (error) {
+        logger.error('Error fetching vault history:', error);
+        res.status(500).json({ error: 'Failed to retrieve vault history' });
+      }
+    });
+
     // Get vault information
     this.app.get('/vaults', async (req, res) => {
       const startTime = Date.now();
@@ -269,7 +376,7 @@ export class HTTPServer {
       );
 
       try {
-        if (!this.vaultService) {
+        if (!req.chain.vaultService) {
           return res.status(503).json({
             error: 'Vault service not initialized'
           });
@@ -281,26 +388,26 @@ export class HTTPServer {
         if (address) {
           // Get vaults for specific address with timeout
           result = await Promise.race([
-            this.vaultService.getVaultsByAddress(address),
+            req.chain.vaultService.getVaultsByAddress(address),
             timeoutPromise
           ]);
         } else {
           // Get all vaults with timeout
           result = await Promise.race([
-            this.vaultService.getAllVaults(),
+            req.chain.vaultService.getAllVaults(),
             timeoutPromise
           ]);
         }
 
         const duration = Date.now() - startTime;
-        console.log(`[Vaults] Request completed in ${duration}ms, returned ${result.length} vaults`);
+        logger.info(`[Vaults] Request completed in ${duration}ms, returned ${result.length} vaults`);
 
         res.json(JSON.parse(JSON.stringify(result, (_, v) =>
           typeof v === 'bigint' ? v.toString() : v
         )));
       } catch (error) {
         const duration = Date.now() - startTime;
-        console.error(`[Vaults] Error after ${duration}ms:`, error.message);
+        logger.error(`[Vaults] Error after ${duration}ms:`, error.message);
 
         if (error.message === 'Request timeout') {
           res.status(504).json({
@@ -329,7 +436,7 @@ export class HTTPServer {
 
         res.json({ tokens });
       } catch (error) {
-        console.error('Error fetching tokens:', error);
+        logger.error('Error fetching tokens:', error);
         res.status(500).json({ error: 'Failed to retrieve tokens' });
       }
     });
@@ -343,7 +450,7 @@ export class HTTPServer {
         );
         res.json({ tokens });
       } catch (error) {
-        console.error('Error fetching tokens by deployer:', error);
+        logger.error('Error fetching tokens by deployer:', error);
         res.status(500).json({ error: 'Failed to retrieve tokens' });
       }
     });
@@ -380,7 +487,7 @@ export class HTTPServer {
           token: newToken
         });
       } catch (error) {
-        console.error('Error saving token:', error);
+        logger.error('Error saving token:', error);
         res.status(500).json({ error: 'Failed to save token' });
       }
     });
@@ -418,7 +525,7 @@ export class HTTPServer {
           token: this.tokens[tokenIndex]
         });
       } catch (error) {
-        console.error('Error updating token status:', error);
+        logger.error('Error updating token status:', error);
         res.status(500).json({ error: 'Failed to update token status' });
       }
     });
@@ -438,7 +545,7 @@ export class HTTPServer {
 
         res.json({ tokens });
       } catch (error) {
-        console.error('Error finding tokens by symbol:', error);
+        logger.error('Error finding tokens by symbol:', error);
         res.status(500).json({ error: 'Failed to find tokens' });
       }
     });
@@ -453,7 +560,7 @@ export class HTTPServer {
         res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
         res.json(data);
       } catch (error) {
-        console.error('Error exporting tokens:', error);
+        logger.error('Error exporting tokens:', error);
         res.status(500).json({ error: 'Failed to export tokens' });
       }
     });
@@ -473,7 +580,7 @@ export class HTTPServer {
         };
         res.json(stats);
       } catch (error) {
-        console.error('Error fetching token stats:', error);
+        logger.error('Error fetching token stats:', error);
         res.status(500).json({ error: 'Failed to get statistics' });
       }
     });
@@ -483,12 +590,12 @@ export class HTTPServer {
     // Get latest loan events
     this.app.get('/api/loans/latest', (req, res) => {
       try {
-        if (!this.loanStorage) {
+        if (!req.chain.loanStorage) {
           return res.status(503).json({ error: 'Loan monitoring not enabled' });
         }
 
         const limit = parseInt(req.query.limit) || 100;
-        const loans = this.loanStorage.getLatestLoans(limit);
+        const loans = req.chain.loanStorage.getLatestLoans(limit);
 
         res.setHeader('Content-Type', 'application/json');
         res.send(JSON.stringify({
@@ -496,7 +603,7 @@ export class HTTPServer {
           count: loans.length
         }, bigIntReplacer));
       } catch (error) {
-        console.error('Error fetching latest loans:', error);
+        logger.error('Error fetching latest loans:', error);
         res.status(500).json({ error: 'Failed to retrieve loan history' });
       }
     });
@@ -504,12 +611,12 @@ export class HTTPServer {
     // Get loan events by user address
     this.app.get('/api/loans/user/:address', (req, res) => {
       try {
-        if (!this.loanStorage) {
+        if (!req.chain.loanStorage) {
           return res.status(503).json({ error: 'Loan monitoring not enabled' });
         }
 
         const { address } = req.params;
-        const loans = this.loanStorage.getLoansByUser(address);
+        const loans = req.chain.loanStorage.getLoansByUser(address);
 
         res.setHeader('Content-Type', 'application/json');
         res.send(JSON.stringify({
@@ -518,7 +625,7 @@ export class HTTPServer {
           count: loans.length
         }, bigIntReplacer));
       } catch (error) {
-        console.error('Error fetching loans by user:', error);
+        logger.error('Error fetching loans by user:', error);
         res.status(500).json({ error: 'Failed to retrieve user loan history' });
       }
     });
@@ -526,12 +633,12 @@ export class HTTPServer {
     // Get loan events by vault address
     this.app.get('/api/loans/vault/:address', (req, res) => {
       try {
-        if (!this.loanStorage) {
+        if (!req.chain.loanStorage) {
           return res.status(503).json({ error: 'Loan monitoring not enabled' });
         }
 
         const { address } = req.params;
-        const loans = this.loanStorage.getLoansByVault(address);
+        const loans = req.chain.loanStorage.getLoansByVault(address);
 
         res.setHeader('Content-Type', 'application/json');
         res.send(JSON.stringify({
@@ -540,7 +647,7 @@ export class HTTPServer {
           count: loans.length
         }, bigIntReplacer));
       } catch (error) {
-        console.error('Error fetching loans by vault:', error);
+        logger.error('Error fetching loans by vault:', error);
         res.status(500).json({ error: 'Failed to retrieve vault loan history' });
       }
     });
@@ -548,17 +655,17 @@ export class HTTPServer {
     // Get loan statistics by user
     this.app.get('/api/loans/stats/user/:address', (req, res) => {
       try {
-        if (!this.loanStorage) {
+        if (!req.chain.loanStorage) {
           return res.status(503).json({ error: 'Loan monitoring not enabled' });
         }
 
         const { address } = req.params;
-        const stats = this.loanStorage.getLoanStatsByUser(address);
+        const stats = req.chain.loanStorage.getLoanStatsByUser(address);
 
         res.setHeader('Content-Type', 'application/json');
         res.send(JSON.stringify(stats, bigIntReplacer));
       } catch (error) {
-        console.error('Error fetching user loan stats:', error);
+        logger.error('Error fetching user loan stats:', error);
         res.status(500).json({ error: 'Failed to retrieve user loan statistics' });
       }
     });
@@ -566,30 +673,60 @@ export class HTTPServer {
     // Get loan statistics by vault
     this.app.get('/api/loans/stats/vault/:address', (req, res) => {
       try {
-        if (!this.loanStorage) {
+        if (!req.chain.loanStorage) {
           return res.status(503).json({ error: 'Loan monitoring not enabled' });
         }
 
         const { address } = req.params;
-        const stats = this.loanStorage.getLoanStatsByVault(address);
+        const stats = req.chain.loanStorage.getLoanStatsByVault(address);
 
         res.setHeader('Content-Type', 'application/json');
         res.send(JSON.stringify(stats, bigIntReplacer));
       } catch (error) {
-        console.error('Error fetching vault loan stats:', error);
+        logger.error('Error fetching vault loan stats:', error);
         res.status(500).json({ error: 'Failed to retrieve vault loan statistics' });
       }
     });
 
-    // Get loans by type (Borrow, Payback, RollLoan, DefaultLoans)
+    // Get a borrower's loan positions, replayed from vault events
+    // Query params: vault, status (comma-separated), reconcile=true to compare with LendingVault.getActiveLoan
+    // (read-only: the ledger is only corrected through POST /api/admin/loans/reconcile/:address)
+    this.app.get('/api/loans/positions/:address', async (req, res) => {
+      try {
+        if (!req.chain.loanLedger) {
+          return res.status(503).json({ error: 'Loan monitoring not enabled' });
+        }
+
+        const { address } = req.params;
+        if (!ethers.isAddress(address)) {
+          return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        const { vault, status } = req.query;
+        const reconciliation = req.query.reconcile === 'true'
+          ? await req.chain.loanLedger.reconcile(address, vault || null)
+          : null;
+
+        res.setHeader('Content-Type', 'application/json');
+        res.send(JSON.stringify({
+          ...req.chain.loanLedger.getPositions(address, { vault, status }),
+          reconciliation
+        }, bigIntReplacer));
+      } catch (error) {
+        logger.error('Error fetching loan positions:', error);
+        res.status(500).json({ error: 'Failed to retrieve loan positions' });
+      }
+    });
+
+    // Get loans by type (Borrow, Payback, RollLoan, DefaultLoans, Shift, Slide, AddCollateral)
     this.app.get('/api/loans/type/:type', (req, res) => {
       try {
-        if (!this.loanStorage) {
+        if (!req.chain.loanStorage) {
           return res.status(503).json({ error: 'Loan monitoring not enabled' });
         }
 
         const { type } = req.params;
-        const validTypes = ['Borrow', 'Payback', 'RollLoan', 'DefaultLoans'];
+        const validTypes = ['Borrow', 'Payback', 'RollLoan', 'DefaultLoans', 'Shift', 'Slide', 'AddCollateral'];
 
         if (!validTypes.includes(type)) {
           return res.status(400).json({
@@ -598,7 +735,7 @@ export class HTTPServer {
           });
         }
 
-        const loans = this.loanStorage.getLoansByType(type);
+        const loans = req.chain.loanStorage.getLoansByType(type);
 
         res.setHeader('Content-Type', 'application/json');
         res.send(JSON.stringify({
@@ -607,10 +744,454 @@ export class HTTPServer {
           count: loans.length
         }, bigIntReplacer));
       } catch (error) {
-        console.error('Error fetching loans by type:', error);
+        logger.error('Error fetching loans by type:', error);
         res.status(500).json({ error: 'Failed to retrieve loans by type' });
       }
     });
+
+    // ===== Presale Endpoints =====
+
+    // List monitored presales with their progress toward soft/hard cap
+    this.app.get('/api/presales', async (req, res) => {
+      try {
+        if (!req.chain.presaleMonitor) {
+          return res.status(503).json({ error: 'Presale monitoring not enabled' });
+        }
+
+        const presales = await Promise.all(req.chain.presaleMonitor.getPresales().map(async presale => ({
+          ...presale,
+          progress: await req.chain.presaleMonitor.getProgress(presale.address),
+          summary: req.chain.presaleStorage.getSummary(presale.address)
+        })));
+
+        res.setHeader('Content-Type', 'application/json');
+        res.send(JSON.stringify({
+          presales,
+          count: presales.length
+        }, bigIntReplacer));
+      } catch (error) {
+        logger.error('Error fetching presales:', error);
+        res.status(500).json({ error: 'Failed to retrieve presales' });
+      }
+    });
+
+    // Get one presale: progress, indexed totals and its latest events
+    // Query params: limit (events, default 100)
+    this.app.get('/api/presales/:address', async (req, res) => {
+      try {
+        if (!req.chain.presaleMonitor) {
+          return res.status(503).json({ error: 'Presale monitoring not enabled' });
+        }
+
+        const { address } = req.params;
+        if (!ethers.isAddress(address)) {
+          return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        const presale = req.chain.presaleMonitor.getPresale(address);
+        if (!presale) {
+          return res.status(404).json({ error: 'Presale not found' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const events = req.chain.presaleStorage.getEventsByPresale(presale.address, limit);
+
+        res.setHeader('Content-Type', 'application/json');
+        res.send(JSON.stringify({
+          ...presale,
+          progress: await req.chain.presaleMonitor.getProgress(presale.address),
+          summary: req.chain.presaleStorage.getSummary(presale.address),
+          events,
+          count: events.length
+        }, bigIntReplacer));
+      } catch (error) {
+        logger.error('Error fetching presale:', error);
+        res.status(500).json({ error: 'Failed to retrieve presale' });
+      }
+    });
+
+    // Get a presale's contributors with their deposits and withdrawals, largest first
+    // Query params: limit (default 100), offset
+    this.app.get('/api/presales/:address/contributors', (req, res) => {
+      try {
+        if (!req.chain.presaleMonitor) {
+          return res.status(503).json({ error: 'Presale monitoring not enabled' });
+        }
+
+        const { address } = req.params;
+        if (!ethers.isAddress(address)) {
+          return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        const presale = req.chain.presaleMonitor.getPresale(address);
+        if (!presale) {
+          return res.status(404).json({ error: 'Presale not found' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const contributors = req.chain.presaleStorage.getContributors(presale.address);
+
+        res.setHeader('Content-Type', 'application/json');
+        res.send(JSON.stringify({
+          presaleAddress: presale.address,
+          contributors: contributors.slice(offset, offset + limit),
+          total: contributors.length,
+          limit,
+          offset
+        }, bigIntReplacer));
+      } catch (error) {
+        logger.error('Error fetching presale contributors:', error);
+        res.status(500).json({ error: 'Failed to retrieve presale contributors' });
+      }
+    });
+
+    // ===== Staking Endpoints =====
+
+    // List staking contracts with their current epoch, totals and APR estimate
+    this.app.get('/api/staking', async (req, res) => {
+      try {
+        if (!req.chain.stakingMonitor) {
+          return res.status(503).json({ error: 'Staking monitoring not enabled' });
+        }
+
+        const contracts = await Promise.all(req.chain.stakingMonitor.getStakings().map(async staking => ({
+          ...staking,
+          state: await req.chain.stakingMonitor.getState(staking.address),
+          apr: req.chain.stakingStorage.getAprEstimate(staking.address)
+        })));
+
+        res.setHeader('Content-Type', 'application/json');
+        res.send(JSON.stringify({
+          contracts,
+          count: contracts.length
+        }, bigIntReplacer));
+      } catch (error) {
+        logger.error('Error fetching staking contracts:', error);
+        res.status(500).json({ error: 'Failed to retrieve staking contracts' });
+      }
+    });
+
+    // Get a user's staking positions, with the on-chain stakedBalance of each open one
+    this.app.get('/api/staking/user/:address', async (req, res) => {
+      try {
+        if (!req.chain.stakingMonitor) {
+          return res.status(503).json({ error: 'Staking monitoring not enabled' });
+        }
+
+        const { address } = req.params;
+        if (!ethers.isAddress(address)) {
+          return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        const positions = req.chain.stakingStorage.getPositions(address);
+        const balances = await req.chain.stakingMonitor.getStakedBalances(
+          address,
+          positions.filter(position => position.status === 'staking').map(position => position.stakingAddress)
+        );
+
+        res.setHeader('Content-Type', 'application/json');
+        res.send(JSON.stringify({
+          userAddress: address,
+          positions: positions.map(position => ({
+            ...position,
+            stakedBalance: balances[position.stakingAddress] ?? null
+          })),
+          count: positions.length
+        }, bigIntReplacer));
+      } catch (error) {
+        logger.error('Error fetching staking positions:', error);
+        res.status(500).json({ error: 'Failed to retrieve staking positions' });
+      }
+    });
+
+    // Get one staking contract (by its address or its vault's): state, APR, reward history and stakers
+    // Query params: epochs (reward history length, default 30), limit (stakers, default 100)
+    this.app.get('/api/staking/:address', async (req, res) => {
+      try {
+        if (!req.chain.stakingMonitor) {
+          return res.status(503).json({ error: 'Staking monitoring not enabled' });
+        }
+
+        const { address } = req.params;
+        if (!ethers.isAddress(address)) {
+          return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        const staking = req.chain.stakingMonitor.getStaking(address);
+        if (!staking) {
+          return res.status(404).json({ error: 'Staking contract not found' });
+        }
+
+        const epochs = Math.min(parseInt(req.query.epochs) || 30, 1000);
+        const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+        const stakers = req.chain.stakingStorage.getStakers(staking.address);
+
+        res.setHeader('Content-Type', 'application/json');
+        res.send(JSON.stringify({
+          ...staking,
+          state: await req.chain.stakingMonitor.getState(staking.address),
+          apr: req.chain.stakingStorage.getAprEstimate(staking.address),
+          rewards: req.chain.stakingStorage.getRewardHistory(staking.address, epochs),
+          stakers: stakers.slice(0, limit),
+          stakerCount: stakers.length
+        }, bigIntReplacer));
+      } catch (error) {
+        logger.error('Error fetching staking contract:', error);
+        res.status(500).json({ error: 'Failed to retrieve staking contract' });
+      }
+    });
+
+    // ===== Liquidity Event Endpoints =====
+
+    // Get Mint/Burn/Collect/Flash events, optionally for a single pool
+    // Query params: types (comma-separated), startTime, endTime, limit
+    const handleLiquidityRequest = (req, res) => {
+      try {
+        if (!req.chain.eventStorage) {
+          return res.status(503).json({ error: 'Event storage not available' });
+        }
+
+        const { poolAddress = null } = req.params;
+        const types = req.query.types
+          ? req.query.types.split(',').map(type => type.trim()).filter(Boolean)
+          : undefined;
+
+        const events = req.chain.eventStorage.getLiquidityEvents({
+          pool: poolAddress,
+          types,
+          startTime: req.query.startTime ? parseInt(req.query.startTime) : null,
+          endTime: req.query.endTime ? parseInt(req.query.endTime) : null,
+          limit: parseInt(req.query.limit) || 100
+        });
+
+        res.setHeader('Content-Type', 'application/json');
+        res.send(JSON.stringify({
+          poolAddress,
+          events,
+          count: events.length
+        }, bigIntReplacer));
+      } catch (error) {
+        logger.error('Error fetching liquidity events:', error);
+        res.status(500).json({ error: 'Failed to retrieve liquidity events' });
+      }
+    };
+
+    this.app.get('/api/liquidity', handleLiquidityRequest);
+    this.app.get('/api/liquidity/:poolAddress', handleLiquidityRequest);
+
+    // ===== Admin Endpoints =====
+    // Require `Authorization: Bearer <ADMIN_API_KEY>` (or an `X-Admin-Key` header)
+
+    const requireApiKey = (req, res, next) => {
+      if (!this.adminApiKey) {
+        return res.status(503).json({ error: 'Admin API not enabled' });
+      }
+
+      const header = req.get('authorization') || '';
+      const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : (req.get('x-admin-key') || ''));
+      const expected = Buffer.from(this.adminApiKey);
+      if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      next();
+    };
+
+    const requirePoolRegistry = (req, res, next) => {
+      if (!req.chain.poolRegistry) {
+        return res.status(503).json({ error: 'Pool registry not available' });
+      }
+      next();
+    };
+
+    const requireAdmin = [requireApiKey, requirePoolRegistry];
+
+    // List every pool in pools.json, disabled ones included
+    this.app.get('/api/admin/pools', requireAdmin, (req, res) => {
+      const pools = req.chain.poolRegistry.getEntries();
+      res.json({ pools, count: pools.length });
+    });
+
+    // Add a pool: { address, name?, symbol?, token0: { symbol, address, decimals }, token1, feeTier?, enabled? }
+    this.app.post('/api/admin/pools', requireAdmin, async (req, res) => {
+      try {
+        const pool = req.body || {};
+        if (!ethers.isAddress(pool.address)) {
+          return res.status(400).json({ error: 'Invalid address' });
+        }
+        if (!pool.token0 || !pool.token1 || !ethers.isAddress(pool.token0.address) || !ethers.isAddress(pool.token1.address)
+          || !pool.token0.symbol || !pool.token1.symbol) {
+          return res.status(400).json({ error: 'token0 and token1 need a symbol and a valid address' });
+        }
+
+        const entry = await req.chain.poolRegistry.addPool(pool);
+        if (!entry) {
+          return res.status(409).json({ error: 'Pool already exists' });
+        }
+
+        res.status(201).json({ success: true, pool: entry });
+      } catch (error) {
+        logger.error('Error adding pool:', error);
+        res.status(500).json({ error: 'Failed to add pool' });
+      }
+    });
+
+    // Enable, disable or relabel a pool: any of { enabled, name, symbol, tradeAlertMinUsd }
+    // (symbol: null restores token0's symbol, tradeAlertMinUsd: null the CHAT_TRADE_ALERT_MIN_USD default)
+    this.app.patch('/api/admin/pools/:address', requireAdmin, async (req, res) => {
+      try {
+        const { address } = req.params;
+        if (!ethers.isAddress(address)) {
+          return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        const { enabled, name, symbol, tradeAlertMinUsd } = req.body || {};
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+          return res.status(400).json({ error: 'enabled must be a boolean' });
+        }
+        if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+          return res.status(400).json({ error: 'name must be a non-empty string' });
+        }
+        if (symbol !== undefined && symbol !== null && (typeof symbol !== 'string' || !symbol.trim())) {
+          return res.status(400).json({ error: 'symbol must be a non-empty string or null' });
+        }
+        if (tradeAlertMinUsd !== undefined && tradeAlertMinUsd !== null
+          && (typeof tradeAlertMinUsd !== 'number' || !Number.isFinite(tradeAlertMinUsd) || tradeAlertMinUsd < 0)) {
+          return res.status(400).json({ error: 'tradeAlertMinUsd must be a number >= 0 or null' });
+        }
+
+        const entry = await req.chain.poolRegistry.updatePool(address, {
+          enabled,
+          name: name?.trim(),
+          symbol: typeof symbol === 'string' ? symbol.trim() : symbol,
+          tradeAlertMinUsd
+        });
+        if (!entry) {
+          return res.status(404).json({ error: 'Pool not found' });
+        }
+
+        res.json({ success: true, pool: entry });
+      } catch (error) {
+        logger.error('Error updating pool:', error);
+        res.status(500).json({ error: 'Failed to update pool' });
+      }
+    });
+
+    // Remove a pool from pools.json (its stored events are kept)
+    this.app.delete('/api/admin/pools/:address', requireAdmin, async (req, res) => {
+      try {
+        const { address } = req.params;
+        if (!ethers.isAddress(address)) {
+          return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        const entry = await req.chain.poolRegistry.removePool(address);
+        if (!entry) {
+          return res.status(404).json({ error: 'Pool not found' });
+        }
+
+        res.json({ success: true, pool: entry });
+      } catch (error) {
+        logger.error('Error removing pool:', error);
+        res.status(500).json({ error: 'Failed to remove pool' });
+      }
+    });
+
+    // Re-read pools.json now instead of waiting for the file watcher
+    this.app.post('/api/admin/pools/reload', requireAdmin, async (req, res) => {
+      try {
+        const changes = await req.chain.poolRegistry.reload({ force: true });
+        res.setHeader('Content-Type', 'application/json');
+        res.send(JSON.stringify({
+          success: true,
+          changes,
+          pools: req.chain.poolRegistry.getPools().length
+        }, bigIntReplacer));
+      } catch (error) {
+        logger.error('Error reloading pools:', error);
+        res.status(500).json({
+          error: 'Failed to reload pools',
+          details: error.message
+        });
+      }
+    });
+
+    // Compare a borrower's positions with LendingVault.getActiveLoan and adopt the on-chain values: { vault? }
+    this.app.post('/api/admin/loans/reconcile/:address', requireApiKey, async (req, res) => {
+      try {
+        if (!req.chain.loanLedger) {
+          return res.status(503).json({ error: 'Loan monitoring not enabled' });
+        }
+
+        const { address } = req.params;
+        const { vault } = req.body || {};
+        if (!ethers.isAddress(address) || (vault && !ethers.isAddress(vault))) {
+          return res.status(400).json({ error: 'Invalid address' });
+        }
+
+        const reconciliation = await req.chain.loanLedger.reconcile(address, vault || null, { apply: true });
+        res.setHeader('Content-Type', 'application/json');
+        res.send(JSON.stringify({
+          success: true,
+          reconciliation,
+          ...req.chain.loanLedger.getPositions(address, { vault })
+        }, bigIntReplacer));
+      } catch (error) {
+        logger.error('Error reconciling loan positions:', error);
+        res.status(500).json({ error: 'Failed to reconcile loan positions' });
+      }
+    });
+
+    // ===== Trollbox Moderation =====
+
+    const requireModeration = (req, res, next) => {
+      if (!this.moderation) {
+        return res.status(503).json({ error: 'Moderation not enabled' });
+      }
+      next();
+    };
+
+    // Moderation audit log, newest first: ?action=&actor=&target=&limit=&offset=
+    this.app.get('/api/moderation/audit', requireApiKey, requireModeration, (req, res) => {
+      const { action, actor, target } = req.query;
+      if ((actor && !ethers.isAddress(actor)) || (target && !ethers.isAddress(target))) {
+        return res.status(400).json({ error: 'Invalid address' });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const { entries, total } = this.moderation.getAuditLog({ action, actor, target, limit, offset });
+      res.json({ entries, total, limit, offset });
+    });
+
+    // Admins (from ADMIN_ADDRESSES and granted) and moderators
+    this.app.get('/api/moderation/roles', requireApiKey, requireModeration, (req, res) => {
+      const roles = this.moderation.listRoles();
+      res.json({ roles, count: roles.length });
+    });
+
+    // Active bans and mutes
+    this.app.get('/api/moderation/bans', requireApiKey, requireModeration, (req, res) => {
+      res.json({
+        bans: this.moderation.listBans(),
+        mutes: this.moderation.listMutes()
+      });
+    });
+
+    // Grant or revoke a role: { message, signature }, signed by an admin (no API key needed)
+    this.app.post('/api/moderation/actions', requireModeration, async (req, res) => {
+      try {
+        const result = await this.moderation.applySignedAction(req.body || {});
+        res.json({ success: true, ...result });
+      } catch (error) {
+        if (error.status) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Error applying admin action:', error);
+        res.status(500).json({ error: 'Failed to apply admin action' });
+      }
+    });
   }
 
   generateTokenId() {
@@ -622,17 +1203,17 @@ export class HTTPServer {
       const tokensPath = path.join(__dirname, '..', '..', 'data', 'tokens.json');
       await fs.writeFile(tokensPath, JSON.stringify({ tokens: this.tokens }, null, 2));
     } catch (error) {
-      console.error('Error saving tokens:', error);
+      logger.error('Error saving tokens:', error);
       throw error;
     }
   }
 
   start() {
     this.server = this.app.listen(this.port, () => {
-      console.log(`HTTP server listening on port ${this.port}`);
-      console.log(`Referral API available at http://localhost:${this.port}/api/referrals`);
-      console.log(`Tokens API available at http://localhost:${this.port}/api/tokens`);
-      console.log(`Vault API available at http://localhost:${this.port}/vaults`);
+      logger.info(`HTTP server listening on port ${this.port}`);
+      logger.info(`Referral API available at http://localhost:${this.port}/api/referrals`);
+      logger.info(`Tokens API available at http://localhost:${this.port}/api/tokens`);
+      logger.info(`Vault API available at http://localhost:${this.port}/vaults`);
     });
   }
 
@@ -0,0 +1,228 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { createStorageAdapter } from './storage-adapter.js';
+import { GLOBAL_ROOM } from './message-store.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('ws');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const INBOX_ITEM_TYPES = ['mention', 'reply', 'dm'];
+
+const MAX_ITEMS_PER_ADDRESS = 200;
+const MAX_PAGE_SIZE = 100;
+
+// `@name` where name follows the username rules (3-20 letters, numbers, _ or -), not inside an email or another word
+const MENTION_PATTERN = /(?<![\w@])@([a-zA-Z0-9_-]{3,20})(?![\w-])/g;
+
+/**
+ * Usernames mentioned in a message, without duplicates
+ * @param {string} content - Message text
+ * @returns {string[]} - Mentioned usernames as written
+ */
+export function parseMentions(content) {
+  const usernames = new Map();
+  for (const match of String(content).matchAll(MENTION_PATTERN)) {
+    const key = match[1].toLowerCase();
+    if (!usernames.has(key)) usernames.set(key, match[1]);
+  }
+  return [...usernames.values()];
+}
+
+/**
+ * InboxStore - Per-address chat notifications, room read markers and chat preferences
+ *
+ * Items are created for mentions, replies to a user's message and direct messages, whether or not
+ * the recipient is connected, and stay until they fall out of the recipient's latest
+ * MAX_ITEMS_PER_ADDRESS or their message is deleted:
+ *   { id, address, type: 'mention'|'reply'|'dm', messageId, room, threadId, from, fromUsername, content, timestamp, read }
+ * DM items point at their thread (see DirectMessageStore) and have no content, so message text is
+ * only ever stored encrypted.
+ *
+ * Read markers remember when an address last read each room (`global` for the global channel);
+ * unread counters are the messages by others in the room since then. Rooms are only counted once
+ * they have been marked read.
+ *
+ * Chat preferences are opt-ins that change what the server pushes: { address, cashtags }.
+ *
+ * Like MessageStore, the collections use the append-only log backend (data/inbox.*.log).
+ */
+export class InboxStore {
+  constructor(messageStore, options = {}) {
+    this.messageStore = messageStore;
+    this.inboxPath = options.filePath || path.join(__dirname, '..', '..', 'data', 'inbox.json');
+
+    this.adapter = createStorageAdapter('log', {
+      items: { file: this.inboxPath, section: 'items' },
+      readMarkers: { file: this.inboxPath, section: 'readMarkers' },
+      preferences: { file: this.inboxPath, section: 'preferences' }
+    });
+    this.items = this.adapter.collection('items', {
+      indexes: {
+        address: item => item.address,
+        message: item => item.messageId
+      }
+    });
+    this.readMarkers = this.adapter.collection('readMarkers', {
+      idField: 'key',
+      indexes: {
+        address: marker => marker.address
+      }
+    });
+    this.preferences = this.adapter.collection('preferences', { idField: 'address' });
+  }
+
+  async initialize() {
+    await fs.mkdir(path.dirname(this.inboxPath), { recursive: true });
+    await this.adapter.open();
+    logger.info(`Loaded ${this.items.size} inbox items and ${this.readMarkers.size} read markers`);
+  }
+
+  /**
+   * Add a notification for an address
+   * @param {string} address - Recipient
+   * @param {Object} item - { type, messageId, room, threadId, from, fromUsername, content, timestamp }
+   * @returns {Promise<Object>} - The stored item
+   */
+  async addItem(address, { type, messageId = null, room = null, threadId = null, from, fromUsername, content, timestamp = Date.now() }) {
+    const normalizedAddress = address.toLowerCase();
+    const item = {
+      id: uuidv4(),
+      address: normalizedAddress,
+      type,
+      messageId,
+      room,
+      threadId,
+      from: from ? from.toLowerCase() : null,
+      fromUsername,
+      content,
+      timestamp,
+      read: false
+    };
+    await this.items.put(item);
+
+    const items = this.items.find('address', normalizedAddress);
+    if (items.length > MAX_ITEMS_PER_ADDRESS) {
+      await this.items.remove(items.slice(0, items.length - MAX_ITEMS_PER_ADDRESS).map(old => old.id));
+    }
+
+    return item;
+  }
+
+  /**
+   * A page of an address's inbox, newest first
+   * @param {string} address - Recipient
+   * @param {Object} options - { before (item ID), limit, unreadOnly }
+   * @returns {Object|null} - { items, hasMore }, or null if `before` is not in the inbox
+   */
+  getItems(address, { before, limit = 50, unreadOnly = false } = {}) {
+    let items = [...this.items.find('address', address)].reverse();
+    if (unreadOnly) items = items.filter(item => !item.read);
+
+    let start = 0;
+    if (before) {
+      start = items.findIndex(item => item.id === before) + 1;
+      if (start === 0) return null;
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+    return {
+      items: items.slice(start, start + pageSize),
+      hasMore: start + pageSize < items.length
+    };
+  }
+
+  getUnreadCount(address) {
+    return this.items.find('address', address).filter(item => !item.read).length;
+  }
+
+  /**
+   * Mark inbox items read
+   * @param {string} address - Recipient
+   * @param {string[]|null} ids - Item IDs, or null for every item
+   * @returns {Promise<string[]>} - IDs that were unread
+   */
+  async markRead(address, ids = null) {
+    const wanted = ids ? new Set(ids) : null;
+    const unread = this.items.find('address', address)
+      .filter(item => !item.read && (!wanted || wanted.has(item.id)));
+
+    for (const item of unread) {
+      await this.items.put({ ...item, read: true });
+    }
+    return unread.map(item => item.id);
+  }
+
+  // Mark the DM items of a thread read once the thread has been read up to `upTo` (a message timestamp)
+  async markThreadRead(address, threadId, upTo = Infinity) {
+    const ids = this.items.find('address', address)
+      .filter(item => item.threadId === threadId && item.timestamp <= upTo)
+      .map(item => item.id);
+    return ids.length > 0 ? this.markRead(address, ids) : [];
+  }
+
+  // Drop the notifications of a deleted message
+  async removeForMessage(messageId) {
+    const items = this.items.find('message', messageId);
+    if (items.length > 0) {
+      await this.items.remove(items.map(item => item.id));
+    }
+    return items.length;
+  }
+
+  // ===== Room read markers =====
+
+  async markRoomRead(address, room) {
+    const normalizedAddress = address.toLowerCase();
+    const roomId = room || GLOBAL_ROOM;
+    return this.readMarkers.put({
+      key: `${normalizedAddress}:${roomId}`,
+      address: normalizedAddress,
+      room: roomId,
+      lastReadAt: Date.now()
+    });
+  }
+
+  /**
+   * Unread messages per room the address has read before
+   * @param {string} address - Reader
+   * @returns {Object} - { [roomId]: count }, `global` for the global channel
+   */
+  getUnreadByRoom(address) {
+    const normalizedAddress = address.toLowerCase();
+    const counts = {};
+
+    for (const marker of this.readMarkers.find('address', normalizedAddress)) {
+      const messages = this.messageStore.getRoomMessages(marker.room === GLOBAL_ROOM ? null : marker.room);
+      counts[marker.room] = messages.filter(message => (
+        message.timestamp > marker.lastReadAt
+        && !message.deleted
+        && message.address?.toLowerCase() !== normalizedAddress
+      )).length;
+    }
+    return counts;
+  }
+
+  // ===== Chat preferences =====
+
+  getPreferences(address) {
+    const { address: _, ...preferences } = this.preferences.get(address.toLowerCase()) || {};
+    return { cashtags: false, ...preferences };
+  }
+
+  async setPreferences(address, { cashtags }) {
+    const normalizedAddress = address.toLowerCase();
+    const preferences = { ...this.getPreferences(normalizedAddress) };
+    if (cashtags !== undefined) preferences.cashtags = cashtags;
+
+    await this.preferences.put({ address: normalizedAddress, ...preferences });
+    return preferences;
+  }
+
+  async close() {
+    await this.adapter.close();
+  }
+}
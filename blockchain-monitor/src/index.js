@@ -1,17 +1,41 @@
+import axios from 'axios';
 import dotenv from 'dotenv';
-import fs from 'fs/promises';
+import { ZeroAddress } from 'ethers';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { BlockchainMonitor } from './blockchain-monitor.js';
 import { EventStorage } from './event-storage.js';
 import { LoanMonitor } from './loan-monitor.js';
 import { LoanStorage } from './loan-storage.js';
+import { PresaleMonitor } from './presale-monitor.js';
+import { PresaleStorage } from './presale-storage.js';
+import { StakingMonitor } from './staking-monitor.js';
+import { StakingStorage } from './staking-storage.js';
 import { WSServer } from './websocket-server.js';
 import { AuthManager } from './auth-manager.js';
 import { ReferralStore } from './referral-store.js';
 import { ReferralTracker } from './referral-tracker.js';
 import { HTTPServer } from './http-server.js';
+import { BlockCursorStore } from './block-cursor-store.js';
+import { createProviderPool } from './provider.js';
+import { createRpcScheduler } from './rpc-scheduler.js';
+import { TradeEnricher } from './trade-enricher.js';
+import { PoolChatAnnouncer } from './pool-chat.js';
+import { LoanLedger } from './loan-ledger.js';
+import { LoanAlertScheduler } from './loan-alerts.js';
+import { VaultMetricsSampler } from './vault-metrics.js';
+import { FactoryWatcher } from './factory-watcher.js';
+import { PoolRegistry } from './pool-registry.js';
+import { VaultService } from './vaults.js';
+import { ChainRegistry } from './chains.js';
+import { getMonPriceService } from './mon-price.js';
+import { collectBlockProgress } from './metrics.js';
+import { HealthChecks } from './health-checks.js';
 import cache from './cache.js';
+import { configureLogging, createLogger } from './logger.js';
+import { loadConfig, describeConfig } from './config.js';
+
+const logger = createLogger('main');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -19,64 +43,50 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const args = process.argv.slice(2);
 const DEBUG = args.includes('--debug');
 
-// Set up global debug flag
-global.DEBUG = DEBUG;
-
 // Load .env from blockchain-monitor directory
 dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
-async function loadPools() {
-  try {
-    const poolsPath = path.join(__dirname, '..', '..', 'data', 'pools.json');
-    const poolsData = await fs.readFile(poolsPath, 'utf-8');
-    const poolsConfig = JSON.parse(poolsData);
-    return poolsConfig.pools
-      .filter(pool => pool.enabled !== false)
-      .map(pool => ({
-        address: pool.address,
-        symbol: pool.token0.symbol.toUpperCase(), // Capitalize token symbol
-        name: pool.name,
-        token0: pool.token0,
-        token1: pool.token1
-      }));
-  } catch (error) {
-    console.error('Failed to load pools from data/pools.json:', error.message);
-    return [];
-  }
+// LOG_LEVEL, LOG_LEVELS and LOG_FORMAT come from the environment; --debug lowers the default level
+configureLogging({ debug: DEBUG });
+
+// Validate every setting up front so a bad value stops the service before anything starts
+let config;
+try {
+  config = loadConfig({ service: 'blockchain' });
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
 }
+configureLogging({ ...config.logging, debug: DEBUG });
 
-async function loadVaults(rpcUrl) {
+async function loadVaults(vaultService, fallbackAddresses) {
   try {
-    // Import VaultService dynamically
-    const { VaultService } = await import('./vaults.js');
-    const vaultService = new VaultService(rpcUrl);
-
-    console.log('Loading vaults from blockchain...');
+    logger.info(`Loading vaults from chain ${vaultService.chainId}...`);
     const allVaults = await vaultService.getAllVaults();
 
     if (allVaults.length === 0) {
-      console.log('No vaults found on blockchain');
+      logger.info('No vaults found on blockchain');
       return [];
     }
 
-    console.log(`Found ${allVaults.length} vaults for loan monitoring`);
+    logger.info(`Found ${allVaults.length} vaults for loan monitoring`);
 
     // Map vault info to the format needed by LoanMonitor
     return allVaults.map(vault => ({
       address: vault.address,
       tokenSymbol: vault.tokenSymbol || 'VAULT',
-      tokenName: vault.tokenName || 'Lending Vault'
+      tokenName: vault.tokenName || 'Lending Vault',
+      presaleContract: vault.presaleContract,
+      stakingContract: vault.stakingContract
     }));
   } catch (error) {
-    console.error('Failed to load vaults:', error.message);
+    logger.error('Failed to load vaults:', error.message);
 
-    // Fallback to env var if API fails
-    const vaultAddresses = process.env.VAULT_ADDRESSES
-      ? process.env.VAULT_ADDRESSES.split(',').map(addr => addr.trim())
-      : [];
+    // Fallback to VAULT_ADDRESSES if API fails
+    const vaultAddresses = fallbackAddresses || [];
 
     if (vaultAddresses.length > 0) {
-      console.log(`Using ${vaultAddresses.length} vaults from VAULT_ADDRESSES env var`);
+      logger.info(`Using ${vaultAddresses.length} vaults from VAULT_ADDRESSES env var`);
       return vaultAddresses.map(address => ({
         address,
         tokenSymbol: 'VAULT',
@@ -88,225 +98,704 @@ async function loadVaults(rpcUrl) {
   }
 }
 
-async function main() {
+// A vault's presale or staking contract in the shape the monitors expect, or null if it has none
+function getVaultContract(vault, field) {
+  if (!vault[field] || vault[field] === ZeroAddress) return null;
+
+  return {
+    address: vault[field],
+    vaultAddress: vault.address,
+    tokenSymbol: vault.tokenSymbol,
+    tokenName: vault.tokenName
+  };
+}
+
+// Presales come with their vaults; PRESALE_ADDRESSES overrides the list
+function getPresales(vaults, presaleAddresses) {
+  if (presaleAddresses) {
+    return presaleAddresses.map(address => ({
+      address,
+      vaultAddress: null,
+      tokenSymbol: 'PRESALE',
+      tokenName: 'Presale'
+    }));
+  }
+
+  return vaults.map(vault => getVaultContract(vault, 'presaleContract')).filter(Boolean);
+}
+
+// Staking contracts come with their vaults; STAKING_ADDRESSES overrides the list
+function getStakingContracts(vaults, stakingAddresses) {
+  if (stakingAddresses) {
+    return stakingAddresses.map(address => ({
+      address,
+      vaultAddress: null,
+      tokenSymbol: 'STAKING',
+      tokenName: 'Staking'
+    }));
+  }
+
+  return vaults.map(vault => getVaultContract(vault, 'stakingContract')).filter(Boolean);
+}
+
+// Let the OHLC service start tracking a pool before anyone asks for its chart
+async function registerPoolWithOhlc(ohlcApiUrl, poolAddress) {
   try {
-    console.log('Initializing services...');
-    if (DEBUG) {
-      console.log('Debug mode enabled');
-    }
+    await axios.post(`${ohlcApiUrl}/api/pools`, { address: poolAddress }, { timeout: 5000 });
+  } catch (error) {
+    logger.warn(`⚠️ Could not register pool ${poolAddress} with the OHLC service:`, error.message);
+  }
+}
+
+/**
+ * Create and initialize everything monitored on one chain, and wire its events to the shared servers
+ * @param {Object} chain - Entry of config.chains
+ * @param {Object} shared - { wsServer, referralStore, healthChecks, httpPort }
+ * @returns {Promise<Object>} - The chain's context (see ChainRegistry)
+ */
+async function setupChain(chain, shared) {
+  const { wsServer, referralStore, healthChecks, httpPort } = shared;
+  const isPrimary = chain.name === config.chain.name;
+  const dataDir = chain.dataDir;
+  const { poolAddresses: pinnedPoolAddresses, confirmationDepth, reorgWindowBlocks, contractStartBlock } = chain.monitor;
+  const backfillChunkSize = config.monitor.backfillChunkSize;
+  // Default loan expiry alert lead times, e.g. "24h,1h,10m" (borrowers can change theirs over WebSocket)
+  const loanAlertLeadTimes = config.loans.alertLeadTimes || undefined;
+  const vaultMetricsIntervalMinutes = config.vaults.metricsIntervalMinutes;
+  // How often NomaFactory is checked for new vaults and pools (0 disables discovery)
+  const factoryWatchIntervalSeconds = config.factory.watchIntervalSeconds;
+  const watchFactory = factoryWatchIntervalSeconds > 0;
+  // /readyz fails once no RPC endpoint has reported a new block for this long
+  const healthMaxBlockAgeSeconds = config.health.maxBlockAgeSeconds;
+  // /readyz also fails once a monitor has processed no block for this long
+  const healthStallSeconds = config.health.stallSeconds;
+  // 'json' (default) keeps the classic JSON files, 'log' uses append-only logs (see migrate-storage.js)
+  const storageBackend = config.storage.backend;
+  // Health checks of the primary chain keep their plain names; other chains' get the chain name appended
+  const checkName = name => isPrimary ? name : `${name}:${chain.name}`;
+
+  logger.info(`⛓️ Starting chain ${chain.name} (chainId ${chain.chainId}, data in ${dataDir})`);
+
+  // One pool of RPC endpoints per chain, shared by its monitors and the vault API. All requests go
+  // through a single rate-limited scheduler; each consumer gets a view with its own priority.
+  const provider = createProviderPool(chain.rpc);
+  const rpcScheduler = createRpcScheduler(provider, chain.rpc);
+  const liveProvider = rpcScheduler.view('live');
+  const referralProvider = rpcScheduler.view('referral');
+  const vaultProvider = rpcScheduler.view('vault');
+
+  // Enabled pools from the chain's pools.json, kept up to date while running
+  const poolRegistry = new PoolRegistry(path.join(dataDir, 'pools.json'), {
+    watchIntervalMs: config.pools.watchIntervalSeconds * 1000
+  });
+  await poolRegistry.initialize();
+
+  const pools = poolRegistry.getPools();
+  const poolAddresses = pinnedPoolAddresses
+    ? [...pinnedPoolAddresses]
+    : pools.map(p => p.address);
+  // With POOL_ADDRESSES set, pools.json changes only start or stop monitoring of the listed pools
+  const pinnedPools = pinnedPoolAddresses
+    ? new Set(poolAddresses.map(addr => addr.toLowerCase()))
+    : null;
+  const canMonitorPool = address => !pinnedPools || pinnedPools.has(address.toLowerCase());
+
+  const vaultService = new VaultService(vaultProvider, chain);
+  const vaults = await loadVaults(vaultService, chain.monitor.vaultAddresses);
+  const vaultAddresses = vaults.map(v => v.address);
+  const presales = getPresales(vaults, chain.monitor.presaleAddresses);
+  const stakingContracts = getStakingContracts(vaults, chain.monitor.stakingAddresses);
+
+  // HISTORY_FILE_PATH only moves the primary chain's history
+  const historyFilePath = (isPrimary && config.storage.historyFile) || path.join(dataDir, 'events-history.json');
+  const eventStorage = new EventStorage(historyFilePath, pools, { backend: storageBackend, chainId: chain.chainId });
+  await eventStorage.initialize();
+
+  // Clean up any existing duplicates
+  logger.info('Checking for duplicate events in storage...');
+  await eventStorage.removeDuplicates();
+
+  // Initialize loan storage for vault lending events
+  const loanStorage = new LoanStorage(path.join(dataDir, 'loans-history.json'), vaults, { backend: storageBackend, chainId: chain.chainId });
+  await loanStorage.initialize();
+
+  // Clean up any existing duplicate loans
+  logger.info('Checking for duplicate loan events in storage...');
+  await loanStorage.removeDuplicates();
+
+  // Open loan positions replayed from the stored vault events (reconciled on demand through the vault provider)
+  const loanLedger = new LoanLedger(loanStorage, vaultProvider, vaultAddresses);
+  await loanLedger.initialize();
+
+  // Presale deposits and withdrawals per contributor
+  const presaleStorage = new PresaleStorage(path.join(dataDir, 'presale-events.json'), presales, { backend: storageBackend, chainId: chain.chainId });
+  await presaleStorage.initialize();
+  await presaleStorage.removeDuplicates();
+
+  // Staking events replayed into staker balances and per-epoch rewards
+  const stakingStorage = new StakingStorage(path.join(dataDir, 'staking-events.json'), stakingContracts, { backend: storageBackend, chainId: chain.chainId });
+  await stakingStorage.initialize();
+  await stakingStorage.removeDuplicates();
+
+  // Per-source block cursors (saved next to processed-txs.json) so restarts resume where we stopped
+  const cursorStore = new BlockCursorStore(path.join(dataDir, 'block-cursors.json'));
+  await cursorStore.initialize();
+
+  // Served on /metrics: how far each source's cursor is behind the head the RPC endpoints report
+  collectBlockProgress(
+    () => provider.headBlock,
+    () => Object.fromEntries(Object.entries(cursorStore.getAll()).map(([source, cursor]) => [source, cursor.blockNumber])),
+    chain.chainId
+  );
+
+  const blockchainMonitor = new BlockchainMonitor(liveProvider, poolAddresses, pools, {
+    chain,
+    confirmations: confirmationDepth,
+    reorgWindow: reorgWindowBlocks,
+    cursorStore,
+    backfillChunkSize
+  });
+  await blockchainMonitor.initialize();
+
+  const referralTracker = new ReferralTracker(
+    referralProvider,
+    referralStore,
+    `http://localhost:${httpPort}`,
+    chain
+  );
+  await referralTracker.initialize();
+
+  // Swaps get USD value, execution price and price impact before they are stored
+  const monPriceService = getMonPriceService(referralProvider, chain);
+  const tradeEnricher = new TradeEnricher(pools, monPriceService, eventStorage);
+
+  // Large swaps, borrows and defaults are posted into the pools' chat rooms
+  const poolChat = new PoolChatAnnouncer(wsServer, poolRegistry, {
+    chainId: chain.chainId,
+    minTradeUsd: config.chat.tradeAlertMinUsd,
+    monPriceService
+  });
+
+  // Initialize loan monitor for vault lending events
+  // With factory discovery on, monitors are created even when empty so new vaults can be added
+  let loanMonitor = null;
+  if (vaultAddresses.length > 0 || watchFactory) {
+    loanMonitor = new LoanMonitor(liveProvider, vaultAddresses, {
+      cursorStore,
+      backfillChunkSize,
+      confirmations: confirmationDepth
+    });
+    await loanMonitor.initialize();
+    logger.info(`Loan monitoring enabled for ${vaultAddresses.length} vaults`);
+  }
 
-    const rpcUrl = process.env.RPC_URL;
-    const websocketPort = parseInt(process.env.WEBSOCKET_PORT) || 8080;
-    const httpPort = parseInt(process.env.HTTP_PORT) || 3004;
-    // Use shared data directory (same as pools.json location)
-    const historyFilePath = process.env.HISTORY_FILE_PATH || path.join(__dirname, '..', '..', 'data', 'events-history.json');
-    const autoRestartHours = parseFloat(process.env.AUTO_RESTART_HOURS) || 0;
-    const historicalScanHours = parseFloat(process.env.HISTORICAL_SCAN_HOURS) || 0;
+  // Initialize presale monitor (events on the live view, cap progress reads on the vault view)
+  let presaleMonitor = null;
+  if (presales.length > 0 || watchFactory) {
+    presaleMonitor = new PresaleMonitor(liveProvider, presales, {
+      cursorStore,
+      backfillChunkSize,
+      startBlock: contractStartBlock,
+      viewProvider: vaultProvider
+    });
+    await presaleMonitor.initialize();
+    logger.info(`Presale monitoring enabled for ${presales.length} presales`);
+  }
 
-    if (!rpcUrl) {
-      throw new Error('RPC_URL environment variable is required');
+  // Initialize staking monitor (events on the live view, epoch and balance reads on the vault view)
+  let stakingMonitor = null;
+  if (stakingContracts.length > 0 || watchFactory) {
+    stakingMonitor = new StakingMonitor(liveProvider, stakingContracts, {
+      cursorStore,
+      backfillChunkSize,
+      startBlock: contractStartBlock,
+      viewProvider: vaultProvider
+    });
+    await stakingMonitor.initialize();
+    logger.info(`Staking monitoring enabled for ${stakingContracts.length} staking contracts`);
+  }
+
+  // Vault metrics time series, sampled on a timer and on FloorUpdated
+  let vaultMetrics = null;
+  if (loanMonitor) {
+    vaultMetrics = new VaultMetricsSampler(vaultProvider, vaultAddresses, {
+      intervalMs: vaultMetricsIntervalMinutes * 60 * 1000,
+      vaultService,
+      filePath: path.join(dataDir, 'vault-metrics.json'),
+      backend: storageBackend
+    });
+    await vaultMetrics.initialize();
+    loanMonitor.on('floorUpdated', (floorEvent) => vaultMetrics.handleFloorUpdated(floorEvent));
+  }
+
+  // Vaults and pools deployed through NomaFactory are picked up without a restart
+  let factoryWatcher = null;
+  if (watchFactory) {
+    factoryWatcher = new FactoryWatcher(vaultProvider, {
+      vaultService,
+      intervalMs: factoryWatchIntervalSeconds * 1000,
+      knownVaults: vaultAddresses,
+      // Disabled pools count as known, so discovery does not switch them back on
+      knownPools: [...poolAddresses, ...poolRegistry.getEntries().map(pool => pool.address)]
+    });
+  }
+
+  // Expiry alerts pushed to borrowers' authenticated sockets
+  let loanAlerts = null;
+  if (loanMonitor) {
+    loanAlerts = new LoanAlertScheduler(loanLedger, wsServer, {
+      leadTimes: loanAlertLeadTimes,
+      filePath: path.join(dataDir, 'loan-alerts.json'),
+      chainId: chain.chainId
+    });
+    await loanAlerts.initialize();
+  }
+
+  // Served on /readyz. A stalled monitor usually means the RPC endpoints are down, which a restart does not fix,
+  // so only the WebSocket server's check below also feeds /healthz
+  const stallMs = healthStallSeconds * 1000;
+  healthChecks.register(checkName('rpc'), () => provider.getHealth(healthMaxBlockAgeSeconds * 1000));
+  healthChecks.register(checkName('poolMonitor'), () => blockchainMonitor.getHealth(stallMs));
+  for (const [name, monitor] of [['loanMonitor', loanMonitor], ['presaleMonitor', presaleMonitor], ['stakingMonitor', stakingMonitor]]) {
+    if (monitor) {
+      healthChecks.register(checkName(name), () => monitor.getHealth(stallMs));
     }
+  }
+
+  blockchainMonitor.on('poolEvent', async (eventData) => {
+    logger.info(`New ${eventData.eventName} event from pool ${eventData.poolAddress}`);
 
-    const pools = await loadPools();
-    const poolAddresses = process.env.POOL_ADDRESSES
-      ? process.env.POOL_ADDRESSES.split(',').map(addr => addr.trim())
-      : pools.map(p => p.address);
+    await tradeEnricher.enrich(eventData);
+    const storedEvent = await eventStorage.addEvent(eventData);
 
-    const vaults = await loadVaults(rpcUrl);
-    const vaultAddresses = vaults.map(v => v.address);
+    logger.info(`Broadcasting ${eventData.eventName} event from pool ${eventData.poolAddress} with id ${storedEvent.id}`);
+    wsServer.broadcastEvent(storedEvent);
 
-    console.log('Initializing services...');
+    // Not while catching up after a restart, when the chat would get hours of old trades at once
+    if (blockchainMonitor.backfillStatus.state !== 'running') {
+      await poolChat.postSwap(storedEvent);
+    }
 
-    const eventStorage = new EventStorage(historyFilePath, pools);
-    await eventStorage.initialize();
+    // Track referral trades (legacy - for pools that don't use ExchangeHelper)
+    if (eventData.eventName === 'Swap') {
+      await referralTracker.trackSwapEvent(eventData);
+    }
+  });
 
-    // Clean up any existing duplicates
-    console.log('Checking for duplicate events in storage...');
-    await eventStorage.removeDuplicates();
+  // Handle ExchangeHelper events for referral tracking
+  blockchainMonitor.on('exchangeHelperEvent', async (eventData) => {
+    logger.info(`New ExchangeHelper ${eventData.eventName} event - User: ${eventData.args.who}`);
 
-    // Initialize loan storage for vault lending events
-    const loanHistoryFilePath = path.join(__dirname, '..', '..', 'data', 'loans-history.json');
-    const loanStorage = new LoanStorage(loanHistoryFilePath, vaults);
-    await loanStorage.initialize();
+    // Store the event
+    const storedEvent = await eventStorage.addEvent(eventData);
 
-    // Clean up any existing duplicate loans
-    console.log('Checking for duplicate loan events in storage...');
-    await loanStorage.removeDuplicates();
+    // Broadcast to WebSocket clients
+    wsServer.broadcastEvent(storedEvent);
 
-    const authManager = new AuthManager();
+    // Track referral trades through ExchangeHelper
+    await referralTracker.trackExchangeHelperEvent(eventData);
+  });
 
-    const blockchainMonitor = new BlockchainMonitor(rpcUrl, poolAddresses, pools);
-    await blockchainMonitor.initialize();
+  // Retract events and loans from blocks that were reorged out
+  blockchainMonitor.on('reorg', async (reorg) => {
+    const removedEvents = await eventStorage.removeEventsByBlockHash(reorg.blockHash);
+    const removedLoans = await loanStorage.removeLoansByBlockHash(reorg.blockHash);
+    const removedPresaleEvents = await presaleStorage.removeEventsByBlockHash(reorg.blockHash);
+    const removedStakingEvents = await stakingStorage.removeEventsByBlockHash(reorg.blockHash);
 
-    // Initialize referral system
-    const referralStore = new ReferralStore();
-    await referralStore.initialize();
+    // The pool rescan does not cover vaults, presales or staking, re-read the replacement block's events
+    for (const monitor of [loanMonitor, presaleMonitor, stakingMonitor]) {
+      if (monitor) {
+        await monitor.rescanBlock(reorg.blockNumber);
+      }
+    }
 
-    const referralTracker = new ReferralTracker(
-      blockchainMonitor.provider,
-      referralStore,
-      `http://localhost:${httpPort}`
-    );
-    await referralTracker.initialize();
+    const removedCount = removedEvents.length + removedLoans.length + removedPresaleEvents.length + removedStakingEvents.length;
+    if (removedCount === 0) return;
 
-    // Initialize loan monitor for vault lending events
-    let loanMonitor = null;
-    if (vaultAddresses.length > 0) {
-      loanMonitor = new LoanMonitor(blockchainMonitor.provider, vaultAddresses);
-      await loanMonitor.initialize();
-      console.log(`Loan monitoring enabled for ${vaultAddresses.length} vaults`);
+    if (removedLoans.length > 0) {
+      loanLedger.rebuild();
     }
 
-    // Initialize HTTP server for referral API (pass the same referral store, rpcUrl, and loan storage)
-    const httpServer = new HTTPServer(httpPort, referralStore, rpcUrl, loanStorage);
-    await httpServer.initialize();
-    httpServer.start();
+    logger.info(`Retracting ${removedEvents.length} events, ${removedLoans.length} loan events, ${removedPresaleEvents.length} presale events and ${removedStakingEvents.length} staking events from block ${reorg.blockNumber} on chain ${chain.chainId}`);
+    wsServer.broadcastRetraction({
+      ...reorg,
+      chainId: chain.chainId,
+      eventIds: removedEvents.map(e => e.id),
+      loanIds: removedLoans.map(l => l.id),
+      presaleEventIds: removedPresaleEvents.map(e => e.id),
+      stakingEventIds: removedStakingEvents.map(e => e.id)
+    });
+  });
+
+  // Handle loan events from vaults
+  if (loanMonitor) {
+    loanMonitor.on('loanEvent', async (loanData) => {
+      logger.info(`New ${loanData.eventName} event from vault ${loanData.vaultAddress}`);
 
-    const wsServer = new WSServer(websocketPort, eventStorage, authManager);
-    // Pass loan storage to WebSocket server for loan event broadcasting
-    wsServer.loanStorage = loanStorage;
+      // Loan blocks are verified against the canonical chain alongside pool blocks
+      blockchainMonitor.trackBlock(loanData.blockNumber, loanData.blockHash);
 
-    blockchainMonitor.on('poolEvent', async (eventData) => {
-      console.log(`New ${eventData.eventName} event from pool ${eventData.poolAddress}`);
+      // Store the loan event
+      const storedLoan = await loanStorage.addLoan(loanData);
+      loanLedger.applyEvent(storedLoan);
 
-      const storedEvent = await eventStorage.addEvent(eventData);
+      logger.info(`Broadcasting ${loanData.eventName} loan event from vault ${loanData.vaultAddress} with id ${storedLoan.id}`);
 
-      console.log(`Broadcasting ${eventData.eventName} event from pool ${eventData.poolAddress} with id ${storedEvent.id}`);
-      wsServer.broadcastEvent(storedEvent);
+      // Broadcast to WebSocket clients
+      wsServer.broadcastLoanEvent(storedLoan);
 
-      // Track referral trades (legacy - for pools that don't use ExchangeHelper)
-      if (eventData.eventName === 'Swap') {
-        await referralTracker.trackSwapEvent(eventData);
+      if (loanMonitor.backfillStatus.state !== 'running') {
+        await poolChat.postLoanEvent(storedLoan);
       }
     });
+  }
 
-    // Handle ExchangeHelper events for referral tracking
-    blockchainMonitor.on('exchangeHelperEvent', async (eventData) => {
-      console.log(`New ExchangeHelper ${eventData.eventName} event - User: ${eventData.args.who}`);
+  // Handle presale events
+  if (presaleMonitor) {
+    presaleMonitor.on('presaleEvent', async (presaleEvent) => {
+      blockchainMonitor.trackBlock(presaleEvent.blockNumber, presaleEvent.blockHash);
 
-      // Store the event
-      const storedEvent = await eventStorage.addEvent(eventData);
+      const storedEvent = await presaleStorage.addEvent(presaleEvent);
+      const progress = await presaleMonitor.getProgress(presaleEvent.presaleAddress);
 
-      // Broadcast to WebSocket clients
-      wsServer.broadcastEvent(storedEvent);
+      logger.info(`Broadcasting ${presaleEvent.eventName} presale event from ${presaleEvent.presaleAddress} with id ${storedEvent.id}`);
+      wsServer.broadcastPresaleEvent(presaleStorage.enrichWithPresaleInfo(storedEvent), progress);
+    });
+  }
+
+  // Handle staking events
+  if (stakingMonitor) {
+    stakingMonitor.on('stakingEvent', async (stakingEvent) => {
+      blockchainMonitor.trackBlock(stakingEvent.blockNumber, stakingEvent.blockHash);
+
+      const storedEvent = await stakingStorage.addEvent(stakingEvent);
+      const apr = stakingEvent.eventName === 'NotifiedReward'
+        ? stakingStorage.getAprEstimate(stakingEvent.stakingAddress)
+        : undefined;
 
-      // Track referral trades through ExchangeHelper
-      await referralTracker.trackExchangeHelperEvent(eventData);
+      logger.info(`Broadcasting ${stakingEvent.eventName} staking event from ${stakingEvent.stakingAddress} with id ${storedEvent.id}`);
+      wsServer.broadcastStakingEvent(stakingStorage.enrichWithStakingInfo(storedEvent), apr);
     });
+  }
+
+  // Pools added, disabled or relabelled in pools.json (by hand, through the admin API or by factory discovery)
+  poolRegistry.on('poolAdded', async ({ pool, fromBlock }) => {
+    try {
+      eventStorage.addPoolMetadata(pool);
+      tradeEnricher.addPool(pool);
+      referralTracker.updatePool(pool);
+      if (canMonitorPool(pool.address)) {
+        await blockchainMonitor.addPool(pool.address, pool, fromBlock);
+      }
+
+      wsServer.broadcastPoolAdded(pool, chain.chainId);
+    } catch (error) {
+      logger.error(`Failed to add pool ${pool.address}:`, error.message);
+    }
+  });
 
-    // Handle loan events from vaults
-    if (loanMonitor) {
-      loanMonitor.on('loanEvent', async (loanData) => {
-        console.log(`New ${loanData.eventName} event from vault ${loanData.vaultAddress}`);
+  poolRegistry.on('poolRemoved', ({ pool }) => {
+    // Stored events keep their metadata so history stays labelled
+    referralTracker.removePool(pool.address);
+    blockchainMonitor.removePool(pool.address);
 
-        // Store the loan event
-        const storedLoan = await loanStorage.addLoan(loanData);
+    wsServer.broadcastPoolRemoved(pool, chain.chainId);
+  });
 
-        console.log(`Broadcasting ${loanData.eventName} loan event from vault ${loanData.vaultAddress} with id ${storedLoan.id}`);
+  poolRegistry.on('poolUpdated', ({ pool }) => {
+    eventStorage.addPoolMetadata(pool);
+    tradeEnricher.addPool(pool);
+    referralTracker.updatePool(pool);
+    blockchainMonitor.updatePoolMetadata(pool);
 
-        // Broadcast to WebSocket clients
-        wsServer.broadcastLoanEvent(storedLoan);
-      });
+    wsServer.broadcastPoolUpdated(pool, chain.chainId);
+  });
+
+  if (factoryWatcher) {
+    factoryWatcher.on('poolAdded', async ({ pool, vault, fromBlock }) => {
+      try {
+        // Listed in pools.json before the OHLC service hears of it, so it does not add a placeholder entry
+        await poolRegistry.addPool({ ...pool, vaultAddress: vault.address }, { fromBlock });
+        await registerPoolWithOhlc(chain.ohlcApiUrl, pool.address);
+      } catch (error) {
+        logger.error(`Failed to add pool ${pool.address}:`, error.message);
+      }
+    });
+
+    factoryWatcher.on('vaultAdded', async ({ vault, fromBlock }) => {
+      try {
+        loanStorage.addVaultMetadata(vault);
+        loanLedger.addVault(vault.address);
+        await loanMonitor.addVault(vault.address, fromBlock);
+        vaultMetrics.addVault(vault.address);
+
+        const presale = getVaultContract(vault, 'presaleContract');
+        if (presale) {
+          presaleStorage.addPresaleMetadata(presale);
+          await presaleMonitor.addPresale(presale, fromBlock);
+        }
+
+        const staking = getVaultContract(vault, 'stakingContract');
+        if (staking) {
+          stakingStorage.addStakingMetadata(staking);
+          await stakingMonitor.addStaking(staking, fromBlock);
+        }
+      } catch (error) {
+        logger.error(`Failed to add vault ${vault.address}:`, error.message);
+      }
+    });
+  }
+
+  // Listen for connection recovery events
+  blockchainMonitor.on('connectionRecovered', () => {
+    logger.info(`✅ Connection to chain ${chain.name} recovered successfully!`);
+  });
+
+  return {
+    chainId: chain.chainId,
+    name: chain.name,
+    dataDir,
+    provider: vaultProvider,
+    ohlcApiUrl: chain.ohlcApiUrl,
+    monPriceService,
+    vaultService,
+    eventStorage,
+    loanStorage,
+    // Positions are only served while loan monitoring keeps them current
+    loanLedger: loanMonitor ? loanLedger : null,
+    loanAlerts,
+    presaleStorage,
+    presaleMonitor,
+    stakingStorage,
+    stakingMonitor,
+    blockchainMonitor,
+    loanMonitor,
+    vaultMetrics,
+    factoryWatcher,
+    poolRegistry,
+    referralTracker,
+    cursorStore,
+    counts: {
+      pools: poolAddresses.length,
+      vaults: vaultAddresses.length,
+      presales: presales.length,
+      staking: stakingContracts.length
     }
+  };
+}
 
-    wsServer.start();
-    await blockchainMonitor.start();
+// Start a chain's monitors once the servers are up
+async function startChain(context) {
+  const { blockchainMonitor, loanMonitor, presaleMonitor, stakingMonitor, factoryWatcher, counts } = context;
+
+  await blockchainMonitor.start();
+
+  // Start loan monitor if configured
+  if (loanMonitor) {
+    await loanMonitor.start();
+    context.loanAlerts.start();
+    context.vaultMetrics.start();
+  }
+
+  if (presaleMonitor) {
+    await presaleMonitor.start();
+  }
+
+  if (stakingMonitor) {
+    await stakingMonitor.start();
+  }
+
+  if (factoryWatcher) {
+    factoryWatcher.start();
+  }
+
+  context.poolRegistry.watch();
+
+  logger.info(`Monitoring ${counts.pools} pools on chain ${context.name}`);
+  if (loanMonitor) {
+    logger.info(`Monitoring ${counts.vaults} vaults for loan events`);
+  }
+  if (presaleMonitor) {
+    logger.info(`Monitoring ${counts.presales} presales`);
+  }
+  if (stakingMonitor) {
+    logger.info(`Monitoring ${counts.staking} staking contracts`);
+  }
+}
+
+async function scanHistory(context, historicalScanHours) {
+  logger.info(`📚 Starting historical block scan on chain ${context.name} (${historicalScanHours} hours)...`);
+  try {
+    await context.blockchainMonitor.scanHistoricalBlocks(historicalScanHours);
+  } catch (error) {
+    logger.error('Historical scan failed:', error.message);
+    logger.info('Continuing with normal operation...');
+  }
+
+  // Also scan for historical loan events
+  if (context.loanMonitor) {
+    logger.info(`📚 Starting historical loan event scan on chain ${context.name} (${historicalScanHours} hours)...`);
+    try {
+      await context.loanMonitor.scanHistoricalBlocks(historicalScanHours);
+    } catch (error) {
+      logger.error('Historical loan scan failed:', error.message);
+      logger.info('Continuing with normal operation...');
+    }
+  }
+}
 
-    // Start loan monitor if configured
-    if (loanMonitor) {
-      await loanMonitor.start();
+async function stopChain(context) {
+  await context.blockchainMonitor.stop();
+  if (context.loanMonitor) await context.loanMonitor.stop();
+  if (context.presaleMonitor) await context.presaleMonitor.stop();
+  if (context.stakingMonitor) await context.stakingMonitor.stop();
+  if (context.factoryWatcher) context.factoryWatcher.stop();
+  context.poolRegistry.stop();
+  if (context.loanAlerts) await context.loanAlerts.stop();
+  if (context.vaultMetrics) await context.vaultMetrics.stop();
+  await context.cursorStore.stop();
+}
+
+async function main() {
+  try {
+    logger.info('Initializing services...');
+    logger.debug('Debug mode enabled');
+
+    for (const warning of config.meta.warnings) {
+      logger.warn(`⚠️ ${warning}`);
     }
+    logger.info(`Effective configuration (chain ${config.chain.name}, chainId ${config.chain.chainId})`, describeConfig(config));
+
+    const websocketPort = config.websocket.port;
+    const httpPort = config.http.port;
+    const autoRestartHours = config.monitor.autoRestartHours;
+    const historicalScanHours = config.monitor.historicalScanHours;
+
+    const authManager = new AuthManager();
+
+    // Initialize referral system (codes and referrals are shared by every chain; trades carry their chainId)
+    const referralStore = new ReferralStore({ backend: config.storage.backend });
+    await referralStore.initialize();
+
+    const healthChecks = new HealthChecks();
+    const chains = new ChainRegistry();
 
-    console.log('Blockchain monitor started successfully');
-    console.log(`Monitoring ${poolAddresses.length} pools`);
-    if (loanMonitor) {
-      console.log(`Monitoring ${vaultAddresses.length} vaults for loan events`);
+    // Created before the chains so their loan alerts and event handlers can use it; listens once everything is set up
+    const wsServer = new WSServer(websocketPort, chains, authManager, {
+      maxConnectionsPerIp: config.websocket.maxConnectionsPerIp,
+      adminAddresses: config.websocket.adminAddresses,
+      storageBackend: config.storage.backend,
+      chat: config.chat
+    });
+
+    // The primary chain first, then CHAINS in order
+    for (const chain of config.chains) {
+      chains.add(await setupChain(chain, { wsServer, referralStore, healthChecks, httpPort }));
     }
-    console.log(`WebSocket server running on port ${websocketPort}`);
-    console.log(`HTTP referral API running on port ${httpPort}`);
 
-    // Listen for connection recovery events
-    blockchainMonitor.on('connectionRecovered', () => {
-      console.log('✅ Connection recovered successfully!');
+    healthChecks.register('storage', () => {
+      const stores = { referrals: referralStore.isInitialized, moderation: wsServer.moderation.isInitialized };
+      for (const chain of chains.list()) {
+        const suffix = chain === chains.primary ? '' : `:${chain.name}`;
+        stores[`events${suffix}`] = chain.eventStorage.isInitialized;
+        stores[`loans${suffix}`] = chain.loanStorage.isInitialized;
+        stores[`presales${suffix}`] = chain.presaleStorage.isInitialized;
+        stores[`staking${suffix}`] = chain.stakingStorage.isInitialized;
+      }
+      return { status: Object.values(stores).every(Boolean) ? 'pass' : 'fail', stores };
     });
 
+    // Initialize HTTP server for referral API (the same referral store, and every chain's stores and monitors)
+    const httpServer = new HTTPServer(httpPort, referralStore, chains);
+    httpServer.adminApiKey = config.admin.apiKey;
+    httpServer.healthChecks = healthChecks;
+    httpServer.moderation = wsServer.moderation;
+    await httpServer.initialize();
+    httpServer.start();
+
+    healthChecks.register('websocket', () => wsServer.getHealth(), { liveness: true });
+
+    wsServer.start();
+    for (const chain of chains.list()) {
+      await startChain(chain);
+    }
+    healthChecks.started();
+
+    logger.info(`Blockchain monitor started successfully on ${chains.list().length} chain(s)`);
+    logger.info(`WebSocket server running on port ${websocketPort}`);
+    logger.info(`HTTP referral API running on port ${httpPort}`);
+
     // Perform historical block scan if configured
     if (historicalScanHours > 0) {
-      console.log(`\n📚 Starting historical block scan (${historicalScanHours} hours)...`);
-      try {
-        await blockchainMonitor.scanHistoricalBlocks(historicalScanHours);
-      } catch (error) {
-        console.error('Historical scan failed:', error.message);
-        console.log('Continuing with normal operation...');
-      }
-
-      // Also scan for historical loan events
-      if (loanMonitor) {
-        console.log(`\n📚 Starting historical loan event scan (${historicalScanHours} hours)...`);
-        try {
-          await loanMonitor.scanHistoricalBlocks(historicalScanHours);
-        } catch (error) {
-          console.error('Historical loan scan failed:', error.message);
-          console.log('Continuing with normal operation...');
-        }
+      for (const chain of chains.list()) {
+        await scanHistory(chain, historicalScanHours);
       }
     } else {
-      console.log('Historical block scanning disabled (set HISTORICAL_SCAN_HOURS to enable)');
+      logger.info('Historical block scanning disabled (set HISTORICAL_SCAN_HOURS to enable)');
     }
 
+    const shutdown = async () => {
+      for (const chain of chains.list()) {
+        await stopChain(chain);
+      }
+      wsServer.stop();
+      httpServer.stop();
+    };
+
     // Set up automatic restart if configured
     if (autoRestartHours > 0) {
       const restartMs = autoRestartHours * 60 * 60 * 1000;
-      console.log(`\n⏰ Auto-restart enabled: Server will restart after ${autoRestartHours} hour(s)`);
+      logger.info(`⏰ Auto-restart enabled: Server will restart after ${autoRestartHours} hour(s)`);
 
       setTimeout(async () => {
-        console.log('\n🔄 Auto-restart triggered - Restarting server...');
-        await blockchainMonitor.stop();
-        if (loanMonitor) await loanMonitor.stop();
-        wsServer.stop();
-        httpServer.stop();
+        logger.info('🔄 Auto-restart triggered - Restarting server...');
+        await shutdown();
         // Exit with code 0 so process manager (like PM2) can restart it
         process.exit(0);
       }, restartMs);
     } else {
-      console.log('Auto-restart disabled (set AUTO_RESTART_HOURS to enable)');
+      logger.info('Auto-restart disabled (set AUTO_RESTART_HOURS to enable)');
     }
 
     // Start cache statistics logging
     cache.startStatsLogging(60000); // Log every minute
-    console.log('Cache statistics logging enabled (every 60 seconds)');
+    logger.info('Cache statistics logging enabled (every 60 seconds)');
 
     // Log processed tx stats periodically
     setInterval(() => {
-      const stats = blockchainMonitor.processedTxTracker.getStats();
-      console.log(`📊 Processed TX Stats - Total: ${stats.total}, Last 24h: ${stats.last24h}, Last 48h: ${stats.last48h}`);
+      for (const chain of chains.list()) {
+        const stats = chain.blockchainMonitor.processedTxTracker.getStats();
+        logger.info(`📊 Processed TX Stats (${chain.name}) - Total: ${stats.total}, Last 24h: ${stats.last24h}, Last 48h: ${stats.last48h}`);
+      }
     }, 10 * 60 * 1000); // Every 10 minutes
 
     process.on('SIGINT', async () => {
-      console.log('\nShutting down...');
-      await blockchainMonitor.stop();
-      if (loanMonitor) await loanMonitor.stop();
-      wsServer.stop();
-      httpServer.stop();
+      logger.info('Shutting down...');
+      await shutdown();
       process.exit(0);
     });
 
     // Cleanup old events daily
     setInterval(async () => {
-      await eventStorage.clearOldEvents(30);
-      await loanStorage.clearOldLoans(90); // Keep loan history for 90 days
+      for (const chain of chains.list()) {
+        await chain.eventStorage.clearOldEvents(config.storage.eventRetentionDays);
+        await chain.loanStorage.clearOldLoans(config.storage.loanRetentionDays);
+      }
     }, 24 * 60 * 60 * 1000);
 
     // Cleanup old processed transaction hashes daily (older than 48 hours)
     setInterval(async () => {
-      console.log('Running scheduled cleanup of old processed transaction hashes...');
-      await blockchainMonitor.processedTxTracker.cleanup();
+      logger.info('Running scheduled cleanup of old processed transaction hashes...');
+      for (const chain of chains.list()) {
+        await chain.blockchainMonitor.processedTxTracker.cleanup();
+      }
     }, 24 * 60 * 60 * 1000);
 
   } catch (error) {
-    console.error('Failed to start blockchain monitor:', error);
+    logger.error('Failed to start blockchain monitor:', error);
     process.exit(1);
   }
 }
 
-main();
\ No newline at end of file
+main();
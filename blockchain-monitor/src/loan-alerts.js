@@ -0,0 +1,274 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('loans');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+const MAX_LEAD_TIMES = 10;
+const MAX_LEAD_TIME = 30 * 86400;
+
+/**
+ * Parse a lead time such as '24h', '10m', '2d', '90s' or a plain number of seconds
+ * @param {string|number} value - Lead time
+ * @returns {number|null} - Seconds, or null if invalid
+ */
+export function parseLeadTime(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? Math.floor(value) : null;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*([smhd]?)$/i.exec(String(value).trim());
+  if (!match) return null;
+
+  const seconds = Math.floor(parseFloat(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()]);
+  return seconds > 0 ? seconds : null;
+}
+
+// Format seconds back to the shortest unit, e.g. 3600 -> '1h'
+export function formatLeadTime(seconds) {
+  for (const unit of ['d', 'h', 'm']) {
+    if (seconds % DURATION_UNITS[unit] === 0) return `${seconds / DURATION_UNITS[unit]}${unit}`;
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * Validate and normalize a list of lead times
+ * @param {Array<string|number>} leadTimes - Lead times
+ * @returns {number[]} - Unique seconds, longest first
+ */
+export function normalizeLeadTimes(leadTimes) {
+  if (!Array.isArray(leadTimes) || leadTimes.length === 0 || leadTimes.length > MAX_LEAD_TIMES) {
+    throw new Error(`leadTimes must be a list of 1 to ${MAX_LEAD_TIMES} durations`);
+  }
+
+  const seconds = leadTimes.map(value => {
+    const parsed = parseLeadTime(value);
+    if (parsed === null || parsed > MAX_LEAD_TIME) {
+      throw new Error(`Invalid lead time "${value}" (use e.g. 24h, 1h, 10m, up to 30d)`);
+    }
+    return parsed;
+  });
+
+  return [...new Set(seconds)].sort((a, b) => b - a);
+}
+
+// Alerts of one loan term: rolling a loan changes its expiry and so starts a new set of keys
+function alertBaseKey(position) {
+  return `${position.vaultAddress}:${position.user}:${position.expiry}`;
+}
+
+/**
+ * LoanAlertScheduler - Warns borrowers before their loans expire
+ *
+ * Every check walks the open positions of the LoanLedger and, for each borrower who has alerts
+ * enabled, sends the closest lead time that has been reached as a `loanExpiring` message to the
+ * borrower's authenticated socket. Once a loan is past expiry and still open (it will be defaulted
+ * by the next `defaultLoans`), a single `loanExpired` message is sent.
+ *
+ * An alert only counts as sent once it was delivered, so a borrower who connects later still gets
+ * the most urgent pending alert. Rolling a loan changes its expiry, which re-arms every lead time.
+ *
+ * Preferences and delivered alerts are persisted in data/loan-alerts.json:
+ * {
+ *   preferences: { [address]: { enabled, leadTimes: [seconds], updatedAt } },
+ *   sent: { ['vault:user:expiry:lead']: sentAt }
+ * }
+ */
+export class LoanAlertScheduler {
+  constructor(loanLedger, notifier = null, options = {}) {
+    this.loanLedger = loanLedger;
+    this.notifier = notifier; // Anything with sendToAddress(address, message) -> boolean
+    this.filePath = options.filePath || path.join(__dirname, '..', '..', 'data', 'loan-alerts.json');
+    this.defaultLeadTimes = normalizeLeadTimes(options.leadTimes || ['24h', '1h', '10m']);
+    this.checkIntervalMs = options.checkIntervalMs || 60 * 1000;
+    this.chainId = options.chainId ?? null; // Included in every alert so clients watching several chains can tell them apart
+
+    this.preferences = new Map(); // Map address -> { enabled, leadTimes, updatedAt }
+    this.sent = new Map(); // Map alertKey -> sentAt
+    this.checkInterval = null;
+    this.isDirty = false;
+    this.stats = { delivered: 0, lastCheckAt: null };
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      this.preferences = new Map(Object.entries(data.preferences || {}));
+      this.sent = new Map(Object.entries(data.sent || {}));
+      logger.info(`[LoanAlerts] Loaded alert preferences for ${this.preferences.size} addresses`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('[LoanAlerts] Failed to load loan alerts, starting empty:', error.message);
+      }
+    }
+  }
+
+  start() {
+    if (this.checkInterval) return;
+
+    this.checkInterval = setInterval(() => this.check(), this.checkIntervalMs);
+    logger.info(`⏰ [LoanAlerts] Expiry alerts enabled (default lead times: ${this.defaultLeadTimes.map(formatLeadTime).join(', ')})`);
+  }
+
+  async stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+
+    if (this.isDirty) {
+      await this.save();
+    }
+  }
+
+  async save() {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({
+        preferences: Object.fromEntries(this.preferences),
+        sent: Object.fromEntries(this.sent)
+      }, null, 2));
+      await fs.rename(tmpPath, this.filePath);
+
+      this.isDirty = false;
+    } catch (error) {
+      logger.error('[LoanAlerts] Failed to save loan alerts:', error.message);
+    }
+  }
+
+  /**
+   * Get a borrower's alert preferences (defaults when never set)
+   * @param {string} address - Borrower address
+   * @returns {Object} - { enabled, leadTimes: [seconds], isDefault }
+   */
+  getPreferences(address) {
+    const stored = this.preferences.get(address.toLowerCase());
+    if (!stored) {
+      return { enabled: true, leadTimes: this.defaultLeadTimes, isDefault: true };
+    }
+    return { enabled: stored.enabled, leadTimes: stored.leadTimes, isDefault: false };
+  }
+
+  /**
+   * Update a borrower's alert preferences
+   * @param {string} address - Borrower address
+   * @param {Object} update - { enabled?, leadTimes? } (leadTimes as '24h' style strings or seconds, or null to reset)
+   * @returns {Promise<Object>} - The new preferences
+   */
+  async setPreferences(address, update = {}) {
+    const current = this.getPreferences(address);
+    const enabled = update.enabled !== undefined ? Boolean(update.enabled) : current.enabled;
+    const leadTimes = update.leadTimes === null
+      ? this.defaultLeadTimes
+      : update.leadTimes !== undefined ? normalizeLeadTimes(update.leadTimes) : current.leadTimes;
+
+    this.preferences.set(address.toLowerCase(), { enabled, leadTimes, updatedAt: Date.now() });
+    this.isDirty = true;
+    await this.save();
+
+    return this.getPreferences(address);
+  }
+
+  /**
+   * Send every alert that is due
+   * @returns {Promise<number>} - Number of alerts delivered
+   */
+  async check() {
+    if (!this.notifier) return 0;
+
+    const now = Math.floor(Date.now() / 1000);
+    const openKeys = new Set();
+    let delivered = 0;
+
+    try {
+      for (const position of this.loanLedger.getOpenPositions()) {
+        if (position.expiry === null) continue;
+        openKeys.add(alertBaseKey(position));
+
+        const preferences = this.getPreferences(position.user);
+        if (!preferences.enabled) continue;
+
+        const alert = this.getDueAlert(position, preferences.leadTimes, now);
+        if (!alert || this.sent.has(alert.key)) continue;
+
+        const isDelivered = this.notifier.sendToAddress(position.user, alert.message);
+        if (isDelivered) {
+          this.sent.set(alert.key, Date.now());
+          this.isDirty = true;
+          delivered++;
+        }
+      }
+
+      this.prune(now, openKeys);
+      this.stats.delivered += delivered;
+      this.stats.lastCheckAt = Date.now();
+
+      if (delivered > 0) {
+        logger.info(`⏰ [LoanAlerts] Delivered ${delivered} loan expiry alerts`);
+      }
+      if (this.isDirty) {
+        await this.save();
+      }
+    } catch (error) {
+      logger.error('[LoanAlerts] Error checking loan expiries:', error.message);
+    }
+
+    return delivered;
+  }
+
+  // The closest lead time that has been reached, or the expired alert
+  getDueAlert(position, leadTimes, now) {
+    const secondsLeft = position.expiry - now;
+    const baseKey = alertBaseKey(position);
+    const data = {
+      chainId: this.chainId,
+      vaultAddress: position.vaultAddress,
+      user: position.user,
+      status: position.status,
+      principal: position.principal,
+      collateral: position.collateral,
+      expiry: position.expiry,
+      secondsLeft
+    };
+
+    if (secondsLeft <= 0) {
+      return { key: `${baseKey}:expired`, message: { type: 'loanExpired', data } };
+    }
+
+    const due = leadTimes.filter(lead => secondsLeft <= lead);
+    if (due.length === 0) return null;
+
+    const leadTime = Math.min(...due);
+    return {
+      key: `${baseKey}:${leadTime}`,
+      message: { type: 'loanExpiring', data: { ...data, leadTime, leadTimeLabel: formatLeadTime(leadTime) } }
+    };
+  }
+
+  // Forget alerts for loans that expired more than a day ago and are no longer open: a loan that
+  // stays open past expiry keeps its `:expired` key, or it would be told again after every prune
+  prune(now, openKeys = new Set()) {
+    for (const key of this.sent.keys()) {
+      const [vaultAddress, user, expiry] = key.split(':');
+      if (Number(expiry) < now - 86400 && !openKeys.has(`${vaultAddress}:${user}:${expiry}`)) {
+        this.sent.delete(key);
+        this.isDirty = true;
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      customPreferences: this.preferences.size,
+      trackedAlerts: this.sent.size,
+      ...this.stats
+    };
+  }
+}
@@ -0,0 +1,433 @@
+import { ethers } from 'ethers';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('loans');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load LendingVault ABI for getActiveLoan
+let LendingVaultABI;
+try {
+  const abiPath = path.join(__dirname, '..', '..', 'assets', 'LendingVault.json');
+  const abiData = JSON.parse(await fs.readFile(abiPath, 'utf-8'));
+  LendingVaultABI = abiData.abi;
+} catch (error) {
+  logger.error('Failed to load LendingVault ABI:', error);
+  LendingVaultABI = [];
+}
+
+export const LOAN_STATUSES = ['active', 'rolled', 'repaid', 'defaulted'];
+const OPEN_STATUSES = ['active', 'rolled'];
+
+function isOpen(position) {
+  return Boolean(position) && OPEN_STATUSES.includes(position.status);
+}
+
+function toBigInt(value) {
+  return value !== undefined && value !== null && value !== '' ? BigInt(value) : null;
+}
+
+function isAfter(loan, last) {
+  return !last ||
+    loan.blockNumber > last.blockNumber ||
+    (loan.blockNumber === last.blockNumber && (loan.logIndex ?? 0) > last.logIndex);
+}
+
+function compareLoans(a, b) {
+  return (a.blockNumber - b.blockNumber) || ((a.logIndex ?? 0) - (b.logIndex ?? 0));
+}
+
+/**
+ * LoanLedger - Open loan positions per user and vault, replayed from stored vault events
+ *
+ * Borrow opens a position (or adds to the open one), AddCollateral adds collateral, Payback reduces
+ * or closes it, RollLoan extends it and DefaultLoans closes every expired open position of the vault.
+ * Shift and Slide only move vault liquidity, they are recorded per vault without touching positions.
+ *
+ * Amounts that events do not carry (collateral, partial paybacks, roll durations) come from the
+ * transaction details LoanMonitor adds to args. When those are missing, a Payback is treated as a
+ * full repayment and a roll keeps the previous duration. `reconcile()` compares positions with
+ * `LendingVault.getActiveLoan` and, with `apply`, corrects them from it.
+ *
+ * Position: {
+ *   vaultAddress, user, status,     // status: 'active' | 'rolled' | 'repaid' | 'defaulted'
+ *   principal, collateral,          // wei, as strings
+ *   startTime, duration, expiry,    // seconds
+ *   isExpired, rollCount,
+ *   openedTx, lastEvent, closedAt,
+ *   fees, reconciledAt              // set by reconcile() with apply
+ * }
+ */
+export class LoanLedger {
+  constructor(loanStorage, provider = null, vaultAddresses = []) {
+    this.loanStorage = loanStorage;
+    this.provider = provider;
+    this.vaultAddresses = vaultAddresses.map(address => address.toLowerCase());
+
+    this.positions = new Map(); // Map 'vault:user' -> current position
+    this.history = new Map(); // Map 'vault:user' -> closed positions, oldest first
+    this.vaults = new Map(); // Map vault -> { lastApplied, lastShift, lastSlide, lastDefault }
+  }
+
+  async initialize() {
+    this.rebuild();
+    logger.info(`[LoanLedger] Replayed ${this.loanStorage.getLoanCount()} loan events into ${this.positions.size} positions`);
+  }
+
+  // Include a vault discovered after startup in reconciles
+  addVault(vaultAddress) {
+    const key = vaultAddress.toLowerCase();
+    if (!this.vaultAddresses.includes(key)) {
+      this.vaultAddresses.push(key);
+    }
+  }
+
+  getKey(vaultAddress, user) {
+    return `${vaultAddress.toLowerCase()}:${user.toLowerCase()}`;
+  }
+
+  getVaultState(vaultAddress) {
+    const key = vaultAddress.toLowerCase();
+    if (!this.vaults.has(key)) {
+      this.vaults.set(key, { lastApplied: null, lastShift: null, lastSlide: null, lastDefault: null });
+    }
+    return this.vaults.get(key);
+  }
+
+  /**
+   * Replay every stored loan event from scratch (after reorg retractions)
+   */
+  rebuild() {
+    this.positions.clear();
+    this.history.clear();
+    this.vaults.clear();
+
+    for (const loan of [...this.loanStorage.getAllLoans()].sort(compareLoans)) {
+      this.apply(loan);
+    }
+  }
+
+  // Replay one vault's events from scratch
+  rebuildVault(vaultAddress) {
+    const vault = vaultAddress.toLowerCase();
+    for (const map of [this.positions, this.history]) {
+      for (const key of [...map.keys()]) {
+        if (key.startsWith(`${vault}:`)) map.delete(key);
+      }
+    }
+    this.vaults.delete(vault);
+
+    for (const loan of [...this.loanStorage.getLoansByVault(vault)].sort(compareLoans)) {
+      this.apply(loan);
+    }
+  }
+
+  /**
+   * Apply a newly stored loan event. Events that arrive out of chain order (or twice)
+   * make the vault replay from storage instead.
+   * @param {Object} loan - Stored loan event
+   */
+  applyEvent(loan) {
+    const vault = this.getVaultState(loan.vaultAddress);
+    if (isAfter(loan, vault.lastApplied)) {
+      this.apply(loan);
+    } else {
+      this.rebuildVault(loan.vaultAddress);
+    }
+  }
+
+  apply(loan) {
+    const vault = this.getVaultState(loan.vaultAddress);
+    vault.lastApplied = { blockNumber: loan.blockNumber, logIndex: loan.logIndex ?? 0 };
+
+    const time = loan.blockTimestamp ?? Math.floor(loan.timestamp / 1000);
+    const args = loan.args || {};
+    const eventRef = {
+      eventName: loan.eventName,
+      blockNumber: loan.blockNumber,
+      transactionHash: loan.transactionHash,
+      time
+    };
+
+    switch (loan.eventName) {
+      case 'Borrow':
+        this.applyBorrow(loan.vaultAddress, args, time, eventRef);
+        break;
+      case 'AddCollateral':
+        this.updateOpen(loan.vaultAddress, args.who, eventRef, position => {
+          position.collateral += toBigInt(args.amount) ?? 0n;
+        });
+        break;
+      case 'Payback':
+        this.updateOpen(loan.vaultAddress, args.who, eventRef, position => {
+          this.applyPayback(position, args, time);
+        });
+        break;
+      case 'RollLoan':
+        this.updateOpen(loan.vaultAddress, args.who, eventRef, position => {
+          const duration = args.newDuration !== undefined ? Number(args.newDuration) : position.duration;
+          position.duration = duration;
+          position.expiry = duration !== null ? time + duration : null;
+          position.status = 'rolled';
+          position.rollCount++;
+        });
+        break;
+      case 'DefaultLoans':
+        vault.lastDefault = eventRef;
+        for (const position of this.positions.values()) {
+          if (position.vaultAddress === loan.vaultAddress.toLowerCase() &&
+            isOpen(position) && position.expiry !== null && position.expiry <= time) {
+            position.status = 'defaulted';
+            position.closedAt = time;
+            position.lastEvent = eventRef;
+          }
+        }
+        break;
+      case 'Shift':
+        vault.lastShift = eventRef;
+        break;
+      case 'Slide':
+        vault.lastSlide = eventRef;
+        break;
+    }
+  }
+
+  applyBorrow(vaultAddress, args, time, eventRef) {
+    if (!args.who) return;
+
+    const key = this.getKey(vaultAddress, args.who);
+    const current = this.positions.get(key);
+    const borrowAmount = toBigInt(args.borrowAmount) ?? 0n;
+    const collateralAmount = toBigInt(args.collateralAmount) ?? 0n;
+
+    // Borrowing again on an open loan increases it and keeps its term
+    if (isOpen(current)) {
+      current.principal += borrowAmount;
+      current.collateral += collateralAmount;
+      current.lastEvent = eventRef;
+      return;
+    }
+
+    if (current) {
+      if (!this.history.has(key)) this.history.set(key, []);
+      this.history.get(key).push(current);
+    }
+
+    const duration = args.duration !== undefined ? Number(args.duration) : null;
+    this.positions.set(key, {
+      vaultAddress: vaultAddress.toLowerCase(),
+      user: args.who.toLowerCase(),
+      status: 'active',
+      principal: borrowAmount,
+      collateral: collateralAmount,
+      startTime: time,
+      duration,
+      expiry: duration !== null ? time + duration : null,
+      rollCount: 0,
+      openedTx: eventRef.transactionHash,
+      lastEvent: eventRef,
+      closedAt: null,
+      fees: null,
+      reconciledAt: null
+    });
+  }
+
+  applyPayback(position, args, time) {
+    const repayAmount = toBigInt(args.repayAmount);
+
+    if (repayAmount === null || repayAmount >= position.principal) {
+      position.status = 'repaid';
+      position.principal = 0n;
+      position.collateral = 0n;
+      position.closedAt = time;
+      return;
+    }
+
+    // Partial payback releases collateral pro rata unless the transfer amount is known
+    const released = toBigInt(args.collateralReleased) ??
+      (position.principal > 0n ? (position.collateral * repayAmount) / position.principal : 0n);
+    position.principal -= repayAmount;
+    position.collateral = position.collateral > released ? position.collateral - released : 0n;
+  }
+
+  updateOpen(vaultAddress, who, eventRef, update) {
+    if (!who) return;
+
+    const position = this.positions.get(this.getKey(vaultAddress, who));
+    if (!isOpen(position)) return;
+
+    update(position);
+    position.lastEvent = eventRef;
+  }
+
+  /**
+   * Get a user's loan positions
+   * @param {string} address - Borrower address
+   * @param {Object} options - { vault, status, includeHistory }
+   * @returns {Object} - { address, positions, history, vaults }
+   */
+  getPositions(address, options = {}) {
+    const user = address.toLowerCase();
+    const vaultFilter = options.vault ? options.vault.toLowerCase() : null;
+    const statuses = options.status ? String(options.status).split(',') : null;
+
+    const matches = (position) =>
+      position.user === user &&
+      (!vaultFilter || position.vaultAddress === vaultFilter);
+
+    const positions = [...this.positions.values()]
+      .filter(position => matches(position) && (!statuses || statuses.includes(position.status)));
+
+    const history = options.includeHistory === false
+      ? []
+      : [...this.history.values()].flat().filter(matches);
+
+    const vaults = {};
+    for (const position of [...positions, ...history]) {
+      const state = this.vaults.get(position.vaultAddress);
+      vaults[position.vaultAddress] = {
+        lastShift: state?.lastShift || null,
+        lastSlide: state?.lastSlide || null,
+        lastDefault: state?.lastDefault || null
+      };
+    }
+
+    return {
+      address: user,
+      positions: positions.map(position => this.formatPosition(position)),
+      history: history.map(position => this.formatPosition(position)),
+      vaults
+    };
+  }
+
+  /**
+   * Get every open position (active or rolled)
+   * @returns {Object[]} - Formatted positions
+   */
+  getOpenPositions() {
+    return [...this.positions.values()]
+      .filter(isOpen)
+      .map(position => this.formatPosition(position));
+  }
+
+  formatPosition(position) {
+    return {
+      ...position,
+      principal: position.principal.toString(),
+      collateral: position.collateral.toString(),
+      fees: position.fees !== null ? position.fees.toString() : null,
+      isExpired: isOpen(position) && position.expiry !== null && position.expiry <= Math.floor(Date.now() / 1000)
+    };
+  }
+
+  /**
+   * Compare a user's positions with LendingVault.getActiveLoan
+   * @param {string} address - Borrower address
+   * @param {string} vaultAddress - Only this vault (defaults to every monitored vault and any vault with a position)
+   * @param {Object} options - { apply: adopt the on-chain values into the ledger (default false, report only) }
+   * @returns {Promise<Object[]>} - One result per vault: { vaultAddress, matches, discrepancies, onChain, applied, error }
+   */
+  async reconcile(address, vaultAddress = null, { apply = false } = {}) {
+    if (!this.provider) {
+      throw new Error('LoanLedger has no provider to reconcile with');
+    }
+
+    const user = address.toLowerCase();
+    const vaults = vaultAddress
+      ? [vaultAddress.toLowerCase()]
+      : [...new Set([
+        ...this.vaultAddresses,
+        ...[...this.positions.values()].filter(p => p.user === user).map(p => p.vaultAddress)
+      ])];
+
+    // Calls are issued together so the RPC scheduler can batch them into one multicall
+    return await Promise.all(vaults.map(vault => this.reconcileVault(user, vault, apply)));
+  }
+
+  async reconcileVault(user, vaultAddress, apply = false) {
+    try {
+      const contract = new ethers.Contract(vaultAddress, LendingVaultABI, this.provider);
+      const loan = await contract.getActiveLoan(user);
+      const onChain = {
+        borrowAmount: loan.borrowAmount.toString(),
+        collateralAmount: loan.collateralAmount.toString(),
+        fees: loan.fees.toString(),
+        expiry: Number(loan.expiry),
+        duration: Number(loan.duration)
+      };
+
+      const key = this.getKey(vaultAddress, user);
+      const position = this.positions.get(key);
+      const now = Math.floor(Date.now() / 1000);
+      const discrepancies = [];
+
+      if (loan.borrowAmount > 0n) {
+        if (!isOpen(position)) {
+          discrepancies.push({ field: 'status', ledger: position?.status || null, chain: 'active' });
+          if (apply) {
+            this.applyBorrow(vaultAddress, {
+              who: user,
+              borrowAmount: onChain.borrowAmount,
+              collateralAmount: onChain.collateralAmount,
+              duration: onChain.duration
+            }, onChain.expiry - onChain.duration, { eventName: 'Reconcile', blockNumber: null, transactionHash: null, time: now });
+          }
+        }
+
+        // Without apply there is no open position to compare a missing loan's fields with
+        const current = apply ? this.positions.get(key) : (isOpen(position) ? position : null);
+        if (current) {
+          const fields = [
+            ['principal', loan.borrowAmount],
+            ['collateral', loan.collateralAmount],
+            ['expiry', onChain.expiry],
+            ['duration', onChain.duration]
+          ];
+          for (const [field, chainValue] of fields) {
+            if (current[field] !== chainValue) {
+              discrepancies.push({ field, ledger: current[field]?.toString() ?? null, chain: chainValue.toString() });
+              if (apply) current[field] = chainValue;
+            }
+          }
+          if (apply) {
+            current.fees = loan.fees;
+            current.reconciledAt = now;
+          }
+        }
+      } else if (isOpen(position)) {
+        // No loan on chain: it was repaid, or defaulted if it had already expired
+        const status = position.expiry !== null && position.expiry <= now ? 'defaulted' : 'repaid';
+        discrepancies.push({ field: 'status', ledger: position.status, chain: status });
+        if (apply) {
+          position.status = status;
+          position.closedAt = now;
+          if (status === 'repaid') {
+            position.principal = 0n;
+            position.collateral = 0n;
+          }
+          position.reconciledAt = now;
+        }
+      }
+
+      if (apply && discrepancies.length > 0) {
+        logger.info(`[LoanLedger] Reconciled ${user} on vault ${vaultAddress}: ${discrepancies.map(d => d.field).join(', ')} corrected from chain`);
+      }
+
+      return { vaultAddress, matches: discrepancies.length === 0, discrepancies, onChain, applied: apply, error: null };
+    } catch (error) {
+      logger.error(`[LoanLedger] Failed to reconcile ${user} on vault ${vaultAddress}:`, error.message);
+      return { vaultAddress, matches: null, discrepancies: [], onChain: null, applied: false, error: error.message };
+    }
+  }
+
+  getStats() {
+    const byStatus = Object.fromEntries(LOAN_STATUSES.map(status => [status, 0]));
+    for (const position of this.positions.values()) {
+      byStatus[position.status]++;
+    }
+    return { positions: this.positions.size, byStatus };
+  }
+}
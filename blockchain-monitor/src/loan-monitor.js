@@ -3,6 +3,10 @@ import EventEmitter from 'events';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { monitorHealth } from './health-checks.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('loans');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -13,103 +17,143 @@ try {
   const abiData = JSON.parse(await fs.readFile(abiPath, 'utf-8'));
   ExtVaultABI = abiData.abi;
 } catch (error) {
-  console.error('Failed to load ExtVault ABI:', error);
+  logger.error('Failed to load ExtVault ABI:', error);
   ExtVaultABI = [];
 }
 
+// BaseVault reports floor moves, which the vault metrics sampler records
+const VAULT_ABI = [...ExtVaultABI, 'event FloorUpdated(uint256 floorPrice, uint256 floorCapacity)'];
+const VAULT_INTERFACE = new ethers.Interface(VAULT_ABI);
+const TRANSFER_INTERFACE = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+]);
+// Just enough of LendingVault / the pool to find the token a vault holds as loan collateral
+const COLLATERAL_LOOKUP_ABI = [
+  'function pool() view returns (address)',
+  'function token0() view returns (address)'
+];
+
+// Vault events that are replayed into loan positions, in addition to AddCollateral
+const VAULT_EVENT_NAMES = ['Borrow', 'Payback', 'RollLoan', 'DefaultLoans', 'Shift', 'Slide'];
+
 /**
- * LoanMonitor - Monitors lending vault events (Borrow, Payback, RollLoan, DefaultLoans)
+ * LoanMonitor - Monitors lending vault events (Borrow, Payback, RollLoan, DefaultLoans, Shift, Slide)
+ *
+ * `addCollateral` emits no event, so it is detected from collateral token transfers into the vault
+ * whose transaction calls the vault's `addCollateral(amount)` and reported as 'AddCollateral'.
  *
  * Emits 'loanEvent' when a loan operation is detected with the following structure:
  * {
  *   vaultAddress: string,
- *   eventName: 'Borrow' | 'Payback' | 'RollLoan' | 'DefaultLoans',
+ *   eventName: 'Borrow' | 'Payback' | 'RollLoan' | 'DefaultLoans' | 'Shift' | 'Slide' | 'AddCollateral',
  *   blockNumber: number,
  *   blockHash: string,
  *   transactionHash: string,
  *   transactionIndex: number,
  *   logIndex: number,
- *   args: object, // Event-specific arguments
+ *   args: object, // Event-specific arguments, plus what the transaction tells us:
+ *                 // Borrow: collateralAmount, Payback: repayAmount + collateralReleased,
+ *                 // RollLoan: newDuration, AddCollateral: amount
+ *   blockTimestamp: number, // Block time in seconds
  *   timestamp: number
  * }
  */
 export class LoanMonitor extends EventEmitter {
-  constructor(provider, vaultAddresses = []) {
+  constructor(provider, vaultAddresses = [], options = {}) {
     super();
     this.provider = provider;
     this.vaultAddresses = vaultAddresses;
     this.vaultContracts = new Map();
+    this.collateralTokens = new Map(); // Map vaultAddress -> collateral token contract
+    this.blockTimestamps = new Map(); // Map blockNumber -> timestamp (seconds)
     this.isRunning = false;
     this.lastBlockUpdateTime = Date.now();
+
+    // Durable per-vault cursors ('vault:<address>') used to backfill after restarts
+    this.cursorStore = options.cursorStore || null;
+    this.backfillChunkSize = options.backfillChunkSize || 100;
+    this.backfillStatus = { state: 'idle' };
+    this.cursorInterval = null;
+    this.lastObservedHead = null;
+    this.isPolling = false;
+
+    // Same confirmation depth as the pool monitor: vault logs are emitted once they are buried under
+    // `confirmations` blocks, and their block hashes are then verified by BlockchainMonitor (see index.js)
+    this.confirmations = options.confirmations || 0;
   }
 
   async initialize() {
-    console.log(`Initializing LoanMonitor for ${this.vaultAddresses.length} vaults...`);
+    logger.info(`Initializing LoanMonitor for ${this.vaultAddresses.length} vaults...`);
 
     // Create contract instances for each vault using the full ABI
     for (const vaultAddress of this.vaultAddresses) {
-      const contract = new ethers.Contract(vaultAddress, ExtVaultABI, this.provider);
+      const contract = new ethers.Contract(vaultAddress, VAULT_ABI, this.provider);
       this.vaultContracts.set(vaultAddress.toLowerCase(), contract);
+      await this.resolveCollateralToken(vaultAddress);
     }
 
-    console.log(`LoanMonitor initialized with ${this.vaultContracts.size} vault contracts`);
+    logger.info(`LoanMonitor initialized with ${this.vaultContracts.size} vault contracts`);
+  }
+
+  // Loans are collateralized with the vault's own token, which is token0 of its pool
+  async resolveCollateralToken(vaultAddress) {
+    try {
+      const vault = new ethers.Contract(vaultAddress, COLLATERAL_LOOKUP_ABI, this.provider);
+      const pool = new ethers.Contract(await vault.pool(), COLLATERAL_LOOKUP_ABI, this.provider);
+      const tokenAddress = await pool.token0();
+
+      this.collateralTokens.set(
+        vaultAddress.toLowerCase(),
+        new ethers.Contract(tokenAddress, TRANSFER_INTERFACE, this.provider)
+      );
+    } catch (error) {
+      logger.warn(`⚠️ Could not resolve collateral token for vault ${vaultAddress}, collateral amounts will not be tracked:`, error.message);
+    }
   }
 
   async start() {
     if (this.isRunning) {
-      console.log('LoanMonitor already running');
+      logger.info('LoanMonitor already running');
       return;
     }
 
-    // Check if provider supports WebSocket
-    if (this.provider.isWebSocketProvider) {
-      console.log('Setting up WebSocket event listeners for loan events...');
-      await this.setupWebSocketListeners();
-    } else {
-      console.warn('Provider does not support WebSocket, loan monitoring will use polling');
-      // Could implement polling here if needed
-    }
-
     this.isRunning = true;
-    console.log('LoanMonitor started');
-  }
-
-  async setupWebSocketListeners() {
-    console.log(`Setting up loan event listeners for ${this.vaultContracts.size} vaults...`);
 
-    for (const [vaultAddress, contract] of this.vaultContracts) {
-      // Listen for Borrow events
-      contract.on('Borrow', async (who, borrowAmount, duration, event) => {
-        await this.handleLoanEvent('Borrow', vaultAddress, event, {
-          who,
-          borrowAmount: borrowAmount.toString(),
-          duration: duration.toString()
-        });
-      });
+    // Catch up on loan events mined while we were down before going live
+    await this.backfill();
 
-      // Listen for Payback events
-      contract.on('Payback', async (who, event) => {
-        await this.handleLoanEvent('Payback', vaultAddress, event, {
-          who
-        });
-      });
-
-      // Listen for RollLoan events
-      contract.on('RollLoan', async (who, event) => {
-        await this.handleLoanEvent('RollLoan', vaultAddress, event, {
-          who
-        });
-      });
+    // Each vault is polled from its cursor, the provider pool has no event subscriptions
+    this.cursorInterval = setInterval(async () => {
+      await this.pollEvents();
+    }, 20000);
+    logger.info('LoanMonitor started');
+  }
 
-      // Listen for DefaultLoans events
-      contract.on('DefaultLoans', async (event) => {
-        await this.handleLoanEvent('DefaultLoans', vaultAddress, event, {});
-      });
+  // Newest block that is buried under enough confirmations to be scanned
+  async getSafeBlock() {
+    return Math.max(0, (await this.provider.getBlockNumber()) - this.confirmations);
+  }
 
-      console.log(`📋 Vault ${vaultAddress}: Listening for Borrow, Payback, RollLoan, DefaultLoans events`);
+  /**
+   * Start monitoring a vault while running
+   * @param {string} vaultAddress - Vault address
+   * @param {number} fromBlock - First block to scan (defaults to the next polled block)
+   */
+  async addVault(vaultAddress, fromBlock = null) {
+    const key = vaultAddress.toLowerCase();
+    if (this.vaultContracts.has(key)) return;
+
+    const contract = new ethers.Contract(vaultAddress, VAULT_ABI, this.provider);
+    this.vaultContracts.set(key, contract);
+    this.vaultAddresses.push(vaultAddress);
+    await this.resolveCollateralToken(vaultAddress);
+
+    // Polling resumes every vault from its cursor, so this one starts at fromBlock
+    if (fromBlock !== null) {
+      this.advanceCursor(key, fromBlock - 1);
     }
 
-    console.log(`✅ All loan event listeners registered successfully`);
+    logger.info(`📋 Added vault ${vaultAddress} to loan monitoring`);
   }
 
   async handleLoanEvent(eventName, vaultAddress, event, parsedArgs) {
@@ -127,32 +171,305 @@ export class LoanMonitor extends EventEmitter {
         transactionHash: log.transactionHash,
         transactionIndex: log.transactionIndex,
         logIndex: log.index,
-        args: parsedArgs,
+        args: {
+          ...parsedArgs,
+          ...await this.getTransactionDetails(eventName, vaultAddress, log, parsedArgs)
+        },
+        blockTimestamp: await this.getBlockTimestamp(log.blockNumber),
         timestamp: Date.now()
       };
 
       // Emit the loan event for storage and broadcasting
       this.emit('loanEvent', loanEvent);
 
-      console.log(`📋 ${eventName} event detected on vault ${vaultAddress} by ${parsedArgs.who || 'system'}`);
+      logger.info(`📋 ${eventName} event detected on vault ${vaultAddress} by ${parsedArgs.who || 'system'}`);
     } catch (error) {
-      console.error(`Error handling ${eventName} event:`, error);
+      logger.error(`Error handling ${eventName} event:`, error);
     }
   }
 
-  async removeListeners() {
-    console.log('Removing loan event listeners...');
-    for (const contract of this.vaultContracts.values()) {
-      contract.removeAllListeners();
+  /**
+   * Read the amounts an event does not carry from its transaction
+   * @param {string} eventName - Vault event name
+   * @param {string} vaultAddress - Vault address
+   * @param {Object} log - Event log
+   * @param {Object} parsedArgs - Decoded event arguments
+   * @returns {Promise<Object>} - Extra args (empty when nothing could be read)
+   */
+  async getTransactionDetails(eventName, vaultAddress, log, parsedArgs) {
+    const details = {};
+    const who = parsedArgs.who;
+
+    try {
+      if (eventName === 'Payback' || eventName === 'RollLoan') {
+        const call = await this.decodeVaultCall(vaultAddress, log.transactionHash);
+        if (call?.name === 'payback') details.repayAmount = call.args.amount.toString();
+        if (call?.name === 'roll') details.newDuration = call.args.newDuration.toString();
+      }
+
+      if (eventName === 'Borrow' || eventName === 'Payback') {
+        const token = this.collateralTokens.get(vaultAddress.toLowerCase());
+        if (token) {
+          const receipt = await this.provider.getTransactionReceipt(log.transactionHash);
+          const [from, to] = eventName === 'Borrow' ? [who, vaultAddress] : [vaultAddress, who];
+          const amount = this.sumTransfers(receipt, token.target, from, to);
+
+          if (eventName === 'Borrow') details.collateralAmount = amount.toString();
+          else details.collateralReleased = amount.toString();
+        }
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Could not read transaction details for ${eventName} ${log.transactionHash}:`, error.message);
+    }
+
+    return details;
+  }
+
+  /**
+   * Decode the vault call made by a transaction
+   * @param {string} vaultAddress - Vault address
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<Object|null>} - { name, args, from }, or null when the transaction did not call the vault directly
+   */
+  async decodeVaultCall(vaultAddress, txHash) {
+    const tx = await this.provider.getTransaction(txHash);
+    if (!tx || tx.to?.toLowerCase() !== vaultAddress.toLowerCase()) return null;
+
+    const parsed = VAULT_INTERFACE.parseTransaction({ data: tx.data, value: tx.value });
+    return parsed ? { name: parsed.name, args: parsed.args, from: tx.from } : null;
+  }
+
+  // Total collateral token moved from -> to in a transaction receipt
+  sumTransfers(receipt, tokenAddress, from, to) {
+    let total = 0n;
+
+    for (const log of receipt?.logs || []) {
+      if (log.address.toLowerCase() !== tokenAddress.toLowerCase()) continue;
+
+      const parsed = TRANSFER_INTERFACE.parseLog(log);
+      if (parsed?.name === 'Transfer' &&
+        parsed.args.from.toLowerCase() === from.toLowerCase() &&
+        parsed.args.to.toLowerCase() === to.toLowerCase()) {
+        total += parsed.args.value;
+      }
+    }
+
+    return total;
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    if (this.blockTimestamps.has(blockNumber)) {
+      return this.blockTimestamps.get(blockNumber);
+    }
+
+    try {
+      const block = await this.provider.getBlock(blockNumber);
+      if (!block) return null;
+
+      this.blockTimestamps.set(blockNumber, block.timestamp);
+      if (this.blockTimestamps.size > 1000) {
+        this.blockTimestamps.delete(this.blockTimestamps.keys().next().value);
+      }
+      return block.timestamp;
+    } catch (error) {
+      logger.warn(`⚠️ Could not read timestamp of block ${blockNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Report a collateral token transfer into a vault as AddCollateral when its transaction called addCollateral
+   * @param {string} vaultAddress - Vault address
+   * @param {Object} log - Transfer log
+   * @returns {Promise<boolean>} - Whether an AddCollateral event was emitted
+   */
+  async handleCollateralTransfer(vaultAddress, log) {
+    try {
+      const call = await this.decodeVaultCall(vaultAddress, log.transactionHash);
+      if (call?.name !== 'addCollateral') return false;
+
+      await this.handleLoanEvent('AddCollateral', vaultAddress, log, {
+        who: call.from,
+        amount: call.args.amount.toString()
+      });
+      return true;
+    } catch (error) {
+      logger.error(`Error checking collateral transfer ${log.transactionHash}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Emit 'floorUpdated' ({ vaultAddress, floorPrice, floorCapacity, blockNumber, blockHash, transactionHash,
+   * logIndex, blockTimestamp }) for BaseVault floor moves. These are not loan events and are not stored with them.
+   * @param {string} vaultAddress - Vault address
+   * @param {Object} log - FloorUpdated log
+   */
+  async handleFloorUpdated(vaultAddress, log) {
+    try {
+      const parsed = VAULT_INTERFACE.parseLog(log);
+      this.emit('floorUpdated', {
+        vaultAddress,
+        floorPrice: parsed.args.floorPrice.toString(),
+        floorCapacity: parsed.args.floorCapacity.toString(),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        blockTimestamp: await this.getBlockTimestamp(log.blockNumber)
+      });
+    } catch (error) {
+      logger.error(`Error handling FloorUpdated event on vault ${vaultAddress}:`, error.message);
+    }
+  }
+
+  getCursorName(vaultAddress) {
+    return `vault:${vaultAddress.toLowerCase()}`;
+  }
+
+  /**
+   * Backfill every vault from its saved cursor to the confirmed head
+   */
+  async backfill() {
+    const headBlock = await this.getSafeBlock();
+    const ranges = [];
+
+    for (const [vaultAddress, contract] of this.vaultContracts) {
+      const cursor = this.cursorStore ? this.cursorStore.get(this.getCursorName(vaultAddress)) : null;
+
+      if (cursor === null) {
+        // First time we see this vault, start tracking from the head
+        this.advanceCursor(vaultAddress, headBlock);
+      } else if (cursor < headBlock) {
+        ranges.push({ vaultAddress, contract, fromBlock: cursor + 1 });
+      }
+    }
+
+    this.lastObservedHead = headBlock;
+
+    if (ranges.length === 0) {
+      this.backfillStatus = { state: 'complete', vaults: 0, percent: 100, finishedAt: Date.now() };
+      return;
+    }
+
+    const startBlock = Math.min(...ranges.map(r => r.fromBlock));
+    const totalBlocks = ranges.reduce((sum, r) => sum + (headBlock - r.fromBlock + 1), 0);
+    let scannedBlocks = 0;
+
+    this.backfillStatus = {
+      state: 'running',
+      vaults: ranges.length,
+      fromBlock: startBlock,
+      toBlock: headBlock,
+      percent: 0,
+      startedAt: Date.now(),
+      finishedAt: null
+    };
+
+    logger.info(`⏪ Backfilling loan events for ${ranges.length} vaults from block ${startBlock} to ${headBlock}...`);
+
+    try {
+      for (const { vaultAddress, contract, fromBlock } of ranges) {
+        for (let startChunk = fromBlock; startChunk <= headBlock; startChunk += this.backfillChunkSize) {
+          const endChunk = Math.min(startChunk + this.backfillChunkSize - 1, headBlock);
+          await this.scanVaultRange(vaultAddress, contract, startChunk, endChunk);
+          this.advanceCursor(vaultAddress, endChunk);
+
+          scannedBlocks += endChunk - startChunk + 1;
+          this.backfillStatus.percent = Math.round((scannedBlocks / totalBlocks) * 1000) / 10;
+        }
+      }
+
+      this.backfillStatus.state = 'complete';
+      this.backfillStatus.percent = 100;
+      this.backfillStatus.finishedAt = Date.now();
+      logger.info(`✅ Loan backfill complete, caught up to block ${headBlock}`);
+    } catch (error) {
+      this.backfillStatus.state = 'failed';
+      this.backfillStatus.error = error.message;
+      this.backfillStatus.finishedAt = Date.now();
+      logger.error('Loan backfill failed, continuing in live mode:', error.message);
+    }
+  }
+
+  getBackfillStatus() {
+    const cursors = {};
+    if (this.cursorStore) {
+      for (const vaultAddress of this.vaultContracts.keys()) {
+        cursors[vaultAddress] = this.cursorStore.get(this.getCursorName(vaultAddress));
+      }
+    }
+
+    return { ...this.backfillStatus, cursors };
+  }
+
+  getHealth(stallMs) {
+    return { ...monitorHealth(this, stallMs), vaults: this.vaultContracts.size };
+  }
+
+  advanceCursor(vaultAddress, blockNumber) {
+    if (this.cursorStore) {
+      this.cursorStore.advance(this.getCursorName(vaultAddress), blockNumber);
+    }
+  }
+
+  // Scan every vault from its cursor up to the confirmed head
+  async pollEvents() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      // Only scan blocks that are buried under enough confirmations
+      const headBlock = await this.getSafeBlock();
+
+      for (const [vaultAddress, contract] of this.vaultContracts) {
+        const cursor = this.cursorStore ? this.cursorStore.get(this.getCursorName(vaultAddress)) : null;
+        const fromBlock = cursor !== null ? cursor + 1 : (this.lastObservedHead ?? headBlock) + 1;
+
+        for (let startChunk = fromBlock; startChunk <= headBlock; startChunk += this.backfillChunkSize) {
+          const endChunk = Math.min(startChunk + this.backfillChunkSize - 1, headBlock);
+          await this.scanVaultRange(vaultAddress, contract, startChunk, endChunk);
+          this.advanceCursor(vaultAddress, endChunk);
+        }
+      }
+
+      this.lastObservedHead = headBlock;
+      this.lastBlockUpdateTime = Date.now();
+    } catch (error) {
+      logger.error('Error polling loan events:', error.message);
+    } finally {
+      this.isPolling = false;
     }
   }
 
   async stop() {
     if (!this.isRunning) return;
 
-    await this.removeListeners();
+    if (this.cursorInterval) {
+      clearInterval(this.cursorInterval);
+      this.cursorInterval = null;
+    }
+
     this.isRunning = false;
-    console.log('LoanMonitor stopped');
+    logger.info('LoanMonitor stopped');
+  }
+
+  /**
+   * Emit the loan events of the block that replaced a reorged one, once the orphaned block's events are retracted.
+   * Vaults that have not been scanned up to the block yet pick it up when they are next polled.
+   * @param {number} blockNumber - Height of the reorged block
+   */
+  async rescanBlock(blockNumber) {
+    for (const [vaultAddress, contract] of this.vaultContracts) {
+      const scannedTo = this.cursorStore ? this.cursorStore.get(this.getCursorName(vaultAddress)) : this.lastObservedHead;
+      if (scannedTo === null || scannedTo < blockNumber) continue;
+
+      try {
+        await this.scanVaultRange(vaultAddress, contract, blockNumber, blockNumber);
+      } catch (error) {
+        logger.error(`Error re-scanning block ${blockNumber} of vault ${vaultAddress}:`, error.message);
+      }
+    }
   }
 
   /**
@@ -160,12 +477,13 @@ export class LoanMonitor extends EventEmitter {
    * @param {number} hoursBack - How many hours to scan back
    */
   async scanHistoricalBlocks(hoursBack = 24) {
-    const currentBlock = await this.provider.getBlockNumber();
+    // Stop short of the unconfirmed tip, polling picks those blocks up once they are safe
+    const currentBlock = await this.getSafeBlock();
     const blocksBack = Math.floor((hoursBack * 60 * 60) / 1); // Assuming 1 second per block
     const fromBlock = Math.max(0, currentBlock - blocksBack);
 
-    console.log(`\n📚 Scanning ${hoursBack} hours of loan events (blocks ${fromBlock} to ${currentBlock})...`);
-    console.log(`   Estimated ${blocksBack} blocks to scan across ${this.vaultContracts.size} vaults`);
+    logger.info(`📚 Scanning ${hoursBack} hours of loan events (blocks ${fromBlock} to ${currentBlock})...`);
+    logger.info(`   Estimated ${blocksBack} blocks to scan across ${this.vaultContracts.size} vaults`);
 
     let totalEvents = 0;
     const maxBlockRange = 1000; // RPC provider limit
@@ -175,70 +493,90 @@ export class LoanMonitor extends EventEmitter {
       const endBlock = Math.min(startBlock + maxBlockRange - 1, currentBlock);
       const progress = Math.round(((startBlock - fromBlock) / blocksBack) * 100);
 
-      console.log(`   Progress: ${progress}% - Scanning blocks ${startBlock} to ${endBlock}...`);
+      logger.info(`   Progress: ${progress}% - Scanning blocks ${startBlock} to ${endBlock}...`);
 
       for (const [vaultAddress, contract] of this.vaultContracts) {
         try {
-          // Create filters for each event type
-          const borrowFilter = contract.filters.Borrow();
-          const paybackFilter = contract.filters.Payback();
-          const rollLoanFilter = contract.filters.RollLoan();
-          const defaultLoansFilter = contract.filters.DefaultLoans();
-
-          // Query all event types in parallel for this chunk
-          const [borrowEvents, paybackEvents, rollLoanEvents, defaultLoansEvents] = await Promise.all([
-            contract.queryFilter(borrowFilter, startBlock, endBlock),
-            contract.queryFilter(paybackFilter, startBlock, endBlock),
-            contract.queryFilter(rollLoanFilter, startBlock, endBlock),
-            contract.queryFilter(defaultLoansFilter, startBlock, endBlock)
-          ]);
-
-          // Process Borrow events
-          for (const event of borrowEvents) {
-            const parsedLog = event.args;
-            await this.handleLoanEvent('Borrow', vaultAddress, { log: event }, {
-              who: parsedLog.who,
-              borrowAmount: parsedLog.borrowAmount.toString(),
-              duration: parsedLog.duration.toString()
-            });
-            totalEvents++;
-          }
-
-          // Process Payback events
-          for (const event of paybackEvents) {
-            const parsedLog = event.args;
-            await this.handleLoanEvent('Payback', vaultAddress, { log: event }, {
-              who: parsedLog.who
-            });
-            totalEvents++;
-          }
-
-          // Process RollLoan events
-          for (const event of rollLoanEvents) {
-            const parsedLog = event.args;
-            await this.handleLoanEvent('RollLoan', vaultAddress, { log: event }, {
-              who: parsedLog.who
-            });
-            totalEvents++;
-          }
-
-          // Process DefaultLoans events
-          for (const event of defaultLoansEvents) {
-            await this.handleLoanEvent('DefaultLoans', vaultAddress, { log: event }, {});
-            totalEvents++;
-          }
-
-          const chunkTotal = borrowEvents.length + paybackEvents.length + rollLoanEvents.length + defaultLoansEvents.length;
-          if (chunkTotal > 0) {
-            console.log(`      Vault ${vaultAddress.substring(0, 8)}...: Found ${chunkTotal} events (Borrow: ${borrowEvents.length}, Payback: ${paybackEvents.length}, Roll: ${rollLoanEvents.length}, Default: ${defaultLoansEvents.length})`);
-          }
+          totalEvents += await this.scanVaultRange(vaultAddress, contract, startBlock, endBlock);
         } catch (error) {
-          console.error(`   Error scanning vault ${vaultAddress}:`, error.message);
+          logger.error(`   Error scanning vault ${vaultAddress}:`, error.message);
         }
       }
     }
 
-    console.log(`✅ Historical loan scan complete! Total events found: ${totalEvents}`);
+    logger.info(`✅ Historical loan scan complete! Total events found: ${totalEvents}`);
     return totalEvents;
   }
+
+  /**
+   * Query and emit all loan events of one vault in a block range, in chain order
+   * @param {string} vaultAddress - Vault address
+   * @param {ethers.Contract} contract - Vault contract
+   * @param {number} startBlock - First block (inclusive)
+   * @param {number} endBlock - Last block (inclusive)
+   * @returns {number} Number of events found
+   */
+  async scanVaultRange(vaultAddress, contract, startBlock, endBlock) {
+    const token = this.collateralTokens.get(vaultAddress.toLowerCase());
+
+    // Query all event types in parallel for this chunk
+    const [eventsByName, deposits, floorUpdates] = await Promise.all([
+      Promise.all(VAULT_EVENT_NAMES.map(name => contract.queryFilter(contract.filters[name](), startBlock, endBlock))),
+      token ? token.queryFilter(token.filters.Transfer(null, vaultAddress), startBlock, endBlock) : [],
+      contract.queryFilter(contract.filters.FloorUpdated(), startBlock, endBlock)
+    ]);
+
+    const events = VAULT_EVENT_NAMES.flatMap((name, i) => eventsByName[i].map(event => ({ name, event })));
+
+    // Borrow and Payback also move collateral, only deposits from other transactions can be addCollateral
+    const loanTxs = new Set(events.map(({ event }) => event.transactionHash));
+    const candidates = deposits.filter(log => !loanTxs.has(log.transactionHash));
+
+    const counts = Object.fromEntries(VAULT_EVENT_NAMES.map(name => [name, 0]));
+    counts.AddCollateral = 0;
+    counts.FloorUpdated = 0;
+
+    // Positions are replayed from these, so emit them in block / log order
+    const queue = [
+      ...events,
+      ...candidates.map(event => ({ name: 'AddCollateral', event })),
+      ...floorUpdates.map(event => ({ name: 'FloorUpdated', event }))
+    ].sort((a, b) => (a.event.blockNumber - b.event.blockNumber) || (a.event.index - b.event.index));
+
+    for (const { name, event } of queue) {
+      if (name === 'AddCollateral') {
+        if (await this.handleCollateralTransfer(vaultAddress, event)) counts.AddCollateral++;
+        continue;
+      }
+
+      if (name === 'FloorUpdated') {
+        await this.handleFloorUpdated(vaultAddress, event);
+        counts.FloorUpdated++;
+        continue;
+      }
+
+      const parsedLog = event.args;
+      let args = {};
+      if (name === 'Borrow') {
+        args = {
+          who: parsedLog.who,
+          borrowAmount: parsedLog.borrowAmount.toString(),
+          duration: parsedLog.duration.toString()
+        };
+      } else if (name === 'Payback' || name === 'RollLoan') {
+        args = { who: parsedLog.who };
+      }
+
+      await this.handleLoanEvent(name, vaultAddress, { log: event }, args);
+      counts[name]++;
+    }
+
+    const chunkTotal = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (chunkTotal > 0) {
+      const breakdown = Object.entries(counts).filter(([, count]) => count > 0).map(([name, count]) => `${name}: ${count}`).join(', ');
+      logger.info(`      Vault ${vaultAddress.substring(0, 8)}...: Found ${chunkTotal} events (${breakdown})`);
+    }
+
+    return chunkTotal;
+  }
 }
@@ -1,5 +1,9 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { createStorageAdapter } from './storage-adapter.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('loans');
 
 // Helper function to convert BigInt to string in nested objects
 function bigIntReplacer(key, value) {
@@ -26,22 +30,41 @@ function bigIntReviver(key, value) {
  * {
  *   id: string, // Unique identifier: transactionHash-logIndex
  *   vaultAddress: string,
- *   eventName: string, // 'Borrow', 'Payback', 'RollLoan', 'DefaultLoans'
+ *   eventName: string, // 'Borrow', 'Payback', 'RollLoan', 'DefaultLoans', 'Shift', 'Slide', 'AddCollateral'
  *   blockNumber: number,
  *   blockHash: string,
  *   transactionHash: string,
  *   transactionIndex: number,
  *   logIndex: number,
  *   args: object, // Event-specific arguments
+ *   blockTimestamp: number, // Block time in seconds
  *   timestamp: number, // Event timestamp
+ *   chainId: number, // Chain the vault is on
  *   storedAt: number // When it was stored in our system
  * }
  */
 export class LoanStorage {
-  constructor(filePath, vaultMetadata = []) {
+  constructor(filePath, vaultMetadata = [], options = {}) {
     this.filePath = filePath;
-    this.loans = [];
     this.isInitialized = false;
+    this.chainId = options.chainId ?? null;
+
+    // Storage backend: 'json' rewrites loans-history.json, 'log' appends to loans-history.log
+    this.adapter = createStorageAdapter(options.backend, {
+      loans: { file: filePath }
+    }, { reviver: bigIntReviver, replacer: bigIntReplacer });
+    this.collection = this.adapter.collection('loans', {
+      defaults: { chainId: this.chainId },
+      getId: loan => loan.id || this.generateLoanId(loan),
+      indexes: {
+        vault: loan => loan.vaultAddress,
+        user: loan => loan.args?.who,
+        tx: loan => loan.transactionHash,
+        block: loan => loan.blockNumber,
+        blockHash: loan => loan.blockHash,
+        type: loan => loan.eventName
+      }
+    });
 
     // Build vault metadata map for quick lookups
     this.vaultMetadata = new Map();
@@ -50,27 +73,19 @@ export class LoanStorage {
     }
   }
 
+  get loans() {
+    return this.collection.all();
+  }
+
   async initialize() {
     try {
       await fs.mkdir(path.dirname(this.filePath), { recursive: true });
-
-      try {
-        const data = await fs.readFile(this.filePath, 'utf-8');
-        this.loans = JSON.parse(data, bigIntReviver);
-        console.log(`Loaded ${this.loans.length} loan events from storage`);
-      } catch (error) {
-        if (error.code === 'ENOENT') {
-          this.loans = [];
-          await this.save();
-          console.log('Created new loan storage file');
-        } else {
-          throw error;
-        }
-      }
+      await this.adapter.open();
+      logger.info(`Loaded ${this.collection.size} loan events from storage (${this.adapter.backend} backend)`);
 
       this.isInitialized = true;
     } catch (error) {
-      console.error('Failed to initialize loan storage:', error);
+      logger.error('Failed to initialize loan storage:', error);
       throw error;
     }
   }
@@ -83,33 +98,38 @@ export class LoanStorage {
     const loanId = this.generateLoanId(loanEvent);
 
     // Check if loan event already exists
-    const existingLoan = this.loans.find(l => l.id === loanId);
+    const existingLoan = this.collection.get(loanId);
     if (existingLoan) {
-      console.log(`Loan event ${loanId} already exists in storage, skipping`);
+      logger.info(`Loan event ${loanId} already exists in storage, skipping`);
       return existingLoan;
     }
 
     const loanWithId = {
       ...loanEvent,
+      chainId: this.chainId,
       id: loanId,
       storedAt: Date.now()
     };
 
-    this.loans.push(loanWithId);
-    await this.save();
+    await this.collection.put(loanWithId);
 
     return loanWithId;
   }
 
   async save() {
     try {
-      await fs.writeFile(this.filePath, JSON.stringify(this.loans, bigIntReplacer, 2));
+      await this.collection.replaceAll(this.collection.all());
     } catch (error) {
-      console.error('Failed to save loan events:', error);
+      logger.error('Failed to save loan events:', error);
       throw error;
     }
   }
 
+  // Metadata for a vault discovered after startup
+  addVaultMetadata(vault) {
+    this.vaultMetadata.set(vault.address.toLowerCase(), vault);
+  }
+
   generateLoanId(loanEvent) {
     return `${loanEvent.transactionHash}-${loanEvent.logIndex}`;
   }
@@ -140,35 +160,27 @@ export class LoanStorage {
   }
 
   getLoansByVault(vaultAddress) {
-    return this.loans
-      .filter(loan =>
-        loan.vaultAddress.toLowerCase() === vaultAddress.toLowerCase()
-      )
+    return this.collection.find('vault', vaultAddress)
       .map(l => this.enrichLoanWithVaultInfo(l));
   }
 
   getLoansByUser(userAddress) {
-    return this.loans
-      .filter(loan =>
-        loan.args.who && loan.args.who.toLowerCase() === userAddress.toLowerCase()
-      )
+    return this.collection.find('user', userAddress)
       .map(l => this.enrichLoanWithVaultInfo(l));
   }
 
   getLoansByTransactionHash(txHash) {
-    return this.loans
-      .filter(loan => loan.transactionHash === txHash)
+    return this.collection.find('tx', txHash)
       .map(l => this.enrichLoanWithVaultInfo(l));
   }
 
   getLoansByType(eventName) {
-    return this.loans
-      .filter(loan => loan.eventName === eventName)
+    return this.collection.find('type', eventName)
       .map(l => this.enrichLoanWithVaultInfo(l));
   }
 
   getLoanCount() {
-    return this.loans.length;
+    return this.collection.size;
   }
 
   getLatestLoans(limit = 100) {
@@ -242,39 +254,40 @@ export class LoanStorage {
     };
   }
 
+  /**
+   * Remove every loan event that came from a block that is no longer canonical
+   * @param {string} blockHash - Hash of the orphaned block
+   * @returns {Array} - The removed loan events
+   */
+  async removeLoansByBlockHash(blockHash) {
+    const orphaned = this.collection.find('blockHash', blockHash);
+    if (orphaned.length === 0) return [];
+
+    const removed = await this.collection.remove(orphaned.map(loan => loan.id));
+    logger.info(`Removed ${removed.length} loan events from orphaned block ${blockHash}`);
+
+    return removed;
+  }
+
   async clearOldLoans(daysToKeep = 90) {
     const cutoffTime = Date.now() - (daysToKeep * 24 * 60 * 60 * 1000);
-    const originalCount = this.loans.length;
+    const originalCount = this.collection.size;
+    const keptLoans = this.loans.filter(loan => loan.timestamp >= cutoffTime);
 
-    this.loans = this.loans.filter(loan => loan.timestamp >= cutoffTime);
-
-    if (this.loans.length < originalCount) {
-      await this.save();
-      console.log(`Cleared ${originalCount - this.loans.length} old loan events`);
+    if (keptLoans.length < originalCount) {
+      await this.collection.replaceAll(keptLoans);
+      logger.info(`Cleared ${originalCount - keptLoans.length} old loan events`);
     }
   }
 
   async removeDuplicates() {
-    const originalCount = this.loans.length;
-    const seenIds = new Set();
-    const uniqueLoans = [];
-
-    for (const loan of this.loans) {
-      const id = loan.id || this.generateLoanId(loan);
-      if (!seenIds.has(id)) {
-        seenIds.add(id);
-        uniqueLoans.push({ ...loan, id });
-      } else {
-        console.log(`Removing duplicate loan event: ${id}`);
-      }
-    }
-
-    this.loans = uniqueLoans;
-    const removedCount = originalCount - this.loans.length;
+    // Duplicate ids are dropped while loading; rewrite the file so they are gone for good
+    const removedCount = this.collection.duplicatesOnLoad;
 
     if (removedCount > 0) {
       await this.save();
-      console.log(`Removed ${removedCount} duplicate loan events from storage`);
+      this.collection.duplicatesOnLoad = 0;
+      logger.info(`Removed ${removedCount} duplicate loan events from storage`);
     }
 
     return removedCount;
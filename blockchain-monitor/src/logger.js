@@ -0,0 +1,210 @@
+import util from 'util';
+
+/**
+ * Structured logging shared by the blockchain monitor and the OHLC service
+ *
+ * Every module creates a logger for its component (`createLogger('loans')`) and logs with
+ * `log.info(message, ...args)`. Extra arguments work like console.log: plain objects become fields
+ * of the record, errors become `error` (and `stack`), anything else is appended to the message.
+ *
+ * Settings are read from the environment on first use, or passed to `configureLogging()`:
+ * - LOG_LEVEL: debug, info (default), warn, error or silent
+ * - LOG_LEVELS: per-component overrides, e.g. `ws=debug,cache=warn`
+ * - LOG_FORMAT: `json` (one object per line, the default when NODE_ENV=production) or `pretty`
+ *
+ * Signatures, session tokens, API keys and bearer tokens are redacted from messages and fields.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never written
+const SENSITIVE_KEYS = new Set([
+  'signature', 'sessiontoken', 'token', 'accesstoken', 'authorization', 'apikey', 'adminapikey',
+  'x-admin-key', 'password', 'secret', 'privatekey', 'mnemonic'
+]);
+
+const SENSITIVE_PATTERNS = [
+  /0x[0-9a-fA-F]{130}\b/g, // 65-byte ECDSA signatures
+  /\b(Bearer\s+)[\w.~+/=-]+/gi
+];
+
+// Nested fields below this depth are summarized instead of walked
+const MAX_DEPTH = 6;
+
+let config = null;
+
+function parseLevel(value, fallback) {
+  const level = String(value || '').trim().toLowerCase();
+  return level in LEVELS ? level : fallback;
+}
+
+/**
+ * Set the log level, per-component overrides and output format
+ * @param {Object} options - { level, levels: { [component]: level } | 'ws=debug,...', format, debug }
+ *   `debug: true` (the --debug flag) lowers the default level to debug
+ */
+export function configureLogging(options = {}) {
+  const env = options.env || process.env;
+  const level = parseLevel(options.level ?? env.LOG_LEVEL, options.debug ? 'debug' : 'info');
+
+  const levels = {};
+  const overrides = options.levels ?? env.LOG_LEVELS ?? '';
+  const entries = typeof overrides === 'string'
+    ? overrides.split(',').map(entry => entry.split('='))
+    : Object.entries(overrides);
+  for (const [component, componentLevel] of entries) {
+    const parsed = parseLevel(componentLevel, null);
+    if (component && parsed) {
+      levels[component.trim()] = parsed;
+    }
+  }
+
+  const format = options.format ?? env.LOG_FORMAT ?? (env.NODE_ENV === 'production' ? 'json' : 'pretty');
+
+  config = { level, levels, format: format === 'json' ? 'json' : 'pretty' };
+  return config;
+}
+
+function getConfig() {
+  return config || configureLogging();
+}
+
+export function redactString(value) {
+  return SENSITIVE_PATTERNS.reduce((result, pattern) => result.replace(pattern, (match, prefix) => (
+    typeof prefix === 'string' ? `${prefix}${REDACTED}` : REDACTED
+  )), value);
+}
+
+/**
+ * Copy a value for output with sensitive fields and strings masked
+ * @param {*} value - Any value; BigInts become strings and errors { message, code, stack }
+ */
+export function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (value === null || typeof value !== 'object') return value;
+
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+  seen.add(value);
+
+  let result;
+  if (value instanceof Error) {
+    result = { message: redactString(value.message), ...(value.code !== undefined && { code: value.code }) };
+    if (value.stack) result.stack = redactString(value.stack);
+  } else if (value instanceof Map) {
+    result = redact(Object.fromEntries(value), depth, seen);
+  } else if (value instanceof Set) {
+    result = redact([...value], depth, seen);
+  } else if (Array.isArray(value)) {
+    result = value.map(item => redact(item, depth + 1, seen));
+  } else {
+    result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = SENSITIVE_KEYS.has(key.toLowerCase()) && item ? REDACTED : redact(item, depth + 1, seen);
+    }
+  }
+
+  seen.delete(value);
+  return result;
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+// Split console.log-style arguments into a message and fields
+function toRecord(message, args) {
+  const parts = [typeof message === 'string' ? message : util.inspect(message, { depth: 3, breakLength: Infinity })];
+  const fields = {};
+
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      const error = redact(arg);
+      fields.error = error.message;
+      if (error.code !== undefined) fields.code = error.code;
+      if (error.stack) fields.stack = error.stack;
+    } else if (isPlainObject(arg)) {
+      Object.assign(fields, arg);
+    } else if (typeof arg === 'string') {
+      parts.push(arg);
+    } else {
+      parts.push(util.inspect(arg, { depth: 3, breakLength: Infinity }));
+    }
+  }
+
+  return { msg: redactString(parts.join(' ')), fields: redact(fields) };
+}
+
+function write(level, component, message, args) {
+  const { format } = getConfig();
+  const { msg, fields } = toRecord(message, args);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (format === 'json') {
+    const record = { time: new Date().toISOString(), level, component, msg };
+    for (const [key, value] of Object.entries(fields)) {
+      if (!(key in record)) record[key] = value;
+    }
+
+    let line;
+    try {
+      line = JSON.stringify(record);
+    } catch (error) {
+      line = JSON.stringify({ time: record.time, level, component, msg, fields: util.inspect(fields) });
+    }
+    stream.write(`${line}\n`);
+    return;
+  }
+
+  const { stack, ...rest } = fields;
+  const time = new Date().toISOString().slice(11, 23);
+  const details = Object.keys(rest).length > 0
+    ? ` ${util.inspect(rest, { depth: 4, breakLength: Infinity, colors: stream.isTTY === true })}`
+    : '';
+  stream.write(`${time} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}${details}\n`);
+  if (stack && level === 'error') {
+    stream.write(`${stack}\n`);
+  }
+}
+
+export class Logger {
+  constructor(component) {
+    this.component = component;
+  }
+
+  isLevelEnabled(level) {
+    const { level: defaultLevel, levels } = getConfig();
+    return LEVELS[level] >= LEVELS[levels[this.component] || defaultLevel];
+  }
+
+  log(level, message, ...args) {
+    if (this.isLevelEnabled(level)) {
+      write(level, this.component, message, args);
+    }
+  }
+
+  debug(message, ...args) {
+    this.log('debug', message, ...args);
+  }
+
+  info(message, ...args) {
+    this.log('info', message, ...args);
+  }
+
+  warn(message, ...args) {
+    this.log('warn', message, ...args);
+  }
+
+  error(message, ...args) {
+    this.log('error', message, ...args);
+  }
+}
+
+export function createLogger(component) {
+  return new Logger(component);
+}
@@ -2,41 +2,114 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
+import { createStorageAdapter } from './storage-adapter.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('ws');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Room name of the global trollbox channel in retention policies and indexes
+export const GLOBAL_ROOM = 'global';
+
+// Room IDs clients cannot join or read as rooms, since they would share the global channel's history
+const RESERVED_ROOM_IDS = [GLOBAL_ROOM];
+
+export function isReservedRoomId(roomId) {
+  return RESERVED_ROOM_IDS.includes(String(roomId).trim().toLowerCase());
+}
+
+const MAX_PAGE_SIZE = 100;
+const MAX_EDIT_HISTORY = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * MessageStore - Chat history of the global trollbox channel and every room
+ *
+ * Messages are kept in one collection indexed by room (`room` is null for the global channel).
+ * It always uses the append-only log backend, so sending a message appends a line to
+ * data/chat-messages.log instead of rewriting the history. A data/messages.json left by older
+ * versions is imported into the global channel on first start.
+ *
+ * Messages can be edited (previous versions are kept in `edits`), deleted (the message stays as a
+ * tombstone with `deleted: true` and no content, so replies and page cursors still resolve) and
+ * reacted to (`reactions: { emoji: [addresses] }`). Retention removes messages for good.
+ *
+ * Retention is applied per room: `{ maxMessages, maxAgeDays }` from `retention.rooms`, matched by
+ * room ID, by a `prefix*` pattern (e.g. `stream:*`) or `global`, falling back to the defaults.
+ */
 export class MessageStore {
-  constructor(filePath) {
-    this.filePath = filePath || path.join(__dirname, '..', '..', 'data', 'messages.json');
-    this.messages = [];
-    this.maxMessages = 1000;
+  constructor(filePath, options = {}) {
+    this.legacyPath = filePath || path.join(__dirname, '..', '..', 'data', 'messages.json');
+    this.chatPath = path.join(path.dirname(this.legacyPath), 'chat-messages.json');
+
+    const retention = options.retention || {};
+    this.maxMessages = retention.maxMessages || 1000;
+    this.maxAgeDays = retention.maxAgeDays || 0; // 0 keeps messages regardless of age
+    this.roomRetention = retention.rooms || {};
+    this.editWindowMs = (options.editWindowMinutes ?? 15) * 60 * 1000;
+
+    this.adapter = createStorageAdapter('log', {
+      messages: { file: this.chatPath }
+    });
+    this.messages = this.adapter.collection('messages', {
+      indexes: {
+        room: message => message.room || GLOBAL_ROOM
+      }
+    });
   }
 
   async initialize() {
-    try {
-      const data = await fs.readFile(this.filePath, 'utf-8');
-      this.messages = JSON.parse(data).messages || [];
-      console.log(`Loaded ${this.messages.length} messages from storage`);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        this.messages = [];
-        await this.save();
-        console.log('Created new messages file');
-      } else {
-        throw error;
-      }
+    await fs.mkdir(path.dirname(this.chatPath), { recursive: true });
+    await this.adapter.open();
+
+    if (this.messages.size === 0) {
+      await this.importLegacyMessages();
     }
+
+    logger.info(`Loaded ${this.messages.size} chat messages from storage`);
   }
 
-  async save() {
+  // One-time import of the global channel from the old messages.json
+  async importLegacyMessages() {
+    let legacy;
     try {
-      await fs.writeFile(this.filePath, JSON.stringify({ messages: this.messages }, null, 2));
+      legacy = JSON.parse(await fs.readFile(this.legacyPath, 'utf-8')).messages || [];
     } catch (error) {
-      console.error('Failed to save messages:', error);
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    if (legacy.length > 0) {
+      await this.messages.replaceAll(legacy.map(message => ({ ...message, room: null })));
+      logger.info(`Imported ${legacy.length} messages from ${this.legacyPath}`);
     }
   }
 
-  async addMessage(username, address, content, replyTo = null) {
+  /**
+   * Retention policy of a room
+   * @param {string|null} room - Room ID, null for the global channel
+   * @returns {Object} - { maxMessages, maxAgeDays }
+   */
+  getRetention(room) {
+    const roomId = room || GLOBAL_ROOM;
+    let policy = this.roomRetention[roomId];
+
+    if (!policy) {
+      const pattern = Object.keys(this.roomRetention)
+        .filter(key => key.endsWith('*') && roomId.startsWith(key.slice(0, -1)))
+        .sort((a, b) => b.length - a.length)[0];
+      policy = pattern ? this.roomRetention[pattern] : {};
+    }
+
+    return {
+      maxMessages: policy.maxMessages ?? this.maxMessages,
+      maxAgeDays: policy.maxAgeDays ?? this.maxAgeDays
+    };
+  }
+
+  // `fields` are stored with the message as they are, e.g. { mentions }
+  async addMessage(username, address, content, replyTo = null, room = null, fields = {}) {
     const message = {
       id: uuidv4(),
       username,
@@ -44,29 +117,158 @@ export class MessageStore {
       content,
       timestamp: Date.now(),
       verified: true,
-      replyTo
+      replyTo,
+      room,
+      ...fields
     };
 
-    this.messages.push(message);
-    
-    // Keep only the latest messages
-    if (this.messages.length > this.maxMessages) {
-      this.messages = this.messages.slice(-this.maxMessages);
+    await this.messages.put(message);
+
+    // Keep only the latest messages of the room
+    const { maxMessages } = this.getRetention(room);
+    const roomMessages = this.getRoomMessages(room);
+    if (roomMessages.length > maxMessages) {
+      await this.messages.remove(roomMessages.slice(0, roomMessages.length - maxMessages).map(old => old.id));
     }
 
-    await this.save();
     return message;
   }
 
+  // Messages of a room, oldest first
+  getRoomMessages(room) {
+    return this.messages.find('room', room || GLOBAL_ROOM);
+  }
+
+  /**
+   * A page of a room's history, oldest first
+   * @param {string|null} room - Room ID, null for the global channel
+   * @param {Object} options - { before, after, limit }: `before`/`after` are message IDs; without
+   *   either, the latest messages
+   * @returns {Object|null} - { messages, hasMore }, hasMore telling whether the page stopped short of
+   *   the oldest (or, with `after`, the newest) message; null if the cursor message is not in the room
+   */
+  getMessages(room, { before, after, limit = 50 } = {}) {
+    const roomMessages = this.getRoomMessages(room);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+
+    if (after) {
+      const position = roomMessages.findIndex(message => message.id === after);
+      if (position === -1) return null;
+      const messages = roomMessages.slice(position + 1, position + 1 + pageSize);
+      return { messages, hasMore: position + 1 + pageSize < roomMessages.length };
+    }
+
+    let end = roomMessages.length;
+    if (before) {
+      end = roomMessages.findIndex(message => message.id === before);
+      if (end === -1) return null;
+    }
+    const start = Math.max(end - pageSize, 0);
+    return { messages: roomMessages.slice(start, end), hasMore: start > 0 };
+  }
+
   getRecentMessages(limit = 50) {
-    return this.messages.slice(-limit);
+    return this.getRoomMessages(null).slice(-limit);
   }
 
   getAllMessages() {
-    return [...this.messages];
+    return [...this.getRoomMessages(null)];
   }
 
   getMessageById(id) {
-    return this.messages.find(msg => msg.id === id);
+    return this.messages.get(id);
+  }
+
+  // Whether the author may still edit or delete a message
+  isWithinEditWindow(message) {
+    return Date.now() - message.timestamp <= this.editWindowMs;
+  }
+
+  // `fields` replace the ones derived from the old content, e.g. { mentions }
+  async editMessage(id, content, fields = {}) {
+    const message = this.messages.get(id);
+    if (!message || message.deleted) return null;
+
+    const previous = { content: message.content, editedAt: message.editedAt || message.timestamp };
+    return this.messages.put({
+      ...message,
+      ...fields,
+      content,
+      editedAt: Date.now(),
+      edits: [...(message.edits || []), previous].slice(-MAX_EDIT_HISTORY)
+    });
+  }
+
+  /**
+   * Replace a message with a tombstone
+   * @param {string} id - Message ID
+   * @param {string|null} deletedBy - Address of the author or moderator deleting it
+   * @returns {Promise<Object|null>} - The message as it was before, or null if missing or already deleted
+   */
+  async deleteMessage(id, deletedBy = null) {
+    const message = this.messages.get(id);
+    if (!message || message.deleted) return null;
+
+    const { edits, reactions, ...rest } = message;
+    await this.messages.put({
+      ...rest,
+      content: '',
+      deleted: true,
+      deletedAt: Date.now(),
+      deletedBy: deletedBy ? deletedBy.toLowerCase() : null
+    });
+    return message;
+  }
+
+  async addReaction(id, emoji, address) {
+    return this.updateReaction(id, emoji, address.toLowerCase(), true);
+  }
+
+  async removeReaction(id, emoji, address) {
+    return this.updateReaction(id, emoji, address.toLowerCase(), false);
+  }
+
+  // Returns the updated message, or null if nothing changed
+  async updateReaction(id, emoji, address, add) {
+    const message = this.messages.get(id);
+    if (!message || message.deleted) return null;
+
+    const reactors = message.reactions?.[emoji] || [];
+    if (reactors.includes(address) === add) return null;
+
+    const reactions = { ...message.reactions };
+    const updated = add ? [...reactors, address] : reactors.filter(reactor => reactor !== address);
+    if (updated.length > 0) {
+      reactions[emoji] = updated;
+    } else {
+      delete reactions[emoji];
+    }
+
+    return this.messages.put({ ...message, reactions });
+  }
+
+  // Drop a room's whole history, e.g. when a stream ends
+  async clearRoom(room) {
+    const removed = await this.messages.remove(this.getRoomMessages(room).map(message => message.id));
+    return removed.length;
+  }
+
+  // Remove messages older than their room's maxAgeDays
+  async pruneExpired() {
+    const now = Date.now();
+    const expired = this.messages.all().filter(message => {
+      const { maxAgeDays } = this.getRetention(message.room);
+      return maxAgeDays > 0 && now - message.timestamp > maxAgeDays * DAY_MS;
+    });
+
+    if (expired.length > 0) {
+      await this.messages.remove(expired.map(message => message.id));
+      logger.info(`Pruned ${expired.length} expired chat messages`);
+    }
+    return expired.length;
+  }
+
+  async close() {
+    await this.adapter.close();
   }
-}
\ No newline at end of file
+}
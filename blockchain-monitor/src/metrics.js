@@ -0,0 +1,253 @@
+/**
+ * Prometheus metrics shared by the blockchain monitor and the OHLC service
+ *
+ * Counters, gauges and histograms are declared next to the code that updates them (declaring a
+ * name that already exists returns the existing metric). Values that already live elsewhere, like
+ * client counts or block cursors, are read at scrape time by collectors instead of being mirrored.
+ * Every name gets the `noma_` prefix; `render()` returns the text format served on /metrics.
+ */
+
+import { createLogger } from './logger.js';
+
+const logger = createLogger('metrics');
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request latencies in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.values = new Map(); // Map<labelKey, { labels, value }>
+  }
+
+  // Label order does not matter, so the key is built from sorted names
+  entry(labels) {
+    const key = Object.keys(labels).sort().map(name => `${name}=${labels[name]}`).join(',');
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels, value: 0 };
+      this.values.set(key, entry);
+    }
+    return entry;
+  }
+
+  // Forget every label set, e.g. before a collector sets the current ones
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  set(labels, value) {
+    this.entry(labels).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.entry(labels).value -= value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels);
+    if (entry.value === 0) {
+      entry.value = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      entry.value.counts[index]++;
+    }
+    entry.value.sum += value;
+    entry.value.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.values.values()) {
+      // Buckets are cumulative in the exposition format
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += value.counts[index];
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor(prefix = 'noma_') {
+    this.prefix = prefix;
+    this.metrics = new Map();
+    this.collectors = [];
+    this.startedAt = Date.now();
+
+    const uptime = this.gauge('process_uptime_seconds', 'Seconds since the process started');
+    const memory = this.gauge('process_resident_memory_bytes', 'Resident memory size in bytes');
+    this.collect(() => {
+      uptime.set({}, Math.round((Date.now() - this.startedAt) / 1000));
+      memory.set({}, process.memoryUsage().rss);
+    });
+  }
+
+  register(MetricClass, name, help, ...args) {
+    const fullName = `${this.prefix}${name}`;
+    const existing = this.metrics.get(fullName);
+    if (existing) {
+      if (!(existing instanceof MetricClass)) {
+        throw new Error(`Metric ${fullName} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    const metric = new MetricClass(fullName, help, ...args);
+    this.metrics.set(fullName, metric);
+    return metric;
+  }
+
+  counter(name, help) {
+    return this.register(Counter, name, help);
+  }
+
+  gauge(name, help) {
+    return this.register(Gauge, name, help);
+  }
+
+  histogram(name, help, buckets) {
+    return this.register(Histogram, name, help, buckets);
+  }
+
+  /**
+   * Run a function before every scrape, to set gauges from state kept elsewhere
+   * @param {Function} collector - May be async; a collector that throws is skipped for that scrape
+   */
+  collect(collector) {
+    this.collectors.push(collector);
+  }
+
+  async render() {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        logger.error('Collector failed:', error.message);
+      }
+    }
+
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Create singleton instance
+const metrics = new MetricsRegistry();
+
+/**
+ * Type of an outgoing WebSocket message, for per-type counters. Messages are serialized with
+ * `type` as their first key, so it is read without parsing the whole payload.
+ * @param {string} data - Serialized message
+ * @returns {string} - The message type, or 'other'
+ */
+export function messageType(data) {
+  const match = typeof data === 'string' ? /^\{"type":"([\w-]+)"/.exec(data) : null;
+  return match ? match[1] : 'other';
+}
+
+// Chains whose block progress is reported, added by collectBlockProgress
+const blockProgressSources = [];
+
+/**
+ * Report the chain head and each source's last processed block (and the gap between them) on every scrape.
+ * Called once per monitored chain; the series are labelled with the chain ID.
+ * @param {Function} getHeadBlock - Returns the latest known block number, or null/0 if unknown
+ * @param {Function} getCursors - Returns { [source]: blockNumber }
+ * @param {number} chainId - Chain the blocks belong to
+ */
+export function collectBlockProgress(getHeadBlock, getCursors, chainId) {
+  const headBlock = metrics.gauge('head_block', 'Latest block number reported by the RPC endpoints, by chain');
+  const lastProcessedBlock = metrics.gauge('last_processed_block', 'Last fully processed block, by chain and source');
+  const blockLag = metrics.gauge('block_lag', 'Blocks between the chain head and the last processed block, by chain and source');
+
+  blockProgressSources.push({ getHeadBlock, getCursors, chain: String(chainId) });
+  if (blockProgressSources.length > 1) return;
+
+  metrics.collect(() => {
+    headBlock.reset();
+    lastProcessedBlock.reset();
+    blockLag.reset();
+
+    for (const { getHeadBlock, getCursors, chain } of blockProgressSources) {
+      const head = getHeadBlock() || null;
+      if (head !== null) {
+        headBlock.set({ chain }, head);
+      }
+
+      for (const [source, blockNumber] of Object.entries(getCursors())) {
+        lastProcessedBlock.set({ chain, source }, blockNumber);
+        if (head !== null) {
+          blockLag.set({ chain, source }, Math.max(0, head - blockNumber));
+        }
+      }
+    }
+  });
+}
+
+export default metrics;
@@ -0,0 +1,95 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig } from './config.js';
+import { EventStorage } from './event-storage.js';
+import { LoanStorage } from './loan-storage.js';
+import { ModerationStore } from './moderation-store.js';
+import { PresaleStorage } from './presale-storage.js';
+import { ReferralStore } from './referral-store.js';
+import { StakingStorage } from './staking-storage.js';
+import { VaultMetricsSampler } from './vault-metrics.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+/**
+ * One-shot copy of every store from one storage backend to another.
+ *
+ * Usage: node blockchain-monitor/src/migrate-storage.js [--from json] [--to log]
+ *
+ * Run it while the monitor is stopped, then start the monitor with STORAGE_BACKEND=<to>.
+ * Every configured chain's data directory is migrated, then the stores shared by all chains.
+ * The source files are left untouched.
+ */
+
+function parseArgs(argv) {
+  const options = { from: 'json', to: 'log' };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') options.from = argv[++i];
+    else if (argv[i] === '--to') options.to = argv[++i];
+  }
+
+  return options;
+}
+
+async function copyCollections(name, source, target) {
+  for (const [collectionName, collection] of source.adapter.collections) {
+    const destination = target.adapter.collections.get(collectionName);
+    await destination.replaceAll(collection.all());
+    console.log(`   ${name}/${collectionName}: copied ${collection.size} records`);
+  }
+  await target.adapter.close();
+}
+
+async function migrate() {
+  const { from, to } = parseArgs(process.argv.slice(2));
+
+  if (from === to) {
+    throw new Error('--from and --to must be different backends');
+  }
+
+  const config = loadConfig({ service: 'blockchain' });
+
+  console.log(`📦 Migrating storage from "${from}" to "${to}"...`);
+
+  const stores = [];
+  for (const chain of config.chains) {
+    const { dataDir, chainId } = chain;
+    const isPrimary = chain.name === config.chain.name;
+    const historyFilePath = (isPrimary && config.storage.historyFile) || path.join(dataDir, 'events-history.json');
+    // Store names carry the chain so the copy log shows which data directory each line is from
+    const name = store => `${chain.name}/${store}`;
+
+    stores.push(
+      [name('events'), options => new EventStorage(historyFilePath, [], { ...options, chainId })],
+      [name('loans'), options => new LoanStorage(path.join(dataDir, 'loans-history.json'), [], { ...options, chainId })],
+      [name('presales'), options => new PresaleStorage(path.join(dataDir, 'presale-events.json'), [], { ...options, chainId })],
+      [name('staking'), options => new StakingStorage(path.join(dataDir, 'staking-events.json'), [], { ...options, chainId })],
+      [name('vaultMetrics'), options => new VaultMetricsSampler(null, [], { ...options, filePath: path.join(dataDir, 'vault-metrics.json') })]
+    );
+  }
+  stores.push(
+    ['referrals', options => new ReferralStore(options)],
+    ['moderation', options => new ModerationStore(options)]
+  );
+
+  for (const [name, createStore] of stores) {
+    const source = createStore({ backend: from });
+    await source.initialize();
+
+    const target = createStore({ backend: to });
+    await target.initialize();
+
+    await copyCollections(name, source, target);
+  }
+
+  console.log(`✅ Migration complete. Set STORAGE_BACKEND=${to} to use the new storage.`);
+}
+
+migrate().catch(error => {
+  console.error('❌ Storage migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,371 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import { v4 as uuidv4 } from 'uuid';
+import { createStorageAdapter } from './storage-adapter.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('moderation');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Lowest to highest; a role can do everything the roles before it can
+export const ROLES = ['moderator', 'admin'];
+
+const ROLE_ACTIONS = ['grantRole', 'revokeRole'];
+const SIGNED_ACTION_MAX_AGE = 5 * 60 * 1000; // 5 minutes
+const MAX_AUDIT_ENTRIES = 10000;
+
+export class ModerationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ModerationError';
+    this.status = status; // HTTP status for API responses
+  }
+}
+
+/**
+ * Build the message an admin signs to grant or revoke a trollbox role
+ * @param {Object} action - { action: 'grantRole'|'revokeRole', target, role?, timestamp? }
+ * @returns {string} - Message to sign with personal_sign
+ */
+export function createRoleActionMessage({ action, target, role, timestamp = Date.now() }) {
+  const lines = [
+    'Sign this message to perform a Noma Trollbox admin action:',
+    '',
+    `Action: ${action}`,
+    `Target: ${target}`
+  ];
+  if (role) lines.push(`Role: ${role}`);
+  lines.push(`Timestamp: ${timestamp}`);
+  return lines.join('\n');
+}
+
+// Used signatures are remembered by the hash of their normalized form, so the audit log holds no
+// usable signature and a re-encoded copy of one (other `v`, compact form) is still caught as a replay
+function hashSignature(signature) {
+  try {
+    return ethers.keccak256(ethers.Signature.from(signature).serialized);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Audit entry as returned by the API; entries written before signatures were hashed still hold one
+function withoutSignature(entry) {
+  if (!entry.details?.signature) return entry;
+  const { signature, ...details } = entry.details;
+  return { ...entry, details };
+}
+
+function parseRoleActionMessage(message) {
+  const fields = {};
+  for (const line of String(message).split('\n')) {
+    const match = /^(Action|Target|Role|Timestamp): (.+)$/.exec(line.trim());
+    if (match) fields[match[1].toLowerCase()] = match[2].trim();
+  }
+  return fields;
+}
+
+/**
+ * ModerationStore - Trollbox roles, bans, mutes, slowmode and the moderation audit log
+ *
+ * Admins come from two places: ADMIN_ADDRESSES (root admins, fixed by configuration) and
+ * roles granted at runtime with a signed admin action. Only root admins can grant or revoke
+ * the admin role; any admin can manage moderators.
+ *
+ * State is kept in data/moderation.json (roles, bans, mutes and settings sections) and every
+ * moderation action is appended to data/moderation-audit.json. Expired bans and mutes are
+ * ignored on lookup and dropped by cleanupExpired().
+ */
+export class ModerationStore {
+  constructor(options = {}) {
+    this.isInitialized = false;
+    this.rootAdmins = new Set((options.rootAdmins || []).map(address => address.toLowerCase()));
+
+    this.moderationPath = path.join(__dirname, '../../data/moderation.json');
+    this.auditPath = path.join(__dirname, '../../data/moderation-audit.json');
+
+    this.adapter = createStorageAdapter(options.backend, {
+      roles: { file: this.moderationPath, section: 'roles', shape: 'object' },
+      bans: { file: this.moderationPath, section: 'bans', shape: 'object' },
+      mutes: { file: this.moderationPath, section: 'mutes', shape: 'object' },
+      settings: { file: this.moderationPath, section: 'settings', shape: 'object', valueField: 'value' },
+      audit: { file: this.auditPath }
+    });
+
+    this.roles = this.adapter.collection('roles', { idField: 'address' });
+    this.bans = this.adapter.collection('bans', { idField: 'address' });
+    this.mutes = this.adapter.collection('mutes', { idField: 'address' });
+    this.settings = this.adapter.collection('settings', { idField: 'key' });
+    this.audit = this.adapter.collection('audit', {
+      indexes: {
+        target: entry => entry.target,
+        signature: entry => entry.details?.signatureHash ?? (entry.details?.signature ? hashSignature(entry.details.signature) : null)
+      }
+    });
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(path.dirname(this.moderationPath), { recursive: true });
+      await this.adapter.open();
+      this.isInitialized = true;
+
+      logger.info(`ModerationStore initialized (${this.adapter.backend} backend)`);
+      logger.info(`Loaded ${this.roles.size} roles, ${this.bans.size} bans, ${this.mutes.size} mutes and ${this.audit.size} audit entries`);
+    } catch (error) {
+      logger.error('Failed to initialize ModerationStore:', error);
+      throw error;
+    }
+  }
+
+  // ===== Roles =====
+
+  getRole(address) {
+    if (!address) return null;
+    const normalizedAddress = address.toLowerCase();
+    if (this.rootAdmins.has(normalizedAddress)) return 'admin';
+    return this.roles.get(normalizedAddress)?.role || null;
+  }
+
+  // True if the address has `role` or a higher one
+  hasRole(address, role) {
+    return ROLES.indexOf(this.getRole(address)) >= ROLES.indexOf(role);
+  }
+
+  isRootAdmin(address) {
+    return Boolean(address) && this.rootAdmins.has(address.toLowerCase());
+  }
+
+  listRoles() {
+    const roots = [...this.rootAdmins].map(address => ({ address, role: 'admin', source: 'config' }));
+    const granted = this.roles.all()
+      .filter(entry => !this.rootAdmins.has(entry.address))
+      .map(entry => ({ ...entry, source: 'granted' }));
+    return [...roots, ...granted];
+  }
+
+  async grantRole(address, role, by, details = {}) {
+    if (!ROLES.includes(role)) {
+      throw new ModerationError(`Unknown role "${role}" (use ${ROLES.join(' or ')})`);
+    }
+    this.assertCanManageRole(by, role);
+
+    const normalizedAddress = address.toLowerCase();
+    if (this.rootAdmins.has(normalizedAddress)) {
+      throw new ModerationError('Root admins are set by ADMIN_ADDRESSES', 409);
+    }
+
+    const entry = await this.roles.put({
+      address: normalizedAddress,
+      role,
+      grantedBy: by.toLowerCase(),
+      grantedAt: Date.now()
+    });
+    await this.recordAction('grantRole', by, normalizedAddress, { role, ...details });
+    logger.info(`🛡️ ${by} granted ${role} to ${normalizedAddress}`);
+    return entry;
+  }
+
+  async revokeRole(address, by, details = {}) {
+    const normalizedAddress = address.toLowerCase();
+    if (this.rootAdmins.has(normalizedAddress)) {
+      throw new ModerationError('Root admins are set by ADMIN_ADDRESSES', 409);
+    }
+
+    const existing = this.roles.get(normalizedAddress);
+    if (!existing) {
+      throw new ModerationError(`${normalizedAddress} has no role`, 404);
+    }
+    this.assertCanManageRole(by, existing.role);
+
+    await this.roles.remove(normalizedAddress);
+    await this.recordAction('revokeRole', by, normalizedAddress, { role: existing.role, ...details });
+    logger.info(`🛡️ ${by} revoked ${existing.role} from ${normalizedAddress}`);
+    return existing;
+  }
+
+  assertCanManageRole(actor, role) {
+    if (role === 'admin' ? !this.isRootAdmin(actor) : !this.hasRole(actor, 'admin')) {
+      throw new ModerationError(
+        role === 'admin' ? 'Only root admins can manage admins' : 'Only admins can manage moderators',
+        403
+      );
+    }
+  }
+
+  /**
+   * Apply a role change signed by an admin (see createRoleActionMessage)
+   * @param {Object} params - { message, signature }
+   * @returns {Promise<Object>} - { action, target, role, actor }
+   */
+  async applySignedAction({ message, signature }) {
+    if (typeof message !== 'string' || typeof signature !== 'string') {
+      throw new ModerationError('message and signature are required');
+    }
+
+    const fields = parseRoleActionMessage(message);
+    if (!ROLE_ACTIONS.includes(fields.action)) {
+      throw new ModerationError(`Action must be one of ${ROLE_ACTIONS.join(', ')}`);
+    }
+    if (!ethers.isAddress(fields.target)) {
+      throw new ModerationError('Invalid target address');
+    }
+
+    const timestamp = parseInt(fields.timestamp);
+    if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > SIGNED_ACTION_MAX_AGE) {
+      throw new ModerationError('Signed action expired', 401);
+    }
+
+    let actor;
+    try {
+      actor = ethers.verifyMessage(message, signature).toLowerCase();
+    } catch (error) {
+      throw new ModerationError('Invalid signature', 401);
+    }
+
+    // Each signature is accepted once; the audit log remembers the ones already used
+    const signatureHash = hashSignature(signature);
+    if (this.audit.find('signature', signatureHash).length > 0) {
+      throw new ModerationError('Signed action already used', 409);
+    }
+
+    const details = { signatureHash, signedAt: timestamp };
+    if (fields.action === 'grantRole') {
+      await this.grantRole(fields.target, fields.role, actor, details);
+    } else {
+      await this.revokeRole(fields.target, actor, details);
+    }
+
+    return { action: fields.action, target: fields.target.toLowerCase(), role: fields.role || null, actor };
+  }
+
+  // ===== Bans and mutes =====
+
+  // Active restriction for an address, or null (expired ones are skipped)
+  getActive(collection, address) {
+    if (!address) return null;
+    const entry = collection.get(address.toLowerCase());
+    if (!entry || (entry.until && entry.until <= Date.now())) return null;
+    return entry;
+  }
+
+  getBan(address) {
+    return this.getActive(this.bans, address);
+  }
+
+  getMute(address) {
+    return this.getActive(this.mutes, address);
+  }
+
+  listBans() {
+    return this.bans.all().filter(entry => !entry.until || entry.until > Date.now());
+  }
+
+  listMutes() {
+    return this.mutes.all().filter(entry => !entry.until || entry.until > Date.now());
+  }
+
+  /**
+   * Ban an address from the trollbox
+   * @param {string} address - Address to ban
+   * @param {Object} options - { duration (seconds, permanent when omitted), reason, by, action }
+   */
+  async ban(address, { duration = null, reason = null, by, action = 'ban' } = {}) {
+    return this.restrict(this.bans, action, address, { duration, reason, by });
+  }
+
+  async unban(address, by) {
+    return this.lift(this.bans, 'unban', address, by);
+  }
+
+  async mute(address, { duration, reason = null, by } = {}) {
+    return this.restrict(this.mutes, 'mute', address, { duration, reason, by });
+  }
+
+  async unmute(address, by) {
+    return this.lift(this.mutes, 'unmute', address, by);
+  }
+
+  async restrict(collection, action, address, { duration, reason, by }) {
+    const normalizedAddress = address.toLowerCase();
+    const now = Date.now();
+    const entry = await collection.put({
+      address: normalizedAddress,
+      until: duration ? now + duration * 1000 : null,
+      reason: reason || null,
+      by: by.toLowerCase(),
+      at: now
+    });
+    await this.recordAction(action, by, normalizedAddress, { duration, reason: entry.reason });
+    return entry;
+  }
+
+  async lift(collection, action, address, by) {
+    const normalizedAddress = address.toLowerCase();
+    const [removed] = await collection.remove(normalizedAddress);
+    if (!removed) return null;
+
+    await this.recordAction(action, by, normalizedAddress);
+    return removed;
+  }
+
+  async cleanupExpired() {
+    const now = Date.now();
+    for (const collection of [this.bans, this.mutes]) {
+      const expired = collection.all().filter(entry => entry.until && entry.until <= now);
+      if (expired.length > 0) {
+        await collection.remove(expired.map(entry => entry.address));
+      }
+    }
+  }
+
+  // ===== Settings =====
+
+  get slowmodeSeconds() {
+    return this.settings.get('slowmode')?.value || 0;
+  }
+
+  async setSlowmode(seconds, by) {
+    await this.settings.put({ key: 'slowmode', value: seconds });
+    await this.recordAction('slowmode', by, null, { seconds });
+  }
+
+  // ===== Audit log =====
+
+  async recordAction(action, actor, target = null, details = {}) {
+    const entry = {
+      id: uuidv4(),
+      action,
+      actor: actor ? actor.toLowerCase() : null,
+      target: target ? target.toLowerCase() : null,
+      details,
+      timestamp: Date.now()
+    };
+    await this.audit.put(entry);
+
+    if (this.audit.size > MAX_AUDIT_ENTRIES) {
+      await this.audit.remove(this.audit.all().slice(0, this.audit.size - MAX_AUDIT_ENTRIES).map(old => old.id));
+    }
+    return entry;
+  }
+
+  /**
+   * Query the audit log, newest first
+   * @param {Object} filters - { action, actor, target, limit, offset }
+   * @returns {Object} - { entries, total }
+   */
+  getAuditLog({ action, actor, target, limit = 100, offset = 0 } = {}) {
+    let entries = target ? this.audit.find('target', target) : this.audit.all();
+    if (action) entries = entries.filter(entry => entry.action === action);
+    if (actor) entries = entries.filter(entry => entry.actor === actor.toLowerCase());
+
+    const newestFirst = [...entries].reverse();
+    return {
+      entries: newestFirst.slice(offset, offset + limit).map(withoutSignature),
+      total: newestFirst.length
+    };
+  }
+}
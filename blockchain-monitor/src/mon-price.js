@@ -1,5 +1,9 @@
 import { ethers } from 'ethers';
 import cache from './cache.js';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('vaults');
 
 // Uniswap V3 Pool ABI (only what we need)
 const poolABI = [
@@ -21,28 +25,37 @@ const poolABI = [
 ];
 
 export class MonPriceService {
-  constructor(provider) {
+  constructor(provider, chain = getConfig().chain) {
     this.provider = provider;
-    // Uniswap V3 MON/USDT pool address
-    this.poolAddress = '0xE4baba78F933D58d52b7D564212b2C4CF910A36a';
-    this.poolContract = new ethers.Contract(this.poolAddress, poolABI, this.provider);
+    this.cache = cache.forChain(chain.chainId);
+    // Uniswap V3 MON/USDT pool of the chain (without one, MON has no price)
+    this.poolAddress = chain.contracts.monUsdtPool;
+    this.poolContract = this.poolAddress ? new ethers.Contract(this.poolAddress, poolABI, this.provider) : null;
     this.previousPrice = null;
   }
 
+  /**
+   * MON/USD from the chain's MON/USDT pool, cached for 30 seconds
+   * @returns {Promise<number|null>} - null without a pool or when it cannot be read, so nothing is valued at a made-up price
+   */
   async getMonPrice() {
     try {
       // Check cache first
-      const cachedPrice = await cache.getContractState(
+      const cachedPrice = await this.cache.getContractState(
         'MonPriceService',
         'monPrice',
         []
       );
       
       if (cachedPrice) {
-        console.log(`Using cached MON price: $${cachedPrice.toFixed(4)}`);
+        logger.info(`Using cached MON price: $${cachedPrice.toFixed(4)}`);
         return cachedPrice;
       }
 
+      if (!this.poolContract) {
+        return null;
+      }
+
       // Fetch fresh price from pool
       const slot0 = await this.poolContract.slot0();
       const sqrtPriceX96 = slot0[0];
@@ -57,7 +70,7 @@ export class MonPriceService {
       const monPriceInUSD = price * Math.pow(10, 12);
       
       // Cache the price for 30 seconds
-      cache.setContractState(
+      this.cache.setContractState(
         'MonPriceService',
         'monPrice',
         [],
@@ -65,19 +78,21 @@ export class MonPriceService {
         30 // 30 seconds cache
       );
       
-      console.log(`Fetched MON price from Uniswap V3: $${monPriceInUSD.toFixed(4)}`);
+      logger.info(`Fetched MON price from Uniswap V3: $${monPriceInUSD.toFixed(4)}`);
       
       return monPriceInUSD;
     } catch (error) {
-      console.error('Error fetching MON price:', error.message);
-      // Return default price if fetch fails
-      return 0.10;
+      logger.error('Error fetching MON price:', error.message);
+      return null;
     }
   }
 
   async getMonPriceWithChange() {
     const currentPrice = await this.getMonPrice();
-    
+    if (currentPrice === null) {
+      return { price: null, change: 0 };
+    }
+
     let priceChange = 0;
     if (this.previousPrice !== null && this.previousPrice !== 0) {
       priceChange = ((currentPrice - this.previousPrice) / this.previousPrice) * 100;
@@ -104,12 +119,12 @@ export class MonPriceService {
   }
 }
 
-// Singleton instance
-let monPriceService = null;
+// One instance per chain
+const monPriceServices = new Map();
 
-export function getMonPriceService(provider) {
-  if (!monPriceService) {
-    monPriceService = new MonPriceService(provider);
+export function getMonPriceService(provider, chain = getConfig().chain) {
+  if (!monPriceServices.has(chain.chainId)) {
+    monPriceServices.set(chain.chainId, new MonPriceService(provider, chain));
   }
-  return monPriceService;
+  return monPriceServices.get(chain.chainId);
 }
\ No newline at end of file
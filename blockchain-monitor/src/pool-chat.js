@@ -0,0 +1,138 @@
+import { ethers } from 'ethers';
+import { MON_SYMBOLS, USD_SYMBOLS, isBaseToken0 } from './trade-enricher.js';
+import { formatLeadTime } from './loan-alerts.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('ws');
+
+export const POOL_ROOM_PREFIX = 'pool:';
+
+// Loan events posted into the room of the vault's pool
+const POSTED_LOAN_EVENTS = ['Borrow', 'DefaultLoans'];
+
+/**
+ * Canonical chat room of a pool
+ * @param {string} poolAddress - Pool address
+ * @returns {string} - `pool:<lowercase address>`
+ */
+export function poolRoomId(poolAddress) {
+  return `${POOL_ROOM_PREFIX}${poolAddress.toLowerCase()}`;
+}
+
+// Pool address of a `pool:` room ID, or null for other rooms
+export function parsePoolRoomId(roomId) {
+  if (typeof roomId !== 'string' || !roomId.startsWith(POOL_ROOM_PREFIX)) return null;
+  const address = roomId.slice(POOL_ROOM_PREFIX.length);
+  return ethers.isAddress(address) ? address.toLowerCase() : null;
+}
+
+function formatAmount(value) {
+  return value.toLocaleString('en-US', { maximumFractionDigits: value >= 1 ? 2 : 6 });
+}
+
+function formatUsd(value) {
+  return `$${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+}
+
+/**
+ * PoolChatAnnouncer - Posts one chain's market activity into its pools' chat rooms
+ *
+ * Swaps worth at least the pool's threshold (`tradeAlertMinUsd` in pools.json, CHAT_TRADE_ALERT_MIN_USD
+ * otherwise; 0 turns them off) and every Borrow and DefaultLoans event of the pool's vault are
+ * stored in the room as System messages, whether or not anyone is in it. Swaps that cannot be
+ * valued in USD are not posted.
+ *
+ * Messages carry `poolEvent: { kind: 'trade'|'loan', chainId, eventName, poolAddress, transactionHash, ... }`
+ * so clients can render them as cards.
+ */
+export class PoolChatAnnouncer {
+  constructor(wsServer, poolRegistry, options = {}) {
+    this.wsServer = wsServer;
+    this.poolRegistry = poolRegistry;
+    this.chainId = options.chainId ?? null;
+    this.minTradeUsd = options.minTradeUsd ?? 10000;
+    this.monPriceService = options.monPriceService || null;
+  }
+
+  getMinTradeUsd(pool) {
+    return pool.tradeAlertMinUsd ?? this.minTradeUsd;
+  }
+
+  // Stored Swap event, after TradeEnricher has added `trade`
+  async postSwap(event) {
+    const pool = this.poolRegistry.getPool(event.poolAddress);
+    const trade = event.trade;
+    if (!pool || event.eventName !== 'Swap' || !trade || trade.valueUSD === null) return null;
+
+    const minUsd = this.getMinTradeUsd(pool);
+    if (minUsd <= 0 || trade.valueUSD < minUsd) return null;
+
+    const icon = trade.direction === 'buy' ? '🟢' : trade.direction === 'sell' ? '🔴' : '🔁';
+    const verb = trade.direction === 'buy' ? 'Bought' : trade.direction === 'sell' ? 'Sold' : 'Swapped';
+    const content = `${icon} ${verb} ${formatAmount(trade.baseAmount)} ${trade.baseSymbol} for ` +
+      `${formatAmount(trade.quoteAmount)} ${trade.quoteSymbol} (${formatUsd(trade.valueUSD)})`;
+
+    return this.post(pool, content, {
+      kind: 'trade',
+      eventName: 'Swap',
+      eventId: event.id,
+      transactionHash: event.transactionHash,
+      direction: trade.direction,
+      valueUSD: trade.valueUSD
+    });
+  }
+
+  // Stored loan event; only Borrow and DefaultLoans of vaults with a listed pool are posted
+  async postLoanEvent(loan) {
+    if (!POSTED_LOAN_EVENTS.includes(loan.eventName)) return null;
+
+    const vaultAddress = loan.vaultAddress.toLowerCase();
+    const pool = this.poolRegistry.getPools().find(candidate => candidate.vaultAddress?.toLowerCase() === vaultAddress);
+    if (!pool) return null;
+
+    let content;
+    const details = {
+      kind: 'loan',
+      eventName: loan.eventName,
+      eventId: loan.id,
+      transactionHash: loan.transactionHash,
+      vaultAddress
+    };
+
+    if (loan.eventName === 'Borrow') {
+      const baseIsToken0 = isBaseToken0((pool.token0.symbol || '').toUpperCase(), (pool.token1.symbol || '').toUpperCase());
+      const quote = baseIsToken0 ? pool.token1 : pool.token0;
+      const amount = Number(ethers.formatUnits(loan.args.borrowAmount || '0', Number(quote.decimals ?? 18)));
+      const valueUSD = await this.toUsd(amount, (quote.symbol || '').toUpperCase());
+      const borrower = this.wsServer.usernameStore.getUsername(loan.args.who);
+      const duration = parseInt(loan.args.duration);
+
+      content = `🏦 ${borrower} borrowed ${formatAmount(amount)} ${quote.symbol}` +
+        `${valueUSD !== null ? ` (${formatUsd(valueUSD)})` : ''}` +
+        `${duration > 0 ? ` for ${formatLeadTime(duration)}` : ''} against ${pool.symbol}`;
+      Object.assign(details, { borrower: loan.args.who?.toLowerCase() || null, amount, valueUSD });
+    } else {
+      content = `⚠️ Expired ${pool.symbol} loans were defaulted and their collateral burned`;
+    }
+
+    return this.post(pool, content, details);
+  }
+
+  async toUsd(amount, symbol) {
+    if (USD_SYMBOLS.includes(symbol)) return amount;
+    if (!MON_SYMBOLS.includes(symbol) || !this.monPriceService) return null;
+    const monPrice = await this.monPriceService.getMonPrice();
+    return monPrice !== null ? amount * monPrice : null;
+  }
+
+  async post(pool, content, details) {
+    try {
+      return await this.wsServer.postSystemMessage(poolRoomId(pool.address), content, {
+        poolEvent: { ...details, chainId: this.chainId, poolAddress: pool.address.toLowerCase() }
+      });
+    } catch (error) {
+      logger.error(`Failed to post ${details.eventName} to the ${pool.symbol} room:`, error.message);
+      return null;
+    }
+  }
+}
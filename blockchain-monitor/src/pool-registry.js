@@ -0,0 +1,311 @@
+import { ethers } from 'ethers';
+import EventEmitter from 'events';
+import { watchFile, unwatchFile } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('pools');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Fields an admin can change on an existing pool
+const EDITABLE_FIELDS = ['name', 'symbol', 'enabled', 'tradeAlertMinUsd'];
+
+/**
+ * PoolRegistry - The pools from data/pools.json, kept in sync with the file while running
+ *
+ * Every enabled entry is turned into the pool metadata the monitors share:
+ * { address, symbol, name, token0, token1, feeTier, vaultAddress, tradeAlertMinUsd }
+ * `symbol` is the entry's own `symbol` (a label set by an admin) or token0's symbol, uppercased.
+ * `tradeAlertMinUsd` overrides CHAT_TRADE_ALERT_MIN_USD for the pool's chat room (null: the default).
+ *
+ * The file is polled for edits (the OHLC service writes it too) and can be changed through
+ * addPool/updatePool/removePool, which rewrite it. Either way the registry emits:
+ * - 'poolAdded' { pool, fromBlock } when a pool is added or enabled
+ * - 'poolRemoved' { pool } when a pool is removed or disabled
+ * - 'poolUpdated' { pool, previous } when an enabled pool's metadata changed
+ */
+export class PoolRegistry extends EventEmitter {
+  constructor(filePath = null, options = {}) {
+    super();
+    this.filePath = filePath || path.join(__dirname, '..', '..', 'data', 'pools.json');
+    this.watchIntervalMs = options.watchIntervalMs ?? 5000;
+
+    this.config = { pools: [] }; // File contents as last read or written
+    this.pools = new Map(); // Map poolAddress (lowercase) -> metadata, enabled pools only
+    this.lastWritten = null; // Our own last write, so the watcher skips it
+    this.writeQueue = Promise.resolve();
+    this.isWatching = false;
+  }
+
+  async initialize() {
+    try {
+      this.apply(await this.readConfig());
+      logger.info(`Loaded ${this.pools.size} enabled pools from ${path.basename(this.filePath)}`);
+    } catch (error) {
+      logger.error(`Failed to load pools from ${this.filePath}:`, error.message);
+    }
+  }
+
+  static normalize(pool) {
+    return {
+      address: pool.address,
+      symbol: (pool.symbol || pool.token0.symbol).toUpperCase(), // Capitalize token symbol
+      name: pool.name,
+      token0: pool.token0,
+      token1: pool.token1,
+      feeTier: pool.feeTier ?? null,
+      vaultAddress: pool.vaultAddress ?? null,
+      tradeAlertMinUsd: pool.tradeAlertMinUsd ?? null
+    };
+  }
+
+  // Accepts both { pools: [...] } and a bare array, like the OHLC service
+  parseConfig(data) {
+    const parsed = JSON.parse(data);
+    const config = Array.isArray(parsed) ? { pools: parsed } : parsed;
+
+    if (!Array.isArray(config.pools)) {
+      throw new Error('pools.json must contain an array or { pools: [...] }');
+    }
+
+    return config;
+  }
+
+  async readConfig() {
+    try {
+      return this.parseConfig(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { pools: [] };
+      }
+      throw error;
+    }
+  }
+
+  async writeConfig(config) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    // Write to a temp file and rename so readers never see a half-written file
+    const json = JSON.stringify(config, null, 2);
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tmpPath, json);
+    this.lastWritten = json;
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Swap in a new config and announce what changed
+   * @param {Object} config - { pools: [...] }
+   * @param {number} fromBlock - First block monitors should catch up from for added pools
+   * @returns {Object} - { added, removed, updated } as arrays of pool metadata
+   */
+  apply(config, fromBlock = null) {
+    const next = new Map();
+    for (const entry of config.pools) {
+      if (entry.enabled === false || !entry.address || !entry.token0 || !entry.token1) continue;
+      next.set(entry.address.toLowerCase(), PoolRegistry.normalize(entry));
+    }
+
+    const added = [];
+    const removed = [];
+    const updated = [];
+
+    for (const [key, pool] of next) {
+      const previous = this.pools.get(key);
+      if (!previous) {
+        added.push(pool);
+      } else if (JSON.stringify(previous) !== JSON.stringify(pool)) {
+        updated.push({ pool, previous });
+      }
+    }
+    for (const [key, pool] of this.pools) {
+      if (!next.has(key)) {
+        removed.push(pool);
+      }
+    }
+
+    this.config = config;
+    this.pools = next;
+
+    for (const pool of added) {
+      this.emit('poolAdded', { pool, fromBlock });
+    }
+    for (const pool of removed) {
+      this.emit('poolRemoved', { pool });
+    }
+    for (const change of updated) {
+      this.emit('poolUpdated', change);
+    }
+
+    return { added, removed, updated: updated.map(change => change.pool) };
+  }
+
+  /**
+   * Re-read the file after an outside edit; a file that does not parse leaves the current pools in place
+   * @param {Object} options - { force } also re-applies our own last write, and throws if the file is invalid
+   * @returns {Promise<Object|null>} - { added, removed, updated }, or null if nothing was applied
+   */
+  async reload(options = {}) {
+    return this.enqueue(async () => {
+      try {
+        const data = await fs.readFile(this.filePath, 'utf-8');
+        if (data === this.lastWritten && !options.force) return null;
+
+        const changes = this.apply(this.parseConfig(data));
+        const total = changes.added.length + changes.removed.length + changes.updated.length;
+        if (total > 0) {
+          logger.info(`🔄 [PoolRegistry] Reloaded pools.json: ${changes.added.length} added, ${changes.removed.length} removed, ${changes.updated.length} updated`);
+        }
+        return changes;
+      } catch (error) {
+        logger.error('[PoolRegistry] Could not reload pools.json, keeping current pools:', error.message);
+        if (options.force) throw error;
+        return null;
+      }
+    });
+  }
+
+  watch() {
+    if (this.isWatching || this.watchIntervalMs <= 0) return;
+
+    // Polling survives the file being replaced by a rename, which fs.watch does not
+    watchFile(this.filePath, { interval: this.watchIntervalMs }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload();
+      }
+    });
+    this.isWatching = true;
+    logger.info(`👀 [PoolRegistry] Watching ${this.filePath} for changes`);
+  }
+
+  stop() {
+    if (this.isWatching) {
+      unwatchFile(this.filePath);
+      this.isWatching = false;
+    }
+  }
+
+  // Changes are applied one at a time, each to a fresh read of the file so outside edits are kept
+  enqueue(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  async mutate(change, fromBlock = null) {
+    return this.enqueue(async () => {
+      const config = await this.readConfig();
+      const result = change(config.pools);
+      if (result === null) return null;
+
+      await this.writeConfig(config);
+      this.apply(config, fromBlock);
+      return result;
+    });
+  }
+
+  findEntry(entries, address) {
+    return entries.find(entry => entry.address?.toLowerCase() === address.toLowerCase());
+  }
+
+  getPools() {
+    return [...this.pools.values()];
+  }
+
+  getPool(address) {
+    return this.pools.get(address.toLowerCase()) || null;
+  }
+
+  // Every entry in the file, disabled ones included
+  getEntries() {
+    return this.config.pools.map(entry => ({ ...entry, enabled: entry.enabled !== false }));
+  }
+
+  /**
+   * Add a pool to pools.json
+   * @param {Object} pool - { address, name, symbol?, token0: { symbol, address, decimals }, token1, feeTier?, enabled? }
+   * @param {Object} options - { fromBlock } for the monitors' catch-up
+   * @returns {Promise<Object|null>} - The stored entry, or null if the pool is already listed
+   */
+  async addPool(pool, options = {}) {
+    PoolRegistry.validate(pool);
+
+    return this.mutate(entries => {
+      if (this.findEntry(entries, pool.address)) return null;
+
+      const entry = {
+        name: pool.name || `${pool.token0.symbol}/${pool.token1.symbol}`,
+        address: ethers.getAddress(pool.address),
+        ...(pool.symbol && { symbol: pool.symbol }),
+        protocol: pool.protocol || 'uniswap',
+        version: pool.version || 'v3',
+        token0: pool.token0,
+        token1: pool.token1,
+        feeTier: pool.feeTier ?? 3000,
+        ...(pool.vaultAddress && { vaultAddress: pool.vaultAddress }),
+        enabled: pool.enabled !== false
+      };
+      entries.push(entry);
+      logger.info(`➕ [PoolRegistry] Added pool ${entry.address} (${entry.name})`);
+
+      return entry;
+    }, options.fromBlock ?? null);
+  }
+
+  /**
+   * Enable, disable or relabel a pool
+   * @param {string} address - Pool address
+   * @param {Object} changes - Any of { name, symbol, enabled, tradeAlertMinUsd }; a null symbol goes back to
+   *   token0's symbol, a null tradeAlertMinUsd to CHAT_TRADE_ALERT_MIN_USD
+   * @returns {Promise<Object|null>} - The updated entry, or null if the pool is not listed
+   */
+  async updatePool(address, changes) {
+    return this.mutate(entries => {
+      const entry = this.findEntry(entries, address);
+      if (!entry) return null;
+
+      for (const field of EDITABLE_FIELDS) {
+        if (changes[field] === undefined) continue;
+        if (changes[field] === null && (field === 'symbol' || field === 'tradeAlertMinUsd')) {
+          delete entry[field];
+        } else {
+          entry[field] = changes[field];
+        }
+      }
+      logger.info(`✏️ [PoolRegistry] Updated pool ${entry.address} (${entry.name}${entry.enabled === false ? ', disabled' : ''})`);
+
+      return entry;
+    });
+  }
+
+  /**
+   * Remove a pool from pools.json (its stored events are kept)
+   * @param {string} address - Pool address
+   * @returns {Promise<Object|null>} - The removed entry, or null if the pool is not listed
+   */
+  async removePool(address) {
+    return this.mutate(entries => {
+      const index = entries.findIndex(entry => entry.address?.toLowerCase() === address.toLowerCase());
+      if (index === -1) return null;
+
+      const [entry] = entries.splice(index, 1);
+      logger.info(`➖ [PoolRegistry] Removed pool ${entry.address} (${entry.name})`);
+
+      return entry;
+    });
+  }
+
+  static validate(pool) {
+    if (!pool || !ethers.isAddress(pool.address)) {
+      throw new Error('Invalid pool address');
+    }
+    for (const token of [pool.token0, pool.token1]) {
+      if (!token || !token.symbol || !ethers.isAddress(token.address)) {
+        throw new Error('token0 and token1 need a symbol and a valid address');
+      }
+    }
+  }
+}
@@ -0,0 +1,456 @@
+import { ethers } from 'ethers';
+import EventEmitter from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { findDeploymentBlock } from './block-cursor-store.js';
+import { monitorHealth } from './health-checks.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('presales');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load Presale ABI for presale events and views
+let PresaleABI;
+try {
+  const abiPath = path.join(__dirname, '..', '..', 'assets', 'Presale.json');
+  const abiData = JSON.parse(await fs.readFile(abiPath, 'utf-8'));
+  PresaleABI = abiData.abi;
+} catch (error) {
+  logger.error('Failed to load Presale ABI:', error);
+  PresaleABI = [];
+}
+
+export const PRESALE_EVENT_NAMES = ['Deposit', 'Finalized', 'ReferralPaid', 'TokensWithdrawn'];
+
+// Decoded event arguments by name, uint256 values as strings
+function formatArgs(event) {
+  const args = {};
+  event.fragment.inputs.forEach((input, i) => {
+    const value = event.args[i];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+  return args;
+}
+
+// Percent of `part` in `total` with two decimals, from integers
+function percentOf(part, total) {
+  return total > 0n ? Number((part * 10000n) / total) / 100 : null;
+}
+
+/**
+ * PresaleMonitor - Monitors presale contract events (Deposit, Finalized, ReferralPaid, TokensWithdrawn)
+ *
+ * Emits 'presaleEvent' when one is detected with the following structure:
+ * {
+ *   presaleAddress: string,
+ *   eventName: 'Deposit' | 'Finalized' | 'ReferralPaid' | 'TokensWithdrawn',
+ *   blockNumber: number,
+ *   blockHash: string,
+ *   transactionHash: string,
+ *   transactionIndex: number,
+ *   logIndex: number,
+ *   args: object, // Event arguments by name, e.g. Deposit: { user, amount, referralCode }
+ *   blockTimestamp: number, // Block time in seconds
+ *   timestamp: number
+ * }
+ *
+ * Progress toward the soft/hard cap is read from the contract views on demand (getProgress).
+ */
+export class PresaleMonitor extends EventEmitter {
+  constructor(provider, presales = [], options = {}) {
+    super();
+    this.provider = provider;
+    this.viewProvider = options.viewProvider || provider; // Progress reads, kept off the live event path
+    this.presales = new Map(); // Map presaleAddress -> { address, vaultAddress, tokenSymbol, tokenName }
+    this.presaleContracts = new Map();
+    this.viewContracts = new Map();
+    this.progress = new Map(); // Map presaleAddress -> { data, updatedAt }
+    this.progressRequests = new Map(); // Map presaleAddress -> in-flight promise
+    this.blockTimestamps = new Map();
+    this.isRunning = false;
+    this.lastBlockUpdateTime = Date.now();
+
+    // Durable per-presale cursors ('presale:<address>') used to backfill after restarts
+    this.cursorStore = options.cursorStore || null;
+    this.backfillChunkSize = options.backfillChunkSize || 100;
+    this.startBlock = options.startBlock ?? null; // Where contracts without a cursor start, instead of their deployment block
+    this.backfillStatus = { state: 'idle' };
+    this.cursorInterval = null;
+    this.lastObservedHead = null;
+    this.isPolling = false;
+
+    for (const presale of presales) {
+      this.presales.set(presale.address.toLowerCase(), { ...presale, address: presale.address.toLowerCase() });
+    }
+  }
+
+  async initialize() {
+    logger.info(`Initializing PresaleMonitor for ${this.presales.size} presales...`);
+
+    for (const presaleAddress of this.presales.keys()) {
+      this.presaleContracts.set(presaleAddress, new ethers.Contract(presaleAddress, PresaleABI, this.provider));
+      this.viewContracts.set(presaleAddress, new ethers.Contract(presaleAddress, PresaleABI, this.viewProvider));
+    }
+
+    logger.info(`PresaleMonitor initialized with ${this.presaleContracts.size} presale contracts`);
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.info('PresaleMonitor already running');
+      return;
+    }
+
+    this.isRunning = true;
+
+    // Catch up on presale events mined while we were down before going live
+    await this.backfill();
+
+    // Each contract is polled from its cursor, the provider pool has no event subscriptions
+    this.cursorInterval = setInterval(async () => {
+      await this.pollEvents();
+    }, 20000);
+    logger.info('PresaleMonitor started');
+  }
+
+  /**
+   * Start monitoring a presale while running
+   * @param {Object} presale - { address, vaultAddress, tokenSymbol, tokenName }
+   * @param {number} fromBlock - First block to scan (defaults to the next polled block)
+   */
+  async addPresale(presale, fromBlock = null) {
+    const presaleAddress = presale.address.toLowerCase();
+    if (this.presaleContracts.has(presaleAddress)) return;
+
+    this.presales.set(presaleAddress, { ...presale, address: presaleAddress });
+    const contract = new ethers.Contract(presaleAddress, PresaleABI, this.provider);
+    this.presaleContracts.set(presaleAddress, contract);
+    this.viewContracts.set(presaleAddress, new ethers.Contract(presaleAddress, PresaleABI, this.viewProvider));
+
+    // Polling resumes every contract from its cursor, so this one starts at fromBlock
+    if (fromBlock !== null) {
+      this.advanceCursor(presaleAddress, fromBlock - 1);
+    }
+
+    logger.info(`🚀 Added presale ${presaleAddress} to monitoring`);
+  }
+
+  async handlePresaleEvent(eventName, presaleAddress, log) {
+    try {
+      this.lastBlockUpdateTime = Date.now();
+
+      const presaleEvent = {
+        presaleAddress,
+        eventName,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        transactionIndex: log.transactionIndex,
+        logIndex: log.index,
+        args: formatArgs(log),
+        blockTimestamp: await this.getBlockTimestamp(log.blockNumber),
+        timestamp: Date.now()
+      };
+
+      // Raised amounts changed, next progress read goes to the chain
+      this.progress.delete(presaleAddress);
+
+      this.emit('presaleEvent', presaleEvent);
+      logger.info(`🚀 ${eventName} event detected on presale ${presaleAddress}${presaleEvent.args.user ? ` by ${presaleEvent.args.user}` : ''}`);
+    } catch (error) {
+      logger.error(`Error handling presale ${eventName} event:`, error);
+    }
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    if (this.blockTimestamps.has(blockNumber)) {
+      return this.blockTimestamps.get(blockNumber);
+    }
+
+    try {
+      const block = await this.provider.getBlock(blockNumber);
+      if (!block) return null;
+
+      this.blockTimestamps.set(blockNumber, block.timestamp);
+      if (this.blockTimestamps.size > 1000) {
+        this.blockTimestamps.delete(this.blockTimestamps.keys().next().value);
+      }
+      return block.timestamp;
+    } catch (error) {
+      logger.warn(`⚠️ Could not read timestamp of block ${blockNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read a presale's progress from its views
+   * @param {string} presaleAddress - Presale contract address
+   * @param {number} maxAgeMs - Reuse a reading younger than this
+   * @returns {Promise<Object|null>} - Progress, or null if the presale is unknown or the read failed
+   */
+  async getProgress(presaleAddress, maxAgeMs = 60000) {
+    const address = presaleAddress.toLowerCase();
+    const contract = this.viewContracts.get(address);
+    if (!contract) return null;
+
+    const cached = this.progress.get(address);
+    if (cached && Date.now() - cached.updatedAt < maxAgeMs) {
+      return cached.data;
+    }
+
+    // Concurrent requests share one read
+    if (!this.progressRequests.has(address)) {
+      this.progressRequests.set(address, this.readProgress(address, contract).finally(() => {
+        this.progressRequests.delete(address);
+      }));
+    }
+    return await this.progressRequests.get(address);
+  }
+
+  async readProgress(address, contract) {
+    try {
+      // Issued together so the RPC scheduler can batch them into one multicall
+      const [totalRaised, softCap, hardCap, deadline, participantCount, finalized, softCapReached, hasExpired] = await Promise.all([
+        contract.totalRaised(),
+        contract.softCap(),
+        contract.hardCap(),
+        contract.deadline(),
+        contract.getParticipantCount(),
+        contract.finalized(),
+        contract.softCapReached(),
+        contract.hasExpired()
+      ]);
+
+      const data = {
+        totalRaised: totalRaised.toString(),
+        softCap: softCap.toString(),
+        hardCap: hardCap.toString(),
+        deadline: Number(deadline),
+        timeLeft: Math.max(0, Number(deadline) - Math.floor(Date.now() / 1000)),
+        participantCount: Number(participantCount),
+        softCapPercent: percentOf(totalRaised, softCap),
+        hardCapPercent: percentOf(totalRaised, hardCap),
+        softCapReached,
+        hardCapReached: hardCap > 0n && totalRaised >= hardCap,
+        finalized,
+        hasExpired,
+        status: finalized ? 'finalized' : hasExpired ? 'expired' : 'active'
+      };
+
+      this.progress.set(address, { data, updatedAt: Date.now() });
+      return data;
+    } catch (error) {
+      logger.error(`Error reading progress of presale ${address}:`, error.message);
+      return null;
+    }
+  }
+
+  getPresales() {
+    return [...this.presales.values()];
+  }
+
+  getPresale(presaleAddress) {
+    return this.presales.get(presaleAddress.toLowerCase()) || null;
+  }
+
+  // CONTRACT_START_BLOCK when set, else the deployment block; the head if neither can be found
+  async getFirstBlock(presaleAddress, headBlock) {
+    if (this.startBlock !== null) return Math.min(this.startBlock, headBlock + 1);
+
+    try {
+      const deploymentBlock = await findDeploymentBlock(this.provider, presaleAddress, headBlock);
+      if (deploymentBlock !== null) return deploymentBlock;
+      logger.warn(`⚠️ No contract code at presale ${presaleAddress}, tracking it from the head`);
+    } catch (error) {
+      logger.warn(`⚠️ Could not find the deployment block of presale ${presaleAddress}, tracking it from the head:`, error.message);
+    }
+    return headBlock + 1;
+  }
+
+  getCursorName(presaleAddress) {
+    return `presale:${presaleAddress.toLowerCase()}`;
+  }
+
+  /**
+   * Backfill every presale from its saved cursor to the current head
+   */
+  async backfill() {
+    const headBlock = await this.provider.getBlockNumber();
+    const ranges = [];
+
+    for (const [presaleAddress, contract] of this.presaleContracts) {
+      const cursor = this.cursorStore ? this.cursorStore.get(this.getCursorName(presaleAddress)) : null;
+
+      if (cursor === null) {
+        // First time we see this presale: scan its whole history, so earlier events are not lost
+        const fromBlock = await this.getFirstBlock(presaleAddress, headBlock);
+        this.advanceCursor(presaleAddress, fromBlock - 1);
+        if (fromBlock <= headBlock) {
+          ranges.push({ presaleAddress, contract, fromBlock });
+        }
+      } else if (cursor < headBlock) {
+        ranges.push({ presaleAddress, contract, fromBlock: cursor + 1 });
+      }
+    }
+
+    this.lastObservedHead = headBlock;
+
+    if (ranges.length === 0) {
+      this.backfillStatus = { state: 'complete', presales: 0, percent: 100, finishedAt: Date.now() };
+      return;
+    }
+
+    const startBlock = Math.min(...ranges.map(r => r.fromBlock));
+    const totalBlocks = ranges.reduce((sum, r) => sum + (headBlock - r.fromBlock + 1), 0);
+    let scannedBlocks = 0;
+
+    this.backfillStatus = {
+      state: 'running',
+      presales: ranges.length,
+      fromBlock: startBlock,
+      toBlock: headBlock,
+      percent: 0,
+      startedAt: Date.now(),
+      finishedAt: null
+    };
+
+    logger.info(`⏪ Backfilling presale events for ${ranges.length} presales from block ${startBlock} to ${headBlock}...`);
+
+    try {
+      for (const { presaleAddress, contract, fromBlock } of ranges) {
+        for (let startChunk = fromBlock; startChunk <= headBlock; startChunk += this.backfillChunkSize) {
+          const endChunk = Math.min(startChunk + this.backfillChunkSize - 1, headBlock);
+          await this.scanPresaleRange(presaleAddress, contract, startChunk, endChunk);
+          this.advanceCursor(presaleAddress, endChunk);
+
+          scannedBlocks += endChunk - startChunk + 1;
+          this.backfillStatus.percent = Math.round((scannedBlocks / totalBlocks) * 1000) / 10;
+        }
+      }
+
+      this.backfillStatus.state = 'complete';
+      this.backfillStatus.percent = 100;
+      this.backfillStatus.finishedAt = Date.now();
+      logger.info(`✅ Presale backfill complete, caught up to block ${headBlock}`);
+    } catch (error) {
+      this.backfillStatus.state = 'failed';
+      this.backfillStatus.error = error.message;
+      this.backfillStatus.finishedAt = Date.now();
+      logger.error('Presale backfill failed, continuing in live mode:', error.message);
+    }
+  }
+
+  getBackfillStatus() {
+    const cursors = {};
+    if (this.cursorStore) {
+      for (const presaleAddress of this.presaleContracts.keys()) {
+        cursors[presaleAddress] = this.cursorStore.get(this.getCursorName(presaleAddress));
+      }
+    }
+
+    return { ...this.backfillStatus, cursors };
+  }
+
+  getHealth(stallMs) {
+    return { ...monitorHealth(this, stallMs), presales: this.presales.size };
+  }
+
+  advanceCursor(presaleAddress, blockNumber) {
+    if (this.cursorStore) {
+      this.cursorStore.advance(this.getCursorName(presaleAddress), blockNumber);
+    }
+  }
+
+  /**
+   * Emit the events of the block that replaced a reorged one, once the orphaned block's events are retracted.
+   * Contracts that have not been scanned up to the block yet pick it up when they are next polled.
+   * @param {number} blockNumber - Height of the reorged block
+   */
+  async rescanBlock(blockNumber) {
+    for (const [presaleAddress, contract] of this.presaleContracts) {
+      const scannedTo = this.cursorStore ? this.cursorStore.get(this.getCursorName(presaleAddress)) : this.lastObservedHead;
+      if (scannedTo === null || scannedTo < blockNumber) continue;
+
+      try {
+        await this.scanPresaleRange(presaleAddress, contract, blockNumber, blockNumber);
+      } catch (error) {
+        logger.error(`Error re-scanning block ${blockNumber} of presale ${presaleAddress}:`, error.message);
+      }
+    }
+  }
+
+  // Scan every contract from its cursor up to the head
+  async pollEvents() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      const headBlock = await this.provider.getBlockNumber();
+
+      for (const [presaleAddress, contract] of this.presaleContracts) {
+        const cursor = this.cursorStore ? this.cursorStore.get(this.getCursorName(presaleAddress)) : null;
+        const fromBlock = cursor !== null ? cursor + 1 : (this.lastObservedHead ?? headBlock) + 1;
+
+        for (let startChunk = fromBlock; startChunk <= headBlock; startChunk += this.backfillChunkSize) {
+          const endChunk = Math.min(startChunk + this.backfillChunkSize - 1, headBlock);
+          await this.scanPresaleRange(presaleAddress, contract, startChunk, endChunk);
+          this.advanceCursor(presaleAddress, endChunk);
+        }
+      }
+
+      this.lastObservedHead = headBlock;
+      this.lastBlockUpdateTime = Date.now();
+    } catch (error) {
+      logger.error('Error polling presale events:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Query and emit all events of one presale in a block range, in chain order
+   * @param {string} presaleAddress - Presale address
+   * @param {ethers.Contract} contract - Presale contract
+   * @param {number} startBlock - First block (inclusive)
+   * @param {number} endBlock - Last block (inclusive)
+   * @returns {number} Number of events found
+   */
+  async scanPresaleRange(presaleAddress, contract, startBlock, endBlock) {
+    const eventsByName = await Promise.all(
+      PRESALE_EVENT_NAMES.map(name => contract.queryFilter(contract.filters[name](), startBlock, endBlock))
+    );
+
+    const events = PRESALE_EVENT_NAMES
+      .flatMap((name, i) => eventsByName[i].map(event => ({ name, event })))
+      .sort((a, b) => (a.event.blockNumber - b.event.blockNumber) || (a.event.index - b.event.index));
+
+    for (const { name, event } of events) {
+      await this.handlePresaleEvent(name, presaleAddress, event);
+    }
+
+    if (events.length > 0) {
+      const breakdown = PRESALE_EVENT_NAMES
+        .map((name, i) => [name, eventsByName[i].length])
+        .filter(([, count]) => count > 0)
+        .map(([name, count]) => `${name}: ${count}`)
+        .join(', ');
+      logger.info(`      Presale ${presaleAddress.substring(0, 8)}...: Found ${events.length} events (${breakdown})`);
+    }
+
+    return events.length;
+  }
+
+  async stop() {
+    if (!this.isRunning) return;
+
+    if (this.cursorInterval) {
+      clearInterval(this.cursorInterval);
+      this.cursorInterval = null;
+    }
+
+    this.isRunning = false;
+    logger.info('PresaleMonitor stopped');
+  }
+}
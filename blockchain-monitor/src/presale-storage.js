@@ -0,0 +1,234 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createStorageAdapter } from './storage-adapter.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('presales');
+
+// Helper function to convert BigInt to string in nested objects
+function bigIntReplacer(key, value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  return value;
+}
+
+/**
+ * PresaleStorage - Stores presale contract events
+ *
+ * Stores presale events with the following structure:
+ * {
+ *   id: string, // Unique identifier: transactionHash-logIndex
+ *   presaleAddress: string,
+ *   eventName: string, // 'Deposit', 'Finalized', 'ReferralPaid', 'TokensWithdrawn'
+ *   blockNumber: number,
+ *   blockHash: string,
+ *   transactionHash: string,
+ *   transactionIndex: number,
+ *   logIndex: number,
+ *   args: object, // Event arguments, uint256 values as strings
+ *   blockTimestamp: number, // Block time in seconds
+ *   timestamp: number, // When the event was seen
+ *   chainId: number,
+ *   storedAt: number
+ * }
+ */
+export class PresaleStorage {
+  constructor(filePath, presaleMetadata = [], options = {}) {
+    this.filePath = filePath;
+    this.isInitialized = false;
+    this.chainId = options.chainId ?? null;
+
+    this.adapter = createStorageAdapter(options.backend, {
+      presaleEvents: { file: filePath }
+    }, { replacer: bigIntReplacer });
+    this.collection = this.adapter.collection('presaleEvents', {
+      defaults: { chainId: this.chainId },
+      getId: event => event.id || this.generateEventId(event),
+      indexes: {
+        presale: event => event.presaleAddress,
+        user: event => event.args?.user,
+        tx: event => event.transactionHash,
+        blockHash: event => event.blockHash,
+        type: event => event.eventName
+      }
+    });
+
+    // Build presale metadata map for quick lookups
+    this.presaleMetadata = new Map();
+    for (const presale of presaleMetadata) {
+      this.presaleMetadata.set(presale.address.toLowerCase(), presale);
+    }
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await this.adapter.open();
+      logger.info(`Loaded ${this.collection.size} presale events from storage (${this.adapter.backend} backend)`);
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize presale storage:', error);
+      throw error;
+    }
+  }
+
+  generateEventId(event) {
+    return `${event.transactionHash}-${event.logIndex}`;
+  }
+
+  async addEvent(presaleEvent) {
+    if (!this.isInitialized) {
+      throw new Error('PresaleStorage not initialized');
+    }
+
+    const id = this.generateEventId(presaleEvent);
+    const existing = this.collection.get(id);
+    if (existing) {
+      return existing;
+    }
+
+    const stored = {
+      ...presaleEvent,
+      chainId: this.chainId,
+      id,
+      storedAt: Date.now()
+    };
+    await this.collection.put(stored);
+
+    return stored;
+  }
+
+  // Metadata for a presale discovered after startup
+  addPresaleMetadata(presale) {
+    this.presaleMetadata.set(presale.address.toLowerCase(), presale);
+  }
+
+  enrichWithPresaleInfo(event) {
+    const meta = this.presaleMetadata.get(event.presaleAddress?.toLowerCase());
+    if (!meta || event.tokenSymbol) return event;
+
+    return {
+      ...event,
+      vaultAddress: meta.vaultAddress,
+      tokenSymbol: meta.tokenSymbol
+    };
+  }
+
+  getEventCount() {
+    return this.collection.size;
+  }
+
+  /**
+   * Get a presale's events, newest first
+   * @param {string} presaleAddress - Presale contract address
+   * @param {number} limit - Maximum number of events
+   * @returns {Array} - Presale events
+   */
+  getEventsByPresale(presaleAddress, limit = 100) {
+    return this.collection.find('presale', presaleAddress)
+      .slice(-limit)
+      .reverse()
+      .map(event => this.enrichWithPresaleInfo(event));
+  }
+
+  getEventsByUser(userAddress) {
+    return this.collection.find('user', userAddress)
+      .map(event => this.enrichWithPresaleInfo(event));
+  }
+
+  /**
+   * Aggregate deposits and withdrawals per contributor
+   * @param {string} presaleAddress - Presale contract address
+   * @returns {Array} - Contributors sorted by amount deposited, largest first
+   */
+  getContributors(presaleAddress) {
+    const contributors = new Map();
+
+    for (const event of this.collection.find('presale', presaleAddress)) {
+      if (event.eventName !== 'Deposit' && event.eventName !== 'TokensWithdrawn') continue;
+
+      const user = event.args.user.toLowerCase();
+      if (!contributors.has(user)) {
+        contributors.set(user, {
+          address: user,
+          deposited: 0n,
+          depositCount: 0,
+          tokensWithdrawn: 0n,
+          referralCodes: new Set(),
+          firstDepositAt: null,
+          lastDepositAt: null
+        });
+      }
+
+      const contributor = contributors.get(user);
+      const time = event.blockTimestamp ?? Math.floor(event.timestamp / 1000);
+
+      if (event.eventName === 'Deposit') {
+        contributor.deposited += BigInt(event.args.amount || '0');
+        contributor.depositCount++;
+        if (event.args.referralCode && BigInt(event.args.referralCode) !== 0n) {
+          contributor.referralCodes.add(event.args.referralCode);
+        }
+        contributor.firstDepositAt = contributor.firstDepositAt === null ? time : Math.min(contributor.firstDepositAt, time);
+        contributor.lastDepositAt = Math.max(contributor.lastDepositAt ?? time, time);
+      } else {
+        contributor.tokensWithdrawn += BigInt(event.args.amount || '0');
+      }
+    }
+
+    return [...contributors.values()]
+      .sort((a, b) => (b.deposited > a.deposited ? 1 : b.deposited < a.deposited ? -1 : 0))
+      .map(contributor => ({
+        ...contributor,
+        deposited: contributor.deposited.toString(),
+        tokensWithdrawn: contributor.tokensWithdrawn.toString(),
+        referralCodes: [...contributor.referralCodes]
+      }));
+  }
+
+  /**
+   * Totals indexed for a presale
+   * @param {string} presaleAddress - Presale contract address
+   * @returns {Object} - { deposits, contributors, totalDeposited, finalized }
+   */
+  getSummary(presaleAddress) {
+    const events = this.collection.find('presale', presaleAddress);
+    const deposits = events.filter(event => event.eventName === 'Deposit');
+
+    return {
+      deposits: deposits.length,
+      contributors: new Set(deposits.map(event => event.args.user.toLowerCase())).size,
+      totalDeposited: deposits.reduce((sum, event) => sum + BigInt(event.args.amount || '0'), 0n).toString(),
+      finalized: events.some(event => event.eventName === 'Finalized')
+    };
+  }
+
+  /**
+   * Remove every presale event that came from a block that is no longer canonical
+   * @param {string} blockHash - Hash of the orphaned block
+   * @returns {Array} - The removed events
+   */
+  async removeEventsByBlockHash(blockHash) {
+    const orphaned = this.collection.find('blockHash', blockHash);
+    if (orphaned.length === 0) return [];
+
+    const removed = await this.collection.remove(orphaned.map(event => event.id));
+    logger.info(`Removed ${removed.length} presale events from orphaned block ${blockHash}`);
+
+    return removed;
+  }
+
+  async removeDuplicates() {
+    const removedCount = this.collection.duplicatesOnLoad;
+
+    if (removedCount > 0) {
+      await this.collection.replaceAll(this.collection.all());
+      this.collection.duplicatesOnLoad = 0;
+      logger.info(`Removed ${removedCount} duplicate presale events from storage`);
+    }
+
+    return removedCount;
+  }
+}
@@ -1,12 +1,15 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('monitor');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 /**
- * Tracks processed transaction hashes to prevent duplicate event processing
- * during historical scans and reconnections
+ * Tracks processed transaction hashes (or per-log `txHash-logIndex` keys) to prevent
+ * duplicate event processing during historical scans and reconnections
  */
 export class ProcessedTxTracker {
   constructor(filePath = null) {
@@ -20,7 +23,7 @@ export class ProcessedTxTracker {
   async initialize() {
     try {
       await this.load();
-      console.log(`Loaded ${this.processedTxs.size} processed transaction hashes`);
+      logger.info(`Loaded ${this.processedTxs.size} processed transaction hashes`);
 
       // Clean up old entries on startup
       await this.cleanup();
@@ -33,8 +36,8 @@ export class ProcessedTxTracker {
       }, 5 * 60 * 1000);
 
     } catch (error) {
-      console.error('Failed to initialize ProcessedTxTracker:', error.message);
-      console.log('Starting with empty processed tx set');
+      logger.error('Failed to initialize ProcessedTxTracker:', error.message);
+      logger.info('Starting with empty processed tx set');
     }
   }
 
@@ -70,10 +73,10 @@ export class ProcessedTxTracker {
       await fs.writeFile(this.filePath, JSON.stringify(data, null, 2));
 
       this.isDirty = false;
-      console.log(`Saved ${this.processedTxs.size} processed transaction hashes`);
+      logger.info(`Saved ${this.processedTxs.size} processed transaction hashes`);
 
     } catch (error) {
-      console.error('Failed to save processed tx hashes:', error.message);
+      logger.error('Failed to save processed tx hashes:', error.message);
     }
   }
 
@@ -96,6 +99,20 @@ export class ProcessedTxTracker {
     this.isDirty = true;
   }
 
+  /**
+   * Forget a processed transaction hash so it can be processed again
+   * (used when the block containing it has been reorged out)
+   * @param {string} txHash - Transaction hash to release
+   * @returns {boolean} - True if the hash was tracked
+   */
+  unmarkProcessed(txHash) {
+    const removed = this.processedTxs.delete(txHash.toLowerCase());
+    if (removed) {
+      this.isDirty = true;
+    }
+    return removed;
+  }
+
   /**
    * Remove old processed transaction hashes
    * @returns {number} - Number of entries removed
@@ -113,7 +130,7 @@ export class ProcessedTxTracker {
     }
 
     if (removed > 0) {
-      console.log(`Cleaned up ${removed} old processed transaction hashes (older than 48 hours)`);
+      logger.info(`Cleaned up ${removed} old processed transaction hashes (older than 48 hours)`);
       this.isDirty = true;
       await this.save();
     }
@@ -1,4 +1,12 @@
 import { ethers } from 'ethers';
+import metrics from './metrics.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('rpc');
+
+const rpcRequests = metrics.counter('rpc_requests_total', 'RPC requests sent, by endpoint and method');
+const rpcErrors = metrics.counter('rpc_errors_total', 'RPC requests that failed or timed out (reverts excluded), by endpoint and method');
+const rpcDuration = metrics.histogram('rpc_request_duration_seconds', 'Latency of successful RPC requests, by method');
 
 export class ResilientProvider extends ethers.JsonRpcProvider {
   constructor(url, network) {
@@ -11,21 +19,21 @@ export class ResilientProvider extends ethers.JsonRpcProvider {
       
       // Set up reconnection logic
       wsProvider._websocket.on('close', () => {
-        console.log('WebSocket connection closed, attempting to reconnect...');
+        logger.info('WebSocket connection closed, attempting to reconnect...');
         setTimeout(() => {
           wsProvider._start();
         }, 5000);
       });
       
       wsProvider._websocket.on('error', (error) => {
-        console.error('WebSocket error:', error.message);
+        logger.error('WebSocket error:', error.message);
       });
       
-      console.log('Using WebSocket RPC provider');
+      logger.info('Using WebSocket RPC provider');
       return wsProvider;
     } else {
       // Standard HTTP provider
-      console.log('Using HTTP RPC provider');
+      logger.info('Using HTTP RPC provider');
       super(url, network);
     }
   }
@@ -35,7 +43,7 @@ export function createProvider(url, network) {
   const isWebSocket = url.startsWith('ws://') || url.startsWith('wss://');
 
   if (isWebSocket) {
-    console.log('Creating WebSocket provider for:', url);
+    logger.info('Creating WebSocket provider for:', redactUrl(url));
     const provider = new ethers.WebSocketProvider(url, network);
 
     // Mark as WebSocket provider for detection
@@ -44,7 +52,7 @@ export function createProvider(url, network) {
 
     // Set up event listeners
     provider.on('error', (error) => {
-      console.error('WebSocket provider error:', error);
+      logger.error('WebSocket provider error:', error);
     });
 
     // Handle reconnection
@@ -56,7 +64,7 @@ export function createProvider(url, network) {
     // We just need to listen for debug events to track the status
     provider.on('debug', (info) => {
       if (info.action === 'webSocketOpen') {
-        console.log('WebSocket connection established');
+        logger.info('WebSocket connection established');
         reconnectAttempts = 0;
         const wasDisconnected = provider.wsConnectionState === 'disconnected';
         provider.wsConnectionState = 'connected';
@@ -66,7 +74,7 @@ export function createProvider(url, network) {
           provider.onReconnected();
         }
       } else if (info.action === 'webSocketClose') {
-        console.log('WebSocket connection closed');
+        logger.info('WebSocket connection closed');
         provider.wsConnectionState = 'disconnected';
 
         // Store disconnection callback
@@ -78,7 +86,7 @@ export function createProvider(url, network) {
 
     return provider;
   } else {
-    console.log('Creating HTTP provider for:', url);
+    logger.info('Creating HTTP provider for:', redactUrl(url));
     return new ethers.JsonRpcProvider(url, network);
   }
 }
@@ -87,10 +95,395 @@ export function createProvider(url, network) {
 export async function checkProviderConnection(provider) {
   try {
     const network = await provider.getNetwork();
-    console.log('Provider connected to network:', network.name, 'chainId:', network.chainId);
+    logger.info('Provider connected to network:', network.name, 'chainId:', network.chainId);
     return true;
   } catch (error) {
-    console.error('Provider connection check failed:', error.message);
+    logger.error('Provider connection check failed:', error.message);
     return false;
   }
-}
\ No newline at end of file
+}
+
+// Errors that any healthy node would also return, so retrying elsewhere is pointless
+const DETERMINISTIC_ERROR_CODES = [
+  'CALL_EXCEPTION',
+  'INVALID_ARGUMENT',
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'TRANSACTION_REPLACED'
+];
+
+// Keep API keys embedded in RPC URLs out of logs and the health endpoint
+export function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const hasSecret = parsed.pathname.length > 1 || parsed.search || parsed.username;
+    return `${parsed.protocol}//${parsed.host}${hasSecret ? '/***' : ''}`;
+  } catch (error) {
+    return '***';
+  }
+}
+
+/**
+ * Provider that spreads requests over several RPC endpoints.
+ *
+ * Every endpoint is health-scored from its weight, request latency, recent error rate and how far
+ * its head lags behind the best endpoint. Requests go to the best-scoring endpoint and fail over
+ * to the next one on errors or timeouts. `getLogs` can additionally require `logsQuorum`
+ * endpoints to return identical results before they are trusted.
+ *
+ * Subscriptions (`on('block')`, contract events) are served by polling through the pool, even for
+ * WebSocket endpoints; the monitors do not use them and poll `getLogs` from their cursors instead.
+ */
+export class ProviderPool extends ethers.AbstractProvider {
+  constructor(endpoints, options = {}) {
+    super(options.network);
+
+    if (!endpoints || endpoints.length === 0) {
+      throw new Error('ProviderPool needs at least one RPC endpoint');
+    }
+
+    this.isProviderPool = true;
+    this.logsQuorum = Math.min(options.logsQuorum || 1, endpoints.length);
+    this.maxBlockLag = options.maxBlockLag ?? 5;
+    this.requestTimeout = options.requestTimeout || 15000;
+    this.maxConsecutiveErrors = options.maxConsecutiveErrors || 3;
+    this.cooldownMs = options.cooldownMs || 30000;
+    this.detectedNetwork = null;
+    this.quorumStats = { checks: 0, mismatches: 0, failures: 0 };
+    this.activeUrl = null;
+    this.headBlockUpdatedAt = null; // When the head block last moved forward
+
+    this.endpoints = endpoints.map(({ url, weight = 1 }) => ({
+      url,
+      label: redactUrl(url),
+      weight,
+      provider: createProvider(url, options.network),
+      requests: 0,
+      errors: 0,
+      consecutiveErrors: 0,
+      latencyMs: null, // Moving average
+      errorRate: 0, // Moving average of recent failures (0..1)
+      blockNumber: null,
+      lastError: null,
+      lastErrorAt: null,
+      cooldownUntil: 0
+    }));
+
+    logger.info(`🔌 [RPC] Provider pool with ${this.endpoints.length} endpoint(s): ${this.endpoints.map(e => `${e.label} (weight ${e.weight})`).join(', ')}`);
+    if (this.logsQuorum > 1) {
+      logger.info(`🔌 [RPC] getLogs requires agreement from ${this.logsQuorum} endpoints`);
+    }
+
+    // Refresh latency/head data for every endpoint, including ones we are not currently using
+    this.healthCheckInterval = null;
+    if (options.healthCheckInterval !== 0) {
+      this.healthCheckInterval = setInterval(() => {
+        this.checkHealth().catch(error => {
+          logger.error('[RPC] Health check failed:', error.message);
+        });
+      }, options.healthCheckInterval || 30000);
+    }
+  }
+
+  get headBlock() {
+    return this.endpoints.reduce((max, e) => Math.max(max, e.blockNumber ?? 0), 0);
+  }
+
+  getBlockLag(endpoint) {
+    return endpoint.blockNumber === null ? 0 : this.headBlock - endpoint.blockNumber;
+  }
+
+  // Higher is better; endpoints cooling down after repeated failures score 0
+  getScore(endpoint, now = Date.now()) {
+    if (endpoint.cooldownUntil > now) return 0;
+
+    const latencyFactor = 1 / (1 + (endpoint.latencyMs ?? 0) / 1000);
+    const lag = this.getBlockLag(endpoint);
+    const lagFactor = lag > this.maxBlockLag ? 0.01 : 1 / (1 + lag);
+
+    return endpoint.weight * (1 - endpoint.errorRate) * latencyFactor * lagFactor;
+  }
+
+  // Endpoints ordered best first; cooling-down ones are kept as a last resort
+  rankEndpoints() {
+    const now = Date.now();
+    return [...this.endpoints].sort((a, b) => {
+      const coolingA = a.cooldownUntil > now;
+      const coolingB = b.cooldownUntil > now;
+      if (coolingA !== coolingB) return coolingA ? 1 : -1;
+      if (coolingA) return a.cooldownUntil - b.cooldownUntil;
+      return this.getScore(b, now) - this.getScore(a, now);
+    });
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.requests++;
+    endpoint.consecutiveErrors = 0;
+    endpoint.cooldownUntil = 0;
+    endpoint.errorRate *= 0.8;
+    endpoint.latencyMs = endpoint.latencyMs === null
+      ? latencyMs
+      : Math.round(endpoint.latencyMs * 0.8 + latencyMs * 0.2);
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.requests++;
+    endpoint.errors++;
+    endpoint.consecutiveErrors++;
+    endpoint.errorRate = endpoint.errorRate * 0.8 + 0.2;
+    endpoint.lastError = error.error?.message || error.shortMessage || error.message;
+    endpoint.lastErrorAt = Date.now();
+
+    if (endpoint.consecutiveErrors >= this.maxConsecutiveErrors && endpoint.cooldownUntil <= Date.now()) {
+      endpoint.cooldownUntil = Date.now() + this.cooldownMs;
+      logger.warn(`⚠️ [RPC] ${endpoint.label} failed ${endpoint.consecutiveErrors} times in a row, cooling down for ${this.cooldownMs / 1000}s`);
+    }
+  }
+
+  // Run a request against one endpoint, tracking latency, errors and the head block it reports
+  async performOn(endpoint, req) {
+    const startTime = Date.now();
+    let timer;
+
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          reject(new Error(`RPC request ${req.method} timed out after ${this.requestTimeout}ms`));
+        }, this.requestTimeout);
+      });
+      rpcRequests.inc({ endpoint: endpoint.label, method: req.method });
+      const result = await Promise.race([endpoint.provider._perform(req), timeout]);
+
+      this.recordSuccess(endpoint, Date.now() - startTime);
+      rpcDuration.observe({ method: req.method }, (Date.now() - startTime) / 1000);
+      if (req.method === 'getBlockNumber') {
+        const blockNumber = ethers.getNumber(result);
+        if (blockNumber > this.headBlock) {
+          this.headBlockUpdatedAt = Date.now();
+        }
+        endpoint.blockNumber = blockNumber;
+      }
+      return result;
+    } catch (error) {
+      if (!DETERMINISTIC_ERROR_CODES.includes(error.code)) {
+        this.recordFailure(endpoint, error);
+        rpcErrors.inc({ endpoint: endpoint.label, method: req.method });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async _perform(req) {
+    if (req.method === 'getLogs' && this.logsQuorum > 1) {
+      return await this.performWithQuorum(req);
+    }
+
+    let lastError;
+    for (const endpoint of this.orderForRequest(req)) {
+      try {
+        const result = await this.performOn(endpoint, req);
+        this.setActive(endpoint);
+        return result;
+      } catch (error) {
+        if (DETERMINISTIC_ERROR_CODES.includes(error.code)) {
+          throw error;
+        }
+        lastError = error;
+        logger.warn(`⚠️ [RPC] ${req.method} failed on ${endpoint.label}: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Endpoints that have not reached the end of a log range yet go last for getLogs
+  orderForRequest(req) {
+    const ranked = this.rankEndpoints();
+    const toBlock = req.method === 'getLogs' && typeof req.filter?.toBlock === 'string' && req.filter.toBlock.startsWith('0x')
+      ? ethers.getNumber(req.filter.toBlock)
+      : null;
+
+    if (toBlock === null) return ranked;
+
+    const caughtUp = ranked.filter(e => e.blockNumber === null || e.blockNumber >= toBlock);
+    const behind = ranked.filter(e => e.blockNumber !== null && e.blockNumber < toBlock);
+    return [...caughtUp, ...behind];
+  }
+
+  // Query endpoints until `logsQuorum` of them return the same set of logs
+  async performWithQuorum(req) {
+    this.quorumStats.checks++;
+
+    const candidates = this.orderForRequest(req);
+    const tally = new Map(); // Map<fingerprint, { count, result }>
+    let lastError;
+
+    const query = async endpoint => {
+      try {
+        const result = await this.performOn(endpoint, req);
+        const fingerprint = result.map(log => `${log.blockHash}:${log.logIndex}`).sort().join(',');
+        const entry = tally.get(fingerprint) || { count: 0, result };
+        entry.count++;
+        tally.set(fingerprint, entry);
+      } catch (error) {
+        lastError = error;
+      }
+    };
+
+    // Ask the best `logsQuorum` endpoints in parallel, then add one at a time until they agree
+    const initial = candidates.slice(0, this.logsQuorum);
+    let next = initial.length;
+    await Promise.all(initial.map(query));
+
+    while (true) {
+      for (const entry of tally.values()) {
+        if (entry.count >= this.logsQuorum) {
+          if (tally.size > 1) {
+            this.quorumStats.mismatches++;
+            logger.warn(`⚠️ [RPC] getLogs results disagreed across endpoints, using the ${entry.count}-endpoint majority`);
+          }
+          return entry.result;
+        }
+      }
+
+      if (next >= candidates.length) break;
+      await query(candidates[next++]);
+    }
+
+    this.quorumStats.failures++;
+    if (tally.size > 1) {
+      this.quorumStats.mismatches++;
+    }
+    throw lastError && tally.size === 0
+      ? lastError
+      : new Error(`getLogs quorum of ${this.logsQuorum} not reached (${tally.size} distinct results)`);
+  }
+
+  setActive(endpoint) {
+    if (this.activeUrl !== endpoint.url) {
+      if (this.activeUrl !== null) {
+        const previous = this.endpoints.find(e => e.url === this.activeUrl);
+        logger.info(`🔀 [RPC] Switching from ${previous.label} to ${endpoint.label}`);
+      }
+      this.activeUrl = endpoint.url;
+    }
+  }
+
+  async _detectNetwork() {
+    if (this.detectedNetwork) {
+      return this.detectedNetwork;
+    }
+
+    let lastError;
+    for (const endpoint of this.rankEndpoints()) {
+      try {
+        this.detectedNetwork = await endpoint.provider.getNetwork();
+        return this.detectedNetwork;
+      } catch (error) {
+        lastError = error;
+        this.recordFailure(endpoint, error);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Probe every endpoint for its head block so scores reflect current latency and lag
+   * @returns {Promise<Object>} - Same shape as getStats()
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(async endpoint => {
+      try {
+        await this.performOn(endpoint, { method: 'getBlockNumber' });
+      } catch (error) {
+        // Already recorded against the endpoint
+      }
+    }));
+
+    return this.getStats();
+  }
+
+  /**
+   * Get per-endpoint health statistics
+   * @returns {Object} - Stats object
+   */
+  getStats() {
+    const now = Date.now();
+    const active = this.endpoints.find(e => e.url === this.activeUrl);
+
+    return {
+      active: active ? active.label : null,
+      headBlock: this.headBlock || null,
+      logsQuorum: this.logsQuorum,
+      quorum: { ...this.quorumStats },
+      endpoints: this.endpoints.map(endpoint => ({
+        url: endpoint.label,
+        weight: endpoint.weight,
+        score: Number(this.getScore(endpoint, now).toFixed(4)),
+        requests: endpoint.requests,
+        errors: endpoint.errors,
+        errorRate: Number(endpoint.errorRate.toFixed(3)),
+        latencyMs: endpoint.latencyMs,
+        blockNumber: endpoint.blockNumber,
+        blockLag: this.getBlockLag(endpoint),
+        coolingDown: endpoint.cooldownUntil > now,
+        lastError: endpoint.lastError,
+        lastErrorAt: endpoint.lastErrorAt
+      }))
+    };
+  }
+
+  /**
+   * Health for the readiness probe: fails when no endpoint is usable or the head block stopped moving
+   * @param {number} maxBlockAgeMs - How long the head block may stay unchanged
+   * @returns {Object} - { status, headBlock, headBlockAgeMs, usableEndpoints, endpoints }
+   */
+  getHealth(maxBlockAgeMs = 2 * 60 * 1000) {
+    const now = Date.now();
+    const endpoints = this.endpoints.map(endpoint => ({
+      url: endpoint.label,
+      connection: endpoint.provider.isWebSocketProvider ? endpoint.provider.wsConnectionState : 'http',
+      coolingDown: endpoint.cooldownUntil > now,
+      consecutiveErrors: endpoint.consecutiveErrors,
+      blockNumber: endpoint.blockNumber
+    }));
+    const usableEndpoints = endpoints.filter(e => !e.coolingDown && e.connection !== 'disconnected').length;
+    const headBlockAgeMs = this.headBlockUpdatedAt === null ? null : now - this.headBlockUpdatedAt;
+
+    let status = 'pass';
+    if (usableEndpoints === 0 || headBlockAgeMs === null || headBlockAgeMs > maxBlockAgeMs) {
+      status = 'fail';
+    } else if (usableEndpoints < endpoints.length) {
+      status = 'warn';
+    }
+
+    return { status, headBlock: this.headBlock || null, headBlockAgeMs, usableEndpoints, endpoints };
+  }
+
+  destroy() {
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+      this.healthCheckInterval = null;
+    }
+    for (const endpoint of this.endpoints) {
+      endpoint.provider.destroy();
+    }
+    super.destroy();
+  }
+}
+
+// Build a pool from the config's rpc section: RPC_URLS ("url|weight,...") or a single RPC_URL
+export function createProviderPool(rpc, options = {}) {
+  const endpoints = rpc.urls?.length > 0 ? rpc.urls : [{ url: rpc.url, weight: 1 }];
+
+  return new ProviderPool(endpoints, {
+    logsQuorum: rpc.logsQuorum,
+    maxBlockLag: rpc.maxBlockLag,
+    requestTimeout: rpc.requestTimeoutMs,
+    ...options
+  });
+}
@@ -2,126 +2,85 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { v4 as uuidv4 } from 'uuid';
+import { createStorageAdapter } from './storage-adapter.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('referral');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 export class ReferralStore {
-  constructor() {
-    this.referrals = { referred_users: {}, referrers: {} };
-    this.trades = [];
-    this.codes = {};
-    
+  constructor(options = {}) {
+    this.isInitialized = false;
+
     // File paths
     this.referralsPath = path.join(__dirname, '../../data/referrals.json');
     this.tradesPath = path.join(__dirname, '../../data/referral_trades.json');
     this.codesPath = path.join(__dirname, '../../data/referral_codes.json');
-  }
 
-  async initialize() {
-    try {
-      // Ensure data directory exists
-      await fs.mkdir(path.dirname(this.referralsPath), { recursive: true });
-      
-      // Load existing data
-      await this.loadReferrals();
-      await this.loadTrades();
-      await this.loadCodes();
-      
-      console.log('ReferralStore initialized');
-      console.log(`Loaded ${Object.keys(this.referrals.referred_users).length} referred users`);
-      console.log(`Loaded ${Object.keys(this.referrals.referrers).length} referrers`);
-      console.log(`Loaded ${this.trades.length} trades`);
-      console.log(`Loaded ${Object.keys(this.codes).length} referral codes`);
-    } catch (error) {
-      console.error('Failed to initialize ReferralStore:', error);
-      throw error;
-    }
-  }
+    // referrals.json holds two sections (referred_users and referrers), each keyed by `address:pool`
+    this.adapter = createStorageAdapter(options.backend, {
+      referredUsers: { file: this.referralsPath, section: 'referred_users', shape: 'object' },
+      referrers: { file: this.referralsPath, section: 'referrers', shape: 'object' },
+      trades: { file: this.tradesPath },
+      codes: { file: this.codesPath, shape: 'object', valueField: 'address' }
+    });
 
-  async loadReferrals() {
-    try {
-      const data = await fs.readFile(this.referralsPath, 'utf-8');
-      const parsed = JSON.parse(data);
-      
-      // Validate the structure
-      if (!parsed || typeof parsed !== 'object') {
-        console.warn('Invalid referrals data, initializing with defaults');
-        this.referrals = { referred_users: {}, referrers: {} };
-        await this.saveReferrals();
-      } else {
-        // Ensure required properties exist
-        this.referrals = {
-          referred_users: parsed.referred_users || {},
-          referrers: parsed.referrers || {}
-        };
-      }
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        console.log('No referrals file found, creating new one');
-        this.referrals = { referred_users: {}, referrers: {} };
-        await this.saveReferrals();
-      } else if (error instanceof SyntaxError) {
-        console.error('Invalid JSON in referrals file, resetting to defaults');
-        this.referrals = { referred_users: {}, referrers: {} };
-        await this.saveReferrals();
-      } else {
-        throw error;
+    this.referredUsers = this.adapter.collection('referredUsers', {
+      idField: 'key',
+      indexes: {
+        referrer: entry => entry.referrer
       }
-    }
-  }
-
-  async loadTrades() {
-    try {
-      const data = await fs.readFile(this.tradesPath, 'utf-8');
-      this.trades = JSON.parse(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        this.trades = [];
-        await this.saveTrades();
-      } else {
-        throw error;
+    });
+    this.referrers = this.adapter.collection('referrers', {
+      idField: 'key',
+      indexes: {
+        address: entry => entry.key.split(':')[0]
       }
-    }
-  }
-
-  async loadCodes() {
-    try {
-      const data = await fs.readFile(this.codesPath, 'utf-8');
-      const parsed = JSON.parse(data);
-      
-      // Validate the structure
-      if (!parsed || typeof parsed !== 'object') {
-        console.warn('Invalid codes data, initializing with defaults');
-        this.codes = {};
-        await this.saveCodes();
-      } else {
-        this.codes = parsed;
+    });
+    this.tradeLog = this.adapter.collection('trades', {
+      indexes: {
+        user: trade => trade.userAddress,
+        referrer: trade => trade.referrer,
+        pool: trade => trade.poolAddress,
+        tx: trade => trade.transactionHash
       }
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        console.log('No codes file found, creating new one');
-        this.codes = {};
-        await this.saveCodes();
-      } else if (error instanceof SyntaxError) {
-        console.error('Invalid JSON in codes file, resetting to defaults');
-        this.codes = {};
-        await this.saveCodes();
-      } else {
-        throw error;
+    });
+    this.codeRegistry = this.adapter.collection('codes', {
+      idField: 'code',
+      indexes: {
+        address: entry => entry.address
       }
-    }
+    });
   }
 
-  async saveReferrals() {
-    await fs.writeFile(this.referralsPath, JSON.stringify(this.referrals, null, 2));
+  // Read-only views in the legacy shapes
+  get trades() {
+    return this.tradeLog.all();
   }
 
-  async saveTrades() {
-    await fs.writeFile(this.tradesPath, JSON.stringify(this.trades, null, 2));
+  get codes() {
+    return Object.fromEntries(this.codeRegistry.all().map(entry => [entry.code, entry.address]));
   }
 
-  async saveCodes() {
-    await fs.writeFile(this.codesPath, JSON.stringify(this.codes, null, 2));
+  async initialize() {
+    try {
+      // Ensure data directory exists
+      await fs.mkdir(path.dirname(this.referralsPath), { recursive: true });
+
+      // Load existing data
+      await this.adapter.open();
+      this.isInitialized = true;
+
+      logger.info(`ReferralStore initialized (${this.adapter.backend} backend)`);
+      logger.info(`Loaded ${this.referredUsers.size} referred users`);
+      logger.info(`Loaded ${this.referrers.size} referrers`);
+      logger.info(`Loaded ${this.tradeLog.size} trades`);
+      logger.info(`Loaded ${this.codeRegistry.size} referral codes`);
+    } catch (error) {
+      logger.error('Failed to initialize ReferralStore:', error);
+      throw error;
+    }
   }
 
   normalizeCode(code) {
@@ -142,12 +101,14 @@ export class ReferralStore {
     if (!normalizedCode) return false;
     
     // Check if code already exists
-    if (this.codes[normalizedCode] && this.codes[normalizedCode] !== normalizedAddress) {
+    const existing = this.codeRegistry.get(normalizedCode);
+    if (existing && existing.address !== normalizedAddress) {
       return false;
     }
     
-    this.codes[normalizedCode] = normalizedAddress;
-    await this.saveCodes();
+    if (!existing) {
+      await this.codeRegistry.put({ code: normalizedCode, address: normalizedAddress });
+    }
     return true;
   }
 
@@ -162,7 +123,7 @@ export class ReferralStore {
     const referrerKey = `${normalizedReferrerAddress}:${normalizedPoolAddress}`;
     
     // Check if already referred for this pool
-    if (this.referrals.referred_users[referralKey]) {
+    if (this.referredUsers.has(referralKey)) {
       return {
         success: false,
         message: 'User already referred for this pool'
@@ -170,31 +131,32 @@ export class ReferralStore {
     }
     
     // Add referred user
-    this.referrals.referred_users[referralKey] = {
+    await this.referredUsers.put({
+      key: referralKey,
       referrer: normalizedReferrerAddress,
       referralCode: normalizedCode,
       poolAddress: normalizedPoolAddress,
       timestamp: Date.now()
-    };
+    });
     
     // Add to referrer's list
-    if (!this.referrals.referrers[referrerKey]) {
-      this.referrals.referrers[referrerKey] = {
-        code: normalizedCode,
-        poolAddress: normalizedPoolAddress,
-        referred: []
-      };
-    }
+    const referrer = this.referrers.get(referrerKey) || {
+      key: referrerKey,
+      code: normalizedCode,
+      poolAddress: normalizedPoolAddress,
+      referred: []
+    };
     
-    if (!this.referrals.referrers[referrerKey].referred.includes(normalizedReferredAddress)) {
-      this.referrals.referrers[referrerKey].referred.push(normalizedReferredAddress);
+    if (!referrer.referred.includes(normalizedReferredAddress)) {
+      await this.referrers.put({
+        ...referrer,
+        referred: [...referrer.referred, normalizedReferredAddress]
+      });
     }
     
     // Register the code if not already registered
     await this.registerCode(normalizedCode, normalizedReferrerAddress);
     
-    await this.saveReferrals();
-    
     return {
       success: true,
       message: 'Referral registered successfully'
@@ -204,6 +166,7 @@ export class ReferralStore {
   async trackTrade(tradeData) {
     const trade = {
       id: uuidv4(),
+      chainId: tradeData.chainId ?? null,
       timestamp: Date.now(),
       userAddress: tradeData.userAddress.toLowerCase(),
       referralCode: this.normalizeCode(tradeData.referralCode),
@@ -217,14 +180,14 @@ export class ReferralStore {
       type: tradeData.type // 'buy' or 'sell'
     };
     
-    this.trades.push(trade);
+    await this.tradeLog.put(trade);
     
     // Keep only last 10000 trades
-    if (this.trades.length > 10000) {
-      this.trades = this.trades.slice(-10000);
+    if (this.tradeLog.size > 10000) {
+      const overflow = this.tradeLog.all().slice(0, this.tradeLog.size - 10000);
+      await this.tradeLog.remove(overflow.map(t => t.id));
     }
     
-    await this.saveTrades();
     return trade;
   }
 
@@ -233,7 +196,7 @@ export class ReferralStore {
     const normalizedPoolAddress = poolAddress.toLowerCase();
     const referralKey = `${normalizedUserAddress}:${normalizedPoolAddress}`;
     
-    const referralData = this.referrals.referred_users[referralKey];
+    const referralData = this.referredUsers.get(referralKey);
     
     if (referralData) {
       return {
@@ -252,7 +215,14 @@ export class ReferralStore {
 
   getReferrerByCode(code) {
     const normalizedCode = this.normalizeCode(code);
-    return this.codes[normalizedCode] || null;
+    const entry = this.codeRegistry.get(normalizedCode);
+    return entry ? entry.address : null;
+  }
+
+  getRecentTrades(limit = 100) {
+    return this.tradeLog.all()
+      .slice(-limit)
+      .reverse();
   }
 
   getReferralStats(address) {
@@ -270,27 +240,24 @@ export class ReferralStore {
     };
     
     // Count referrals by pool
-    Object.entries(this.referrals.referrers).forEach(([key, data]) => {
-      const [referrerAddress, poolAddress] = key.split(':');
-      if (referrerAddress === normalizedAddress) {
-        stats.totalReferred += data.referred.length;
-        stats.referralsByPool[poolAddress] = data.referred.length;
-      }
+    this.referrers.find('address', normalizedAddress).forEach(data => {
+      const [, poolAddress] = data.key.split(':');
+      stats.totalReferred += data.referred.length;
+      stats.referralsByPool[poolAddress] = data.referred.length;
     });
     
     // Calculate volume from trades
     const referredUsers = new Set();
-    Object.entries(this.referrals.referred_users).forEach(([key, data]) => {
-      if (data.referrer === normalizedAddress) {
-        const [userAddress] = key.split(':');
-        referredUsers.add(userAddress);
-      }
+    this.referredUsers.find('referrer', normalizedAddress).forEach(data => {
+      const [userAddress] = data.key.split(':');
+      referredUsers.add(userAddress);
     });
     
-    // Filter trades by referred users
-    const referredTrades = this.trades.filter(trade => 
-      referredUsers.has(trade.userAddress)
-    );
+    // Collect trades by referred users
+    const referredTrades = [];
+    referredUsers.forEach(userAddress => {
+      referredTrades.push(...this.tradeLog.find('user', userAddress));
+    });
     
     referredTrades.forEach(trade => {
       const volumeETH = parseFloat(trade.volumeETH) || 0;
@@ -320,7 +287,7 @@ export class ReferralStore {
     const normalizedCode = this.normalizeCode(code);
     const normalizedPoolAddress = poolAddress ? poolAddress.toLowerCase() : null;
     
-    const referrerAddress = this.codes[normalizedCode];
+    const referrerAddress = this.getReferrerByCode(normalizedCode);
     if (!referrerAddress) {
       return {
         code: normalizedCode,
@@ -331,10 +298,10 @@ export class ReferralStore {
     
     const referrals = [];
     
-    Object.entries(this.referrals.referrers).forEach(([key, data]) => {
-      const [refAddress, refPoolAddress] = key.split(':');
+    this.referrers.find('address', referrerAddress).forEach(data => {
+      const [, refPoolAddress] = data.key.split(':');
       
-      if (refAddress === referrerAddress && data.code === normalizedCode) {
+      if (data.code === normalizedCode) {
         if (!normalizedPoolAddress || refPoolAddress === normalizedPoolAddress) {
           data.referred.forEach(userAddress => {
             referrals.push({
@@ -2,14 +2,12 @@ import { ethers } from 'ethers';
 import axios from 'axios';
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import cache from './cache.js';
 import { getMonPriceService } from './mon-price.js';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
-// ExchangeHelper contract address and ABI
-const EXCHANGE_HELPER_ADDRESS = process.env.EXCHANGE_HELPER_ADDRESS || '0xD82D7Bdd614bA07527351DE627C558Adbd0f7caE';
+const logger = createLogger('referral');
 
 // ExchangeHelper ABI for trade events
 const EXCHANGE_HELPER_ABI = [
@@ -23,78 +21,90 @@ const EXCHANGE_HELPER_ABI = [
 const WMON_ADDRESS = '0x0000000000000000000000000000000000000000';
 
 export class ReferralTracker {
-  constructor(provider, referralStore, httpApiUrl = 'http://localhost:3004') {
+  constructor(provider, referralStore, httpApiUrl = 'http://localhost:3004', chain = getConfig().chain) {
     this.provider = provider;
+    this.chainId = chain.chainId;
+    this.cache = cache.forChain(chain.chainId);
     this.referralStore = referralStore;
     this.httpApiUrl = httpApiUrl;
     this.processedTxHashes = new Set();
 
     // Initialize MON price service
-    this.monPriceService = getMonPriceService(provider);
+    this.monPriceService = getMonPriceService(provider, chain);
     this.monPriceUSD = 0.10; // Default MON price in USD (fallback)
     this.lastPriceUpdate = 0;
 
     // Create ExchangeHelper contract instance
+    this.exchangeHelperAddress = chain.contracts.exchangeHelper;
     this.exchangeHelper = null;
 
-    // Pool info loaded from data/pools.json
+    // Pool info loaded from the chain's pools.json
+    this.poolsPath = path.join(chain.dataDir, 'pools.json');
     this.poolInfo = {};
   }
 
   async initialize() {
-    // Load pool info from data/pools.json
+    // Load pool info from pools.json
     await this.loadPoolInfo();
 
     // Initialize ExchangeHelper contract
-    if (EXCHANGE_HELPER_ADDRESS && EXCHANGE_HELPER_ADDRESS !== ethers.ZeroAddress) {
+    if (this.exchangeHelperAddress && this.exchangeHelperAddress !== ethers.ZeroAddress) {
       this.exchangeHelper = new ethers.Contract(
-        EXCHANGE_HELPER_ADDRESS,
+        this.exchangeHelperAddress,
         EXCHANGE_HELPER_ABI,
         this.provider
       );
-      console.log(`ReferralTracker initialized with ExchangeHelper at ${EXCHANGE_HELPER_ADDRESS}`);
+      logger.info(`ReferralTracker initialized with ExchangeHelper at ${this.exchangeHelperAddress}`);
     } else {
-      console.warn('ReferralTracker: No ExchangeHelper address configured');
+      logger.warn('ReferralTracker: No ExchangeHelper address configured');
     }
 
     // Fetch initial MON price
     try {
-      this.monPriceUSD = await this.monPriceService.getMonPrice();
+      this.monPriceUSD = (await this.monPriceService.getMonPrice()) ?? this.monPriceUSD;
     } catch (error) {
-      console.error('Failed to fetch MON price, using default:', error.message);
+      logger.error('Failed to fetch MON price, using default:', error.message);
     }
 
-    console.log(`ReferralTracker initialized with MON price: $${this.monPriceUSD.toFixed(4)}`);
-    console.log(`ReferralTracker loaded ${Object.keys(this.poolInfo).length} pools`);
+    logger.info(`ReferralTracker initialized with MON price: $${this.monPriceUSD.toFixed(4)}`);
+    logger.info(`ReferralTracker loaded ${Object.keys(this.poolInfo).length} pools`);
   }
 
   async loadPoolInfo() {
     try {
-      const poolsPath = path.join(__dirname, '..', '..', 'data', 'pools.json');
-      const poolsData = await fs.readFile(poolsPath, 'utf-8');
+      const poolsData = await fs.readFile(this.poolsPath, 'utf-8');
       const parsed = JSON.parse(poolsData);
 
       // Build poolInfo map: poolAddress -> { symbol, decimals, token0, token1 }
       for (const pool of parsed.pools || []) {
         if (pool.enabled !== false) {
-          this.poolInfo[pool.address.toLowerCase()] = {
-            symbol: pool.token0.symbol,
-            decimals: pool.token0.decimals,
-            token0: pool.token0.address.toLowerCase(),
-            token1: pool.token1.address.toLowerCase(),
-            name: pool.name
-          };
-          console.log(`[ReferralTracker] Loaded pool: ${pool.name} (${pool.address.toLowerCase()})`);
+          this.updatePool(pool);
+          logger.info(`[ReferralTracker] Loaded pool: ${pool.name} (${pool.address.toLowerCase()})`);
         }
       }
 
-      console.log(`[ReferralTracker] Loaded ${Object.keys(this.poolInfo).length} enabled pools`);
+      logger.info(`[ReferralTracker] Loaded ${Object.keys(this.poolInfo).length} enabled pools`);
     } catch (error) {
-      console.error('[ReferralTracker] Error loading pools.json:', error);
+      logger.error('[ReferralTracker] Error loading pools.json:', error);
       this.poolInfo = {};
     }
   }
 
+  // Pool added, enabled or relabelled in pools.json while running
+  updatePool(pool) {
+    this.poolInfo[pool.address.toLowerCase()] = {
+      symbol: pool.token0.symbol,
+      decimals: pool.token0.decimals,
+      token0: pool.token0.address.toLowerCase(),
+      token1: pool.token1.address.toLowerCase(),
+      name: pool.name
+    };
+  }
+
+  removePool(poolAddress) {
+    delete this.poolInfo[poolAddress.toLowerCase()];
+  }
+
   // Main method to track ExchangeHelper events
   async trackExchangeHelperEvent(eventData) {
     try {
@@ -119,7 +129,7 @@ export class ReferralTracker {
       const poolAddress = await this.determinePoolFromTransaction(eventData.transactionHash);
       
       if (!poolAddress) {
-        console.warn(`Could not determine pool for ExchangeHelper trade: ${eventData.transactionHash}`);
+        logger.warn(`Could not determine pool for ExchangeHelper trade: ${eventData.transactionHash}`);
         return;
       }
       
@@ -131,7 +141,7 @@ export class ReferralTracker {
         return;
       }
       
-      console.log(`Found referral trade: ${traderAddress} on pool ${poolAddress} via ExchangeHelper`);
+      logger.info(`Found referral trade: ${traderAddress} on pool ${poolAddress} via ExchangeHelper`);
       
       // Calculate trade volume based on the event type
       const tradeVolume = await this.calculateTradeVolumeFromExchangeHelper(
@@ -141,12 +151,13 @@ export class ReferralTracker {
       );
       
       if (!tradeVolume) {
-        console.error('Could not calculate trade volume for', eventData.transactionHash);
+        logger.error('Could not calculate trade volume for', eventData.transactionHash);
         return;
       }
       
       // Track the trade
       const trade = await this.referralStore.trackTrade({
+        chainId: this.chainId,
         userAddress: traderAddress,
         referralCode: referralData.referralCode,
         referrer: referralData.referrer,
@@ -159,10 +170,10 @@ export class ReferralTracker {
         type: tradeVolume.type
       });
       
-      console.log(`Tracked referral trade: ${trade.id} - ${traderAddress} traded ${tradeVolume.volumeMON} MON worth $${tradeVolume.volumeUSD}`);
+      logger.info(`Tracked referral trade: ${trade.id} - ${traderAddress} traded ${tradeVolume.volumeMON} MON worth $${tradeVolume.volumeUSD}`);
       
     } catch (error) {
-      console.error('Error tracking ExchangeHelper event:', error);
+      logger.error('Error tracking ExchangeHelper event:', error);
     }
   }
 
@@ -170,20 +181,20 @@ export class ReferralTracker {
   async trackSwapEvent(eventData) {
     // If it's an actual Swap event from a pool, we need to check if there's a corresponding
     // ExchangeHelper event in the same transaction
-    console.log('Legacy trackSwapEvent called - checking for ExchangeHelper events in same tx');
+    logger.info('Legacy trackSwapEvent called - checking for ExchangeHelper events in same tx');
     
     // For now, we'll just log a warning since pool swaps should be tracked via ExchangeHelper
-    console.warn(`Pool Swap event detected but should be using ExchangeHelper events: ${eventData.transactionHash}`);
+    logger.warn(`Pool Swap event detected but should be using ExchangeHelper events: ${eventData.transactionHash}`);
   }
 
   async determinePoolFromTransaction(txHash) {
     try {
       // Get transaction receipt to analyze the logs
-      let receipt = await cache.getTransaction(txHash + '_receipt');
+      let receipt = await this.cache.getTransaction(txHash + '_receipt');
 
       if (!receipt) {
         receipt = await this.provider.getTransactionReceipt(txHash);
-        cache.setTransaction(txHash + '_receipt', receipt);
+        this.cache.setTransaction(txHash + '_receipt', receipt);
       }
 
       // Look for Swap events in the logs to determine which pool was used
@@ -197,7 +208,7 @@ export class ReferralTracker {
 
           // Verify this pool is one we track
           if (this.poolInfo[poolAddress]) {
-            console.log(`[ReferralTracker] Found tracked pool: ${this.poolInfo[poolAddress].name} (${poolAddress})`);
+            logger.info(`[ReferralTracker] Found tracked pool: ${this.poolInfo[poolAddress].name} (${poolAddress})`);
             return poolAddress;
           }
         }
@@ -205,7 +216,7 @@ export class ReferralTracker {
 
       return null;
     } catch (error) {
-      console.error('Error determining pool from transaction:', error);
+      logger.error('Error determining pool from transaction:', error);
       return null;
     }
   }
@@ -216,7 +227,7 @@ export class ReferralTracker {
       const poolInfoEntry = this.poolInfo[poolAddress.toLowerCase()];
 
       if (!poolInfoEntry) {
-        console.warn(`Unknown pool in ExchangeHelper trade: ${poolAddress}`);
+        logger.warn(`Unknown pool in ExchangeHelper trade: ${poolAddress}`);
         return null;
       }
       
@@ -227,7 +238,7 @@ export class ReferralTracker {
       } else if (eventName.startsWith('Sold')) {
         type = 'sell';
       } else {
-        console.warn(`Unknown ExchangeHelper event type: ${eventName}`);
+        logger.warn(`Unknown ExchangeHelper event type: ${eventName}`);
         return null;
       }
       
@@ -236,10 +247,11 @@ export class ReferralTracker {
       // Update MON price if needed (every 30 seconds)
       if (Date.now() - this.lastPriceUpdate > 30000) {
         try {
-          this.monPriceUSD = await this.monPriceService.getMonPrice();
+          // Without a price the last known one is kept
+          this.monPriceUSD = (await this.monPriceService.getMonPrice()) ?? this.monPriceUSD;
           this.lastPriceUpdate = Date.now();
         } catch (error) {
-          console.error('Failed to update MON price:', error.message);
+          logger.error('Failed to update MON price:', error.message);
         }
       }
       const volumeUSD = volumeMON * this.monPriceUSD;
@@ -253,7 +265,7 @@ export class ReferralTracker {
       };
       
     } catch (error) {
-      console.error('Error calculating trade volume from ExchangeHelper:', error);
+      logger.error('Error calculating trade volume from ExchangeHelper:', error);
       return null;
     }
   }
@@ -276,7 +288,7 @@ export class ReferralTracker {
 
   // Get the ExchangeHelper contract address for external use
   getExchangeHelperAddress() {
-    return EXCHANGE_HELPER_ADDRESS;
+    return this.exchangeHelperAddress;
   }
 
   // Check if ExchangeHelper is configured
@@ -0,0 +1,376 @@
+import { ethers } from 'ethers';
+import metrics from './metrics.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('rpc');
+
+const rpcRateLimited = metrics.counter('rpc_rate_limited_total', 'Rate-limit responses that paused the RPC scheduler');
+const rpcQueueLength = metrics.gauge('rpc_queue_length', 'RPC requests waiting in the scheduler, by priority');
+
+// Request priorities, most urgent first
+export const RPC_PRIORITIES = ['live', 'referral', 'vault'];
+
+// Relative cost of each provider action in rate-limit units (anything unlisted costs 1)
+const METHOD_COSTS = {
+  getLogs: 3,
+  getBlock: 2,
+  getTransactionReceipt: 2,
+  getTransaction: 1,
+  getBlockNumber: 1,
+  call: 1
+};
+
+// Canonical Multicall3 deployment (same address on every chain it is deployed to)
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_INTERFACE = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+
+function isRateLimitError(error) {
+  if (error.code === 429 || error.error?.code === 429 || error.error?.code === -32005) {
+    return true;
+  }
+  const message = error.error?.message || error.info?.responseStatus || error.shortMessage || error.message || '';
+  return /429|rate limit|too many requests|request limit/i.test(String(message));
+}
+
+/**
+ * Provider view that submits every request to the scheduler under one priority,
+ * so consumers can keep using ethers contracts and provider methods unchanged
+ */
+class ScheduledProvider extends ethers.AbstractProvider {
+  constructor(scheduler, priority) {
+    super();
+    this.scheduler = scheduler;
+    this.pool = scheduler.provider;
+    this.priority = priority;
+  }
+
+  async _detectNetwork() {
+    return await this.pool.getNetwork();
+  }
+
+  async _perform(req) {
+    return await this.scheduler.schedule(req, this.priority);
+  }
+}
+
+/**
+ * Process-wide RPC scheduler.
+ *
+ * All chain consumers share one token bucket (refilled at `rate` units per second, where each
+ * request costs METHOD_COSTS[method]). Queued requests are served strictly by priority:
+ * live event polling, then referral receipt lookups, then vault metric refreshes.
+ * Rate-limit responses pause the whole bucket with exponential backoff and the request is retried.
+ * Plain `eth_call`s that are queued together are folded into a single Multicall3 `aggregate3` call.
+ */
+export class RpcScheduler {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.rate = options.rate || 10;
+    this.burst = options.burst || this.rate;
+    this.maxConcurrent = options.maxConcurrent || 4;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseBackoffMs = options.baseBackoffMs || 2000;
+    this.maxBackoffMs = options.maxBackoffMs || 30000;
+    this.multicallAddress = options.multicallAddress || MULTICALL3_ADDRESS;
+    this.multicallEnabled = options.multicall !== false;
+    this.multicallMaxBatch = options.multicallMaxBatch || 50;
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.inFlight = 0;
+    this.backoffMs = 0;
+    this.backoffUntil = 0;
+    this.pumpTimer = null;
+    this.views = new Map();
+
+    this.queues = new Map(RPC_PRIORITIES.map(priority => [priority, []]));
+    this.stats = {
+      rateLimited: 0,
+      retries: 0,
+      multicall: { batches: 0, calls: 0, fallbacks: 0 },
+      priorities: Object.fromEntries(RPC_PRIORITIES.map(priority => [priority, {
+        completed: 0,
+        failed: 0,
+        avgWaitMs: 0,
+        maxWaitMs: 0
+      }]))
+    };
+
+    metrics.collect(() => {
+      for (const [priority, queue] of this.queues) {
+        rpcQueueLength.set({ priority }, queue.length);
+      }
+    });
+  }
+
+  /**
+   * Get a provider whose requests are scheduled with the given priority
+   * @param {string} priority - One of RPC_PRIORITIES
+   * @returns {ScheduledProvider}
+   */
+  view(priority) {
+    if (!this.queues.has(priority)) {
+      throw new Error(`Unknown RPC priority "${priority}" (expected one of ${RPC_PRIORITIES.join(', ')})`);
+    }
+    if (!this.views.has(priority)) {
+      this.views.set(priority, new ScheduledProvider(this, priority));
+    }
+    return this.views.get(priority);
+  }
+
+  /**
+   * Queue a provider action
+   * @param {Object} req - ethers perform request ({ method, ... })
+   * @param {string} priority - One of RPC_PRIORITIES
+   * @returns {Promise<any>} - Raw result of the action
+   */
+  schedule(req, priority = 'vault') {
+    return new Promise((resolve, reject) => {
+      this.queues.get(priority).push({
+        req,
+        priority,
+        resolve,
+        reject,
+        attempts: 0,
+        noBatch: false,
+        enqueuedAt: Date.now()
+      });
+      this.schedulePump(0);
+    });
+  }
+
+  schedulePump(delay) {
+    if (this.pumpTimer) return;
+    this.pumpTimer = setTimeout(() => {
+      this.pumpTimer = null;
+      this.pump();
+    }, delay);
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+    this.lastRefill = now;
+  }
+
+  nextJob() {
+    for (const queue of this.queues.values()) {
+      if (queue.length > 0) return queue[0];
+    }
+    return null;
+  }
+
+  isBatchable(job) {
+    if (!this.multicallEnabled || job.noBatch || job.req.method !== 'call') return false;
+    const tx = job.req.transaction;
+    return Boolean(tx.to && tx.data) &&
+      tx.to.toLowerCase() !== this.multicallAddress.toLowerCase() &&
+      Object.keys(tx).every(key => ['to', 'data', 'blockTag'].includes(key));
+  }
+
+  // Take the next job plus, for eth_call, every other queued call at the same block tag
+  takeJobs() {
+    const first = this.nextJob();
+    const jobs = [first];
+
+    if (this.isBatchable(first)) {
+      for (const queue of this.queues.values()) {
+        for (const job of queue) {
+          if (jobs.length >= this.multicallMaxBatch) break;
+          if (job !== first && this.isBatchable(job) && job.req.blockTag === first.req.blockTag) {
+            jobs.push(job);
+          }
+        }
+      }
+    }
+
+    const cost = jobs.length > 1 ? 2 : (METHOD_COSTS[first.req.method] || 1);
+    return { jobs, cost: Math.min(cost, this.burst) };
+  }
+
+  pump() {
+    while (this.inFlight < this.maxConcurrent && this.nextJob()) {
+      const now = Date.now();
+      if (this.backoffUntil > now) {
+        this.schedulePump(this.backoffUntil - now);
+        return;
+      }
+
+      this.refill();
+      const { jobs, cost } = this.takeJobs();
+      if (this.tokens < cost) {
+        this.schedulePump(Math.ceil(((cost - this.tokens) / this.rate) * 1000));
+        return;
+      }
+
+      this.tokens -= cost;
+      for (const job of jobs) {
+        const queue = this.queues.get(job.priority);
+        queue.splice(queue.indexOf(job), 1);
+      }
+      this.run(jobs);
+    }
+  }
+
+  async run(jobs) {
+    this.inFlight++;
+
+    const startedAt = Date.now();
+    for (const job of jobs) {
+      this.recordWait(job.priority, startedAt - job.enqueuedAt);
+    }
+
+    try {
+      if (jobs.length > 1) {
+        await this.runMulticall(jobs);
+      } else {
+        const result = await this.provider._perform(jobs[0].req);
+        this.settle(jobs[0], result, null);
+      }
+      this.backoffMs = 0;
+    } catch (error) {
+      if (isRateLimitError(error)) {
+        this.handleRateLimit(jobs, error);
+      } else if (jobs.length > 1) {
+        // Multicall itself failed (e.g. not deployed on this chain) - send the calls one by one
+        this.stats.multicall.fallbacks++;
+        logger.warn(`⚠️ [RPC Scheduler] Multicall of ${jobs.length} calls failed (${error.shortMessage || error.message}), falling back to single calls`);
+        if (this.stats.multicall.batches === 0 && this.stats.multicall.fallbacks >= 3) {
+          // Never worked on this chain, most likely Multicall3 is not deployed
+          this.multicallEnabled = false;
+          logger.warn(`⚠️ [RPC Scheduler] Disabling Multicall3 batching, no batch has succeeded at ${this.multicallAddress}`);
+        }
+        this.requeue(jobs.map(job => Object.assign(job, { noBatch: true })));
+      } else {
+        this.settle(jobs[0], null, error);
+      }
+    } finally {
+      this.inFlight--;
+      this.schedulePump(0);
+    }
+  }
+
+  async runMulticall(jobs) {
+    const { blockTag } = jobs[0].req;
+    const data = MULTICALL3_INTERFACE.encodeFunctionData('aggregate3', [
+      jobs.map(job => ({ target: job.req.transaction.to, allowFailure: true, callData: job.req.transaction.data }))
+    ]);
+
+    const raw = await this.provider._perform({
+      method: 'call',
+      transaction: { to: this.multicallAddress, data },
+      blockTag
+    });
+    const [results] = MULTICALL3_INTERFACE.decodeFunctionResult('aggregate3', raw);
+
+    this.stats.multicall.batches++;
+    this.stats.multicall.calls += jobs.length;
+
+    jobs.forEach((job, index) => {
+      const { success, returnData } = results[index];
+      if (success) {
+        this.settle(job, returnData, null);
+      } else {
+        // Same shape as a revert from a direct eth_call so contracts can decode custom errors
+        this.settle(job, null, ethers.makeError('execution reverted', 'CALL_EXCEPTION', {
+          action: 'call',
+          data: returnData,
+          reason: null,
+          transaction: job.req.transaction,
+          invocation: null,
+          revert: null
+        }));
+      }
+    });
+  }
+
+  handleRateLimit(jobs, error) {
+    this.stats.rateLimited++;
+    rpcRateLimited.inc();
+    this.backoffMs = Math.min(this.backoffMs ? this.backoffMs * 2 : this.baseBackoffMs, this.maxBackoffMs);
+    this.backoffUntil = Date.now() + this.backoffMs;
+    logger.warn(`⚠️ [RPC Scheduler] Rate limited, pausing all RPC requests for ${this.backoffMs}ms`);
+
+    const retry = [];
+    for (const job of jobs) {
+      job.attempts++;
+      if (job.attempts > this.maxRetries) {
+        this.settle(job, null, error);
+      } else {
+        this.stats.retries++;
+        retry.push(job);
+      }
+    }
+    this.requeue(retry);
+  }
+
+  // Put jobs back at the front of their queues, keeping their original order
+  requeue(jobs) {
+    for (const job of [...jobs].reverse()) {
+      this.queues.get(job.priority).unshift(job);
+    }
+  }
+
+  settle(job, result, error) {
+    const stats = this.stats.priorities[job.priority];
+    if (error) {
+      stats.failed++;
+      job.reject(error);
+    } else {
+      stats.completed++;
+      job.resolve(result);
+    }
+  }
+
+  recordWait(priority, waitMs) {
+    const stats = this.stats.priorities[priority];
+    stats.avgWaitMs = Math.round(stats.avgWaitMs * 0.9 + waitMs * 0.1);
+    stats.maxWaitMs = Math.max(stats.maxWaitMs, waitMs);
+  }
+
+  /**
+   * Get queue depth, wait time and rate-limit statistics
+   * @returns {Object} - Stats object
+   */
+  getStats() {
+    this.refill();
+
+    return {
+      rate: this.rate,
+      burst: this.burst,
+      tokens: Math.floor(this.tokens),
+      inFlight: this.inFlight,
+      backoffUntil: this.backoffUntil > Date.now() ? this.backoffUntil : null,
+      rateLimited: this.stats.rateLimited,
+      retries: this.stats.retries,
+      queues: Object.fromEntries(RPC_PRIORITIES.map(priority => [priority, {
+        depth: this.queues.get(priority).length,
+        ...this.stats.priorities[priority]
+      }])),
+      multicall: {
+        enabled: this.multicallEnabled,
+        ...this.stats.multicall
+      }
+    };
+  }
+
+  stop() {
+    if (this.pumpTimer) {
+      clearTimeout(this.pumpTimer);
+      this.pumpTimer = null;
+    }
+  }
+}
+
+// Build the scheduler from the config's rpc section (RPC_RATE_LIMIT / RPC_BURST / RPC_MAX_CONCURRENT / RPC_MULTICALL*)
+export function createRpcScheduler(provider, rpc) {
+  return new RpcScheduler(provider, {
+    rate: rpc.rateLimit,
+    burst: rpc.burst ?? undefined,
+    maxConcurrent: rpc.maxConcurrent,
+    multicall: rpc.multicall,
+    multicallAddress: rpc.multicallAddress ?? undefined
+  });
+}
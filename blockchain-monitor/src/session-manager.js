@@ -1,4 +1,7 @@
 import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('ws');
 
 export class SessionManager {
   constructor(maxSessionAge = 30 * 60 * 1000) { // 30 minutes default
@@ -20,7 +23,7 @@ export class SessionManager {
     if (existingToken) {
       const existingSession = this.getSession(existingToken);
       if (existingSession) {
-        console.log(`Found existing session for ${address}: ${existingToken}`);
+        logger.info(`Found existing session for ${address}`);
         // Update username if it changed
         if (existingSession.username !== username) {
           existingSession.username = username;
@@ -46,7 +49,7 @@ export class SessionManager {
     this.sessions.set(sessionToken, session);
     this.addressToToken.set(address.toLowerCase(), sessionToken);
     
-    console.log(`Created new session for ${address}: ${sessionToken}`);
+    logger.info(`Created new session for ${address}`);
     return session;
   }
 
@@ -98,6 +101,22 @@ export class SessionManager {
     return this.sessions.delete(sessionToken);
   }
 
+  // Drop every session of an address so it has to sign in again
+  removeSessionsForAddress(address) {
+    const normalizedAddress = address.toLowerCase();
+    let removed = 0;
+
+    for (const [token, session] of this.sessions) {
+      if (session.address === normalizedAddress) {
+        this.sessions.delete(token);
+        removed++;
+      }
+    }
+    this.addressToToken.delete(normalizedAddress);
+
+    return removed;
+  }
+
   cleanupExpiredSessions() {
     const now = Date.now();
     let cleaned = 0;
@@ -115,7 +134,7 @@ export class SessionManager {
     }
     
     if (cleaned > 0) {
-      console.log(`Cleaned up ${cleaned} expired sessions`);
+      logger.info(`Cleaned up ${cleaned} expired sessions`);
     }
   }
 
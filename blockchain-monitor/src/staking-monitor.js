@@ -0,0 +1,492 @@
+import { ethers } from 'ethers';
+import EventEmitter from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { findDeploymentBlock } from './block-cursor-store.js';
+import { monitorHealth } from './health-checks.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('staking');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load Staking ABI for staking events and views
+let StakingABI;
+try {
+  const abiPath = path.join(__dirname, '..', '..', 'assets', 'Staking.json');
+  const abiData = JSON.parse(await fs.readFile(abiPath, 'utf-8'));
+  StakingABI = abiData.abi;
+} catch (error) {
+  logger.error('Failed to load Staking ABI:', error);
+  StakingABI = [];
+}
+
+export const STAKING_EVENT_NAMES = ['Staked', 'Unstaked', 'NotifiedReward'];
+
+// Decoded event arguments by name, uint256 values as strings
+function formatArgs(event) {
+  const args = {};
+  event.fragment.inputs.forEach((input, i) => {
+    const value = event.args[i];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+  return args;
+}
+
+/**
+ * StakingMonitor - Monitors staking contract events (Staked, Unstaked, NotifiedReward)
+ *
+ * Emits 'stakingEvent' when one is detected with the following structure:
+ * {
+ *   stakingAddress: string,
+ *   eventName: 'Staked' | 'Unstaked' | 'NotifiedReward',
+ *   blockNumber: number,
+ *   blockHash: string,
+ *   transactionHash: string,
+ *   transactionIndex: number,
+ *   logIndex: number,
+ *   args: object, // Staked/Unstaked: { user, amount }, NotifiedReward: { reward, epoch, epochEnd, totalStaked }
+ *   blockTimestamp: number, // Block time in seconds
+ *   timestamp: number
+ * }
+ *
+ * NotifiedReward carries only the reward, so the epoch it started and the amount staked at that
+ * block are read from the contract (null when the node cannot serve state at that block).
+ */
+export class StakingMonitor extends EventEmitter {
+  constructor(provider, stakings = [], options = {}) {
+    super();
+    this.provider = provider;
+    this.viewProvider = options.viewProvider || provider; // State reads, kept off the live event path
+    this.stakings = new Map(); // Map stakingAddress -> { address, vaultAddress, tokenSymbol, tokenName }
+    this.stakingContracts = new Map();
+    this.viewContracts = new Map();
+    this.state = new Map(); // Map stakingAddress -> { data, updatedAt }
+    this.stateRequests = new Map(); // Map stakingAddress -> in-flight promise
+    this.blockTimestamps = new Map();
+    this.isRunning = false;
+    this.lastBlockUpdateTime = Date.now();
+
+    // Durable per-contract cursors ('staking:<address>') used to backfill after restarts
+    this.cursorStore = options.cursorStore || null;
+    this.backfillChunkSize = options.backfillChunkSize || 100;
+    this.startBlock = options.startBlock ?? null; // Where contracts without a cursor start, instead of their deployment block
+    this.backfillStatus = { state: 'idle' };
+    this.cursorInterval = null;
+    this.lastObservedHead = null;
+    this.isPolling = false;
+
+    for (const staking of stakings) {
+      this.stakings.set(staking.address.toLowerCase(), { ...staking, address: staking.address.toLowerCase() });
+    }
+  }
+
+  async initialize() {
+    logger.info(`Initializing StakingMonitor for ${this.stakings.size} staking contracts...`);
+
+    for (const stakingAddress of this.stakings.keys()) {
+      this.stakingContracts.set(stakingAddress, new ethers.Contract(stakingAddress, StakingABI, this.provider));
+      this.viewContracts.set(stakingAddress, new ethers.Contract(stakingAddress, StakingABI, this.viewProvider));
+    }
+
+    logger.info(`StakingMonitor initialized with ${this.stakingContracts.size} staking contracts`);
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.info('StakingMonitor already running');
+      return;
+    }
+
+    this.isRunning = true;
+
+    // Catch up on staking events mined while we were down before going live
+    await this.backfill();
+
+    // Each contract is polled from its cursor, the provider pool has no event subscriptions
+    this.cursorInterval = setInterval(async () => {
+      await this.pollEvents();
+    }, 20000);
+    logger.info('StakingMonitor started');
+  }
+
+  /**
+   * Start monitoring a staking contract while running
+   * @param {Object} staking - { address, vaultAddress, tokenSymbol, tokenName }
+   * @param {number} fromBlock - First block to scan (defaults to the next polled block)
+   */
+  async addStaking(staking, fromBlock = null) {
+    const stakingAddress = staking.address.toLowerCase();
+    if (this.stakingContracts.has(stakingAddress)) return;
+
+    this.stakings.set(stakingAddress, { ...staking, address: stakingAddress });
+    const contract = new ethers.Contract(stakingAddress, StakingABI, this.provider);
+    this.stakingContracts.set(stakingAddress, contract);
+    this.viewContracts.set(stakingAddress, new ethers.Contract(stakingAddress, StakingABI, this.viewProvider));
+
+    // Polling resumes every contract from its cursor, so this one starts at fromBlock
+    if (fromBlock !== null) {
+      this.advanceCursor(stakingAddress, fromBlock - 1);
+    }
+
+    logger.info(`🔒 Added staking contract ${stakingAddress} to monitoring`);
+  }
+
+  async handleStakingEvent(eventName, stakingAddress, log) {
+    try {
+      this.lastBlockUpdateTime = Date.now();
+
+      const stakingEvent = {
+        stakingAddress,
+        eventName,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        transactionIndex: log.transactionIndex,
+        logIndex: log.index,
+        args: {
+          ...formatArgs(log),
+          ...(eventName === 'NotifiedReward' ? await this.getRewardContext(stakingAddress, log.blockNumber) : {})
+        },
+        blockTimestamp: await this.getBlockTimestamp(log.blockNumber),
+        timestamp: Date.now()
+      };
+
+      // Staked amounts or the epoch changed, next state read goes to the chain
+      this.state.delete(stakingAddress);
+
+      this.emit('stakingEvent', stakingEvent);
+      logger.info(`🔒 ${eventName} event detected on staking contract ${stakingAddress}${stakingEvent.args.user ? ` by ${stakingEvent.args.user}` : ''}`);
+    } catch (error) {
+      logger.error(`Error handling staking ${eventName} event:`, error);
+    }
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    if (this.blockTimestamps.has(blockNumber)) {
+      return this.blockTimestamps.get(blockNumber);
+    }
+
+    try {
+      const block = await this.provider.getBlock(blockNumber);
+      if (!block) return null;
+
+      this.blockTimestamps.set(blockNumber, block.timestamp);
+      if (this.blockTimestamps.size > 1000) {
+        this.blockTimestamps.delete(this.blockTimestamps.keys().next().value);
+      }
+      return block.timestamp;
+    } catch (error) {
+      logger.warn(`⚠️ Could not read timestamp of block ${blockNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  // Epoch and total staked as of the block a reward was notified in
+  async getRewardContext(stakingAddress, blockNumber) {
+    const contract = this.viewContracts.get(stakingAddress);
+
+    try {
+      const [epoch, totalStaked] = await Promise.all([
+        contract.epoch({ blockTag: blockNumber }),
+        contract.totalStaked({ blockTag: blockNumber })
+      ]);
+
+      return {
+        epoch: epoch.number.toString(),
+        epochEnd: Number(epoch.end),
+        totalStaked: totalStaked.toString()
+      };
+    } catch (error) {
+      logger.warn(`⚠️ Could not read staking state of ${stakingAddress} at block ${blockNumber}:`, error.message);
+      return { epoch: null, epochEnd: null, totalStaked: null };
+    }
+  }
+
+  /**
+   * Read a staking contract's current epoch and totals
+   * @param {string} stakingAddress - Staking contract address
+   * @param {number} maxAgeMs - Reuse a reading younger than this
+   * @returns {Promise<Object|null>} - State, or null if the contract is unknown or the read failed
+   */
+  async getState(stakingAddress, maxAgeMs = 60000) {
+    const address = stakingAddress.toLowerCase();
+    const contract = this.viewContracts.get(address);
+    if (!contract) return null;
+
+    const cached = this.state.get(address);
+    if (cached && Date.now() - cached.updatedAt < maxAgeMs) {
+      return cached.data;
+    }
+
+    // Concurrent requests share one read
+    if (!this.stateRequests.has(address)) {
+      this.stateRequests.set(address, this.readState(address, contract).finally(() => {
+        this.stateRequests.delete(address);
+      }));
+    }
+    return await this.stateRequests.get(address);
+  }
+
+  async readState(address, contract) {
+    try {
+      // Issued together so the RPC scheduler can batch them into one multicall
+      const [epoch, totalStaked, totalRewards, totalEpochs, lockInEpochs] = await Promise.all([
+        contract.epoch(),
+        contract.totalStaked(),
+        contract.totalRewards(),
+        contract.totalEpochs(),
+        contract.lockInEpochs()
+      ]);
+
+      const data = {
+        epoch: epoch.number.toString(),
+        epochEnd: Number(epoch.end),
+        epochDistribute: epoch.distribute.toString(),
+        totalStaked: totalStaked.toString(),
+        totalRewards: totalRewards.toString(),
+        totalEpochs: totalEpochs.toString(),
+        lockInEpochs: lockInEpochs.toString()
+      };
+
+      this.state.set(address, { data, updatedAt: Date.now() });
+      return data;
+    } catch (error) {
+      logger.error(`Error reading state of staking contract ${address}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read a user's on-chain staked balance in several staking contracts
+   * @param {string} userAddress - Staker address
+   * @param {string[]} stakingAddresses - Staking contract addresses
+   * @returns {Promise<Object>} - Map stakingAddress -> balance string (null if the read failed)
+   */
+  async getStakedBalances(userAddress, stakingAddresses) {
+    const addresses = stakingAddresses.map(address => address.toLowerCase()).filter(address => this.viewContracts.has(address));
+
+    const balances = await Promise.all(addresses.map(async address => {
+      try {
+        return (await this.viewContracts.get(address).stakedBalance(userAddress)).toString();
+      } catch (error) {
+        logger.warn(`⚠️ Could not read staked balance of ${userAddress} in ${address}:`, error.message);
+        return null;
+      }
+    }));
+
+    return Object.fromEntries(addresses.map((address, i) => [address, balances[i]]));
+  }
+
+  getStakings() {
+    return [...this.stakings.values()];
+  }
+
+  // Look up a staking contract by its own address or by its vault's
+  getStaking(address) {
+    const key = address.toLowerCase();
+    return this.stakings.get(key)
+      || this.getStakings().find(staking => staking.vaultAddress?.toLowerCase() === key)
+      || null;
+  }
+
+  // CONTRACT_START_BLOCK when set, else the deployment block; the head if neither can be found
+  async getFirstBlock(stakingAddress, headBlock) {
+    if (this.startBlock !== null) return Math.min(this.startBlock, headBlock + 1);
+
+    try {
+      const deploymentBlock = await findDeploymentBlock(this.provider, stakingAddress, headBlock);
+      if (deploymentBlock !== null) return deploymentBlock;
+      logger.warn(`⚠️ No contract code at staking contract ${stakingAddress}, tracking it from the head`);
+    } catch (error) {
+      logger.warn(`⚠️ Could not find the deployment block of staking contract ${stakingAddress}, tracking it from the head:`, error.message);
+    }
+    return headBlock + 1;
+  }
+
+  getCursorName(stakingAddress) {
+    return `staking:${stakingAddress.toLowerCase()}`;
+  }
+
+  /**
+   * Backfill every staking contract from its saved cursor to the current head
+   */
+  async backfill() {
+    const headBlock = await this.provider.getBlockNumber();
+    const ranges = [];
+
+    for (const [stakingAddress, contract] of this.stakingContracts) {
+      const cursor = this.cursorStore ? this.cursorStore.get(this.getCursorName(stakingAddress)) : null;
+
+      if (cursor === null) {
+        // First time we see this contract: scan its whole history, so earlier events are not lost
+        const fromBlock = await this.getFirstBlock(stakingAddress, headBlock);
+        this.advanceCursor(stakingAddress, fromBlock - 1);
+        if (fromBlock <= headBlock) {
+          ranges.push({ stakingAddress, contract, fromBlock });
+        }
+      } else if (cursor < headBlock) {
+        ranges.push({ stakingAddress, contract, fromBlock: cursor + 1 });
+      }
+    }
+
+    this.lastObservedHead = headBlock;
+
+    if (ranges.length === 0) {
+      this.backfillStatus = { state: 'complete', contracts: 0, percent: 100, finishedAt: Date.now() };
+      return;
+    }
+
+    const startBlock = Math.min(...ranges.map(r => r.fromBlock));
+    const totalBlocks = ranges.reduce((sum, r) => sum + (headBlock - r.fromBlock + 1), 0);
+    let scannedBlocks = 0;
+
+    this.backfillStatus = {
+      state: 'running',
+      contracts: ranges.length,
+      fromBlock: startBlock,
+      toBlock: headBlock,
+      percent: 0,
+      startedAt: Date.now(),
+      finishedAt: null
+    };
+
+    logger.info(`⏪ Backfilling staking events for ${ranges.length} staking contracts from block ${startBlock} to ${headBlock}...`);
+
+    try {
+      for (const { stakingAddress, contract, fromBlock } of ranges) {
+        for (let startChunk = fromBlock; startChunk <= headBlock; startChunk += this.backfillChunkSize) {
+          const endChunk = Math.min(startChunk + this.backfillChunkSize - 1, headBlock);
+          await this.scanStakingRange(stakingAddress, contract, startChunk, endChunk);
+          this.advanceCursor(stakingAddress, endChunk);
+
+          scannedBlocks += endChunk - startChunk + 1;
+          this.backfillStatus.percent = Math.round((scannedBlocks / totalBlocks) * 1000) / 10;
+        }
+      }
+
+      this.backfillStatus.state = 'complete';
+      this.backfillStatus.percent = 100;
+      this.backfillStatus.finishedAt = Date.now();
+      logger.info(`✅ Staking backfill complete, caught up to block ${headBlock}`);
+    } catch (error) {
+      this.backfillStatus.state = 'failed';
+      this.backfillStatus.error = error.message;
+      this.backfillStatus.finishedAt = Date.now();
+      logger.error('Staking backfill failed, continuing in live mode:', error.message);
+    }
+  }
+
+  getBackfillStatus() {
+    const cursors = {};
+    if (this.cursorStore) {
+      for (const stakingAddress of this.stakingContracts.keys()) {
+        cursors[stakingAddress] = this.cursorStore.get(this.getCursorName(stakingAddress));
+      }
+    }
+
+    return { ...this.backfillStatus, cursors };
+  }
+
+  getHealth(stallMs) {
+    return { ...monitorHealth(this, stallMs), contracts: this.stakings.size };
+  }
+
+  advanceCursor(stakingAddress, blockNumber) {
+    if (this.cursorStore) {
+      this.cursorStore.advance(this.getCursorName(stakingAddress), blockNumber);
+    }
+  }
+
+  /**
+   * Emit the events of the block that replaced a reorged one, once the orphaned block's events are retracted.
+   * Contracts that have not been scanned up to the block yet pick it up when they are next polled.
+   * @param {number} blockNumber - Height of the reorged block
+   */
+  async rescanBlock(blockNumber) {
+    for (const [stakingAddress, contract] of this.stakingContracts) {
+      const scannedTo = this.cursorStore ? this.cursorStore.get(this.getCursorName(stakingAddress)) : this.lastObservedHead;
+      if (scannedTo === null || scannedTo < blockNumber) continue;
+
+      try {
+        await this.scanStakingRange(stakingAddress, contract, blockNumber, blockNumber);
+      } catch (error) {
+        logger.error(`Error re-scanning block ${blockNumber} of staking contract ${stakingAddress}:`, error.message);
+      }
+    }
+  }
+
+  // Scan every contract from its cursor up to the head
+  async pollEvents() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      const headBlock = await this.provider.getBlockNumber();
+
+      for (const [stakingAddress, contract] of this.stakingContracts) {
+        const cursor = this.cursorStore ? this.cursorStore.get(this.getCursorName(stakingAddress)) : null;
+        const fromBlock = cursor !== null ? cursor + 1 : (this.lastObservedHead ?? headBlock) + 1;
+
+        for (let startChunk = fromBlock; startChunk <= headBlock; startChunk += this.backfillChunkSize) {
+          const endChunk = Math.min(startChunk + this.backfillChunkSize - 1, headBlock);
+          await this.scanStakingRange(stakingAddress, contract, startChunk, endChunk);
+          this.advanceCursor(stakingAddress, endChunk);
+        }
+      }
+
+      this.lastObservedHead = headBlock;
+      this.lastBlockUpdateTime = Date.now();
+    } catch (error) {
+      logger.error('Error polling staking events:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Query and emit all events of one staking contract in a block range, in chain order
+   * @param {string} stakingAddress - Staking contract address
+   * @param {ethers.Contract} contract - Staking contract
+   * @param {number} startBlock - First block (inclusive)
+   * @param {number} endBlock - Last block (inclusive)
+   * @returns {number} Number of events found
+   */
+  async scanStakingRange(stakingAddress, contract, startBlock, endBlock) {
+    const eventsByName = await Promise.all(
+      STAKING_EVENT_NAMES.map(name => contract.queryFilter(contract.filters[name](), startBlock, endBlock))
+    );
+
+    const events = STAKING_EVENT_NAMES
+      .flatMap((name, i) => eventsByName[i].map(event => ({ name, event })))
+      .sort((a, b) => (a.event.blockNumber - b.event.blockNumber) || (a.event.index - b.event.index));
+
+    for (const { name, event } of events) {
+      await this.handleStakingEvent(name, stakingAddress, event);
+    }
+
+    if (events.length > 0) {
+      const breakdown = STAKING_EVENT_NAMES
+        .map((name, i) => [name, eventsByName[i].length])
+        .filter(([, count]) => count > 0)
+        .map(([name, count]) => `${name}: ${count}`)
+        .join(', ');
+      logger.info(`      Staking ${stakingAddress.substring(0, 8)}...: Found ${events.length} events (${breakdown})`);
+    }
+
+    return events.length;
+  }
+
+  async stop() {
+    if (!this.isRunning) return;
+
+    if (this.cursorInterval) {
+      clearInterval(this.cursorInterval);
+      this.cursorInterval = null;
+    }
+
+    this.isRunning = false;
+    logger.info('StakingMonitor stopped');
+  }
+}
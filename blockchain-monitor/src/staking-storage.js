@@ -0,0 +1,322 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createStorageAdapter } from './storage-adapter.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('staking');
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+const RATE_PRECISION = 10n ** 18n;
+
+// Helper function to convert BigInt to string in nested objects
+function bigIntReplacer(key, value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  return value;
+}
+
+// reward / totalStaked as a float, from integers
+function rewardRate(reward, totalStaked) {
+  return totalStaked > 0n ? Number((reward * RATE_PRECISION) / totalStaked) / Number(RATE_PRECISION) : null;
+}
+
+/**
+ * StakingStorage - Stores staking contract events and replays them into staker balances
+ *
+ * Stores staking events with the following structure:
+ * {
+ *   id: string, // Unique identifier: transactionHash-logIndex
+ *   stakingAddress: string,
+ *   eventName: string, // 'Staked', 'Unstaked', 'NotifiedReward'
+ *   blockNumber: number,
+ *   blockHash: string,
+ *   transactionHash: string,
+ *   transactionIndex: number,
+ *   logIndex: number,
+ *   args: object, // Event arguments, uint256 values as strings
+ *   blockTimestamp: number, // Block time in seconds
+ *   timestamp: number, // When the event was seen
+ *   chainId: number,
+ *   storedAt: number
+ * }
+ *
+ * `unstake()` always withdraws a user's whole stake, so an Unstaked event closes the position;
+ * anything returned above the staked principal is counted as realized rewards (none when the
+ * principal was staked before the indexed history starts).
+ */
+export class StakingStorage {
+  constructor(filePath, stakingMetadata = [], options = {}) {
+    this.filePath = filePath;
+    this.isInitialized = false;
+    this.chainId = options.chainId ?? null;
+
+    this.adapter = createStorageAdapter(options.backend, {
+      stakingEvents: { file: filePath }
+    }, { replacer: bigIntReplacer });
+    this.collection = this.adapter.collection('stakingEvents', {
+      defaults: { chainId: this.chainId },
+      getId: event => event.id || this.generateEventId(event),
+      indexes: {
+        staking: event => event.stakingAddress,
+        user: event => event.args?.user,
+        tx: event => event.transactionHash,
+        blockHash: event => event.blockHash,
+        type: event => event.eventName
+      }
+    });
+
+    // Build staking metadata map for quick lookups
+    this.stakingMetadata = new Map();
+    for (const staking of stakingMetadata) {
+      this.stakingMetadata.set(staking.address.toLowerCase(), staking);
+    }
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await this.adapter.open();
+      logger.info(`Loaded ${this.collection.size} staking events from storage (${this.adapter.backend} backend)`);
+
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Failed to initialize staking storage:', error);
+      throw error;
+    }
+  }
+
+  generateEventId(event) {
+    return `${event.transactionHash}-${event.logIndex}`;
+  }
+
+  async addEvent(stakingEvent) {
+    if (!this.isInitialized) {
+      throw new Error('StakingStorage not initialized');
+    }
+
+    const id = this.generateEventId(stakingEvent);
+    const existing = this.collection.get(id);
+    if (existing) {
+      return existing;
+    }
+
+    const stored = {
+      ...stakingEvent,
+      chainId: this.chainId,
+      id,
+      storedAt: Date.now()
+    };
+    await this.collection.put(stored);
+
+    return stored;
+  }
+
+  // Metadata for a staking contract discovered after startup
+  addStakingMetadata(staking) {
+    this.stakingMetadata.set(staking.address.toLowerCase(), staking);
+  }
+
+  enrichWithStakingInfo(event) {
+    const meta = this.stakingMetadata.get(event.stakingAddress?.toLowerCase());
+    if (!meta || event.tokenSymbol) return event;
+
+    return {
+      ...event,
+      vaultAddress: meta.vaultAddress,
+      tokenSymbol: meta.tokenSymbol
+    };
+  }
+
+  getEventCount() {
+    return this.collection.size;
+  }
+
+  /**
+   * Get a staking contract's events, newest first
+   * @param {string} stakingAddress - Staking contract address
+   * @param {number} limit - Maximum number of events
+   * @returns {Array} - Staking events
+   */
+  getEventsByStaking(stakingAddress, limit = 100) {
+    return this.collection.find('staking', stakingAddress)
+      .slice(-limit)
+      .reverse()
+      .map(event => this.enrichWithStakingInfo(event));
+  }
+
+  getEventsByUser(userAddress) {
+    return this.collection.find('user', userAddress)
+      .map(event => this.enrichWithStakingInfo(event));
+  }
+
+  // Replay Staked/Unstaked events (in chain order) into one position per staking contract and user
+  replayPositions(events) {
+    const positions = new Map();
+
+    const ordered = [...events].sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+    for (const event of ordered) {
+      if (event.eventName !== 'Staked' && event.eventName !== 'Unstaked') continue;
+
+      const user = event.args.user.toLowerCase();
+      const key = `${event.stakingAddress}:${user}`;
+      if (!positions.has(key)) {
+        positions.set(key, {
+          stakingAddress: event.stakingAddress,
+          user,
+          staked: 0n,
+          totalStaked: 0n,
+          totalUnstaked: 0n,
+          realizedRewards: 0n,
+          stakeCount: 0,
+          unstakeCount: 0,
+          firstStakedAt: null,
+          lastStakedAt: null,
+          lastUnstakedAt: null
+        });
+      }
+
+      const position = positions.get(key);
+      const amount = BigInt(event.args.amount || '0');
+      const time = event.blockTimestamp ?? Math.floor(event.timestamp / 1000);
+
+      if (event.eventName === 'Staked') {
+        position.staked += amount;
+        position.totalStaked += amount;
+        position.stakeCount++;
+        position.firstStakedAt = position.firstStakedAt ?? time;
+        position.lastStakedAt = time;
+      } else {
+        // Without the matching Staked (indexed from before it was mined) the principal is unknown,
+        // so none of the amount is counted as rewards
+        if (position.staked > 0n && amount > position.staked) {
+          position.realizedRewards += amount - position.staked;
+        }
+        position.staked = 0n;
+        position.totalUnstaked += amount;
+        position.unstakeCount++;
+        position.lastUnstakedAt = time;
+      }
+    }
+
+    return [...positions.values()];
+  }
+
+  formatPosition(position) {
+    const meta = this.stakingMetadata.get(position.stakingAddress);
+
+    return {
+      ...position,
+      vaultAddress: meta?.vaultAddress ?? null,
+      tokenSymbol: meta?.tokenSymbol ?? null,
+      status: position.staked > 0n ? 'staking' : 'unstaked',
+      staked: position.staked.toString(),
+      totalStaked: position.totalStaked.toString(),
+      totalUnstaked: position.totalUnstaked.toString(),
+      realizedRewards: position.realizedRewards.toString()
+    };
+  }
+
+  /**
+   * Get a user's positions in every staking contract they used
+   * @param {string} userAddress - Staker address
+   * @returns {Array} - Positions, currently staked first
+   */
+  getPositions(userAddress) {
+    return this.replayPositions(this.collection.find('user', userAddress))
+      .sort((a, b) => (b.staked > a.staked ? 1 : b.staked < a.staked ? -1 : 0))
+      .map(position => this.formatPosition(position));
+  }
+
+  /**
+   * Get everyone currently staked in a contract
+   * @param {string} stakingAddress - Staking contract address
+   * @returns {Array} - Positions sorted by staked balance, largest first
+   */
+  getStakers(stakingAddress) {
+    return this.replayPositions(this.collection.find('staking', stakingAddress))
+      .filter(position => position.staked > 0n)
+      .sort((a, b) => (b.staked > a.staked ? 1 : b.staked < a.staked ? -1 : 0))
+      .map(position => this.formatPosition(position));
+  }
+
+  /**
+   * Rewards notified per epoch, oldest first
+   * @param {string} stakingAddress - Staking contract address
+   * @param {number} limit - Maximum number of epochs (the most recent ones)
+   * @returns {Array} - { epoch, epochEnd, reward, totalStaked, rewardRate, blockNumber, blockTimestamp, transactionHash }
+   */
+  getRewardHistory(stakingAddress, limit = 100) {
+    return this.collection.find('staking', stakingAddress)
+      .filter(event => event.eventName === 'NotifiedReward')
+      .sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex))
+      .slice(-limit)
+      .map(event => ({
+        epoch: event.args.epoch ?? null,
+        epochEnd: event.args.epochEnd ?? null,
+        reward: event.args.reward,
+        totalStaked: event.args.totalStaked ?? null,
+        rewardRate: event.args.totalStaked ? rewardRate(BigInt(event.args.reward), BigInt(event.args.totalStaked)) : null,
+        blockNumber: event.blockNumber,
+        blockTimestamp: event.blockTimestamp,
+        transactionHash: event.transactionHash
+      }));
+  }
+
+  /**
+   * Estimate the staking APR from recent rewards
+   *
+   * Each reward is divided by the amount staked when it was notified, and the sum of those rates is
+   * annualized over the time the rewards span. The first reward of the window only marks its start.
+   *
+   * @param {string} stakingAddress - Staking contract address
+   * @param {number} epochs - How many recent rewards to use
+   * @returns {Object|null} - { apr (percent), epochs, from, to, rewards }, or null with fewer than 2 usable rewards
+   */
+  getAprEstimate(stakingAddress, epochs = 10) {
+    const rewards = this.getRewardHistory(stakingAddress, epochs + 1)
+      .filter(reward => reward.rewardRate !== null && reward.blockTimestamp);
+    if (rewards.length < 2) return null;
+
+    const from = rewards[0].blockTimestamp;
+    const to = rewards[rewards.length - 1].blockTimestamp;
+    if (to <= from) return null;
+
+    const periodRate = rewards.slice(1).reduce((sum, reward) => sum + reward.rewardRate, 0);
+
+    return {
+      apr: Math.round(periodRate * (SECONDS_PER_YEAR / (to - from)) * 10000) / 100,
+      epochs: rewards.length - 1,
+      from,
+      to,
+      rewards: rewards.slice(1).reduce((sum, reward) => sum + BigInt(reward.reward), 0n).toString()
+    };
+  }
+
+  /**
+   * Remove every staking event that came from a block that is no longer canonical
+   * @param {string} blockHash - Hash of the orphaned block
+   * @returns {Array} - The removed events
+   */
+  async removeEventsByBlockHash(blockHash) {
+    const orphaned = this.collection.find('blockHash', blockHash);
+    if (orphaned.length === 0) return [];
+
+    const removed = await this.collection.remove(orphaned.map(event => event.id));
+    logger.info(`Removed ${removed.length} staking events from orphaned block ${blockHash}`);
+
+    return removed;
+  }
+
+  async removeDuplicates() {
+    const removedCount = this.collection.duplicatesOnLoad;
+
+    if (removedCount > 0) {
+      await this.collection.replaceAll(this.collection.all());
+      this.collection.duplicatesOnLoad = 0;
+      logger.info(`Removed ${removedCount} duplicate staking events from storage`);
+    }
+
+    return removedCount;
+  }
+}
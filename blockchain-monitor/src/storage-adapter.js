@@ -0,0 +1,546 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('storage');
+
+/**
+ * Storage adapters for the event, loan and referral stores.
+ *
+ * A store asks its adapter for one or more named collections. A collection keeps its
+ * records in memory (in insertion order) together with secondary indexes, and tells the
+ * adapter about every change so it can be persisted:
+ *
+ *   - JsonFileAdapter rewrites the original JSON files (atomically, via temp file + rename)
+ *   - AppendLogAdapter appends one line per change to a `.log` file and compacts it now and then,
+ *     so inserts cost a single small write no matter how much history we keep
+ *
+ * Collection spec (per collection name):
+ * {
+ *   file: string,          // JSON file path (the log adapter derives `<file>.log` paths from it)
+ *   section: string,       // Optional key inside the JSON file (several collections can share a file)
+ *   shape: 'array' | 'object', // JSON layout: array of records, or { [id]: value }
+ *   valueField: string     // For 'object' files whose values are scalars (e.g. code -> address)
+ * }
+ */
+
+const BACKENDS = ['json', 'log'];
+
+/**
+ * In-memory record set with secondary indexes
+ */
+export class Collection {
+  constructor(adapter, name, options = {}) {
+    this.adapter = adapter;
+    this.name = name;
+    this.idField = options.idField || 'id';
+    this.getId = options.getId || (record => record[this.idField]);
+    this.indexers = options.indexes || {}; // Map indexName -> record => value (or array of values)
+    // Fields filled into loaded records that predate them, e.g. { chainId } (unset values are skipped)
+    this.defaults = Object.fromEntries(Object.entries(options.defaults || {}).filter(([, value]) => value != null));
+
+    this.records = [];
+    this.byId = new Map();
+    this.indexes = new Map();
+    this.duplicatesOnLoad = 0;
+    // Record -> insertion sequence; a replacing record takes over its predecessor's
+    this.sequence = new WeakMap();
+    this.nextSequence = 0;
+
+    for (const indexName of Object.keys(this.indexers)) {
+      this.indexes.set(indexName, new Map());
+    }
+  }
+
+  get size() {
+    return this.records.length;
+  }
+
+  // Records in insertion order. Callers must treat the array as read-only.
+  all() {
+    return this.records;
+  }
+
+  get(id) {
+    return this.byId.get(id) || null;
+  }
+
+  has(id) {
+    return this.byId.has(id);
+  }
+
+  /**
+   * Look up records through an index
+   * @param {string} indexName - Index to use
+   * @param {*} value - Indexed value (addresses and hashes are indexed lowercased)
+   * @returns {Array} - Matching records in insertion order
+   */
+  find(indexName, value) {
+    const index = this.indexes.get(indexName);
+    if (!index) {
+      throw new Error(`Unknown index "${indexName}" on collection ${this.name}`);
+    }
+    return index.get(normalizeKey(value)) || [];
+  }
+
+  /**
+   * Records whose numeric index value falls inside [min, max]
+   */
+  findRange(indexName, min, max) {
+    const index = this.indexes.get(indexName);
+    if (!index) {
+      throw new Error(`Unknown index "${indexName}" on collection ${this.name}`);
+    }
+
+    const matches = [];
+    for (const [key, records] of index) {
+      if (key >= min && key <= max) {
+        matches.push(...records);
+      }
+    }
+
+    // Keep insertion order across buckets
+    return matches.sort((a, b) => this.sequence.get(a) - this.sequence.get(b));
+  }
+
+  /**
+   * Insert a record, or replace the record with the same id
+   */
+  async put(record) {
+    const id = this.getId(record);
+    const existing = this.byId.get(id);
+
+    if (existing) {
+      this.records[this.records.indexOf(existing)] = record;
+      this.sequence.set(record, this.sequence.get(existing));
+      this.reindex(existing, record);
+    } else {
+      this.records.push(record);
+      this.sequence.set(record, this.nextSequence++);
+      this.index(record);
+    }
+
+    this.byId.set(id, record);
+
+    await this.adapter.persist(this, { op: 'put', record });
+    return record;
+  }
+
+  /**
+   * Remove records by id
+   * @param {string|Array<string>} ids - Id or ids to remove
+   * @returns {Array} - Removed records
+   */
+  async remove(ids) {
+    const idList = Array.isArray(ids) ? ids : [ids];
+    const removed = [];
+
+    for (const id of idList) {
+      const record = this.byId.get(id);
+      if (!record) continue;
+
+      this.byId.delete(id);
+      this.unindex(record);
+      removed.push(record);
+    }
+
+    if (removed.length === 0) return removed;
+
+    const removedSet = new Set(removed);
+    this.records = this.records.filter(record => !removedSet.has(record));
+
+    await this.adapter.persist(this, { op: 'delete', ids: removed.map(record => this.getId(record)) });
+    return removed;
+  }
+
+  /**
+   * Replace the whole collection (used for bulk cleanups and migrations)
+   */
+  async replaceAll(records) {
+    this.load(records);
+    await this.adapter.persist(this, { op: 'replace' });
+  }
+
+  // Fill the collection from persisted records without writing anything back
+  load(records) {
+    this.records = [];
+    this.byId = new Map();
+    this.duplicatesOnLoad = 0;
+    this.sequence = new WeakMap();
+    this.nextSequence = 0;
+    for (const index of this.indexes.values()) {
+      index.clear();
+    }
+
+    for (const record of records) {
+      const id = this.getId(record);
+      if (this.byId.has(id)) {
+        this.duplicatesOnLoad++;
+        continue;
+      }
+
+      let stored = record[this.idField] === undefined ? { ...record, [this.idField]: id } : record;
+      if (Object.keys(this.defaults).some(field => stored[field] === undefined)) {
+        stored = { ...this.defaults, ...stored };
+      }
+      this.records.push(stored);
+      this.byId.set(id, stored);
+      this.sequence.set(stored, this.nextSequence++);
+      this.index(stored);
+    }
+  }
+
+  index(record) {
+    for (const [indexName, indexer] of Object.entries(this.indexers)) {
+      const index = this.indexes.get(indexName);
+      for (const key of indexKeys(indexer, record)) {
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(record);
+      }
+    }
+  }
+
+  // Swap a replaced record for its new version, keeping its place in buckets whose key did not change
+  reindex(previous, record) {
+    for (const [indexName, indexer] of Object.entries(this.indexers)) {
+      const index = this.indexes.get(indexName);
+      const previousKeys = indexKeys(indexer, previous);
+      const keys = indexKeys(indexer, record);
+
+      for (const key of previousKeys) {
+        const bucket = index.get(key);
+        if (!bucket) continue;
+
+        if (keys.includes(key)) {
+          bucket[bucket.indexOf(previous)] = record;
+        } else if (bucket.length > 1) {
+          index.set(key, bucket.filter(entry => entry !== previous));
+        } else {
+          index.delete(key);
+        }
+      }
+
+      for (const key of keys) {
+        if (previousKeys.includes(key)) continue;
+        if (!index.has(key)) index.set(key, []);
+        this.insertInOrder(index.get(key), record);
+      }
+    }
+  }
+
+  // Buckets are sorted by insertion sequence; a record that moved to a new key goes where it was inserted
+  insertInOrder(bucket, record) {
+    const sequence = this.sequence.get(record);
+    let low = 0;
+    let high = bucket.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.sequence.get(bucket[middle]) < sequence) low = middle + 1;
+      else high = middle;
+    }
+    bucket.splice(low, 0, record);
+  }
+
+  unindex(record) {
+    for (const [indexName, indexer] of Object.entries(this.indexers)) {
+      const index = this.indexes.get(indexName);
+      for (const key of indexKeys(indexer, record)) {
+        const bucket = index.get(key);
+        if (!bucket) continue;
+
+        const remaining = bucket.filter(entry => entry !== record);
+        if (remaining.length > 0) {
+          index.set(key, remaining);
+        } else {
+          index.delete(key);
+        }
+      }
+    }
+  }
+}
+
+function normalizeKey(value) {
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+function indexKeys(indexer, record) {
+  const value = indexer(record);
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(v => v !== undefined && v !== null)
+    .map(normalizeKey);
+}
+
+/**
+ * Shared adapter plumbing: collection registry and a write queue so
+ * persistence happens in the same order as the changes
+ */
+class StorageAdapter {
+  constructor(specs, options = {}) {
+    this.specs = specs;
+    this.reviver = options.reviver;
+    this.replacer = options.replacer;
+    this.collections = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  collection(name, options = {}) {
+    if (!this.specs[name]) {
+      throw new Error(`No storage spec for collection ${name}`);
+    }
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Collection(this, name, options));
+    }
+    return this.collections.get(name);
+  }
+
+  async open() {
+    for (const collection of this.collections.values()) {
+      collection.load(await this.loadRecords(collection));
+    }
+  }
+
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    // Keep the queue alive after a failed write, but still surface the error to the caller
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+async function writeFileAtomic(filePath, contents) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, contents);
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * The original JSON-file layout, now written atomically
+ */
+export class JsonFileAdapter extends StorageAdapter {
+  get backend() {
+    return 'json';
+  }
+
+  async readFile(file) {
+    try {
+      const data = await fs.readFile(file, 'utf-8');
+      return JSON.parse(data, this.reviver);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      if (error instanceof SyntaxError) {
+        // Keep the broken file around for manual recovery instead of overwriting it
+        const backupPath = `${file}.corrupt-${Date.now()}`;
+        await fs.rename(file, backupPath);
+        logger.error(`Invalid JSON in ${file}, moved it to ${backupPath} and starting empty`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async loadRecords(collection) {
+    const spec = this.specs[collection.name];
+    let data = await this.readFile(spec.file);
+
+    if (!data) {
+      // Create the file so the layout matches what the stores used to do on first start
+      await this.writeFile(spec.file);
+      return [];
+    }
+
+    if (spec.section) {
+      data = data[spec.section];
+      if (!data || typeof data !== 'object') return [];
+    }
+
+    if ((spec.shape || 'array') === 'array') {
+      return Array.isArray(data) ? data : [];
+    }
+
+    return Object.entries(data).map(([id, value]) => (
+      spec.valueField
+        ? { [collection.idField]: id, [spec.valueField]: value }
+        : { ...value, [collection.idField]: id }
+    ));
+  }
+
+  encode(collection) {
+    const spec = this.specs[collection.name];
+
+    if ((spec.shape || 'array') === 'array') {
+      return collection.all();
+    }
+
+    const result = {};
+    for (const record of collection.all()) {
+      const id = collection.getId(record);
+      if (spec.valueField) {
+        result[id] = record[spec.valueField];
+      } else {
+        const { [collection.idField]: _id, ...value } = record;
+        result[id] = value;
+      }
+    }
+    return result;
+  }
+
+  async writeFile(file) {
+    // Every collection stored in this file contributes its section
+    const sharing = Object.entries(this.specs).filter(([, spec]) => spec.file === file);
+    let contents;
+
+    if (sharing.length === 1 && !sharing[0][1].section) {
+      const collection = this.collections.get(sharing[0][0]);
+      contents = collection ? this.encode(collection) : ((sharing[0][1].shape || 'array') === 'array' ? [] : {});
+    } else {
+      contents = {};
+      for (const [name, spec] of sharing) {
+        const collection = this.collections.get(name);
+        contents[spec.section] = collection ? this.encode(collection) : {};
+      }
+    }
+
+    await writeFileAtomic(file, JSON.stringify(contents, this.replacer, 2));
+  }
+
+  async persist(collection) {
+    const file = this.specs[collection.name].file;
+    await this.enqueue(() => this.writeFile(file));
+  }
+}
+
+/**
+ * Append-only log per collection. Each line is one JSON operation:
+ *   {"op":"put","record":{...}}  |  {"op":"delete","ids":[...]}
+ * A torn last line (process died mid-write) is ignored on load and cut off. The log is
+ * rewritten as plain puts once it holds far more operations than live records.
+ */
+export class AppendLogAdapter extends StorageAdapter {
+  constructor(specs, options = {}) {
+    super(specs, options);
+    this.compactMinOps = options.compactMinOps || 1000;
+    this.opCounts = new Map(); // collection name -> operations in the current log
+  }
+
+  get backend() {
+    return 'log';
+  }
+
+  getLogPath(name) {
+    const spec = this.specs[name];
+    const base = spec.file.replace(/\.json$/, '');
+    return spec.section ? `${base}.${spec.section}.log` : `${base}.log`;
+  }
+
+  async loadRecords(collection) {
+    const logPath = this.getLogPath(collection.name);
+    let data;
+
+    try {
+      data = await fs.readFile(logPath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.opCounts.set(collection.name, 0);
+        return [];
+      }
+      throw error;
+    }
+
+    const records = new Map();
+    let ops = 0;
+    let isTailTorn = false;
+    const lines = data.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line, this.reviver);
+      } catch (error) {
+        logger.warn(`Skipping unreadable line ${i + 1} in ${logPath}`);
+        isTailTorn = i === lines.length - 1;
+        continue;
+      }
+
+      ops++;
+      if (entry.op === 'put') {
+        // Map.set keeps the original position for an existing id, same as Collection.put
+        records.set(collection.getId(entry.record), entry.record);
+      } else if (entry.op === 'delete') {
+        for (const id of entry.ids || []) {
+          records.delete(id);
+        }
+      }
+    }
+
+    // An unterminated last line would swallow the next append, so cut it off (or finish it if it is whole)
+    if (data.trim() && !data.endsWith('\n')) {
+      if (isTailTorn) {
+        await fs.truncate(logPath, Buffer.byteLength(data.slice(0, data.lastIndexOf('\n') + 1)));
+      } else {
+        await fs.appendFile(logPath, '\n');
+      }
+    }
+
+    this.opCounts.set(collection.name, ops);
+    return Array.from(records.values());
+  }
+
+  async persist(collection, change) {
+    const name = collection.name;
+
+    if (change.op === 'replace') {
+      await this.enqueue(() => this.compact(collection));
+      return;
+    }
+
+    const line = JSON.stringify(
+      change.op === 'put' ? { op: 'put', record: change.record } : { op: 'delete', ids: change.ids },
+      this.replacer
+    );
+
+    await this.enqueue(async () => {
+      await fs.mkdir(path.dirname(this.getLogPath(name)), { recursive: true });
+      await fs.appendFile(this.getLogPath(name), line + '\n');
+
+      const ops = (this.opCounts.get(name) || 0) + 1;
+      this.opCounts.set(name, ops);
+
+      if (ops > this.compactMinOps && ops > collection.size * 2) {
+        await this.compact(collection);
+      }
+    });
+  }
+
+  async compact(collection) {
+    const lines = collection.all().map(record => JSON.stringify({ op: 'put', record }, this.replacer));
+    await writeFileAtomic(this.getLogPath(collection.name), lines.length > 0 ? lines.join('\n') + '\n' : '');
+    this.opCounts.set(collection.name, lines.length);
+  }
+}
+
+/**
+ * Pick an adapter implementation
+ * @param {string} backend - 'json' (default) or 'log'
+ * @param {Object} specs - Collection specs, see the top of this file
+ * @param {Object} options - { reviver, replacer, compactMinOps }
+ */
+export function createStorageAdapter(backend, specs, options = {}) {
+  const selected = (backend || 'json').toLowerCase();
+
+  if (!BACKENDS.includes(selected)) {
+    throw new Error(`Unknown storage backend "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+  }
+
+  return selected === 'log'
+    ? new AppendLogAdapter(specs, options)
+    : new JsonFileAdapter(specs, options);
+}
@@ -0,0 +1,173 @@
+import { ethers } from 'ethers';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('monitor');
+
+// Quote tokens we can value without a price lookup (USD) or with the MON price
+export const MON_SYMBOLS = ['MON', 'WMON'];
+export const USD_SYMBOLS = ['USDC', 'USDT', 'DAI'];
+
+export function isQuoteSymbol(symbol) {
+  return MON_SYMBOLS.includes(symbol) || USD_SYMBOLS.includes(symbol);
+}
+
+// The pool's listed (base) token is token0 unless token0 is the MON/USD side
+export function isBaseToken0(symbol0, symbol1) {
+  return !isQuoteSymbol(symbol0) || isQuoteSymbol(symbol1);
+}
+
+/**
+ * Direction of a swap for the pool's base token; the one rule behind `trade.direction` and `tradeInfo.type`
+ * @param {Object} pool - Pool metadata with token0/token1 symbols
+ * @param {string|bigint} amount0 - Swap amount0
+ * @param {string|bigint} amount1 - Swap amount1
+ * @returns {string} - 'buy' | 'sell' | 'unknown'
+ */
+export function getTradeDirection(pool, amount0, amount1) {
+  const symbol0 = (pool?.token0?.symbol || 'TOKEN0').toUpperCase();
+  const symbol1 = (pool?.token1?.symbol || 'TOKEN1').toUpperCase();
+  const [baseRaw, quoteRaw] = isBaseToken0(symbol0, symbol1)
+    ? [BigInt(amount0 || '0'), BigInt(amount1 || '0')]
+    : [BigInt(amount1 || '0'), BigInt(amount0 || '0')];
+
+  if (baseRaw > 0n && quoteRaw < 0n) return 'buy';
+  if (baseRaw < 0n && quoteRaw > 0n) return 'sell';
+  return 'unknown';
+}
+
+/**
+ * Adds USD value, execution price, price impact and direction to Swap events before they are stored.
+ *
+ * The enrichment is written to `event.trade` so history and global trade queries return it as-is:
+ * {
+ *   direction,                      // 'buy' | 'sell' | 'unknown' for the base token (getTradeDirection)
+ *   baseSymbol, quoteSymbol,        // base = the pool's listed token, quote = the token it is priced in
+ *   token0Amount, token1Amount,     // absolute amounts using the decimals from pools.json
+ *   baseAmount, quoteAmount,
+ *   price,                          // base token price in quote token units, from sqrtPriceX96
+ *   priceUSD, valueUSD,             // null when the quote token cannot be priced
+ *   monPriceUSD,                    // MON/USD at ingest time
+ *   priceImpact                     // % change vs the previous swap in the same pool (null for the first)
+ * }
+ */
+export class TradeEnricher {
+  constructor(poolMetadata = [], monPriceService = null, eventStorage = null) {
+    this.monPriceService = monPriceService;
+    this.eventStorage = eventStorage;
+    this.poolMetadata = new Map(); // Map poolAddress -> { token0, token1, symbol }
+    this.lastPrices = new Map(); // Map poolAddress -> { price, blockNumber, logIndex }
+
+    for (const pool of poolMetadata) {
+      this.poolMetadata.set(pool.address.toLowerCase(), pool);
+    }
+  }
+
+  // Metadata for a pool added or relabelled after startup
+  addPool(pool) {
+    this.poolMetadata.set(pool.address.toLowerCase(), pool);
+  }
+
+  /**
+   * Enrich a Swap event in place
+   * @param {Object} event - Pool event as emitted by BlockchainMonitor
+   * @returns {Promise<Object>} - The same event, with `trade` set for swaps
+   */
+  async enrich(event) {
+    if (event.eventName !== 'Swap' || !event.args) return event;
+
+    try {
+      event.trade = await this.buildTrade(event);
+    } catch (error) {
+      logger.error(`[TradeEnricher] Failed to enrich swap ${event.transactionHash}:`, error.message);
+    }
+
+    return event;
+  }
+
+  async buildTrade(event) {
+    const poolAddress = event.poolAddress.toLowerCase();
+    const pool = this.poolMetadata.get(poolAddress);
+
+    const decimals0 = Number(pool?.token0?.decimals ?? 18);
+    const decimals1 = Number(pool?.token1?.decimals ?? 18);
+    const symbol0 = (pool?.token0?.symbol || 'TOKEN0').toUpperCase();
+    const symbol1 = (pool?.token1?.symbol || 'TOKEN1').toUpperCase();
+
+    const amount0 = BigInt(event.args.amount0 || '0');
+    const amount1 = BigInt(event.args.amount1 || '0');
+    const token0Amount = this.toUnits(amount0, decimals0);
+    const token1Amount = this.toUnits(amount1, decimals1);
+
+    // Price of token0 in token1 units: (sqrtPriceX96 / 2^96)^2, adjusted for decimals
+    const sqrtPrice = Number(BigInt(event.args.sqrtPriceX96 || '0')) / Math.pow(2, 96);
+    const price0In1 = sqrtPrice * sqrtPrice * Math.pow(10, decimals0 - decimals1);
+
+    const baseIsToken0 = isBaseToken0(symbol0, symbol1);
+    const quoteSymbol = baseIsToken0 ? symbol1 : symbol0;
+    const price = baseIsToken0 ? price0In1 : (price0In1 > 0 ? 1 / price0In1 : 0);
+    const quoteAmount = baseIsToken0 ? token1Amount : token0Amount;
+
+    const monPriceUSD = this.monPriceService ? await this.monPriceService.getMonPrice() : null;
+    const quoteUSD = USD_SYMBOLS.includes(quoteSymbol)
+      ? 1
+      : MON_SYMBOLS.includes(quoteSymbol) ? monPriceUSD : null;
+
+    return {
+      direction: getTradeDirection(pool, amount0, amount1),
+      baseSymbol: baseIsToken0 ? symbol0 : symbol1,
+      quoteSymbol,
+      token0Amount,
+      token1Amount,
+      baseAmount: baseIsToken0 ? token0Amount : token1Amount,
+      quoteAmount,
+      price,
+      priceUSD: quoteUSD !== null ? price * quoteUSD : null,
+      valueUSD: quoteUSD !== null ? quoteAmount * quoteUSD : null,
+      monPriceUSD,
+      priceImpact: this.trackPriceImpact(poolAddress, price, event)
+    };
+  }
+
+  // Percent move from the previous swap's price in the same pool
+  trackPriceImpact(poolAddress, price, event) {
+    const previous = this.lastPrices.has(poolAddress)
+      ? this.lastPrices.get(poolAddress)
+      : this.findPreviousSwap(poolAddress);
+
+    const isNewer = !previous ||
+      event.blockNumber > previous.blockNumber ||
+      (event.blockNumber === previous.blockNumber && (event.logIndex ?? 0) > previous.logIndex);
+
+    if (isNewer) {
+      this.lastPrices.set(poolAddress, {
+        price,
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex ?? 0
+      });
+    }
+
+    if (!previous || !previous.price) return null;
+    return ((price - previous.price) / previous.price) * 100;
+  }
+
+  // Seed the previous price from storage after a restart
+  findPreviousSwap(poolAddress) {
+    if (!this.eventStorage) return null;
+
+    let latest = null;
+    for (const stored of this.eventStorage.getEventsByPool(poolAddress)) {
+      if (stored.eventName !== 'Swap' || !stored.trade) continue;
+      if (!latest ||
+        stored.blockNumber > latest.blockNumber ||
+        (stored.blockNumber === latest.blockNumber && (stored.logIndex ?? 0) > latest.logIndex)) {
+        latest = { price: stored.trade.price, blockNumber: stored.blockNumber, logIndex: stored.logIndex ?? 0 };
+      }
+    }
+    return latest;
+  }
+
+  toUnits(amount, decimals) {
+    const absolute = amount < 0n ? -amount : amount;
+    return Number(ethers.formatUnits(absolute, decimals));
+  }
+}
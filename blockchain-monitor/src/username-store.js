@@ -1,6 +1,9 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('ws');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -25,12 +28,12 @@ export class UsernameStore {
         this.usernames = new Map(Object.entries(parsed));
       }
 
-      console.log(`Loaded ${this.usernames.size} usernames from storage`);
+      logger.info(`Loaded ${this.usernames.size} usernames from storage`);
     } catch (error) {
       if (error.code === 'ENOENT') {
         this.usernames = new Map();
         await this.save();
-        console.log('Created new usernames file');
+        logger.info('Created new usernames file');
       } else {
         throw error;
       }
@@ -45,7 +48,7 @@ export class UsernameStore {
       };
       await fs.writeFile(this.filePath, JSON.stringify(data, null, 2));
     } catch (error) {
-      console.error('Failed to save usernames:', error);
+      logger.error('Failed to save usernames:', error);
     }
   }
 
@@ -56,6 +59,19 @@ export class UsernameStore {
     return entry ? entry.username : this.generateDefaultUsername(address);
   }
 
+  // Usernames are not unique; the address that took the name most recently wins
+  getAddressByUsername(username) {
+    const wanted = username.toLowerCase();
+    let match = null;
+
+    for (const [address, entry] of this.usernames) {
+      if (entry.username.toLowerCase() === wanted && (!match || (entry.lastChanged || 0) > match.lastChanged)) {
+        match = { address, lastChanged: entry.lastChanged || 0 };
+      }
+    }
+    return match ? match.address : null;
+  }
+
   generateDefaultUsername(address) {
     return `${address.slice(0, 6)}...${address.slice(-4)}`;
   }
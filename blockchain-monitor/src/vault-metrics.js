@@ -0,0 +1,381 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createStorageAdapter } from './storage-adapter.js';
+import { VaultService } from './vaults.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('vaults');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Metrics taken from VaultService.getVaultInfoOnly(), plus the FloorUpdated event values
+export const VAULT_METRICS = [
+  'liquidityRatio',
+  'circulatingSupply',
+  'spotPriceX96',
+  'anchorCapacity',
+  'floorCapacity',
+  'newFloor',
+  'totalInterest',
+  'floorPrice'
+];
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Supported query resolutions, in ms (null = every raw sample)
+export const RESOLUTIONS = {
+  raw: null,
+  '5m': 5 * MINUTE,
+  '15m': 15 * MINUTE,
+  '1h': HOUR,
+  '4h': 4 * HOUR,
+  '1d': DAY,
+  '1w': 7 * DAY
+};
+
+// Retention tiers: every sample for 2 days, hourly candles for 30 days, daily candles forever
+const TIERS = [
+  { name: 'raw', bucketMs: null, retentionMs: 2 * DAY },
+  { name: 'hourly', bucketMs: HOUR, retentionMs: 30 * DAY },
+  { name: 'daily', bucketMs: DAY, retentionMs: null }
+];
+
+// Aim for at most this many points when no resolution is given
+const MAX_AUTO_POINTS = 500;
+
+function maxOf(a, b) {
+  return BigInt(a) >= BigInt(b) ? a : b;
+}
+
+function minOf(a, b) {
+  return BigInt(a) <= BigInt(b) ? a : b;
+}
+
+// Fold one value observed at `at` into an open/high/low/close candle
+function mergeValue(candle, value, at) {
+  if (!candle) {
+    return { open: value, high: value, low: value, close: value, openAt: at, closeAt: at, samples: 1 };
+  }
+
+  return {
+    open: at < candle.openAt ? value : candle.open,
+    high: maxOf(candle.high, value),
+    low: minOf(candle.low, value),
+    close: at >= candle.closeAt ? value : candle.close,
+    openAt: Math.min(candle.openAt, at),
+    closeAt: Math.max(candle.closeAt, at),
+    samples: candle.samples + 1
+  };
+}
+
+function mergeCandles(a, b) {
+  if (!a) return { ...b };
+  return {
+    open: b.openAt < a.openAt ? b.open : a.open,
+    high: maxOf(a.high, b.high),
+    low: minOf(a.low, b.low),
+    close: b.closeAt >= a.closeAt ? b.close : a.close,
+    openAt: Math.min(a.openAt, b.openAt),
+    closeAt: Math.max(a.closeAt, b.closeAt),
+    samples: a.samples + b.samples
+  };
+}
+
+/**
+ * VaultMetricsSampler - Time series of vault metrics
+ *
+ * Samples getVaultInfo() for every vault on a timer and whenever the vault emits FloorUpdated
+ * (which also records `floorPrice`). Each sample is written to the raw tier and folded into
+ * hourly and daily open/high/low/close candles; older data is pruned per tier.
+ * Values are kept as integer strings exactly as the contract returns them.
+ *
+ * Stored in data/vault-metrics*.json (or .log with the log backend), one collection per tier:
+ * raw:    { id, vaultAddress, timestamp, source: 'schedule' | 'FloorUpdated', blockNumber, metrics: { [metric]: value } }
+ * hourly/daily: { id, vaultAddress, timestamp (bucket start), metrics: { [metric]: { open, high, low, close, openAt, closeAt, samples } } }
+ */
+export class VaultMetricsSampler {
+  constructor(provider, vaultAddresses = [], options = {}) {
+    this.vaultService = options.vaultService || new VaultService(provider);
+    this.vaultAddresses = vaultAddresses.map(address => address.toLowerCase());
+    this.intervalMs = options.intervalMs || 15 * MINUTE;
+
+    const basePath = options.filePath || path.join(__dirname, '..', '..', 'data', 'vault-metrics.json');
+    const specs = {};
+    for (const tier of TIERS) {
+      specs[tier.name] = { file: basePath.replace(/\.json$/, tier.name === 'raw' ? '.json' : `-${tier.name}.json`) };
+    }
+
+    this.adapter = createStorageAdapter(options.backend, specs);
+    this.tiers = new Map(TIERS.map(tier => [tier.name, {
+      ...tier,
+      collection: this.adapter.collection(tier.name, {
+        indexes: {
+          vault: record => record.vaultAddress
+        }
+      })
+    }]));
+
+    this.sampleInterval = null;
+    this.pruneInterval = null;
+    this.pendingSamples = new Map(); // Map vault -> timeout, debounces FloorUpdated bursts
+    this.isSampling = false;
+    this.stats = { samples: 0, failures: 0, lastSampleAt: null };
+  }
+
+  async initialize() {
+    await this.adapter.open();
+    logger.info(`[VaultMetrics] Loaded ${this.tiers.get('raw').collection.size} raw samples for ${this.vaultAddresses.length} vaults`);
+  }
+
+  start() {
+    if (this.sampleInterval) return;
+
+    this.sampleAll();
+    this.sampleInterval = setInterval(() => this.sampleAll(), this.intervalMs);
+    this.pruneInterval = setInterval(() => this.prune(), HOUR);
+    logger.info(`📈 [VaultMetrics] Sampling ${this.vaultAddresses.length} vaults every ${Math.round(this.intervalMs / MINUTE)} minutes`);
+  }
+
+  // Sample a vault discovered after startup from the next round on
+  addVault(vaultAddress) {
+    const key = vaultAddress.toLowerCase();
+    if (!this.vaultAddresses.includes(key)) {
+      this.vaultAddresses.push(key);
+    }
+  }
+
+  async stop() {
+    clearInterval(this.sampleInterval);
+    clearInterval(this.pruneInterval);
+    this.sampleInterval = null;
+    this.pruneInterval = null;
+
+    for (const timeout of this.pendingSamples.values()) {
+      clearTimeout(timeout);
+    }
+    this.pendingSamples.clear();
+
+    await this.adapter.close();
+  }
+
+  async sampleAll() {
+    if (this.isSampling) return;
+    this.isSampling = true;
+
+    try {
+      // Issued together so the RPC scheduler can batch the calls
+      await Promise.all(this.vaultAddresses.map(vaultAddress => this.sampleVault(vaultAddress)));
+    } finally {
+      this.isSampling = false;
+    }
+  }
+
+  /**
+   * Take a fresh getVaultInfo() sample of one vault
+   * @param {string} vaultAddress - Vault address
+   * @param {Object} extra - { source, blockNumber, metrics } merged into the sample
+   * @returns {Promise<Object|null>} - Stored sample
+   */
+  async sampleVault(vaultAddress, extra = {}) {
+    const info = await this.vaultService.getVaultInfoOnly(vaultAddress, { fresh: true });
+    if (!info) {
+      this.stats.failures++;
+      return null;
+    }
+
+    const metrics = {};
+    for (const metric of VAULT_METRICS) {
+      if (info[metric] !== undefined) metrics[metric] = info[metric];
+    }
+
+    return await this.record(vaultAddress, Date.now(), {
+      source: extra.source || 'schedule',
+      blockNumber: extra.blockNumber ?? null,
+      metrics: { ...metrics, ...(extra.metrics || {}) }
+    });
+  }
+
+  /**
+   * Record a FloorUpdated event. Recent events trigger a full sample that includes the event values,
+   * since the floor move changes the other metrics too; backfilled ones only store the event values
+   * at their block time.
+   * @param {Object} floorEvent - LoanMonitor 'floorUpdated' payload
+   */
+  async handleFloorUpdated(floorEvent) {
+    const vaultAddress = floorEvent.vaultAddress.toLowerCase();
+    const timestamp = floorEvent.blockTimestamp ? floorEvent.blockTimestamp * 1000 : Date.now();
+    const floorMetrics = {
+      floorPrice: floorEvent.floorPrice,
+      floorCapacity: floorEvent.floorCapacity
+    };
+
+    try {
+      if (Date.now() - timestamp > 5 * MINUTE) {
+        // Backfilled event: the vault state has moved on since, keep only what the event tells us
+        await this.record(vaultAddress, timestamp, {
+          source: 'FloorUpdated',
+          blockNumber: floorEvent.blockNumber,
+          metrics: floorMetrics
+        });
+        return;
+      }
+
+      // Several floor updates in a row only need one sample
+      clearTimeout(this.pendingSamples.get(vaultAddress));
+      this.pendingSamples.set(vaultAddress, setTimeout(async () => {
+        this.pendingSamples.delete(vaultAddress);
+        await this.sampleVault(vaultAddress, {
+          source: 'FloorUpdated',
+          blockNumber: floorEvent.blockNumber,
+          metrics: floorMetrics
+        });
+      }, 2000));
+    } catch (error) {
+      logger.error(`[VaultMetrics] Failed to record FloorUpdated for ${vaultAddress}:`, error.message);
+    }
+  }
+
+  async record(vaultAddress, timestamp, sample) {
+    const vault = vaultAddress.toLowerCase();
+
+    try {
+      const raw = {
+        id: `${vault}-${timestamp}`,
+        vaultAddress: vault,
+        timestamp,
+        ...sample
+      };
+      await this.tiers.get('raw').collection.put(raw);
+
+      for (const tier of this.tiers.values()) {
+        if (!tier.bucketMs) continue;
+
+        const bucketStart = Math.floor(timestamp / tier.bucketMs) * tier.bucketMs;
+        const id = `${vault}-${bucketStart}`;
+        const existing = tier.collection.get(id);
+
+        const metrics = { ...(existing?.metrics || {}) };
+        for (const [metric, value] of Object.entries(sample.metrics)) {
+          metrics[metric] = mergeValue(metrics[metric], value, timestamp);
+        }
+
+        await tier.collection.put({ id, vaultAddress: vault, timestamp: bucketStart, metrics });
+      }
+
+      this.stats.samples++;
+      this.stats.lastSampleAt = Date.now();
+      return raw;
+    } catch (error) {
+      this.stats.failures++;
+      logger.error(`[VaultMetrics] Failed to store sample for ${vault}:`, error.message);
+      return null;
+    }
+  }
+
+  // Drop data past each tier's retention
+  async prune() {
+    const now = Date.now();
+
+    for (const tier of this.tiers.values()) {
+      if (!tier.retentionMs) continue;
+
+      const cutoff = now - tier.retentionMs;
+      const expired = tier.collection.all().filter(record => record.timestamp < cutoff);
+      if (expired.length > 0) {
+        await tier.collection.remove(expired.map(record => record.id));
+        logger.info(`[VaultMetrics] Pruned ${expired.length} ${tier.name} records`);
+      }
+    }
+  }
+
+  /**
+   * Pick a resolution that keeps the series under MAX_AUTO_POINTS
+   * @param {number} from - Start (ms)
+   * @param {number} to - End (ms)
+   * @returns {string} - Resolution name
+   */
+  pickResolution(from, to) {
+    const span = to - from;
+    for (const [name, bucketMs] of Object.entries(RESOLUTIONS)) {
+      if (bucketMs && span / bucketMs <= MAX_AUTO_POINTS) return name;
+    }
+    return '1w';
+  }
+
+  // The coarsest tier that still has the requested detail at `from`, else the finest one that reaches back that far
+  pickTier(bucketMs, from) {
+    const now = Date.now();
+    const covering = [...this.tiers.values()].filter(tier => !tier.retentionMs || from >= now - tier.retentionMs);
+    const detailed = covering.filter(tier => bucketMs !== null && (tier.bucketMs || 0) <= bucketMs);
+
+    return detailed.length > 0 ? detailed[detailed.length - 1] : covering[0];
+  }
+
+  /**
+   * Downsampled history of one vault
+   * @param {string} vaultAddress - Vault address
+   * @param {Object} options - { metrics: string[], from (ms), to (ms), resolution }
+   * @returns {Object} - { vaultAddress, resolution, from, to, source, series: { [metric]: [{ timestamp, open, high, low, close, samples }] } }
+   */
+  getHistory(vaultAddress, options = {}) {
+    const to = options.to ?? Date.now();
+    const from = options.from ?? to - 7 * DAY;
+    const metrics = options.metrics?.length ? options.metrics : VAULT_METRICS;
+    const resolution = options.resolution || this.pickResolution(from, to);
+
+    if (!(resolution in RESOLUTIONS)) {
+      throw new Error(`Invalid resolution "${resolution}" (expected one of ${Object.keys(RESOLUTIONS).join(', ')})`);
+    }
+    const unknown = metrics.filter(metric => !VAULT_METRICS.includes(metric));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown metric "${unknown[0]}" (expected one of ${VAULT_METRICS.join(', ')})`);
+    }
+
+    const bucketMs = RESOLUTIONS[resolution];
+    const tier = this.pickTier(bucketMs, from);
+    const records = tier.collection.find('vault', vaultAddress)
+      .filter(record => record.timestamp >= (tier.bucketMs ? from - tier.bucketMs + 1 : from) && record.timestamp <= to)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const series = {};
+    for (const metric of metrics) {
+      const buckets = new Map();
+
+      for (const record of records) {
+        const value = record.metrics?.[metric];
+        if (value === undefined || value === null) continue;
+
+        const candle = tier.bucketMs ? value : mergeValue(null, value, record.timestamp);
+        const bucket = bucketMs ? Math.floor(record.timestamp / bucketMs) * bucketMs : record.timestamp;
+        buckets.set(bucket, mergeCandles(buckets.get(bucket), candle));
+      }
+
+      series[metric] = [...buckets.entries()].map(([timestamp, candle]) => ({
+        timestamp,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        samples: candle.samples
+      }));
+    }
+
+    return {
+      vaultAddress: vaultAddress.toLowerCase(),
+      resolution,
+      from,
+      to,
+      source: tier.name,
+      series
+    };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      records: Object.fromEntries([...this.tiers.values()].map(tier => [tier.name, tier.collection.size]))
+    };
+  }
+}
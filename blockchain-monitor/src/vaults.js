@@ -1,22 +1,28 @@
 import INomaFactory from "../../assets/NomaFactory.json" assert { type: "json" };
 import INomaVault from "../../assets/BaseVault.json" assert { type: "json" };
 import IUniswapV3Factory from "../../assets/IUniswapV3Factory.json" assert { type: "json"};
-import deployment from "../../assets/deployment.json" assert { type: "json" };
 import { ethers } from "ethers";
 import cache from './cache.js';
-import { createProvider } from './provider.js';
-import config from "../config.js";
-const { feeTiers, protocolAddresses } = config;
+import { getConfig } from "./config.js";
+import { createLogger } from "./logger.js";
+
+const logger = createLogger("vaults");
 
 const ZeroAddress = ethers.ZeroAddress;
-const CHAIN_ID = "10143";
-const NomaFactoryAddress = deployment[CHAIN_ID].Factory;
 
 export class VaultService {
-  constructor(rpcUrl) {
-    this.provider = createProvider(rpcUrl);
+  constructor(provider, chain = getConfig().chain) {
+    this.provider = provider;
+
+    // Factory, DEX factories and fee tiers of the chain this service reads
+    this.chainId = chain.chainId;
+    this.cache = cache.forChain(chain.chainId);
+    this.factoryAddress = chain.contracts.factory;
+    this.contracts = chain.contracts;
+    this.feeTiers = chain.feeTiers;
+
     this.nomaFactoryContract = new ethers.Contract(
-      NomaFactoryAddress,
+      this.factoryAddress,
       INomaFactory.abi,
       this.provider
     );
@@ -27,9 +33,9 @@ export class VaultService {
 
   async getAllVaults() {
     // Check cache FIRST before acquiring in-flight lock
-    const cachedVaults = await cache.getContractState('VaultService', 'allVaults', []);
+    const cachedVaults = await this.cache.getContractState('VaultService', 'allVaults', []);
     if (cachedVaults && cachedVaults.length > 0) {
-      console.log(`Using cached vault list (${cachedVaults.length} vaults)`);
+      logger.info(`Using cached vault list (${cachedVaults.length} vaults)`);
       return cachedVaults;
     }
 
@@ -37,7 +43,7 @@ export class VaultService {
 
     // Check if request is already in-flight
     if (this.inFlightRequests.has(requestKey)) {
-      console.log('[VaultService] Request already in-flight, waiting...');
+      logger.info('[VaultService] Request already in-flight, waiting...');
       return this.inFlightRequests.get(requestKey);
     }
 
@@ -59,81 +65,87 @@ export class VaultService {
       // Proceed with fetching from contract
 
       // Check cache for deployers first
-      let deployers = await cache.getContractState(NomaFactoryAddress, 'getDeployers');
+      let deployers = await this.cache.getContractState(this.factoryAddress, 'getDeployers');
       
       if (!deployers) {
         // Cache miss - fetch from contract
         deployers = await this.nomaFactoryContract.getDeployers();
-        // Cache permanently - deployer list is immutable
-        cache.setContractState(NomaFactoryAddress, 'getDeployers', [], deployers, 0);
+        // Cache permanently - the factory watcher invalidates it when a deployer is added
+        this.cache.setContractState(this.factoryAddress, 'getDeployers', [], deployers, 0);
       }
       
-      console.log(`Found ${deployers.length} deployers`);
+      logger.info(`Found ${deployers.length} deployers`);
 
-      const allVaultAddresses = [];
-
-      // Fetch vaults for each deployer with caching
-      for (const deployer of deployers) {
+      // Fetch vaults for each deployer with caching. Requests are issued together so the
+      // RPC scheduler can pace them and fold the eth_calls into Multicall3 batches.
+      const vaultLists = await Promise.all(deployers.map(async deployer => {
         try {
-          let vaults = await cache.getContractState(NomaFactoryAddress, 'getVaults', [deployer]);
+          let vaults = await this.cache.getContractState(this.factoryAddress, 'getVaults', [deployer]);
           
           if (!vaults) {
-            // Add delay before RPC call to respect rate limits
-            await new Promise(resolve => setTimeout(resolve, 100));
             // Cache miss - fetch from contract
             vaults = await this.nomaFactoryContract.getVaults(deployer);
-            // Cache permanently - vault addresses are immutable
-            cache.setContractState(NomaFactoryAddress, 'getVaults', [deployer], vaults, 0);
+            // Cache permanently - the factory watcher invalidates it when the deployer adds a vault
+            this.cache.setContractState(this.factoryAddress, 'getVaults', [deployer], vaults, 0);
           }
           
-          allVaultAddresses.push(...vaults);
+          return vaults;
         } catch (error) {
-          console.error(`Error fetching vaults for deployer ${deployer}:`, error);
+          logger.error(`Error fetching vaults for deployer ${deployer}:`, error);
+          return [];
         }
-      }
+      }));
+      const allVaultAddresses = vaultLists.flat();
 
-      console.log(`Found ${allVaultAddresses.length} total vaults`);
+      logger.info(`Found ${allVaultAddresses.length} total vaults`);
 
       // Fetch vault info for each vault
-      const vaultInfos = [];
-      for (const vaultAddress of allVaultAddresses) {
+      const vaultInfos = (await Promise.all(allVaultAddresses.map(async vaultAddress => {
         try {
-          const vaultInfo = await this.getVaultInfo(vaultAddress);
-          if (vaultInfo) {
-            vaultInfos.push(vaultInfo);
-          }
+          return await this.getVaultInfo(vaultAddress);
         } catch (error) {
-          console.error(`Error fetching info for vault ${vaultAddress}:`, error);
+          logger.error(`Error fetching info for vault ${vaultAddress}:`, error);
+          return null;
         }
-      }
+      }))).filter(Boolean);
 
       // Cache the complete vault list for 1 hour (contains mutable metrics)
-      cache.setContractState('VaultService', 'allVaults', [], vaultInfos, 3600);
+      this.cache.setContractState('VaultService', 'allVaults', [], vaultInfos, 3600);
       
       return vaultInfos;
     } catch (error) {
-      console.error('Error in getAllVaults:', error);
+      logger.error('Error in getAllVaults:', error);
       throw error;
     }
   }
 
+  /**
+   * Drop the cached factory lists so the next getAllVaults() sees newly deployed vaults
+   * @param {string[]} deployers - Deployers whose vault lists changed
+   */
+  invalidateVaultList(deployers = []) {
+    this.cache.deleteContractState(this.factoryAddress, 'getDeployers');
+    for (const deployer of deployers) {
+      this.cache.deleteContractState(this.factoryAddress, 'getVaults', [deployer]);
+    }
+    this.cache.deleteContractState('VaultService', 'allVaults');
+  }
+
   async getVaultDescription(vaultAddress) {
     try {
       // Check cache first
-      let description = await cache.getContractState(NomaFactoryAddress, 'getVaultDescription', [vaultAddress]);
+      let description = await this.cache.getContractState(this.factoryAddress, 'getVaultDescription', [vaultAddress]);
       
       if (!description) {
-        // Add delay before RPC call
-        await new Promise(resolve => setTimeout(resolve, 100));
         // Cache miss - fetch from contract
         description = await this.nomaFactoryContract.getVaultDescription(vaultAddress);
         // Cache permanently - descriptive data is immutable
-        cache.setContractState(NomaFactoryAddress, 'getVaultDescription', [vaultAddress], description, 0);
+        this.cache.setContractState(this.factoryAddress, 'getVaultDescription', [vaultAddress], description, 0);
       }
       
       // Check if description is undefined or null
       if (!description) {
-        console.warn(`getVaultDescription returned null/undefined for ${vaultAddress}`);
+        logger.warn(`getVaultDescription returned null/undefined for ${vaultAddress}`);
         return null;
       }
       
@@ -158,7 +170,7 @@ export class VaultService {
       }
       
       // First check if we already have the pool address cached (try both token orders)
-      let cachedPoolAddress = await cache.getContractState(
+      let cachedPoolAddress = await this.cache.getContractState(
         'PoolDiscovery',
         'findPool',
         [data.token0, data.token1]
@@ -166,7 +178,7 @@ export class VaultService {
       
       // If not found, try reversed order
       if (!cachedPoolAddress || cachedPoolAddress === ZeroAddress) {
-        cachedPoolAddress = await cache.getContractState(
+        cachedPoolAddress = await this.cache.getContractState(
           'PoolDiscovery',
           'findPool',
           [data.token1, data.token0]
@@ -177,13 +189,13 @@ export class VaultService {
 
       if (cachedPoolAddress !== undefined) {
         if (cachedPoolAddress === ZeroAddress) {
-          console.log(`Using cached result for ${data.tokenSymbol}: No pool found`);
+          logger.info(`Using cached result for ${data.tokenSymbol}: No pool found`);
         } else {
-          console.log(`Using cached pool for ${data.tokenSymbol}: ${cachedPoolAddress}`);
+          logger.info(`Using cached pool for ${data.tokenSymbol}: ${cachedPoolAddress}`);
         }
         poolAddress = cachedPoolAddress;
       } else {
-        console.log(`Searching for pool for ${data.tokenSymbol} - token0: ${data.token0}, token1: ${data.token1}`);
+        logger.info(`Searching for pool for ${data.tokenSymbol} - token0: ${data.token0}, token1: ${data.token1}`);
       }
 
       try {
@@ -191,28 +203,26 @@ export class VaultService {
         if (cachedPoolAddress === undefined) {
         // First try Uniswap V3 with all fee tiers
         const uniswapFactory = new ethers.Contract(
-          protocolAddresses.uniswapV3Factory,
+          this.contracts.uniswapV3Factory,
           IUniswapV3Factory.abi,
           this.provider
         );
         
         // Try each fee tier from config
-        for (const feeTier of feeTiers) {
+        for (const feeTier of this.feeTiers) {
           // Try both token orders (token0/token1 and token1/token0)
           for (const [tokenA, tokenB] of [[data.token0, data.token1], [data.token1, data.token0]]) {
             // Check cache first
-            let pool = await cache.getContractState(
-              protocolAddresses.uniswapV3Factory, 
+            let pool = await this.cache.getContractState(
+              this.contracts.uniswapV3Factory, 
               'getPool', 
               [tokenA, tokenB, feeTier]
             );
             
             if (!pool) {
-              // Add delay before RPC call to respect rate limits
-              await new Promise(resolve => setTimeout(resolve, 100));
               pool = await uniswapFactory.getPool(tokenA, tokenB, feeTier);
-              cache.setContractState(
-                protocolAddresses.uniswapV3Factory,
+              this.cache.setContractState(
+                this.contracts.uniswapV3Factory,
                 'getPool',
                 [tokenA, tokenB, feeTier],
                 pool,
@@ -234,27 +244,25 @@ export class VaultService {
         // If no pool found with Uniswap, try PancakeSwap with all fee tiers
         if (poolAddress === ZeroAddress) {
           const pancakeFactory = new ethers.Contract(
-            protocolAddresses.pancakeV3Factory,
+            this.contracts.pancakeV3Factory,
             IUniswapV3Factory.abi,
             this.provider
           );
           
           // Try each fee tier for PancakeSwap
-          for (const feeTier of feeTiers) {
+          for (const feeTier of this.feeTiers) {
             // Try both token orders (token0/token1 and token1/token0)
             for (const [tokenA, tokenB] of [[data.token0, data.token1], [data.token1, data.token0]]) {
-              let pool = await cache.getContractState(
-                protocolAddresses.pancakeV3Factory,
+              let pool = await this.cache.getContractState(
+                this.contracts.pancakeV3Factory,
                 'getPool',
                 [tokenA, tokenB, feeTier]
               );
               
               if (!pool) {
-                // Add delay before RPC call to respect rate limits
-                await new Promise(resolve => setTimeout(resolve, 100));
                 pool = await pancakeFactory.getPool(tokenA, tokenB, feeTier);
-                cache.setContractState(
-                  protocolAddresses.pancakeV3Factory,
+                this.cache.setContractState(
+                  this.contracts.pancakeV3Factory,
                   'getPool',
                   [tokenA, tokenB, feeTier],
                   pool,
@@ -264,7 +272,7 @@ export class VaultService {
               
               if (pool && pool !== ZeroAddress) {
                 poolAddress = pool;
-                console.log(`Found PancakeSwap pool for ${data.tokenSymbol} at ${pool} with fee tier ${feeTier}`);
+                logger.info(`Found PancakeSwap pool for ${data.tokenSymbol} at ${pool} with fee tier ${feeTier}`);
                 break; // Found a pool, stop searching
               }
             }
@@ -278,7 +286,7 @@ export class VaultService {
         
         // Always cache the pool address (even if not found) to prevent repeated searches
         // Cache with original order
-        cache.setContractState(
+        this.cache.setContractState(
           'PoolDiscovery',
           'findPool',
           [data.token0, data.token1],
@@ -286,7 +294,7 @@ export class VaultService {
           0 // Permanent cache - pools are immutable
         );
         // Cache with reversed order too
-        cache.setContractState(
+        this.cache.setContractState(
           'PoolDiscovery',
           'findPool',
           [data.token1, data.token0],
@@ -294,7 +302,7 @@ export class VaultService {
           0 // Permanent cache - pools are immutable
         );
       } catch (error) {
-        console.error(`Error fetching pool address for vault ${vaultAddress}:`, error.message);
+        logger.error(`Error fetching pool address for vault ${vaultAddress}:`, error.message);
         throw new Error(`Failed to fetch pool address: ${error.message}`);
       }
       
@@ -321,9 +329,9 @@ export class VaultService {
     } catch (error) {
       // Handle specific error types
       if (error.code === 'CALL_EXCEPTION') {
-        console.warn(`Vault ${vaultAddress} might not exist or be accessible on current network`);
+        logger.warn(`Vault ${vaultAddress} might not exist or be accessible on current network`);
       } else {
-        console.error(`Error fetching vault description for ${vaultAddress}:`, error.message);
+        logger.error(`Error fetching vault description for ${vaultAddress}:`, error.message);
       }
       return null;
     }
@@ -332,7 +340,7 @@ export class VaultService {
   async getVaultInfo(vaultAddress) {
     try {
       // Check if we have the complete vault info cached
-      const cachedVaultInfo = await cache.getContractState(
+      const cachedVaultInfo = await this.cache.getContractState(
         'VaultManager',
         'getCompleteVaultInfo',
         [vaultAddress]
@@ -350,7 +358,7 @@ export class VaultService {
 
       // If either call failed, return null
       if (!vaultInfoData || !vaultDescription) {
-        console.error(`Failed to fetch complete vault data for ${vaultAddress}`);
+        logger.error(`Failed to fetch complete vault data for ${vaultAddress}`);
         return null;
       }
 
@@ -385,7 +393,7 @@ export class VaultService {
       };
       
       // Cache for 5 minutes - contains mutable vault metrics
-      cache.setContractState(
+      this.cache.setContractState(
         'VaultManager',
         'getCompleteVaultInfo',
         [vaultAddress],
@@ -395,21 +403,24 @@ export class VaultService {
       
       return completeVaultInfo;
     } catch (error) {
-      console.error(`Error fetching comprehensive vault info for ${vaultAddress}:`, error);
+      logger.error(`Error fetching comprehensive vault info for ${vaultAddress}:`, error);
       return null;
     }
   }
 
-  async getVaultInfoOnly(vaultAddress) {
+  /**
+   * Read a vault's getVaultInfo() metrics
+   * @param {string} vaultAddress - Vault address
+   * @param {Object} options - { fresh: skip the cached copy (the result still refreshes the cache) }
+   * @returns {Promise<Object|null>} - Metrics as strings, or null on failure
+   */
+  async getVaultInfoOnly(vaultAddress, options = {}) {
     try {
       // Check cache first
-      let vaultInfo = await cache.getContractState(vaultAddress, 'getVaultInfo');
+      let vaultInfo = options.fresh ? null : await this.cache.getContractState(vaultAddress, 'getVaultInfo');
       
       if (!vaultInfo) {
-        // Cache miss - add delay before RPC call to respect rate limits
-        await new Promise(resolve => setTimeout(resolve, 100));
-
-        // Create contract and fetch
+        // Cache miss - create contract and fetch
         const vaultContract = new ethers.Contract(
           vaultAddress,
           INomaVault.abi,
@@ -420,12 +431,12 @@ export class VaultService {
         vaultInfo = await vaultContract.getVaultInfo();
 
         // Cache for 5 minutes (vault metrics change over time)
-        cache.setContractState(vaultAddress, 'getVaultInfo', [], vaultInfo, 300);
+        this.cache.setContractState(vaultAddress, 'getVaultInfo', [], vaultInfo, 300);
       }
       
       // Check if vaultInfo is undefined or null
       if (!vaultInfo) {
-        console.warn(`getVaultInfo returned null/undefined for ${vaultAddress}`);
+        logger.warn(`getVaultInfo returned null/undefined for ${vaultAddress}`);
         return null;
       }
       
@@ -467,7 +478,7 @@ export class VaultService {
         totalInterest: data.totalInterest ? data.totalInterest.toString() : '0'
       };
     } catch (error) {
-      console.error(`Error fetching vault info for ${vaultAddress}:`, error.message);
+      logger.error(`Error fetching vault info for ${vaultAddress}:`, error.message);
       return null;
     }
   }
@@ -483,7 +494,7 @@ export class VaultService {
         vault.token1?.toLowerCase() === searchAddress.toLowerCase()
       );
     } catch (error) {
-      console.error('Error in getVaultsByAddress:', error);
+      logger.error('Error in getVaultsByAddress:', error);
       throw error;
     }
   }
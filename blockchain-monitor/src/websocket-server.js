@@ -1,10 +1,31 @@
 import { WebSocketServer } from 'ws';
 import { EventEmitter } from 'events';
+import { ethers } from 'ethers';
 import { v4 as uuidv4 } from 'uuid';
-import { MessageStore } from './message-store.js';
+import { MessageStore, isReservedRoomId } from './message-store.js';
+import { InboxStore, parseMentions } from './inbox-store.js';
+import { DirectMessageStore } from './dm-store.js';
+import { POOL_ROOM_PREFIX, parsePoolRoomId, poolRoomId } from './pool-chat.js';
+import { CashtagPrices, MAX_CASHTAGS, parseCashtags } from './cashtags.js';
 import { UsernameStore } from './username-store.js';
 import { RateLimiter } from './rate-limiter.js';
 import { SessionManager } from './session-manager.js';
+import { ModerationStore, ROLES } from './moderation-store.js';
+import { LIQUIDITY_EVENT_TYPES } from './event-storage.js';
+import { formatLeadTime, parseLeadTime } from './loan-alerts.js';
+import metrics, { messageType } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('ws');
+
+const wsMessagesReceived = metrics.counter('ws_messages_received_total', 'WebSocket messages received, by message type');
+const wsMessagesSent = metrics.counter('ws_messages_sent_total', 'WebSocket messages sent, by message type');
+const wsClients = metrics.gauge('ws_clients', 'Connected WebSocket clients, by state');
+const wsPoolSubscriptions = metrics.gauge('ws_pool_subscriptions', 'Pool subscriptions across all WebSocket clients');
+const wsStreamSubscribers = metrics.gauge('ws_stream_subscribers', 'WebSocket clients receiving each event stream');
+const chatMessages = metrics.counter('chat_messages_total', 'Chat messages sent, by scope (global, room, direct, system)');
+const liveStreams = metrics.gauge('live_streams_active', 'Live video streams currently broadcasting');
+const liveStreamViewers = metrics.gauge('live_stream_viewers', 'Viewers across all live video streams');
 
 // Stream Room class for managing viewers
 class StreamRoom {
@@ -46,21 +67,60 @@ function bigIntReplacer(key, value) {
   return value;
 }
 
+// Event streams a client can subscribe to; 'trades' is on by default
+const EVENT_STREAMS = ['trades', 'liquidity', 'staking'];
+
+// Trollbox commands that need a role (see ModerationStore), and the usage shown by /help
+const MODERATION_COMMANDS = {
+  '/kick': 'moderator',
+  '/mute': 'moderator',
+  '/unmute': 'moderator',
+  '/delete': 'moderator',
+  '/slowmode': 'moderator',
+  '/ban': 'admin',
+  '/unban': 'admin',
+  '/clearauth': 'admin'
+};
+const COMMAND_HELP = {
+  '/help': '/help',
+  '/slap': '/slap <username>',
+  '/kick': '/kick <username>',
+  '/mute': '/mute <username> <duration> [reason]',
+  '/unmute': '/unmute <username>',
+  '/delete': '/delete <messageId>',
+  '/slowmode': '/slowmode <seconds>',
+  '/ban': '/ban <username> [duration] [reason]',
+  '/unban': '/unban <username>',
+  '/clearauth': '/clearauth [username]'
+};
+const KICK_DURATION = 3600; // seconds
+const MAX_REACTION_LENGTH = 16;
+const MAX_REACTIONS_PER_MESSAGE = 20;
+const MAX_RESTRICTION_DURATION = 30 * 86400;
+const MAX_SLOWMODE_SECONDS = 3600;
+
 export class WSServer extends EventEmitter {
-  constructor(port, eventStorage, authManager) {
+  constructor(port, chains, authManager, options = {}) {
     super();
     this.port = port;
-    this.eventStorage = eventStorage;
+    this.chains = chains; // ChainRegistry; messages pick a chain with chainId (the primary chain otherwise)
     this.authManager = authManager;
     this.wss = null;
+    this.isListening = false;
     this.clients = new Map();
     this.addressToClientId = new Map(); // address -> clientId mapping
     
     // Trollbox components
-    this.messageStore = new MessageStore();
+    this.messageStore = new MessageStore(null, {
+      retention: options.chat,
+      editWindowMinutes: options.chat?.editWindowMinutes
+    });
+    this.inboxStore = new InboxStore(this.messageStore); // Mentions, replies and DMs per address
+    this.dmStore = new DirectMessageStore({ encryptionKey: options.chat?.dmEncryptionKey }); // DM threads and block lists
+    this.cashtagPrices = new CashtagPrices(chains); // $SYMBOL prices for users who opted in
     this.usernameStore = new UsernameStore();
     this.rateLimiter = new RateLimiter();
-    this.kickedUsers = new Map(); // Track kicked users
+    this.lastMessageAt = new Map(); // address -> timestamp of the last chat message, for slowmode
     this.sessionManager = new SessionManager(); // Persistent session management
     this.activeStreams = new Map(); // Track active streams by streamId
     this.streamRooms = new Map(); // Track stream rooms with viewers
@@ -68,25 +128,56 @@ export class WSServer extends EventEmitter {
 
     // Room-level chat
     this.rooms = new Map(); // Map<roomId, Set<clientId>>
-    this.roomMessages = new Map(); // Map<roomId, Message[]>
 
     // Viewer audio state tracking for bi-directional audio
     this.viewerAudioStates = new Map(); // Map<streamId, Map<viewerId, boolean>>
 
-    // Admin addresses (can be configured)
-    this.adminAddresses = new Set([
-      // Add admin addresses here
-    ]);
+    // Roles, bans, mutes and slowmode; ADMIN_ADDRESSES are root admins
+    this.moderation = new ModerationStore({
+      backend: options.storageBackend,
+      rootAdmins: options.adminAddresses
+    });
+    this.maxConnectionsPerIp = options.maxConnectionsPerIp || 10;
+
+    metrics.collect(() => this.collectMetrics());
+  }
+
+  collectMetrics() {
+    const stats = this.getConnectionStats();
+    wsClients.set({ state: 'open' }, stats.openConnections);
+    wsClients.set({ state: 'authenticated' }, stats.authenticatedConnections);
+
+    let poolSubscriptions = 0;
+    const streamSubscribers = Object.fromEntries(EVENT_STREAMS.map(stream => [stream, 0]));
+    for (const client of this.clients.values()) {
+      poolSubscriptions += client.pools.length;
+      for (const stream of client.streams) {
+        streamSubscribers[stream] = (streamSubscribers[stream] || 0) + 1;
+      }
+    }
+    wsPoolSubscriptions.set({}, poolSubscriptions);
+    for (const [stream, count] of Object.entries(streamSubscribers)) {
+      wsStreamSubscribers.set({ stream }, count);
+    }
+
+    liveStreams.set({}, this.activeStreams.size);
+    let viewers = 0;
+    for (const room of this.streamRooms.values()) {
+      viewers += room.viewers.size;
+    }
+    liveStreamViewers.set({}, viewers);
   }
 
   async start() {
     // Initialize trollbox stores
     await this.messageStore.initialize();
+    await this.inboxStore.initialize();
+    await this.dmStore.initialize();
     await this.usernameStore.initialize();
+    await this.moderation.initialize();
     
     // Track connections per IP
     this.connectionsByIp = new Map();
-    this.maxConnectionsPerIp = 10; // Increased from 5 to allow more connections during development
     this.connectionAttempts = new Map(); // Track failed connection attempts
     
     // Periodic connection health check
@@ -97,6 +188,12 @@ export class WSServer extends EventEmitter {
       this.rateLimiter.cleanup();
       // Clear connection attempts after 5 minutes
       this.connectionAttempts.clear();
+      this.moderation.cleanupExpired().catch(error => logger.error('Failed to clean up expired bans:', error));
+      this.messageStore.pruneExpired().catch(error => logger.error('Failed to prune chat messages:', error));
+      const slowmodeMs = this.moderation.slowmodeSeconds * 1000;
+      for (const [address, sentAt] of this.lastMessageAt) {
+        if (Date.now() - sentAt >= slowmodeMs) this.lastMessageAt.delete(address);
+      }
     }, 60000);
     
     // Log connection stats periodically
@@ -104,7 +201,7 @@ export class WSServer extends EventEmitter {
       const stats = this.getConnectionStats();
       const sessionStats = this.sessionManager.getStats();
       if (stats.totalConnections > 0 || stats.connectionsByIp.size > 0) {
-        console.log('Connection Stats:', {
+        logger.info('Connection Stats:', {
           totalConnections: stats.totalConnections,
           openConnections: stats.openConnections,
           closingConnections: stats.closingConnections,
@@ -117,7 +214,7 @@ export class WSServer extends EventEmitter {
 
         // Auto-cleanup if we detect closed connections
         if (stats.closedConnections > 0) {
-          console.log(`[Auto Cleanup] Detected ${stats.closedConnections} closed connections, cleaning up...`);
+          logger.info(`[Auto Cleanup] Detected ${stats.closedConnections} closed connections, cleaning up...`);
           this.cleanupStaleConnections();
         }
       }
@@ -125,6 +222,17 @@ export class WSServer extends EventEmitter {
 
     this.wss = new WebSocketServer({ port: this.port });
 
+    this.wss.on('listening', () => {
+      this.isListening = true;
+    });
+    this.wss.on('close', () => {
+      this.isListening = false;
+    });
+    this.wss.on('error', (error) => {
+      this.isListening = false;
+      logger.error('WebSocket server error:', error.message);
+    });
+
     this.wss.on('connection', (ws, req) => {
       const clientId = this.generateClientId();
       const clientIp = req.socket.remoteAddress;
@@ -140,7 +248,7 @@ export class WSServer extends EventEmitter {
         
         // Log only every 10th attempt to reduce spam
         if (attempts % 10 === 0) {
-          console.log(`Connection rejected - IP ${clientIp} has ${currentConnections} connections (max: ${this.maxConnectionsPerIp}) - ${attempts} total attempts`);
+          logger.info(`Connection rejected - IP ${clientIp} has ${currentConnections} connections (max: ${this.maxConnectionsPerIp}) - ${attempts} total attempts`);
         }
         
         ws.close(1008, 'Too many connections from this IP');
@@ -150,24 +258,16 @@ export class WSServer extends EventEmitter {
       // Update connection count
       this.connectionsByIp.set(clientIp, currentConnections + 1);
       
-      if (global.DEBUG) {
-        console.log(`New WebSocket connection:`, {
-          clientId,
-          clientIp,
-          origin,
-          userAgent: userAgent?.substring(0, 50) + '...',
-          totalClients: this.clients.size + 1,
-          ipConnections: currentConnections + 1
-        });
-      } else {
-        console.log(`New WebSocket connection from ${clientIp} (${this.clients.size + 1} total, ${currentConnections + 1} from this IP)`);
-      }
+      logger.info(`New WebSocket connection from ${clientIp} (${this.clients.size + 1} total, ${currentConnections + 1} from this IP)`);
+      logger.debug('Connection details:', { clientId, origin, userAgent: userAgent?.substring(0, 50) });
       const client = {
         id: clientId,
         ws,
         authenticated: false,
         address: null,
         pools: [],
+        streams: ['trades'], // Event streams pushed to this client ('trades', 'liquidity', 'staking')
+        chainIds: [], // Chains whose events are pushed to this client (empty for all)
         clientIp,
         authTimestamp: null,
         sessionToken: null
@@ -175,6 +275,13 @@ export class WSServer extends EventEmitter {
 
       this.clients.set(clientId, client);
 
+      // Count every outgoing message for /metrics
+      const send = ws.send.bind(ws);
+      ws.send = (data, ...rest) => {
+        wsMessagesSent.inc({ type: messageType(data) });
+        return send(data, ...rest);
+      };
+
       // Send connection confirmation
       ws.send(JSON.stringify({
         type: 'connection',
@@ -189,8 +296,8 @@ export class WSServer extends EventEmitter {
           // All messages go through handlers - handlers will do their own routing
           await this.handleMessage(clientId, data);
         } catch (error) {
-          console.error('Error handling message:', error);
-          console.error('Raw message:', message.toString());
+          logger.error('Error handling message:', error);
+          logger.error('Raw message:', message.toString());
           ws.send(JSON.stringify({
             type: 'error',
             message: 'Invalid message format',
@@ -281,7 +388,7 @@ export class WSServer extends EventEmitter {
               // Clean up empty room membership (but preserve messages)
               if (chatRoom.size === 0) {
                 this.rooms.delete(roomId);
-                console.log(`[Room] Deleted empty room membership after disconnect: ${roomId} (messages preserved)`);
+                logger.info(`[Room] Deleted empty room membership after disconnect: ${roomId} (messages preserved)`);
               }
             }
           }
@@ -290,10 +397,10 @@ export class WSServer extends EventEmitter {
         // End any active streams for this client
         for (const [streamId, streamInfo] of this.activeStreams) {
           if (streamInfo.clientId === clientId) {
-            console.log(`[Disconnect] 🛑 Removing stream ${streamId} for disconnected client ${clientId}`);
+            logger.info(`[Disconnect] 🛑 Removing stream ${streamId} for disconnected client ${clientId}`);
             this.activeStreams.delete(streamId);
             this.streamRooms.delete(streamId);
-            console.log(`[Disconnect] Total streams remaining: ${this.activeStreams.size}`);
+            logger.info(`[Disconnect] Total streams remaining: ${this.activeStreams.size}`);
 
             // Clean up viewer audio states for this stream
             this.clearViewerAudioStates(streamId);
@@ -301,7 +408,8 @@ export class WSServer extends EventEmitter {
             // Also clean up the stream's chat room
             const chatRoomId = `stream:${streamId}`;
             this.rooms.delete(chatRoomId);
-            this.roomMessages.delete(chatRoomId);
+            this.messageStore.clearRoom(chatRoomId)
+              .catch(error => logger.error(`[Room] Failed to clear messages of ${chatRoomId}:`, error));
 
             // Notify all clients that the stream ended
             const notification = {
@@ -358,20 +466,14 @@ export class WSServer extends EventEmitter {
           this.connectionsByIp.delete(clientIp);
         }
 
-        if (global.DEBUG) {
-          console.log(`Client disconnected:`, {
-            clientId,
-            totalClients: this.clients.size,
-            authenticated: wasAuthenticated,
-            ipConnections: Math.max(0, currentConnections - 1)
-          });
-        } else {
-          console.log(`Client disconnected from ${clientIp} (${this.clients.size} remaining, ${Math.max(0, currentConnections - 1)} from this IP)`);
-        }
+        logger.info(`Client disconnected from ${clientIp} (${this.clients.size} remaining, ${Math.max(0, currentConnections - 1)} from this IP)`, {
+          clientId,
+          authenticated: wasAuthenticated
+        });
       });
 
       ws.on('error', (error) => {
-        console.error(`WebSocket error for client ${clientId}:`, error);
+        logger.error(`WebSocket error for client ${clientId}:`, error);
       });
 
       // Send connection confirmation with recent messages
@@ -386,7 +488,7 @@ export class WSServer extends EventEmitter {
       }));
     });
 
-    console.log(`WebSocket server listening on port ${this.port}`);
+    logger.info(`WebSocket server listening on port ${this.port}`);
   }
 
   async handleMessage(clientId, data) {
@@ -395,15 +497,18 @@ export class WSServer extends EventEmitter {
 
     // Log message handling for debugging
     if (data.type && data.type.startsWith('webrtc')) {
-      console.log(`[WebRTC] Handling ${data.type} from ${client.address || clientId}`);
-      if (data.to) console.log(`[WebRTC] Target: ${data.to}`);
+      logger.info(`[WebRTC] Handling ${data.type} from ${client.address || clientId}`);
+      if (data.to) logger.info(`[WebRTC] Target: ${data.to}`);
     }
 
     // Log stream-related messages
     if (data.type && (data.type.includes('stream') || data.type === 'register-address')) {
-      console.log(`[Message] ${data.type} from ${client.address || clientId}`, data);
+      logger.info(`[Message] ${data.type} from ${client.address || clientId}`, data);
     }
 
+    // Unknown types are counted together so clients cannot create arbitrary label values
+    let countedType = data.type;
+
     try {
       switch (data.type) {
       case 'auth':
@@ -451,6 +556,18 @@ export class WSServer extends EventEmitter {
         await this.handleGetLoanStats(client, data);
         break;
 
+      case 'getLoanPositions':
+        await this.handleGetLoanPositions(client, data);
+        break;
+
+      case 'getLoanAlertPreferences':
+        await this.handleGetLoanAlertPreferences(client, data);
+        break;
+
+      case 'setLoanAlertPreferences':
+        await this.handleSetLoanAlertPreferences(client, data);
+        break;
+
       // Trollbox message types
       case 'message':
         await this.handleChatMessage(client, data);
@@ -459,6 +576,10 @@ export class WSServer extends EventEmitter {
       case 'changeUsername':
         await this.handleChangeUsername(client, data);
         break;
+
+      case 'adminAction':
+        await this.handleAdminAction(client, data);
+        break;
         
       case 'ping':
         await this.handlePing(client);
@@ -506,11 +627,37 @@ export class WSServer extends EventEmitter {
         break;
 
       case 'direct-message':
-        // Direct messages should have been routed already if they had a 'to' field
-        // This handles the fallback case
         await this.handleDirectMessage(client, data);
         break;
 
+      case 'getDirectThreads':
+        await this.handleGetDirectThreads(client);
+        break;
+
+      case 'getDirectMessages':
+        await this.handleGetDirectMessages(client, data);
+        break;
+
+      case 'markDirectRead':
+        await this.handleMarkDirectRead(client, data);
+        break;
+
+      case 'direct-typing':
+        await this.handleDirectTyping(client, data);
+        break;
+
+      case 'blockUser':
+        await this.handleBlockUser(client, data, true);
+        break;
+
+      case 'unblockUser':
+        await this.handleBlockUser(client, data, false);
+        break;
+
+      case 'getBlockedUsers':
+        await this.handleGetBlockedUsers(client);
+        break;
+
       case 'stream-joined':
         await this.handleStreamJoined(client, data);
         break;
@@ -532,6 +679,47 @@ export class WSServer extends EventEmitter {
         await this.handleGetRoomMessages(client, data);
         break;
 
+      case 'editMessage':
+        await this.handleEditMessage(client, data);
+        break;
+
+      case 'deleteMessage':
+        await this.handleDeleteMessage(client, data);
+        break;
+
+      case 'addReaction':
+        await this.handleReaction(client, data, true);
+        break;
+
+      case 'removeReaction':
+        await this.handleReaction(client, data, false);
+        break;
+
+      case 'getInbox':
+        await this.handleGetInbox(client, data);
+        break;
+
+      case 'markInboxRead':
+        await this.handleMarkInboxRead(client, data);
+        break;
+
+      case 'markRoomRead':
+        await this.handleMarkRoomRead(client, data);
+        break;
+
+      case 'getPoolRooms':
+        await this.handleGetPoolRooms(client);
+        break;
+
+      case 'getChatPreferences':
+      case 'setChatPreferences':
+        await this.handleChatPreferences(client, data);
+        break;
+
+      case 'getCashtagPrices':
+        await this.handleGetCashtagPrices(client, data);
+        break;
+
       // WebRTC signaling messages
       case 'webrtc-request':
         await this.handleWebRTCRequest(client, data);
@@ -601,16 +789,19 @@ export class WSServer extends EventEmitter {
         break;
 
       default:
+        countedType = 'unknown';
         client.ws.send(JSON.stringify({
           type: 'error',
           message: `Unknown message type: ${data.type}`
         }));
       }
     } catch (error) {
-      console.error('Error in handleMessage:', error);
-      console.error('Message type:', data.type);
-      console.error('Message data:', JSON.stringify(data));
+      logger.error('Error in handleMessage:', error);
+      logger.error('Message type:', data.type);
+      logger.error('Message data:', JSON.stringify(data));
       throw error;
+    } finally {
+      wsMessagesReceived.inc({ type: countedType });
     }
   }
 
@@ -634,7 +825,7 @@ export class WSServer extends EventEmitter {
             const existingClient = this.clients.get(existingClientId);
 
             if (existingClient && existingClient.ws.readyState === 1) { // OPEN
-              console.log(`Removing duplicate connection for ${address} (old: ${existingClientId}, new: ${client.id})`);
+              logger.info(`Removing duplicate connection for ${address} (old: ${existingClientId}, new: ${client.id})`);
               existingClient.ws.close(1000, 'Duplicate connection - newer connection established');
             }
           }
@@ -650,7 +841,7 @@ export class WSServer extends EventEmitter {
         const session = this.sessionManager.getOrCreateSession(address, username);
         client.sessionToken = session.token;
         
-        console.log(`Session for ${address}:`, {
+        logger.info(`Session for ${address}:`, {
           token: session.token,
           username: session.username,
           clientId: client.id,
@@ -667,6 +858,7 @@ export class WSServer extends EventEmitter {
           address,
           username,
           sessionToken: session.token,
+          role: this.moderation.getRole(address),
           cooldownInfo: {
             changeCount: this.usernameStore.getChangeCount(address),
             canChange: this.usernameStore.canChangeUsername(address)
@@ -685,7 +877,7 @@ export class WSServer extends EventEmitter {
         }));
       }
     } catch (error) {
-      console.error('Auth error:', error);
+      logger.error('Auth error:', error);
       client.ws.send(JSON.stringify({
         type: 'auth',
         success: false,
@@ -696,11 +888,27 @@ export class WSServer extends EventEmitter {
 
   async handleSubscribe(client, data) {
     // Allow subscribing without authentication for public blockchain events
-    if (global.DEBUG && !client.authenticated) {
-      console.log('Client subscribing without authentication');
+    if (!client.authenticated) {
+      logger.debug('Client subscribing without authentication');
     }
 
-    const { pools = [] } = data;
+    const { pools = [], streams = [] } = data;
+    const chainIds = data.chainIds || (data.chainId !== undefined ? [data.chainId] : []);
+
+    const unknownChain = chainIds.find(chainId => !this.chains.get(chainId));
+    if (unknownChain !== undefined) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: `Chain ${unknownChain} not monitored`
+      }));
+      return;
+    }
+
+    chainIds.forEach(chainId => {
+      if (!client.chainIds.includes(Number(chainId))) {
+        client.chainIds.push(Number(chainId));
+      }
+    });
     
     pools.forEach(pool => {
       const normalizedPool = pool.toLowerCase();
@@ -709,9 +917,17 @@ export class WSServer extends EventEmitter {
       }
     });
 
+    streams.forEach(stream => {
+      if (EVENT_STREAMS.includes(stream) && !client.streams.includes(stream)) {
+        client.streams.push(stream);
+      }
+    });
+
     client.ws.send(JSON.stringify({
       type: 'subscribed',
-      pools: client.pools
+      pools: client.pools,
+      streams: client.streams,
+      chainIds: client.chainIds
     }));
   }
 
@@ -724,36 +940,45 @@ export class WSServer extends EventEmitter {
       return;
     }
 
-    const { pools = [] } = data;
+    const { pools = [], streams = [], chainIds = [] } = data;
     
     client.pools = client.pools.filter(pool => !pools.includes(pool));
+    client.streams = client.streams.filter(stream => !streams.includes(stream));
+    client.chainIds = client.chainIds.filter(chainId => !chainIds.map(Number).includes(chainId));
 
     client.ws.send(JSON.stringify({
       type: 'unsubscribed',
-      pools: client.pools
+      pools: client.pools,
+      streams: client.streams,
+      chainIds: client.chainIds
     }));
   }
 
   async handleGetHistory(client, data) {
     // Allow getting history without authentication for public blockchain events
-    if (global.DEBUG && !client.authenticated) {
-      console.log('Client getting history without authentication');
+    if (!client.authenticated) {
+      logger.debug('Client getting history without authentication');
     }
 
-    const { pools, startTime, endTime, limit = 1000 } = data;
+    const chain = this.getChain(client, data, 'history');
+    if (!chain) return;
+
+    const { pools, startTime, endTime, eventTypes, limit = 1000 } = data;
     
-    let events = this.eventStorage.getAllEvents();
+    const poolFilter = pools && pools.length > 0 ? pools : client.pools;
+    let events;
     
-    if (pools && pools.length > 0) {
-      events = events.filter(event => 
-        pools.includes(event.poolAddress)
-      );
-    } else if (client.pools.length > 0) {
-      events = events.filter(event => 
-        client.pools.includes(event.poolAddress)
-      );
+    if (poolFilter.length > 0) {
+      // Use the pool index instead of scanning the whole history
+      events = [...new Set(poolFilter.map(pool => pool.toLowerCase()))]
+        .flatMap(pool => chain.eventStorage.getEventsByPool(pool))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    } else {
+      events = chain.eventStorage.getAllEvents();
     }
 
+    events = events.filter(this.getEventTypeFilter(eventTypes));
+
     if (startTime) {
       events = events.filter(event => event.timestamp >= startTime);
     }
@@ -766,6 +991,7 @@ export class WSServer extends EventEmitter {
 
     client.ws.send(JSON.stringify({
       type: 'history',
+      chainId: chain.chainId,
       events,
       count: events.length
     }, bigIntReplacer));
@@ -773,13 +999,16 @@ export class WSServer extends EventEmitter {
 
   async handleGetLatest(client, data) {
     // Allow getting latest events without authentication
-    if (global.DEBUG && !client.authenticated) {
-      console.log('Client getting latest events without authentication');
+    if (!client.authenticated) {
+      logger.debug('Client getting latest events without authentication');
     }
 
-    const { limit = 100 } = data;
+    const chain = this.getChain(client, data, 'latest');
+    if (!chain) return;
+
+    const { limit = 100, eventTypes } = data;
     
-    let events = this.eventStorage.getLatestEvents(limit);
+    let events = chain.eventStorage.getLatestEvents(limit, this.getEventTypeFilter(eventTypes));
     
     if (client.pools.length > 0) {
       events = events.filter(event => 
@@ -789,14 +1018,54 @@ export class WSServer extends EventEmitter {
 
     client.ws.send(JSON.stringify({
       type: 'latest',
+      chainId: chain.chainId,
       events,
       count: events.length
     }, bigIntReplacer));
   }
 
+  // The chain a request is for (data.chainId, or the primary chain); replies with an error of the
+  // given type and returns null when the chain is not monitored here
+  getChain(client, data, type) {
+    const chain = this.chains.get(data.chainId);
+    if (!chain) {
+      client.ws.send(JSON.stringify({
+        type,
+        chainId: data.chainId,
+        error: `Chain ${data.chainId} not monitored`
+      }));
+    }
+    return chain;
+  }
+
+  // Clients that did not pick chains get events from all of them
+  isSubscribedToChain(client, chainId) {
+    return client.chainIds.length === 0 || client.chainIds.includes(chainId);
+  }
+
+  // History queries return trades unless the client asks for specific event types
+  // (e.g. ['Mint', 'Burn', 'Collect', 'Flash'] for the liquidity dashboard)
+  getEventTypeFilter(eventTypes) {
+    if (Array.isArray(eventTypes) && eventTypes.length > 0) {
+      return event => eventTypes.includes(event.eventName);
+    }
+    return event => !LIQUIDITY_EVENT_TYPES.includes(event.eventName);
+  }
+
   broadcastEvent(event) {
+    // Liquidity events go out on their own stream so trade feeds are unaffected
+    const isLiquidity = LIQUIDITY_EVENT_TYPES.includes(event.eventName);
+    const stream = isLiquidity ? 'liquidity' : 'trades';
+    const message = JSON.stringify({
+      type: isLiquidity ? 'liquidityEvent' : 'event',
+      data: event
+    }, bigIntReplacer);
+
     for (const [clientId, client] of this.clients) {
       // Broadcast to all connected clients, not just authenticated ones
+      if (!client.streams.includes(stream) || !this.isSubscribedToChain(client, event.chainId)) {
+        continue;
+      }
 
       // For ExchangeHelper events, there's no poolAddress
       // For Uniswap events, check pool subscriptions
@@ -814,10 +1083,7 @@ export class WSServer extends EventEmitter {
       }
 
       if (client.ws.readyState === 1) {
-        client.ws.send(JSON.stringify({
-          type: 'event',
-          data: event
-        }, bigIntReplacer));
+        client.ws.send(message);
       }
     }
   }
@@ -827,7 +1093,7 @@ export class WSServer extends EventEmitter {
       // Broadcast loan events to all connected clients
       // Could add vault-specific filtering similar to pool subscriptions if needed
 
-      if (client.ws.readyState === 1) {
+      if (client.ws.readyState === 1 && this.isSubscribedToChain(client, loanEvent.chainId)) {
         client.ws.send(JSON.stringify({
           type: 'loanEvent',
           data: loanEvent
@@ -836,8 +1102,83 @@ export class WSServer extends EventEmitter {
     }
   }
 
+  broadcastPresaleEvent(presaleEvent, progress = null) {
+    // Progress is the presale's standing right after this event (null if the read failed)
+    const message = JSON.stringify({
+      type: 'presaleEvent',
+      data: { ...presaleEvent, progress }
+    }, bigIntReplacer);
+
+    for (const [clientId, client] of this.clients) {
+      if (client.ws.readyState === 1 && this.isSubscribedToChain(client, presaleEvent.chainId)) {
+        client.ws.send(message);
+      }
+    }
+  }
+
+  broadcastStakingEvent(stakingEvent, apr) {
+    // Only NotifiedReward carries a fresh APR estimate (null until two rewards are indexed)
+    const message = JSON.stringify({
+      type: 'stakingEvent',
+      data: apr === undefined ? stakingEvent : { ...stakingEvent, apr }
+    }, bigIntReplacer);
+
+    for (const [clientId, client] of this.clients) {
+      if (!client.streams.includes('staking') || !this.isSubscribedToChain(client, stakingEvent.chainId)) {
+        continue;
+      }
+
+      if (client.ws.readyState === 1) {
+        client.ws.send(message);
+      }
+    }
+  }
+
+  broadcastPoolAdded(pool, chainId) {
+    this.broadcastPoolChange('poolAdded', pool, chainId);
+  }
+
+  broadcastPoolUpdated(pool, chainId) {
+    this.broadcastPoolChange('poolUpdated', pool, chainId);
+  }
+
+  broadcastPoolRemoved(pool, chainId) {
+    this.broadcastPoolChange('poolRemoved', pool, chainId);
+  }
+
+  // Pools added (by NomaFactory discovery or pools.json), relabelled, disabled or removed; clients update their pool lists
+  broadcastPoolChange(type, pool, chainId) {
+    const message = JSON.stringify({
+      type,
+      data: { ...pool, chainId }
+    }, bigIntReplacer);
+
+    for (const [clientId, client] of this.clients) {
+      if (client.ws.readyState === 1 && this.isSubscribedToChain(client, chainId)) {
+        client.ws.send(message);
+      }
+    }
+  }
+
+  broadcastRetraction(retraction) {
+    // Tell clients to drop events from a block that was reorged out
+    const message = JSON.stringify({
+      type: 'eventsRetracted',
+      data: retraction
+    }, bigIntReplacer);
+
+    for (const [clientId, client] of this.clients) {
+      if (client.ws.readyState === 1 && this.isSubscribedToChain(client, retraction.chainId)) {
+        client.ws.send(message);
+      }
+    }
+  }
+
   async handleGetLatestLoans(client, data) {
-    if (!this.loanStorage) {
+    const chain = this.getChain(client, data, 'latestLoans');
+    if (!chain) return;
+
+    if (!chain.loanStorage) {
       client.ws.send(JSON.stringify({
         type: 'latestLoans',
         loans: [],
@@ -848,7 +1189,7 @@ export class WSServer extends EventEmitter {
     }
 
     const { limit = 100 } = data;
-    const loans = this.loanStorage.getLatestLoans(limit);
+    const loans = chain.loanStorage.getLatestLoans(limit);
 
     client.ws.send(JSON.stringify({
       type: 'latestLoans',
@@ -858,7 +1199,10 @@ export class WSServer extends EventEmitter {
   }
 
   async handleGetLoansByUser(client, data) {
-    if (!this.loanStorage) {
+    const chain = this.getChain(client, data, 'loansByUser');
+    if (!chain) return;
+
+    if (!chain.loanStorage) {
       client.ws.send(JSON.stringify({
         type: 'loansByUser',
         loans: [],
@@ -876,7 +1220,7 @@ export class WSServer extends EventEmitter {
       return;
     }
 
-    const loans = this.loanStorage.getLoansByUser(userAddress);
+    const loans = chain.loanStorage.getLoansByUser(userAddress);
 
     client.ws.send(JSON.stringify({
       type: 'loansByUser',
@@ -887,7 +1231,10 @@ export class WSServer extends EventEmitter {
   }
 
   async handleGetLoansByVault(client, data) {
-    if (!this.loanStorage) {
+    const chain = this.getChain(client, data, 'loansByVault');
+    if (!chain) return;
+
+    if (!chain.loanStorage) {
       client.ws.send(JSON.stringify({
         type: 'loansByVault',
         loans: [],
@@ -905,7 +1252,7 @@ export class WSServer extends EventEmitter {
       return;
     }
 
-    const loans = this.loanStorage.getLoansByVault(vaultAddress);
+    const loans = chain.loanStorage.getLoansByVault(vaultAddress);
 
     client.ws.send(JSON.stringify({
       type: 'loansByVault',
@@ -916,7 +1263,10 @@ export class WSServer extends EventEmitter {
   }
 
   async handleGetLoanStats(client, data) {
-    if (!this.loanStorage) {
+    const chain = this.getChain(client, data, 'loanStats');
+    if (!chain) return;
+
+    if (!chain.loanStorage) {
       client.ws.send(JSON.stringify({
         type: 'loanStats',
         error: 'Loan monitoring not enabled'
@@ -927,13 +1277,13 @@ export class WSServer extends EventEmitter {
     const { userAddress, vaultAddress } = data;
 
     if (userAddress) {
-      const stats = this.loanStorage.getLoanStatsByUser(userAddress);
+      const stats = chain.loanStorage.getLoanStatsByUser(userAddress);
       client.ws.send(JSON.stringify({
         type: 'loanStats',
         stats
       }, bigIntReplacer));
     } else if (vaultAddress) {
-      const stats = this.loanStorage.getLoanStatsByVault(vaultAddress);
+      const stats = chain.loanStorage.getLoanStatsByVault(vaultAddress);
       client.ws.send(JSON.stringify({
         type: 'loanStats',
         stats
@@ -946,17 +1296,158 @@ export class WSServer extends EventEmitter {
     }
   }
 
+  async handleGetLoanPositions(client, data) {
+    const chain = this.getChain(client, data, 'loanPositions');
+    if (!chain) return;
+
+    if (!chain.loanLedger) {
+      client.ws.send(JSON.stringify({
+        type: 'loanPositions',
+        positions: [],
+        error: 'Loan monitoring not enabled'
+      }));
+      return;
+    }
+
+    const { userAddress, vaultAddress, status, reconcile = false } = data;
+    if (!userAddress) {
+      client.ws.send(JSON.stringify({
+        type: 'loanPositions',
+        error: 'Missing userAddress parameter'
+      }));
+      return;
+    }
+
+    try {
+      const reconciliation = reconcile
+        ? await chain.loanLedger.reconcile(userAddress, vaultAddress || null)
+        : null;
+
+      client.ws.send(JSON.stringify({
+        type: 'loanPositions',
+        userAddress,
+        ...chain.loanLedger.getPositions(userAddress, { vault: vaultAddress, status }),
+        reconciliation
+      }, bigIntReplacer));
+    } catch (error) {
+      logger.error('Error fetching loan positions:', error);
+      client.ws.send(JSON.stringify({
+        type: 'loanPositions',
+        userAddress,
+        error: 'Failed to retrieve loan positions'
+      }));
+    }
+  }
+
+  /**
+   * Send a message to every open authenticated socket of an address (each of its devices and tabs)
+   * @param {string} address - Wallet address, in any case
+   * @param {Object} message - Message to send
+   * @returns {boolean} - Whether the address had an open authenticated connection
+   */
+  sendToAddress(address, message) {
+    const target = address.toLowerCase();
+    const payload = JSON.stringify(message, bigIntReplacer);
+    let isDelivered = false;
+
+    for (const client of this.clients.values()) {
+      if (client.authenticated && client.address?.toLowerCase() === target && client.ws.readyState === 1) {
+        client.ws.send(payload);
+        isDelivered = true;
+      }
+    }
+
+    return isDelivered;
+  }
+
+  formatLoanAlertPreferences(preferences) {
+    return {
+      enabled: preferences.enabled,
+      leadTimes: preferences.leadTimes.map(formatLeadTime),
+      leadTimeSeconds: preferences.leadTimes,
+      isDefault: preferences.isDefault
+    };
+  }
+
+  async handleGetLoanAlertPreferences(client, data) {
+    if (!client.authenticated) {
+      client.ws.send(JSON.stringify({
+        type: 'loanAlertPreferences',
+        error: 'Authentication required'
+      }));
+      return;
+    }
+
+    const chain = this.getChain(client, data, 'loanAlertPreferences');
+    if (!chain) return;
+
+    if (!chain.loanAlerts) {
+      client.ws.send(JSON.stringify({
+        type: 'loanAlertPreferences',
+        error: 'Loan alerts not enabled'
+      }));
+      return;
+    }
+
+    client.ws.send(JSON.stringify({
+      type: 'loanAlertPreferences',
+      address: client.address,
+      preferences: this.formatLoanAlertPreferences(chain.loanAlerts.getPreferences(client.address))
+    }));
+  }
+
+  async handleSetLoanAlertPreferences(client, data) {
+    if (!client.authenticated) {
+      client.ws.send(JSON.stringify({
+        type: 'loanAlertPreferences',
+        error: 'Authentication required'
+      }));
+      return;
+    }
+
+    const chain = this.getChain(client, data, 'loanAlertPreferences');
+    if (!chain) return;
+
+    if (!chain.loanAlerts) {
+      client.ws.send(JSON.stringify({
+        type: 'loanAlertPreferences',
+        error: 'Loan alerts not enabled'
+      }));
+      return;
+    }
+
+    try {
+      const { enabled, leadTimes } = data;
+      const preferences = await chain.loanAlerts.setPreferences(client.address, { enabled, leadTimes });
+
+      client.ws.send(JSON.stringify({
+        type: 'loanAlertPreferences',
+        address: client.address,
+        updated: true,
+        preferences: this.formatLoanAlertPreferences(preferences)
+      }));
+    } catch (error) {
+      client.ws.send(JSON.stringify({
+        type: 'loanAlertPreferences',
+        error: error.message
+      }));
+    }
+  }
+
   async handleGetGlobalTrades(client, data) {
     // Allow getting global trades without authentication
-    if (global.DEBUG && !client.authenticated) {
-      console.log('Client getting global trades without authentication');
+    if (!client.authenticated) {
+      logger.debug('Client getting global trades without authentication');
     }
 
+    const chain = this.getChain(client, data, 'globalTrades');
+    if (!chain) return;
+
     // Get limit from request or default to 50
     const limit = data.limit || 50;
     
     // Get global trades across all pools
-    const trades = this.eventStorage.getLatestGlobalTrades(Math.min(limit, 100));
+    const trades = chain.eventStorage.getLatestGlobalTrades(Math.min(limit, 100));
     
     client.ws.send(JSON.stringify({
       type: 'globalTrades',
@@ -979,11 +1470,14 @@ export class WSServer extends EventEmitter {
       return;
     }
 
-    // Check if user is kicked
-    if (this.isUserKicked(client.address)) {
+    // Banned users can't chat or run commands
+    const ban = this.moderation.getBan(client.address);
+    if (ban) {
       client.ws.send(JSON.stringify({
         type: 'error',
-        message: 'You are temporarily banned from sending messages'
+        message: ban.until
+          ? `You are banned from sending messages until ${new Date(ban.until).toISOString()}`
+          : 'You are banned from sending messages'
       }));
       return;
     }
@@ -1022,46 +1516,57 @@ export class WSServer extends EventEmitter {
       return;
     }
 
-    // Get username
-    const username = this.usernameStore.getUsername(client.address);
+    const mute = this.moderation.getMute(client.address);
+    if (mute) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: `You are muted until ${new Date(mute.until).toISOString()}`
+      }));
+      return;
+    }
 
-    // Room-specific message
-    if (room) {
-      const roomId = room;
+    // Check if client is in the room
+    const roomMembers = room ? this.rooms.get(room) : null;
+    if (room && (!roomMembers || !roomMembers.has(client.id))) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'You must join the room before sending messages'
+      }));
+      return;
+    }
 
-      // Check if client is in the room
-      const roomMembers = this.rooms.get(roomId);
-      if (!roomMembers || !roomMembers.has(client.id)) {
+    // Slowmode applies to everyone below moderator; only accepted messages start the wait
+    const slowmodeSeconds = this.moderation.slowmodeSeconds;
+    const normalizedAddress = client.address.toLowerCase();
+    if (slowmodeSeconds > 0 && !this.moderation.hasRole(client.address, 'moderator')) {
+      const waitMs = (this.lastMessageAt.get(normalizedAddress) || 0) + slowmodeSeconds * 1000 - Date.now();
+      if (waitMs > 0) {
         client.ws.send(JSON.stringify({
           type: 'error',
-          message: 'You must join the room before sending messages'
+          message: `Slowmode is on. You can send another message in ${Math.ceil(waitMs / 1000)}s.`
         }));
         return;
       }
+    }
 
-      // Create room message
-      const message = {
-        id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        username,
-        address: client.address,
-        content: content.trim(),
-        timestamp: Date.now(),
-        verified: true,
-        replyTo: replyTo || null,
-        room: roomId
-      };
+    // Get username
+    const username = this.usernameStore.getUsername(client.address);
+    const mentions = this.resolveMentions(content, client.address);
+    const cashtags = parseCashtags(content).filter(symbol => this.cashtagPrices.resolve(symbol));
 
-      // Store in room messages
-      if (!this.roomMessages.has(roomId)) {
-        this.roomMessages.set(roomId, []);
-      }
-      const roomMessageHistory = this.roomMessages.get(roomId);
-      roomMessageHistory.push(message);
+    // Room-specific message
+    if (room) {
+      const roomId = room;
 
-      // Keep only last 100 messages per room
-      if (roomMessageHistory.length > 100) {
-        roomMessageHistory.shift();
-      }
+      const message = await this.messageStore.addMessage(
+        username,
+        client.address,
+        content.trim(),
+        replyTo || null,
+        roomId,
+        { mentions, cashtags }
+      );
+      this.lastMessageAt.set(normalizedAddress, message.timestamp);
 
       // Broadcast only to room members
       const messagePayload = JSON.stringify({
@@ -1075,7 +1580,10 @@ export class WSServer extends EventEmitter {
           memberClient.ws.send(messagePayload);
         }
       }
+      chatMessages.inc({ scope: 'room' });
 
+      await this.notifyRecipients(message);
+      await this.sendCashtagPrices(message);
       return;
     }
 
@@ -1084,14 +1592,281 @@ export class WSServer extends EventEmitter {
       username,
       client.address,
       content,
-      replyTo
+      replyTo,
+      null,
+      { mentions, cashtags }
     );
+    this.lastMessageAt.set(normalizedAddress, message.timestamp);
 
     // Broadcast to all authenticated clients
     this.broadcastMessage({
       type: 'message',
       message
     });
+    chatMessages.inc({ scope: 'global' });
+
+    await this.notifyRecipients(message);
+    await this.sendCashtagPrices(message);
+  }
+
+  // Addresses of the known usernames @mentioned in a message, except the sender's
+  resolveMentions(content, senderAddress) {
+    const addresses = new Set();
+    for (const username of parseMentions(content)) {
+      const address = this.usernameStore.getAddressByUsername(username);
+      if (address && address !== senderAddress.toLowerCase()) {
+        addresses.add(address);
+      }
+    }
+    return [...addresses];
+  }
+
+  // Inbox items for the author of the message replied to and everyone mentioned (one item per person)
+  // Options: { mentions, reply: false } to notify only some of the mentions (edits) and skip the reply
+  async notifyRecipients(message, { mentions = message.mentions || [], reply = true } = {}) {
+    const sender = message.address.toLowerCase();
+    const recipients = new Map(); // address -> item type
+
+    const replyId = typeof message.replyTo === 'object' ? message.replyTo?.id : message.replyTo;
+    const parent = reply && replyId ? this.messageStore.getMessageById(replyId) : null;
+    if (parent && !parent.deleted && parent.address && parent.address.toLowerCase() !== sender) {
+      recipients.set(parent.address.toLowerCase(), 'reply');
+    }
+    for (const address of mentions) {
+      if (!recipients.has(address)) recipients.set(address, 'mention');
+    }
+
+    for (const [address, type] of recipients) {
+      const item = await this.inboxStore.addItem(address, {
+        type,
+        messageId: message.id,
+        room: message.room || null,
+        from: sender,
+        fromUsername: message.username,
+        content: message.content
+      });
+      this.sendNotification(address, item);
+    }
+  }
+
+  // Push a new inbox item to every open connection of its recipient
+  sendNotification(address, item) {
+    this.sendToAddress(address, {
+      type: 'notification',
+      item,
+      unread: this.inboxStore.getUnreadCount(address)
+    });
+  }
+
+  // { before, limit, unreadOnly }: inbox items newest first, with the unread counters
+  async handleGetInbox(client, data) {
+    if (!client.authenticated) {
+      client.ws.send(JSON.stringify({
+        type: 'requireAuth',
+        message: 'Authentication required to read the inbox'
+      }));
+      return;
+    }
+
+    const { before, limit, unreadOnly } = data;
+    const page = this.inboxStore.getItems(client.address, { before, limit, unreadOnly: unreadOnly === true });
+    if (!page) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Unknown inbox item ID for before'
+      }));
+      return;
+    }
+
+    client.ws.send(JSON.stringify({
+      type: 'inbox',
+      items: page.items,
+      hasMore: page.hasMore,
+      unread: this.inboxStore.getUnreadCount(client.address),
+      rooms: this.inboxStore.getUnreadByRoom(client.address)
+    }));
+  }
+
+  // { ids } marks those inbox items read, { all: true } every item
+  async handleMarkInboxRead(client, data) {
+    if (!client.authenticated) {
+      client.ws.send(JSON.stringify({
+        type: 'requireAuth',
+        message: 'Authentication required to read the inbox'
+      }));
+      return;
+    }
+
+    const { ids, all } = data;
+    if (all !== true && (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string'))) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'ids must be a list of inbox item IDs (or send all: true)'
+      }));
+      return;
+    }
+
+    const marked = await this.inboxStore.markRead(client.address, all === true ? null : ids);
+    client.ws.send(JSON.stringify({
+      type: 'inboxRead',
+      ids: marked,
+      unread: this.inboxStore.getUnreadCount(client.address)
+    }));
+  }
+
+  // { roomId } (none for the global channel): resets the room's unread counter
+  async handleMarkRoomRead(client, data) {
+    if (!client.authenticated) {
+      client.ws.send(JSON.stringify({
+        type: 'requireAuth',
+        message: 'Authentication required to track unread messages'
+      }));
+      return;
+    }
+
+    const { roomId } = data;
+    if (roomId !== undefined && roomId !== null && (typeof roomId !== 'string' || !roomId)) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Invalid room ID'
+      }));
+      return;
+    }
+
+    await this.inboxStore.markRoomRead(client.address, roomId || null);
+    client.ws.send(JSON.stringify({
+      type: 'roomRead',
+      roomId: roomId || null,
+      rooms: this.inboxStore.getUnreadByRoom(client.address)
+    }));
+  }
+
+  // Pool behind a `pool:<address>` room on any chain, as sent with room-joined and poolRooms
+  findPoolRoom(roomId) {
+    const address = parsePoolRoomId(roomId);
+    if (!address) return null;
+
+    for (const chain of this.chains.list()) {
+      const pool = chain.poolRegistry?.getPool(address);
+      if (pool) return this.describePoolRoom(chain, pool);
+    }
+    return null;
+  }
+
+  describePoolRoom(chain, pool) {
+    return {
+      roomId: poolRoomId(pool.address),
+      chainId: chain.chainId,
+      address: pool.address.toLowerCase(),
+      symbol: pool.symbol,
+      name: pool.name
+    };
+  }
+
+  // The canonical room of every enabled pool, with how many clients are in it
+  async handleGetPoolRooms(client) {
+    const rooms = [];
+    for (const chain of this.chains.list()) {
+      for (const pool of chain.poolRegistry?.getPools() || []) {
+        const room = this.describePoolRoom(chain, pool);
+        rooms.push({ ...room, memberCount: this.rooms.get(room.roomId)?.size || 0 });
+      }
+    }
+
+    client.ws.send(JSON.stringify({
+      type: 'poolRooms',
+      rooms
+    }));
+  }
+
+  // Store a System message in a room's history (posted whether or not anyone is in the room) and send it to its members
+  async postSystemMessage(room, content, fields = {}) {
+    const message = await this.messageStore.addMessage('System', 'system', content, null, room, {
+      isAction: true,
+      ...fields
+    });
+
+    this.broadcastToChannel(room, {
+      type: 'message',
+      message
+    });
+    chatMessages.inc({ scope: 'system' });
+    return message;
+  }
+
+  // Live prices of a message's cashtags, sent after it to the channel members who opted in
+  async sendCashtagPrices(message) {
+    if (!message.cashtags?.length) return;
+
+    const members = message.room ? this.rooms.get(message.room) || new Set() : null;
+    const recipients = [...this.clients.values()].filter(client => (
+      client.authenticated
+      && client.ws.readyState === 1
+      && (!members || members.has(client.id))
+      && this.inboxStore.getPreferences(client.address).cashtags
+    ));
+    if (recipients.length === 0) return;
+
+    const payload = JSON.stringify({
+      type: 'cashtagPrices',
+      messageId: message.id,
+      room: message.room || null,
+      prices: await this.cashtagPrices.getPrices(message.cashtags)
+    });
+    for (const recipient of recipients) {
+      recipient.ws.send(payload);
+    }
+  }
+
+  // getChatPreferences, or setChatPreferences with { cashtags: true|false }
+  async handleChatPreferences(client, data) {
+    if (!client.authenticated) {
+      client.ws.send(JSON.stringify({
+        type: 'requireAuth',
+        message: 'Authentication required for chat preferences'
+      }));
+      return;
+    }
+
+    let preferences;
+    if (data.type === 'setChatPreferences') {
+      const { cashtags } = data;
+      if (cashtags !== undefined && typeof cashtags !== 'boolean') {
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          message: 'cashtags must be a boolean'
+        }));
+        return;
+      }
+      preferences = await this.inboxStore.setPreferences(client.address, { cashtags });
+    } else {
+      preferences = this.inboxStore.getPreferences(client.address);
+    }
+
+    client.ws.send(JSON.stringify({
+      type: 'chatPreferences',
+      preferences
+    }));
+  }
+
+  // { symbols }: current prices, e.g. for the cashtags of messages loaded from history
+  async handleGetCashtagPrices(client, data) {
+    const { symbols } = data;
+    if (!Array.isArray(symbols) || symbols.length === 0 || symbols.length > MAX_CASHTAGS
+      || symbols.some(symbol => typeof symbol !== 'string')) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: `symbols must be a list of up to ${MAX_CASHTAGS} cashtag symbols`
+      }));
+      return;
+    }
+
+    client.ws.send(JSON.stringify({
+      type: 'cashtagPrices',
+      messageId: null,
+      room: null,
+      prices: await this.cashtagPrices.getPrices(symbols.map(symbol => symbol.replace(/^\$/, '').toUpperCase()))
+    }));
   }
 
   async handleJoinRoom(client, data) {
@@ -1105,10 +1880,29 @@ export class WSServer extends EventEmitter {
       return;
     }
 
+    if (isReservedRoomId(roomId)) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: `"${roomId}" is a reserved room ID`
+      }));
+      return;
+    }
+
+    // `pool:<address>` rooms exist only for the pools in pools.json
+    const isPoolRoom = roomId.startsWith(POOL_ROOM_PREFIX);
+    const pool = isPoolRoom ? this.findPoolRoom(roomId) : null;
+    if (isPoolRoom && !pool) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Unknown pool room'
+      }));
+      return;
+    }
+
     // Create room if it doesn't exist
     if (!this.rooms.has(roomId)) {
       this.rooms.set(roomId, new Set());
-      console.log(`[Room] Created new room: ${roomId}`);
+      logger.info(`[Room] Created new room: ${roomId}`);
     }
 
     // Add client to room
@@ -1121,17 +1915,19 @@ export class WSServer extends EventEmitter {
     }
     client.joinedRooms.add(roomId);
 
-    console.log(`[Room] Client ${client.id} (${client.address}) joined room ${roomId}`);
+    logger.info(`[Room] Client ${client.id} (${client.address}) joined room ${roomId}`);
 
     // Get room message history
-    const roomMessageHistory = this.roomMessages.get(roomId) || [];
+    const { messages: roomMessageHistory, hasMore } = this.messageStore.getMessages(roomId);
 
     // Send confirmation with message history
     client.ws.send(JSON.stringify({
       type: 'room-joined',
       roomId,
+      ...(pool && { pool }),
       memberCount: room.size,
       messages: roomMessageHistory,
+      hasMore,
       timestamp: Date.now()
     }));
 
@@ -1184,12 +1980,12 @@ export class WSServer extends EventEmitter {
       client.joinedRooms.delete(roomId);
     }
 
-    console.log(`[Room] Client ${client.id} (${client.address}) left room ${roomId}`);
+    logger.info(`[Room] Client ${client.id} (${client.address}) left room ${roomId}`);
 
     // If room is empty, delete the membership Set but keep messages
     if (room.size === 0) {
       this.rooms.delete(roomId);
-      console.log(`[Room] Deleted empty room membership: ${roomId} (messages preserved)`);
+      logger.info(`[Room] Deleted empty room membership: ${roomId} (messages preserved)`);
     } else {
       // Notify remaining members
       const notification = JSON.stringify({
@@ -1219,7 +2015,7 @@ export class WSServer extends EventEmitter {
   }
 
   async handleGetRoomMessages(client, data) {
-    const { roomId, limit = 50 } = data;
+    const { roomId, limit, before, after } = data;
 
     if (!roomId || typeof roomId !== 'string') {
       client.ws.send(JSON.stringify({
@@ -1229,17 +2025,213 @@ export class WSServer extends EventEmitter {
       return;
     }
 
-    // Get room messages
-    const roomMessageHistory = this.roomMessages.get(roomId) || [];
-    const messages = roomMessageHistory.slice(-limit);
+    if (isReservedRoomId(roomId)) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: `"${roomId}" is a reserved room ID`
+      }));
+      return;
+    }
+
+    const page = this.messageStore.getMessages(roomId, { limit, before, after });
+    if (!page) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Unknown message ID for before/after'
+      }));
+      return;
+    }
 
     client.ws.send(JSON.stringify({
       type: 'room-messages',
       roomId,
-      messages,
+      messages: page.messages,
+      hasMore: page.hasMore,
       timestamp: Date.now()
     }));
   }
+  // Shared checks of editMessage, deleteMessage and reactions: returns the target message, or null after replying with an error
+  checkMessageAction(client, data, action) {
+    const sendError = message => client.ws.send(JSON.stringify({ type: 'error', message }));
+
+    if (!client.authenticated) {
+      client.ws.send(JSON.stringify({
+        type: 'requireAuth',
+        message: `Authentication required to ${action} messages`
+      }));
+      return null;
+    }
+
+    if (this.moderation.getBan(client.address)) {
+      sendError(`Banned users cannot ${action} messages`);
+      return null;
+    }
+
+    if (this.rateLimiter.isRateLimited(client.address, action === 'react to' ? 'reaction' : 'message')) {
+      sendError('Rate limit exceeded. Please slow down.');
+      return null;
+    }
+
+    const message = typeof data.messageId === 'string' ? this.messageStore.getMessageById(data.messageId) : null;
+    if (!message || message.deleted) {
+      sendError('Message not found');
+      return null;
+    }
+
+    return message;
+  }
+
+  // Authors within the edit window, or anyone with `role`
+  canChangeMessage(client, message, role) {
+    const isAuthor = message.address?.toLowerCase() === client.address.toLowerCase();
+    return (isAuthor && this.messageStore.isWithinEditWindow(message)) || this.moderation.hasRole(client.address, role);
+  }
+
+  // Send to the channel a message belongs to: room members, or every authenticated client for the global channel
+  broadcastToChannel(room, data) {
+    if (!room) {
+      this.broadcastMessage(data);
+      return;
+    }
+
+    const payload = JSON.stringify(data);
+    for (const memberId of this.rooms.get(room) || []) {
+      const memberClient = this.clients.get(memberId);
+      if (memberClient && memberClient.ws.readyState === 1) {
+        memberClient.ws.send(payload);
+      }
+    }
+  }
+
+  // { messageId, content }: authors within the edit window, admins any time
+  async handleEditMessage(client, data) {
+    const message = this.checkMessageAction(client, data, 'edit');
+    if (!message) return;
+
+    const { content } = data;
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Invalid message content'
+      }));
+      return;
+    }
+
+    if (content.length > 500) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Message too long (max 500 characters)'
+      }));
+      return;
+    }
+
+    const mute = this.moderation.getMute(client.address);
+    if (mute) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: `You are muted until ${new Date(mute.until).toISOString()}`
+      }));
+      return;
+    }
+
+    if (!this.canChangeMessage(client, message, 'admin')) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'You can only edit your own messages shortly after sending them'
+      }));
+      return;
+    }
+
+    // Mentions and cashtags follow the new content; only people it newly mentions are notified
+    const mentions = message.address ? this.resolveMentions(content, message.address) : [];
+    const cashtags = parseCashtags(content).filter(symbol => this.cashtagPrices.resolve(symbol));
+    const updated = await this.messageStore.editMessage(message.id, content.trim(), { mentions, cashtags });
+    if (message.address?.toLowerCase() !== client.address.toLowerCase()) {
+      await this.moderation.recordAction('edit', client.address, message.address, {
+        messageId: message.id,
+        room: message.room || null,
+        content: message.content
+      });
+    }
+
+    this.broadcastToChannel(updated.room, {
+      type: 'messageEdited',
+      messageId: updated.id,
+      room: updated.room || null,
+      content: updated.content,
+      mentions: updated.mentions,
+      editedAt: updated.editedAt,
+      editCount: updated.edits.length
+    });
+
+    const previousMentions = new Set(message.mentions || []);
+    await this.notifyRecipients(updated, {
+      mentions: mentions.filter(address => !previousMentions.has(address)),
+      reply: false
+    });
+  }
+
+  // { messageId }: authors within the edit window, moderators any time
+  async handleDeleteMessage(client, data) {
+    const message = this.checkMessageAction(client, data, 'delete');
+    if (!message) return;
+
+    if (!this.canChangeMessage(client, message, 'moderator')) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'You can only delete your own messages shortly after sending them'
+      }));
+      return;
+    }
+
+    await this.deleteChatMessage(message.id, client.address);
+    if (message.address?.toLowerCase() !== client.address.toLowerCase()) {
+      await this.moderation.recordAction('delete', client.address, message.address, {
+        messageId: message.id,
+        room: message.room || null,
+        content: message.content
+      });
+    }
+  }
+
+  // { messageId, emoji }, for addReaction (add = true) and removeReaction
+  async handleReaction(client, data, add) {
+    const message = this.checkMessageAction(client, data, 'react to');
+    if (!message) return;
+
+    const emoji = typeof data.emoji === 'string' ? data.emoji.trim() : '';
+    if (!emoji || emoji.length > MAX_REACTION_LENGTH || /\s/.test(emoji)) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Invalid reaction'
+      }));
+      return;
+    }
+
+    if (add && !message.reactions?.[emoji] && Object.keys(message.reactions || {}).length >= MAX_REACTIONS_PER_MESSAGE) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: `A message can have at most ${MAX_REACTIONS_PER_MESSAGE} different reactions`
+      }));
+      return;
+    }
+
+    const updated = add
+      ? await this.messageStore.addReaction(message.id, emoji, client.address)
+      : await this.messageStore.removeReaction(message.id, emoji, client.address);
+    if (!updated) return; // Already reacted, or nothing to remove
+
+    this.broadcastToChannel(updated.room, {
+      type: 'reactionUpdated',
+      messageId: updated.id,
+      room: updated.room || null,
+      emoji,
+      count: updated.reactions[emoji]?.length || 0,
+      address: client.address.toLowerCase(),
+      action: add ? 'add' : 'remove'
+    });
+  }
+
 
   async handleChangeUsername(client, data) {
     if (!client.authenticated) {
@@ -1250,6 +2242,14 @@ export class WSServer extends EventEmitter {
       return;
     }
 
+    if (this.moderation.getBan(client.address)) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Banned users cannot change their username'
+      }));
+      return;
+    }
+
     const { username } = data;
 
     // Validate username
@@ -1314,13 +2314,22 @@ export class WSServer extends EventEmitter {
     }));
   }
 
+  // Global channel history, paged with `before`/`after` message IDs
   async handleGetMessages(client, data) {
-    const { limit = 50 } = data;
-    const messages = this.messageStore.getRecentMessages(limit);
-    
+    const { limit, before, after } = data;
+    const page = this.messageStore.getMessages(null, { limit, before, after });
+    if (!page) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Unknown message ID for before/after'
+      }));
+      return;
+    }
+
     client.ws.send(JSON.stringify({
       type: 'messages',
-      messages
+      messages: page.messages,
+      hasMore: page.hasMore
     }));
   }
 
@@ -1365,10 +2374,10 @@ export class WSServer extends EventEmitter {
       }
     }
 
-    console.log(`[Request Active Streams] Total active streams: ${this.activeStreams.size}`);
+    logger.info(`[Request Active Streams] Total active streams: ${this.activeStreams.size}`);
     if (this.activeStreams.size > 0) {
-      console.log(`[Request Active Streams] Stream IDs:`, Array.from(this.activeStreams.keys()));
-      console.log(`[Request Active Streams] Stream details:`, Array.from(this.activeStreams.values()).map(s => ({
+      logger.info(`[Request Active Streams] Stream IDs:`, Array.from(this.activeStreams.keys()));
+      logger.info(`[Request Active Streams] Stream details:`, Array.from(this.activeStreams.values()).map(s => ({
         streamId: s.streamId,
         streamer: s.streamer,
         username: s.username,
@@ -1398,7 +2407,7 @@ export class WSServer extends EventEmitter {
       };
     });
 
-    console.log(`[Request Active Streams] Sending ${activeStreams.length} streams to client`);
+    logger.info(`[Request Active Streams] Sending ${activeStreams.length} streams to client`);
 
     // Send pools, streams, and client's subscriptions
     client.ws.send(JSON.stringify({
@@ -1460,7 +2469,7 @@ export class WSServer extends EventEmitter {
     const username = this.usernameStore.getUsername(streamerAddress) || data.username || 'anonymous';
     const streamId = providedStreamId || roomId || `stream-${Date.now()}-${Math.random().toString(36).substring(7)}`;
 
-    console.log('[Stream Start]', {
+    logger.info('[Stream Start]', {
       streamId,
       title,
       streamer: streamerAddress,
@@ -1471,7 +2480,7 @@ export class WSServer extends EventEmitter {
     // Check if this streamer already has an active stream and clean it up
     for (const [existingStreamId, existingStreamInfo] of this.activeStreams) {
       if (existingStreamInfo.clientId === client.id || existingStreamInfo.streamer === streamerAddress) {
-        console.log(`[Stream Start] Cleaning up existing stream ${existingStreamId} for ${streamerAddress}`);
+        logger.info(`[Stream Start] Cleaning up existing stream ${existingStreamId} for ${streamerAddress}`);
         this.activeStreams.delete(existingStreamId);
         this.streamRooms.delete(existingStreamId);
       }
@@ -1504,7 +2513,7 @@ export class WSServer extends EventEmitter {
       viewerCount: 0
     };
     this.activeStreams.set(streamId, streamInfo);
-    console.log(`[Stream Start] ✅ Stream added to activeStreams. Total streams: ${this.activeStreams.size}`);
+    logger.info(`[Stream Start] ✅ Stream added to activeStreams. Total streams: ${this.activeStreams.size}`);
 
     // Create stream room
     const room = new StreamRoom(streamId, client, streamerAddress);
@@ -1550,7 +2559,7 @@ export class WSServer extends EventEmitter {
       timestamp: Date.now()
     };
 
-    console.log('[Stream Start] Broadcasting notifications');
+    logger.info('[Stream Start] Broadcasting notifications');
 
     // Send to all connected clients
     for (const [clientId, otherClient] of this.clients) {
@@ -1589,7 +2598,7 @@ export class WSServer extends EventEmitter {
     // Remove from active streams and rooms
     this.activeStreams.delete(streamId);
     this.streamRooms.delete(streamId);
-    console.log(`[Stream End] 🛑 Stream removed from activeStreams. Total streams: ${this.activeStreams.size}`);
+    logger.info(`[Stream End] 🛑 Stream removed from activeStreams. Total streams: ${this.activeStreams.size}`);
 
     // Clean up viewer audio states for this stream
     this.clearViewerAudioStates(streamId);
@@ -1626,7 +2635,7 @@ export class WSServer extends EventEmitter {
       timestamp: Date.now()
     };
     
-    console.log('[Stream End] Broadcasting notifications');
+    logger.info('[Stream End] Broadcasting notifications');
     
     // Send to all connected clients
     for (const [clientId, otherClient] of this.clients) {
@@ -1639,7 +2648,7 @@ export class WSServer extends EventEmitter {
       }
     }
     
-    console.log(`[Stream End] Stream ${streamId} ended`);
+    logger.info(`[Stream End] Stream ${streamId} ended`);
   }
 
   async handleStreamUpdate(client, data) {
@@ -1702,7 +2711,7 @@ export class WSServer extends EventEmitter {
       timestamp: Date.now()
     };
 
-    console.log(`[Stream Update] Broadcasting updates for stream ${streamId}`);
+    logger.info(`[Stream Update] Broadcasting updates for stream ${streamId}`);
 
     // Send to all connected clients
     for (const [clientId, otherClient] of this.clients) {
@@ -1711,12 +2720,12 @@ export class WSServer extends EventEmitter {
       }
     }
 
-    console.log(`[Stream Update] Stream ${streamId} updated: title="${streamInfo.title}", quality=${streamInfo.quality}`);
+    logger.info(`[Stream Update] Stream ${streamId} updated: title="${streamInfo.title}", quality=${streamInfo.quality}`);
   }
 
   async handleStreamEmoji(client, data) {
     // Handle emoji reactions sent during a stream
-    console.log(`[Stream Emoji] Received from ${client.address || client.id}:`, JSON.stringify(data));
+    logger.info(`[Stream Emoji] Received from ${client.address || client.id}:`, JSON.stringify(data));
 
     const { roomId, streamId, emojiData } = data;
     let targetStreamId = streamId || roomId;
@@ -1726,12 +2735,12 @@ export class WSServer extends EventEmitter {
       // If client is only in one stream, use that
       if (client.joinedStreams && client.joinedStreams.size === 1) {
         targetStreamId = Array.from(client.joinedStreams)[0];
-        console.log(`[Stream Emoji] Inferred stream ID ${targetStreamId} from client's joined streams`);
+        logger.info(`[Stream Emoji] Inferred stream ID ${targetStreamId} from client's joined streams`);
       }
     }
 
     if (!targetStreamId) {
-      console.warn(`[Stream Emoji] No stream ID provided and couldn't infer. Client joined streams:`, client.joinedStreams);
+      logger.warn(`[Stream Emoji] No stream ID provided and couldn't infer. Client joined streams:`, client.joinedStreams);
       client.ws.send(JSON.stringify({
         type: 'error',
         message: 'Stream ID or Room ID required for emoji'
@@ -1752,7 +2761,7 @@ export class WSServer extends EventEmitter {
     // Get the room for this stream
     const room = this.streamRooms.get(targetStreamId);
     if (!room) {
-      console.error(`[Stream Emoji] Room not found for stream ${targetStreamId}`);
+      logger.error(`[Stream Emoji] Room not found for stream ${targetStreamId}`);
       client.ws.send(JSON.stringify({
         type: 'error',
         message: 'Stream room not found'
@@ -1760,8 +2769,8 @@ export class WSServer extends EventEmitter {
       return;
     }
 
-    console.log(`[Stream Emoji] Room found with ${room.viewers.size} viewers`);
-    console.log(`[Stream Emoji] Room viewer IDs:`, Array.from(room.viewers.keys()));
+    logger.info(`[Stream Emoji] Room found with ${room.viewers.size} viewers`);
+    logger.info(`[Stream Emoji] Room viewer IDs:`, Array.from(room.viewers.keys()));
 
     // Add sender info to emoji data if not present
     const enrichedEmojiData = {
@@ -1779,8 +2788,8 @@ export class WSServer extends EventEmitter {
       emojiData: enrichedEmojiData
     };
 
-    console.log(`[Stream Emoji] ${enrichedEmojiData.senderUsername} sent ${enrichedEmojiData.emoji} to stream ${targetStreamId}`);
-    console.log(`[Stream Emoji] Streamer client ID: ${streamInfo.clientId}`);
+    logger.info(`[Stream Emoji] ${enrichedEmojiData.senderUsername} sent ${enrichedEmojiData.emoji} to stream ${targetStreamId}`);
+    logger.info(`[Stream Emoji] Streamer client ID: ${streamInfo.clientId}`);
 
     let sentCount = 0;
 
@@ -1788,12 +2797,12 @@ export class WSServer extends EventEmitter {
     for (const [viewerId, viewer] of room.viewers) {
       if (viewer.ws && viewer.ws.readyState === 1) {
         const messageStr = JSON.stringify(emojiMessage);
-        console.log(`[Stream Emoji] Sending to viewer ${viewerId}:`, messageStr);
+        logger.info(`[Stream Emoji] Sending to viewer ${viewerId}:`, messageStr);
         viewer.ws.send(messageStr);
         sentCount++;
-        console.log(`[Stream Emoji] ✓ Sent to viewer ${viewerId}`);
+        logger.info(`[Stream Emoji] ✓ Sent to viewer ${viewerId}`);
       } else {
-        console.log(`[Stream Emoji] ✗ Skipped viewer ${viewerId} - ws readyState: ${viewer.ws ? viewer.ws.readyState : 'no ws'}`);
+        logger.info(`[Stream Emoji] ✗ Skipped viewer ${viewerId} - ws readyState: ${viewer.ws ? viewer.ws.readyState : 'no ws'}`);
       }
     }
 
@@ -1801,12 +2810,12 @@ export class WSServer extends EventEmitter {
     const streamerClient = this.clients.get(streamInfo.clientId);
     if (streamerClient && streamerClient.ws.readyState === 1) {
       const messageStr = JSON.stringify(emojiMessage);
-      console.log(`[Stream Emoji] Sending to streamer ${streamInfo.clientId}:`, messageStr);
+      logger.info(`[Stream Emoji] Sending to streamer ${streamInfo.clientId}:`, messageStr);
       streamerClient.ws.send(messageStr);
       sentCount++;
-      console.log(`[Stream Emoji] ✓ Sent to streamer ${streamInfo.clientId}`);
+      logger.info(`[Stream Emoji] ✓ Sent to streamer ${streamInfo.clientId}`);
     } else {
-      console.log(`[Stream Emoji] ✗ Streamer ${streamInfo.clientId} not available - readyState: ${streamerClient ? streamerClient.ws.readyState : 'not found'}`);
+      logger.info(`[Stream Emoji] ✗ Streamer ${streamInfo.clientId} not available - readyState: ${streamerClient ? streamerClient.ws.readyState : 'not found'}`);
     }
 
     // Also broadcast to all clients who have joined this stream (in case they're not in room.viewers yet)
@@ -1820,17 +2829,17 @@ export class WSServer extends EventEmitter {
         if (!room.viewers.has(clientId)) {
           otherClient.ws.send(JSON.stringify(emojiMessage));
           sentCount++;
-          console.log(`[Stream Emoji] Sent to joined client ${clientId}`);
+          logger.info(`[Stream Emoji] Sent to joined client ${clientId}`);
         }
       }
     }
 
-    console.log(`[Stream Emoji] Broadcast to ${sentCount} recipients (excluding sender)`);
+    logger.info(`[Stream Emoji] Broadcast to ${sentCount} recipients (excluding sender)`);
 
     // Also send back to the sender so they see their own emoji
     if (client.ws.readyState === 1) {
       client.ws.send(JSON.stringify(emojiMessage));
-      console.log(`[Stream Emoji] Sent back to sender ${client.id}`);
+      logger.info(`[Stream Emoji] Sent back to sender ${client.id}`);
     }
 
     // Send acknowledgment to sender
@@ -1886,7 +2895,7 @@ export class WSServer extends EventEmitter {
     const chatRoomId = `stream:${targetStreamId}`;
     if (!this.rooms.has(chatRoomId)) {
       this.rooms.set(chatRoomId, new Set());
-      console.log(`[Room] Auto-created stream chat room: ${chatRoomId}`);
+      logger.info(`[Room] Auto-created stream chat room: ${chatRoomId}`);
     }
     const chatRoom = this.rooms.get(chatRoomId);
     chatRoom.add(client.id);
@@ -1896,10 +2905,10 @@ export class WSServer extends EventEmitter {
     }
     client.joinedRooms.add(chatRoomId);
 
-    console.log(`[Room] Client ${client.id} auto-joined stream chat room ${chatRoomId}`);
+    logger.info(`[Room] Client ${client.id} auto-joined stream chat room ${chatRoomId}`);
 
     // Get room message history
-    const roomMessageHistory = this.roomMessages.get(chatRoomId) || [];
+    const { messages: roomMessageHistory, hasMore } = this.messageStore.getMessages(chatRoomId);
 
     // Send stream info to the viewer with chat history
     client.ws.send(JSON.stringify({
@@ -1915,6 +2924,7 @@ export class WSServer extends EventEmitter {
         startedAt: streamInfo.startedAt
       },
       messages: roomMessageHistory,
+      hasMore,
       timestamp: Date.now()
     }));
 
@@ -1965,12 +2975,12 @@ export class WSServer extends EventEmitter {
       if (client.joinedRooms) {
         client.joinedRooms.delete(chatRoomId);
       }
-      console.log(`[Room] Client ${client.id} auto-left stream chat room ${chatRoomId}`);
+      logger.info(`[Room] Client ${client.id} auto-left stream chat room ${chatRoomId}`);
 
       // Clean up empty room membership (preserve messages until stream ends)
       if (chatRoom.size === 0) {
         this.rooms.delete(chatRoomId);
-        console.log(`[Room] Deleted empty stream chat room membership: ${chatRoomId} (messages preserved)`);
+        logger.info(`[Room] Deleted empty stream chat room membership: ${chatRoomId} (messages preserved)`);
       }
     }
 
@@ -1997,70 +3007,271 @@ export class WSServer extends EventEmitter {
     }
   }
 
+  // { recipientAddress | recipient (username), message }: stored in the pair's thread, pushed to the
+  // recipient's open connections and left in their inbox (without the text, which only the thread keeps)
   async handleDirectMessage(client, data) {
-    // Handle direct messages between users
+    if (!client.authenticated) {
+      client.ws.send(JSON.stringify({
+        type: 'requireAuth',
+        message: 'Authentication required to send direct messages'
+      }));
+      return;
+    }
+
+    // Same ban and rate limit as the chat, so DMs are no way around either
+    const ban = this.moderation.getBan(client.address);
+    if (ban) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: ban.until
+          ? `You are banned from sending messages until ${new Date(ban.until).toISOString()}`
+          : 'You are banned from sending messages'
+      }));
+      return;
+    }
+
+    if (this.rateLimiter.isRateLimited(client.address, 'message')) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Rate limit exceeded. Please slow down.'
+      }));
+      return;
+    }
+
     const { recipient, recipientAddress, message } = data;
     
-    if (!message || !message.trim()) {
+    if (!message || typeof message !== 'string' || !message.trim()) {
       client.ws.send(JSON.stringify({
         type: 'error',
         message: 'Message content is required'
       }));
       return;
     }
-    
-    // Find recipient by address or username
-    let recipientClient = null;
-    let recipientId = null;
-    
-    if (recipientAddress) {
-      // Find by address
-      for (const [id, c] of this.clients) {
-        if (c.address && c.address.toLowerCase() === recipientAddress.toLowerCase()) {
-          recipientClient = c;
-          recipientId = id;
-          break;
-        }
-      }
-    } else if (recipient) {
-      // Find by username
-      for (const [id, c] of this.clients) {
-        const username = this.usernameStore.getUsername(c.address);
-        if (username && username.toLowerCase() === recipient.toLowerCase()) {
-          recipientClient = c;
-          recipientId = id;
-          break;
-        }
-      }
+
+    if (message.length > 500) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Message too long (max 500 characters)'
+      }));
+      return;
     }
     
-    if (!recipientClient) {
+    const address = this.resolveDirectRecipient(client, recipientAddress || recipient);
+    if (!address) return;
+
+    if (this.dmStore.isBlocked(address, client.address)) {
       client.ws.send(JSON.stringify({
         type: 'error',
-        message: 'Recipient not found or offline'
+        message: 'This user is not accepting your messages'
       }));
       return;
     }
-    
+
+    const dm = await this.dmStore.sendMessage(client.address, address, message.trim());
     const senderUsername = this.usernameStore.getUsername(client.address) || 'anonymous';
-    const timestamp = Date.now();
+
+    const item = await this.inboxStore.addItem(address, {
+      type: 'dm',
+      messageId: dm.id,
+      threadId: dm.threadId,
+      from: client.address,
+      fromUsername: senderUsername,
+      content: null,
+      timestamp: dm.timestamp // Matches the thread's read markers
+    });
     
-    // Send message to recipient
-    recipientClient.ws.send(JSON.stringify({
+    const delivered = this.sendToAddress(address, {
       type: 'direct-message',
-      from: client.address || 'anonymous',
+      id: item.id, // Inbox item, for markInboxRead
+      messageId: dm.id,
+      threadId: dm.threadId,
+      from: dm.from,
       fromUsername: senderUsername,
-      message: message.trim(),
-      timestamp
-    }));
+      message: dm.body,
+      timestamp: dm.timestamp
+    });
     
-    // Send acknowledgment to sender
+    chatMessages.inc({ scope: 'direct' });
+
     client.ws.send(JSON.stringify({
       type: 'direct-message-ack',
-      to: recipientClient.address || recipientId,
-      toUsername: this.usernameStore.getUsername(recipientClient.address) || recipient,
-      message: message.trim(),
-      timestamp
+      messageId: dm.id,
+      threadId: dm.threadId,
+      to: address,
+      toUsername: this.usernameStore.getUsername(address),
+      message: dm.body,
+      delivered, // false: the recipient is offline and will find it in the thread and inbox
+      timestamp: dm.timestamp
+    }));
+  }
+
+  // The other party of a DM (an address or username), or null after telling the client why not
+  resolveDirectRecipient(client, user) {
+    const address = typeof user === 'string' && user ? this.resolveUserAddress(user) : null;
+    if (!address) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Recipient not found'
+      }));
+      return null;
+    }
+
+    if (address === client.address.toLowerCase()) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'You cannot message yourself'
+      }));
+      return null;
+    }
+    return address;
+  }
+
+  requireDirectAuth(client) {
+    if (client.authenticated) return true;
+    client.ws.send(JSON.stringify({
+      type: 'requireAuth',
+      message: 'Authentication required for direct messages'
+    }));
+    return false;
+  }
+
+  // Threads of the signed-in address, most recent first, with their unread counts
+  async handleGetDirectThreads(client) {
+    if (!this.requireDirectAuth(client)) return;
+
+    const threads = this.dmStore.getThreads(client.address).map(thread => ({
+      ...thread,
+      withUsername: this.usernameStore.getUsername(thread.with)
+    }));
+    client.ws.send(JSON.stringify({
+      type: 'directThreads',
+      threads
+    }));
+  }
+
+  // { threadId | with (address or username), before, after, limit }: a page of a thread, oldest first
+  async handleGetDirectMessages(client, data) {
+    if (!this.requireDirectAuth(client)) return;
+
+    const { before, after, limit } = data;
+    let threadId = data.threadId;
+    if (!threadId) {
+      const address = this.resolveDirectRecipient(client, data.with);
+      if (!address) return;
+      threadId = DirectMessageStore.threadId(client.address, address);
+    }
+
+    const thread = this.dmStore.getThread(threadId);
+    if (thread ? !this.dmStore.isParticipant(threadId, client.address) : !data.with) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Thread not found'
+      }));
+      return;
+    }
+
+    // No thread yet with that user: an empty first page
+    const page = thread ? this.dmStore.getMessages(threadId, { before, after, limit }) : { messages: [], hasMore: false };
+    if (!page) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Unknown message ID for before/after'
+      }));
+      return;
+    }
+
+    client.ws.send(JSON.stringify({
+      type: 'directMessages',
+      threadId,
+      messages: page.messages,
+      hasMore: page.hasMore,
+      readMarkers: thread?.readMarkers || {},
+      before: before || null,
+      after: after || null
+    }));
+  }
+
+  // { threadId, messageId }: read receipt up to messageId (the latest message when omitted), sent to both parties
+  async handleMarkDirectRead(client, data) {
+    if (!this.requireDirectAuth(client)) return;
+
+    const { threadId, messageId } = data;
+    if (typeof threadId !== 'string' || !this.dmStore.isParticipant(threadId, client.address)) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Thread not found'
+      }));
+      return;
+    }
+
+    const marker = await this.dmStore.markRead(threadId, client.address, messageId || null);
+    if (!marker) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Message not found in this thread'
+      }));
+      return;
+    }
+    await this.inboxStore.markThreadRead(client.address, threadId, marker.readAt);
+
+    const receipt = {
+      type: 'direct-message-read',
+      threadId,
+      reader: client.address.toLowerCase(),
+      ...marker
+    };
+    for (const participant of this.dmStore.getThread(threadId).participants) {
+      this.sendToAddress(participant, receipt);
+    }
+  }
+
+  // { to | threadId, typing }: relayed to the other party as it happens, never stored
+  async handleDirectTyping(client, data) {
+    if (!this.requireDirectAuth(client)) return;
+
+    const sender = client.address.toLowerCase();
+    let address;
+    if (data.threadId) {
+      if (!this.dmStore.isParticipant(data.threadId, sender)) return;
+      address = this.dmStore.getThread(data.threadId).participants.find(participant => participant !== sender);
+    } else {
+      address = typeof data.to === 'string' && data.to ? this.resolveUserAddress(data.to) : null;
+    }
+
+    // Dropped quietly: typing updates are best effort
+    if (!address || address === sender || this.dmStore.isBlocked(address, sender)) return;
+    if (this.rateLimiter.isRateLimited(sender, 'typing')) return;
+
+    this.sendToAddress(address, {
+      type: 'direct-typing',
+      threadId: DirectMessageStore.threadId(sender, address),
+      from: sender,
+      fromUsername: this.usernameStore.getUsername(sender),
+      typing: data.typing !== false
+    });
+  }
+
+  // { user } (address or username): blocked users cannot send you DMs or typing updates
+  async handleBlockUser(client, data, block) {
+    if (!this.requireDirectAuth(client)) return;
+
+    const address = this.resolveDirectRecipient(client, data.user);
+    if (!address) return;
+
+    if (block) {
+      await this.dmStore.block(client.address, address);
+    } else {
+      await this.dmStore.unblock(client.address, address);
+    }
+    await this.handleGetBlockedUsers(client);
+  }
+
+  async handleGetBlockedUsers(client) {
+    if (!this.requireDirectAuth(client)) return;
+
+    client.ws.send(JSON.stringify({
+      type: 'blockedUsers',
+      addresses: this.dmStore.getBlocked(client.address.toLowerCase())
     }));
   }
 
@@ -2199,7 +3410,7 @@ export class WSServer extends EventEmitter {
     const bufferedCandidates = this.pendingIceCandidates.get(connectionKey);
 
     if (bufferedCandidates && bufferedCandidates.length > 0) {
-      console.log(`[ICE Buffer] Flushing ${bufferedCandidates.length} buffered candidates for ${connectionKey}`);
+      logger.info(`[ICE Buffer] Flushing ${bufferedCandidates.length} buffered candidates for ${connectionKey}`);
 
       // Find target client
       const targetClient = this.clients.get(to) || this.findWebSocketByAddress(to);
@@ -2219,7 +3430,7 @@ export class WSServer extends EventEmitter {
   // WebRTC signaling handlers
   async handleWebRTCRequest(client, data) {
     // Viewer requests offer from broadcaster
-    console.log('[WebRTC Request]', {
+    logger.info('[WebRTC Request]', {
       from: client.address || client.id,
       to: data.to,
       action: data.action,
@@ -2238,10 +3449,10 @@ export class WSServer extends EventEmitter {
           fromClientId: client.id, // Also send client ID for direct routing
           fromAddress: client.address // And address for convenience
         };
-        console.log('[WebRTC Request] Forwarding to broadcaster:', message);
+        logger.info('[WebRTC Request] Forwarding to broadcaster:', message);
         targetClient.ws.send(JSON.stringify(message));
       } else {
-        console.log('[WebRTC Request] Broadcaster not found:', data.to);
+        logger.info('[WebRTC Request] Broadcaster not found:', data.to);
         client.ws.send(JSON.stringify({
           type: 'error',
           message: 'Broadcaster not found'
@@ -2258,7 +3469,7 @@ export class WSServer extends EventEmitter {
       const isRenegotiation = data.isRenegotiation || false;
 
       if (isRenegotiation) {
-        console.log(`[WebRTC] Renegotiation offer from ${client.id} (${client.address}) to ${data.to} for stream ${data.streamId}`);
+        logger.info(`[WebRTC] Renegotiation offer from ${client.id} (${client.address}) to ${data.to} for stream ${data.streamId}`);
       }
 
       // Try by address first (prioritize for renegotiation since viewers send to wallet address)
@@ -2270,7 +3481,7 @@ export class WSServer extends EventEmitter {
       }
 
       if (targetClient && targetClient.ws.readyState === 1) {
-        console.log(`[WebRTC] Forwarding ${isRenegotiation ? 'renegotiation ' : ''}offer to ${targetClient.address || targetClient.id}`);
+        logger.info(`[WebRTC] Forwarding ${isRenegotiation ? 'renegotiation ' : ''}offer to ${targetClient.address || targetClient.id}`);
 
         targetClient.ws.send(JSON.stringify({
           type: 'webrtc-offer',
@@ -2285,8 +3496,8 @@ export class WSServer extends EventEmitter {
         // Flush any buffered ICE candidates for this connection
         this.flushPendingIceCandidates(data.to, from, data.streamId);
       } else {
-        console.warn(`[WebRTC] Failed to route offer to ${data.to} - target not found or not connected`);
-        console.warn(`[WebRTC] Available addresses: ${Array.from(this.addressToClientId.keys()).join(', ')}`);
+        logger.warn(`[WebRTC] Failed to route offer to ${data.to} - target not found or not connected`);
+        logger.warn(`[WebRTC] Available addresses: ${Array.from(this.addressToClientId.keys()).join(', ')}`);
       }
     }
   }
@@ -2299,7 +3510,7 @@ export class WSServer extends EventEmitter {
       const isRenegotiation = data.isRenegotiation || false;
 
       if (isRenegotiation) {
-        console.log(`[WebRTC] Renegotiation answer from ${client.id} (${client.address}) to ${data.to} for stream ${data.streamId}`);
+        logger.info(`[WebRTC] Renegotiation answer from ${client.id} (${client.address}) to ${data.to} for stream ${data.streamId}`);
       }
 
       // Try by address first (prioritize for renegotiation since answers go to wallet address)
@@ -2311,7 +3522,7 @@ export class WSServer extends EventEmitter {
       }
 
       if (targetClient && targetClient.ws.readyState === 1) {
-        console.log(`[WebRTC] Forwarding ${isRenegotiation ? 'renegotiation ' : ''}answer to ${targetClient.address || targetClient.id}`);
+        logger.info(`[WebRTC] Forwarding ${isRenegotiation ? 'renegotiation ' : ''}answer to ${targetClient.address || targetClient.id}`);
 
         targetClient.ws.send(JSON.stringify({
           type: 'webrtc-answer',
@@ -2326,8 +3537,8 @@ export class WSServer extends EventEmitter {
         // Flush any buffered ICE candidates for this connection
         this.flushPendingIceCandidates(data.to, from, data.streamId);
       } else {
-        console.warn(`[WebRTC] Failed to route answer to ${data.to} - target not found or not connected`);
-        console.warn(`[WebRTC] Available addresses: ${Array.from(this.addressToClientId.keys()).join(', ')}`);
+        logger.warn(`[WebRTC] Failed to route answer to ${data.to} - target not found or not connected`);
+        logger.warn(`[WebRTC] Available addresses: ${Array.from(this.addressToClientId.keys()).join(', ')}`);
       }
     }
   }
@@ -2362,7 +3573,7 @@ export class WSServer extends EventEmitter {
             fromAddress: client.address,
             candidate: data.candidate
           });
-          console.log(`[ICE Buffer] Buffered candidate for ${connectionKey}, total: ${this.pendingIceCandidates.get(connectionKey).length}`);
+          logger.info(`[ICE Buffer] Buffered candidate for ${connectionKey}, total: ${this.pendingIceCandidates.get(connectionKey).length}`);
         } else {
           // Send immediately - offer/answer already exchanged
           targetClient.ws.send(JSON.stringify({
@@ -2378,9 +3589,9 @@ export class WSServer extends EventEmitter {
       }
 
       // If target not found, log detailed info
-      console.warn(`[ICE] Failed to send ICE candidate to ${data.to}`);
-      console.warn(`[ICE] Sender: ${client.id} (${client.address})`);
-      console.warn(`[ICE] Available addresses: ${Array.from(this.addressToClientId.keys()).join(', ')}`);
+      logger.warn(`[ICE] Failed to send ICE candidate to ${data.to}`);
+      logger.warn(`[ICE] Sender: ${client.id} (${client.address})`);
+      logger.warn(`[ICE] Available addresses: ${Array.from(this.addressToClientId.keys()).join(', ')}`);
     }
   }
 
@@ -2388,7 +3599,7 @@ export class WSServer extends EventEmitter {
     // Broadcaster requests to enable/disable viewer's audio
     const { action, viewerId, streamId, from } = data;
 
-    console.log(`[Audio Request] Broadcaster ${client.address || client.id} requesting ${action} for viewer ${viewerId} in stream ${streamId}`);
+    logger.info(`[Audio Request] Broadcaster ${client.address || client.id} requesting ${action} for viewer ${viewerId} in stream ${streamId}`);
 
     // Validate message fields
     if (!viewerId || typeof viewerId !== 'string') {
@@ -2417,7 +3628,7 @@ export class WSServer extends EventEmitter {
 
     // Check authorization - verify sender is the broadcaster
     if (!this.isStreamBroadcaster(client.id, streamId)) {
-      console.warn(`[Audio Request] Unauthorized: ${client.id} is not broadcaster of stream ${streamId}`);
+      logger.warn(`[Audio Request] Unauthorized: ${client.id} is not broadcaster of stream ${streamId}`);
       client.ws.send(JSON.stringify({
         type: 'error',
         message: 'Unauthorized: Only broadcaster can request viewer audio'
@@ -2438,9 +3649,9 @@ export class WSServer extends EventEmitter {
         from: client.address || client.id
       }));
 
-      console.log(`[Audio Request] Forwarded ${action} request to viewer ${viewerId}`);
+      logger.info(`[Audio Request] Forwarded ${action} request to viewer ${viewerId}`);
     } else {
-      console.warn(`[Audio Request] Viewer ${viewerId} not found or not connected`);
+      logger.warn(`[Audio Request] Viewer ${viewerId} not found or not connected`);
       client.ws.send(JSON.stringify({
         type: 'error',
         message: 'Viewer not found or offline'
@@ -2452,7 +3663,7 @@ export class WSServer extends EventEmitter {
     // Viewer reports their audio state change
     const { viewerId, enabled, streamId, from } = data;
 
-    console.log(`[Audio State] Viewer ${client.address || client.id} audio: ${enabled ? 'enabled' : 'disabled'} in stream ${streamId}`);
+    logger.info(`[Audio State] Viewer ${client.address || client.id} audio: ${enabled ? 'enabled' : 'disabled'} in stream ${streamId}`);
 
     // Validate message fields
     if (!viewerId || typeof enabled !== 'boolean') {
@@ -2495,9 +3706,9 @@ export class WSServer extends EventEmitter {
         from: client.address || client.id
       }));
 
-      console.log(`[Audio State] Forwarded audio state to broadcaster ${stream.clientId}`);
+      logger.info(`[Audio State] Forwarded audio state to broadcaster ${stream.clientId}`);
     } else {
-      console.warn(`[Audio State] Broadcaster ${stream.clientId} not found or not connected`);
+      logger.warn(`[Audio State] Broadcaster ${stream.clientId} not found or not connected`);
     }
   }
 
@@ -2505,8 +3716,8 @@ export class WSServer extends EventEmitter {
   async handleDebugRoute(client, data) {
     const { to, message } = data;
     
-    console.log(`Debug route from ${client.address || client.id} to ${to}`);
-    console.log(`Connected clients:`, Array.from(this.clients.entries()).map(([id, c]) => ({
+    logger.info(`Debug route from ${client.address || client.id} to ${to}`);
+    logger.info(`Connected clients:`, Array.from(this.clients.entries()).map(([id, c]) => ({
       id,
       address: c.address,
       authenticated: c.authenticated
@@ -2561,7 +3772,7 @@ export class WSServer extends EventEmitter {
     if (data.address) {
       client.address = data.address;
       this.addressToClientId.set(data.address, client.id);
-      console.log(`Client ${client.id} registered with address ${data.address}`);
+      logger.info(`Client ${client.id} registered with address ${data.address}`);
     }
   }
 
@@ -2570,7 +3781,7 @@ export class WSServer extends EventEmitter {
     if (data.room && data.userId) {
       client.room = data.room;
       client.userId = data.userId;
-      console.log(`User ${data.userId} joined room ${data.room}`);
+      logger.info(`User ${data.userId} joined room ${data.room}`);
       
       // Notify other users in room
       const roomMembers = [];
@@ -2697,13 +3908,13 @@ export class WSServer extends EventEmitter {
   async handleCheckAuth(client, data) {
     const { sessionToken } = data;
     
-    console.log(`CheckAuth request from client ${client.id} with token: ${sessionToken}`);
+    logger.debug(`CheckAuth request from client ${client.id}`);
     
     // Validate session with SessionManager
     const session = this.sessionManager.getSession(sessionToken);
     
     if (session) {
-      console.log(`Session found for token ${sessionToken}:`, {
+      logger.info(`Session restored for client ${client.id}:`, {
         address: session.address,
         username: session.username,
         age: Date.now() - session.createdAt
@@ -2727,6 +3938,7 @@ export class WSServer extends EventEmitter {
         address: session.address,
         username,
         sessionToken: sessionToken,
+        role: this.moderation.getRole(session.address),
         cooldownInfo: {
           changeCount: this.usernameStore.getChangeCount(session.address),
           canChange: this.usernameStore.canChangeUsername(session.address)
@@ -2739,8 +3951,8 @@ export class WSServer extends EventEmitter {
       this.updateUserCount();
     } else {
       // Session not found or expired
-      console.log(`Session NOT found for token ${sessionToken}`);
-      console.log('Current sessions:', this.sessionManager.getStats());
+      logger.info(`Session NOT found for client ${client.id}`);
+      logger.debug('Current sessions:', this.sessionManager.getStats());
       
       client.authenticated = false;
       client.ws.send(JSON.stringify({
@@ -2751,16 +3963,30 @@ export class WSServer extends EventEmitter {
   }
 
   async handleCommand(client, content) {
-    const parts = content.split(' ');
+    const parts = content.trim().split(/\s+/);
     const command = parts[0].toLowerCase();
 
+    const requiredRole = MODERATION_COMMANDS[command];
+    if (requiredRole && !this.moderation.hasRole(client.address, requiredRole)) {
+      client.ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Unauthorized command'
+      }));
+      return;
+    }
+
     switch (command) {
-      case '/help':
+      case '/help': {
+        const role = this.moderation.getRole(client.address);
+        const available = Object.entries(COMMAND_HELP)
+          .filter(([name]) => !MODERATION_COMMANDS[name] || ROLES.indexOf(role) >= ROLES.indexOf(MODERATION_COMMANDS[name]))
+          .map(([, usage]) => usage);
         client.ws.send(JSON.stringify({
           type: 'info',
-          message: 'Available commands: /help, /slap <username>, /kick <username> (admin), /clearauth [username] (admin)'
+          message: `Available commands: ${available.join(', ')}`
         }));
         break;
+      }
 
       case '/slap':
         if (parts.length < 2) {
@@ -2788,41 +4014,89 @@ export class WSServer extends EventEmitter {
         break;
 
       case '/kick':
-        if (!this.adminAddresses.has(client.address)) {
+      case '/mute':
+      case '/unmute':
+      case '/ban':
+      case '/unban':
+        await this.handleModerationCommand(client, command, parts.slice(1));
+        break;
+
+      case '/delete': {
+        if (parts.length < 2) {
           client.ws.send(JSON.stringify({
             type: 'error',
-            message: 'Unauthorized command'
+            message: `Usage: ${COMMAND_HELP['/delete']}`
           }));
           return;
         }
-        
-        if (parts.length < 2) {
+
+        const deleted = await this.deleteChatMessage(parts[1], client.address);
+        if (!deleted) {
           client.ws.send(JSON.stringify({
             type: 'error',
-            message: 'Usage: /kick <username>'
+            message: 'Message not found'
           }));
           return;
         }
 
-        const kickUsername = parts.slice(1).join(' ');
-        const kickedAddress = this.findAddressByUsername(kickUsername);
-        
-        if (kickedAddress) {
-          this.kickUser(kickedAddress);
-          this.broadcastMessage({
-            type: 'message',
-            message: {
-              id: uuidv4(),
-              username: 'System',
-              address: 'system',
-              content: `${kickUsername} has been kicked for 1 hour`,
-              timestamp: Date.now(),
-              verified: true,
-              isAction: true
-            }
-          });
+        await this.moderation.recordAction('delete', client.address, deleted.address, {
+          messageId: deleted.id,
+          room: deleted.room || null,
+          content: deleted.content
+        });
+        break;
+      }
+
+      case '/slowmode': {
+        const seconds = Number(parts[1]);
+        if (parts.length < 2 || !Number.isInteger(seconds) || seconds < 0 || seconds > MAX_SLOWMODE_SECONDS) {
+          client.ws.send(JSON.stringify({
+            type: 'error',
+            message: `Usage: ${COMMAND_HELP['/slowmode']} (0 to ${MAX_SLOWMODE_SECONDS}, 0 turns it off)`
+          }));
+          return;
+        }
+
+        await this.moderation.setSlowmode(seconds, client.address);
+        this.broadcastSystemMessage(seconds > 0
+          ? `Slowmode is on: one message every ${seconds}s`
+          : 'Slowmode is off');
+        break;
+      }
+
+      case '/clearauth': {
+        if (parts.length < 2) {
+          // Everyone but the admin running the command signs in again
+          const addresses = new Set([...this.sessionManager.sessions.values()].map(session => session.address));
+          addresses.delete(client.address.toLowerCase());
+          for (const address of addresses) {
+            this.clearAuth(address);
+          }
+          await this.moderation.recordAction('clearauth', client.address, null, { sessions: addresses.size });
+          client.ws.send(JSON.stringify({
+            type: 'info',
+            message: `Cleared authentication for ${addresses.size} user(s)`
+          }));
+          return;
+        }
+
+        const address = this.resolveUserAddress(parts[1]);
+        if (!address) {
+          client.ws.send(JSON.stringify({
+            type: 'error',
+            message: `Unknown user ${parts[1]}`
+          }));
+          return;
         }
+
+        const cleared = this.clearAuth(address);
+        await this.moderation.recordAction('clearauth', client.address, address, { sessions: cleared });
+        client.ws.send(JSON.stringify({
+          type: 'info',
+          message: `Cleared authentication for ${parts[1]}`
+        }));
         break;
+      }
 
       default:
         client.ws.send(JSON.stringify({
@@ -2832,6 +4106,131 @@ export class WSServer extends EventEmitter {
     }
   }
 
+  // /kick, /mute, /unmute, /ban and /unban: args are [user, ...rest]
+  async handleModerationCommand(client, command, args) {
+    const sendError = message => client.ws.send(JSON.stringify({ type: 'error', message }));
+
+    if (args.length < 1) {
+      sendError(`Usage: ${COMMAND_HELP[command]}`);
+      return;
+    }
+
+    const [user, ...rest] = args;
+    const address = this.resolveUserAddress(user);
+    if (!address) {
+      sendError(`Unknown user ${user}`);
+      return;
+    }
+
+    if (!this.canModerate(client.address, address)) {
+      sendError(`You can't ${command.slice(1)} ${user}`);
+      return;
+    }
+
+    const username = this.usernameStore.getUsername(address);
+
+    switch (command) {
+      case '/kick':
+        await this.moderation.ban(address, { duration: KICK_DURATION, by: client.address, action: 'kick' });
+        this.broadcastSystemMessage(`${username} has been kicked for ${formatLeadTime(KICK_DURATION)}`);
+        break;
+
+      case '/mute': {
+        const duration = parseLeadTime(rest[0] || '');
+        if (!duration || duration > MAX_RESTRICTION_DURATION) {
+          sendError(`Usage: ${COMMAND_HELP['/mute']} (e.g. 10m, 1h, up to 30d)`);
+          return;
+        }
+        await this.moderation.mute(address, { duration, reason: rest.slice(1).join(' '), by: client.address });
+        this.broadcastSystemMessage(`${username} has been muted for ${formatLeadTime(duration)}`);
+        break;
+      }
+
+      case '/unmute':
+        if (!await this.moderation.unmute(address, client.address)) {
+          sendError(`${user} is not muted`);
+          return;
+        }
+        this.broadcastSystemMessage(`${username} has been unmuted`);
+        break;
+
+      case '/ban': {
+        // The duration is optional: /ban alice 1d spam, or /ban alice spam for a permanent ban
+        const duration = rest.length > 0 ? parseLeadTime(rest[0]) : null;
+        if (duration && duration > MAX_RESTRICTION_DURATION) {
+          sendError('Temporary bans can last up to 30d (leave out the duration for a permanent ban)');
+          return;
+        }
+        const reason = (duration ? rest.slice(1) : rest).join(' ');
+        await this.moderation.ban(address, { duration, reason, by: client.address });
+        this.broadcastSystemMessage(duration
+          ? `${username} has been banned for ${formatLeadTime(duration)}`
+          : `${username} has been banned`);
+        break;
+      }
+
+      case '/unban':
+        if (!await this.moderation.unban(address, client.address)) {
+          sendError(`${user} is not banned`);
+          return;
+        }
+        this.broadcastSystemMessage(`${username} has been unbanned`);
+        break;
+    }
+  }
+
+  // Admins and moderators can only be moderated by a root admin
+  canModerate(actor, target) {
+    if (this.moderation.isRootAdmin(target)) return false;
+    return !this.moderation.getRole(target) || this.moderation.isRootAdmin(actor);
+  }
+
+  // A user given as an address or a username (online users first, then every known username)
+  resolveUserAddress(user) {
+    if (ethers.isAddress(user)) return user.toLowerCase();
+
+    const onlineAddress = this.findAddressByUsername(user);
+    if (onlineAddress) return onlineAddress.toLowerCase();
+
+    return this.usernameStore.getAddressByUsername(user);
+  }
+
+  // Turn a global or room message into a tombstone and tell its channel; returns the message as it was
+  async deleteChatMessage(messageId, deletedBy) {
+    const deleted = await this.messageStore.deleteMessage(messageId, deletedBy);
+    if (!deleted) return null;
+    await this.inboxStore.removeForMessage(messageId);
+
+    this.broadcastToChannel(deleted.room, {
+      type: 'messageDeleted',
+      messageId,
+      room: deleted.room || null,
+      deletedBy: deletedBy.toLowerCase()
+    });
+    return deleted;
+  }
+
+  // End every session of an address and sign out its open connections
+  clearAuth(address) {
+    const normalizedAddress = address.toLowerCase();
+    const removed = this.sessionManager.removeSessionsForAddress(normalizedAddress);
+
+    for (const client of this.clients.values()) {
+      if (!client.authenticated || client.address?.toLowerCase() !== normalizedAddress) continue;
+
+      client.authenticated = false;
+      client.sessionToken = null;
+      if (client.ws.readyState === 1) {
+        client.ws.send(JSON.stringify({
+          type: 'authCleared',
+          message: 'Your session was ended by an admin. Please sign in again.'
+        }));
+      }
+    }
+    this.updateUserCount();
+    return removed;
+  }
+
   broadcastMessage(data, excludeClientId = null) {
     for (const [clientId, client] of this.clients) {
       if (!client.authenticated) continue;
@@ -2843,21 +4242,40 @@ export class WSServer extends EventEmitter {
     }
   }
 
-  kickUser(address) {
-    const kickDuration = 60 * 60 * 1000; // 1 hour
-    this.kickedUsers.set(address.toLowerCase(), Date.now() + kickDuration);
+  broadcastSystemMessage(content) {
+    this.broadcastMessage({
+      type: 'message',
+      message: {
+        id: uuidv4(),
+        username: 'System',
+        address: 'system',
+        content,
+        timestamp: Date.now(),
+        verified: true,
+        isAction: true
+      }
+    });
   }
 
-  isUserKicked(address) {
-    const kickedUntil = this.kickedUsers.get(address.toLowerCase());
-    if (!kickedUntil) return false;
-    
-    if (Date.now() >= kickedUntil) {
-      this.kickedUsers.delete(address.toLowerCase());
-      return false;
+  // Grant or revoke a trollbox role with a message signed by an admin: { message, signature }
+  async handleAdminAction(client, data) {
+    try {
+      const result = await this.moderation.applySignedAction(data);
+      client.ws.send(JSON.stringify({
+        type: 'adminActionResult',
+        success: true,
+        ...result
+      }));
+    } catch (error) {
+      if (!error.status) {
+        logger.error('Admin action error:', error);
+      }
+      client.ws.send(JSON.stringify({
+        type: 'adminActionResult',
+        success: false,
+        message: error.status ? error.message : 'Admin action failed'
+      }));
     }
-    
-    return true;
   }
 
   findAddressByUsername(username) {
@@ -2912,13 +4330,25 @@ export class WSServer extends EventEmitter {
     };
   }
 
+  // Liveness: the server must be accepting connections
+  getHealth() {
+    const stats = this.getConnectionStats();
+    return {
+      status: this.isListening ? 'pass' : 'fail',
+      listening: this.isListening,
+      port: this.port,
+      connections: stats.totalConnections,
+      openConnections: stats.openConnections
+    };
+  }
+
   // Manually clean up stale connections
   cleanupStaleConnections() {
     let cleaned = 0;
     this.clients.forEach((client, clientId) => {
       // Clean up connections that are not OPEN (readyState !== 1)
       if (client.ws.readyState !== 1) {
-        console.log(`[Manual Cleanup] Removing stale connection: ${clientId} (state: ${client.ws.readyState})`);
+        logger.info(`[Manual Cleanup] Removing stale connection: ${clientId} (state: ${client.ws.readyState})`);
 
         // Clean up joined streams
         if (client.joinedStreams) {
@@ -2957,7 +4387,7 @@ export class WSServer extends EventEmitter {
     });
 
     this.updateUserCount();
-    console.log(`[Manual Cleanup] Cleaned up ${cleaned} stale connections`);
+    logger.info(`[Manual Cleanup] Cleaned up ${cleaned} stale connections`);
     return cleaned;
   }
 
@@ -2972,7 +4402,7 @@ export class WSServer extends EventEmitter {
       this.viewerAudioStates.set(streamId, new Map());
     }
     this.viewerAudioStates.get(streamId).set(viewerId, enabled);
-    console.log(`[Audio State] Updated viewer ${viewerId} in stream ${streamId}: ${enabled ? 'enabled' : 'disabled'}`);
+    logger.info(`[Audio State] Updated viewer ${viewerId} in stream ${streamId}: ${enabled ? 'enabled' : 'disabled'}`);
   }
 
   getViewerAudioStates(streamId) {
@@ -2981,13 +4411,13 @@ export class WSServer extends EventEmitter {
 
   clearViewerAudioStates(streamId) {
     this.viewerAudioStates.delete(streamId);
-    console.log(`[Audio State] Cleared audio states for stream ${streamId}`);
+    logger.info(`[Audio State] Cleared audio states for stream ${streamId}`);
   }
 
   stop() {
     if (this.wss) {
       this.wss.close();
-      console.log('WebSocket server stopped');
+      logger.info('WebSocket server stopped');
     }
   }
   
@@ -3006,13 +4436,13 @@ export class WSServer extends EventEmitter {
           // Set timeout to close if no pong received
           setTimeout(() => {
             if (client.pendingPong && this.clients.has(clientId)) {
-              console.log(`[Health Check] Closing stale connection: ${clientId} (${client.address || 'unauthenticated'})`);
+              logger.info(`[Health Check] Closing stale connection: ${clientId} (${client.address || 'unauthenticated'})`);
               client.ws.terminate(); // Force close - will trigger 'close' event
             }
           }, 5000); // 5 second timeout
         } else if (client.ws.readyState !== client.ws.CONNECTING) {
           // Connection is closed or closing, clean it up manually
-          console.log(`[Health Check] Cleaning up dead connection: ${clientId} (readyState: ${client.ws.readyState})`);
+          logger.info(`[Health Check] Cleaning up dead connection: ${clientId} (readyState: ${client.ws.readyState})`);
 
           // Clean up joined streams
           if (client.joinedStreams) {
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BlockchainMonitor } from '../src/blockchain-monitor.js';
+import { BlockCursorStore } from '../src/block-cursor-store.js';
+
+const POOL = '0x7777777777777777777777777777777777777777';
+const HELPER = '0x8888888888888888888888888888888888888888';
+
+// A monitor polling one pool and the ExchangeHelper from block 10, whose getLogs fails for `failing` addresses
+function createMonitor(chainId, failing) {
+  const queried = [];
+  const provider = {
+    getBlockNumber: async () => 20,
+    getLogs: async filter => {
+      queried.push(`${filter.address}:${filter.fromBlock}-${filter.toBlock}`);
+      if (failing.has(filter.address)) throw new Error('upstream timeout');
+      return [];
+    }
+  };
+  const chain = { chainId, contracts: { exchangeHelper: HELPER }, dataDir: 'unused' };
+  const monitor = new BlockchainMonitor(provider, [POOL], [], { chain, cursorStore: new BlockCursorStore('unused.json') });
+  monitor.contracts.set(POOL, {});
+  monitor.exchangeHelper = {};
+  monitor.lastBlock = 10;
+  return { monitor, queried };
+}
+
+for (const [source, address] of [['a pool', POOL], ['the ExchangeHelper', HELPER]]) {
+  test(`a failed getLogs for ${source} leaves the range to be retried`, async () => {
+    const failing = new Set([address]);
+    const { monitor, queried } = createMonitor(address === POOL ? 990001 : 990002, failing);
+
+    await monitor.pollEvents();
+    assert.equal(monitor.lastBlock, 10);
+    assert.equal(monitor.cursorStore.get('pools'), null);
+    assert.equal(monitor.cursorStore.get('exchangeHelper'), null);
+
+    failing.clear();
+    await monitor.pollEvents();
+    assert.equal(monitor.lastBlock, 20);
+    assert.equal(monitor.cursorStore.get('pools'), 20);
+    assert.equal(monitor.cursorStore.get('exchangeHelper'), 20);
+    assert.ok(queried.filter(entry => entry === `${address}:11-15`).length >= 2);
+  });
+}
+
+test('a backfill that cannot fetch logs is reported as failed', async () => {
+  const { monitor } = createMonitor(990003, new Set([POOL]));
+  await monitor.backfill();
+
+  assert.equal(monitor.backfillStatus.state, 'failed');
+  assert.equal(monitor.lastBlock, 10);
+});
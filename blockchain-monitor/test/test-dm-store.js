@@ -0,0 +1,119 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DirectMessageStore } from '../src/dm-store.js';
+import { InboxStore } from '../src/inbox-store.js';
+
+const ALICE = '0x' + 'a'.repeat(40);
+const BOB = '0x' + 'b'.repeat(40);
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function tempDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dm-store-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+async function openStore() {
+  const store = new DirectMessageStore({
+    filePath: path.join(await tempDir(), 'dm.json'),
+    encryptionKey: crypto.randomBytes(32).toString('hex')
+  });
+  await store.initialize();
+  return store;
+}
+
+// Messages sent in the same millisecond would share a timestamp
+const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+
+async function sendAll(store, from, to, bodies) {
+  const sent = [];
+  for (const body of bodies) {
+    sent.push(await store.sendMessage(from, to, body));
+    await tick();
+  }
+  return sent;
+}
+
+test('a read receipt covers messages up to the one read, and later messages stay unread', async () => {
+  const store = await openStore();
+  const [first, second] = await sendAll(store, ALICE, BOB, ['one', 'two', 'three']);
+
+  const marker = await store.markRead(first.threadId, BOB, second.id);
+  assert.deepEqual(marker, { messageId: second.id, readAt: second.timestamp });
+
+  const [thread] = store.getThreads(BOB);
+  assert.equal(thread.unread, 1);
+  assert.equal(store.getThreads(ALICE)[0].unread, 0);
+
+  await sendAll(store, ALICE, BOB, ['four']);
+  assert.equal(store.getThreads(BOB)[0].unread, 2);
+
+  await store.markRead(first.threadId, BOB);
+  assert.equal(store.getThreads(BOB)[0].unread, 0);
+  await store.close();
+});
+
+test('a receipt for an older message never moves the marker back', async () => {
+  const store = await openStore();
+  const [first, , third] = await sendAll(store, ALICE, BOB, ['one', 'two', 'three']);
+
+  await store.markRead(first.threadId, BOB, third.id);
+  const marker = await store.markRead(first.threadId, BOB, first.id);
+
+  assert.deepEqual(marker, { messageId: third.id, readAt: third.timestamp });
+  assert.equal(store.getThreads(BOB)[0].unread, 0);
+  assert.deepEqual(store.getThread(first.threadId).readMarkers[BOB], marker);
+  await store.close();
+});
+
+test('receipts for unknown messages or messages of another thread are refused', async () => {
+  const store = await openStore();
+  const carol = '0x' + 'c'.repeat(40);
+  const [toBob] = await sendAll(store, ALICE, BOB, ['hi bob']);
+  const [toCarol] = await sendAll(store, ALICE, carol, ['hi carol']);
+
+  assert.equal(await store.markRead(toBob.threadId, BOB, 'missing'), null);
+  assert.equal(await store.markRead(toBob.threadId, BOB, toCarol.id), null);
+  assert.equal(await store.markRead('0x1:0x2', BOB), null);
+  assert.equal(store.getThreads(BOB)[0].unread, 1);
+  await store.close();
+});
+
+test('markers and unread counts survive a reload', async () => {
+  const store = await openStore();
+  const [first] = await sendAll(store, ALICE, BOB, ['one', 'two']);
+  await store.markRead(first.threadId, BOB, first.id);
+  await store.close();
+
+  const reloaded = new DirectMessageStore({ filePath: store.dmPath, encryptionKey: store.key.toString('hex') });
+  await reloaded.initialize();
+  assert.equal(reloaded.getThreads(BOB)[0].unread, 1);
+  assert.deepEqual(reloaded.getMessages(first.threadId).messages.map(message => message.body), ['one', 'two']);
+  await reloaded.close();
+});
+
+test('reading a thread only clears the inbox items of the messages read', async () => {
+  const store = await openStore();
+  const inbox = new InboxStore(null, { filePath: path.join(await tempDir(), 'inbox.json') });
+  await inbox.initialize();
+
+  const sent = await sendAll(store, ALICE, BOB, ['one', 'two', 'three']);
+  const items = [];
+  for (const dm of sent) {
+    items.push(await inbox.addItem(BOB, { type: 'dm', messageId: dm.id, threadId: dm.threadId, from: ALICE, content: null, timestamp: dm.timestamp }));
+  }
+
+  const marker = await store.markRead(sent[0].threadId, BOB, sent[1].id);
+  const cleared = await inbox.markThreadRead(BOB, sent[0].threadId, marker.readAt);
+
+  assert.deepEqual(cleared, [items[0].id, items[1].id]);
+  assert.equal(inbox.getUnreadCount(BOB), 1);
+  await inbox.close();
+  await store.close();
+});
@@ -0,0 +1,103 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { InboxStore, parseMentions } from '../src/inbox-store.js';
+
+const ALICE = '0x' + 'a'.repeat(40);
+const BOB = '0x' + 'b'.repeat(40);
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function openInbox(messageStore = null) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'inbox-store-'));
+  tempDirs.push(dir);
+  const inbox = new InboxStore(messageStore, { filePath: path.join(dir, 'inbox.json') });
+  await inbox.initialize();
+  return inbox;
+}
+
+const mention = (messageId, timestamp) => ({ type: 'mention', messageId, from: ALICE.toUpperCase(), fromUsername: 'alice', content: 'hi', timestamp });
+
+test('mentions are parsed once per username and not out of emails or words', () => {
+  assert.deepEqual(parseMentions('@Bob and @bob, @carol_1! mail bob@example.com or x@dave, @ab too short'), ['Bob', 'carol_1']);
+});
+
+test('inbox pages run newest first and reading items updates the unread count', async () => {
+  const inbox = await openInbox();
+  const items = [];
+  for (let i = 1; i <= 5; i++) {
+    items.push(await inbox.addItem(BOB, mention(`m${i}`, i)));
+  }
+  assert.equal(items[0].from, ALICE);
+
+  const first = inbox.getItems(BOB, { limit: 2 });
+  assert.deepEqual(first.items.map(item => item.messageId), ['m5', 'm4']);
+  assert.equal(first.hasMore, true);
+  const last = inbox.getItems(BOB, { before: items[1].id, limit: 2 });
+  assert.deepEqual(last, { items: [items[0]], hasMore: false });
+  assert.equal(inbox.getItems(BOB, { before: 'missing' }), null);
+
+  assert.deepEqual(await inbox.markRead(BOB, [items[4].id, items[3].id]), [items[3].id, items[4].id]);
+  assert.deepEqual(await inbox.markRead(BOB, [items[4].id]), []);
+  assert.equal(inbox.getUnreadCount(BOB), 3);
+  assert.deepEqual(inbox.getItems(BOB, { unreadOnly: true }).items.map(item => item.messageId), ['m3', 'm2', 'm1']);
+
+  assert.equal(await inbox.removeForMessage('m3'), 1);
+  assert.equal(inbox.getUnreadCount(BOB), 2);
+  assert.equal(inbox.getUnreadCount(ALICE), 0);
+  await inbox.close();
+});
+
+test('an inbox keeps only its latest 200 items', async () => {
+  const inbox = await openInbox();
+  for (let i = 1; i <= 201; i++) {
+    await inbox.addItem(BOB, mention(`m${i}`, i));
+  }
+
+  const { items } = inbox.getItems(BOB, { limit: 100 });
+  assert.equal(inbox.getUnreadCount(BOB), 200);
+  assert.equal(items[0].messageId, 'm201');
+  assert.equal(inbox.getItems(BOB, { before: items[99].id, limit: 100 }).items.at(-1).messageId, 'm2');
+  await inbox.close();
+});
+
+test('rooms count the messages by others since they were last read', async () => {
+  const now = Date.now();
+  const rooms = {
+    global: [
+      { address: ALICE, timestamp: now - 1000 },
+      { address: ALICE, timestamp: now + 1000 },
+      { address: ALICE, timestamp: now + 2000, deleted: true },
+      { address: BOB.toUpperCase(), timestamp: now + 3000 }
+    ],
+    'pool:0x1': [{ address: ALICE, timestamp: now + 1000 }]
+  };
+  const inbox = await openInbox({ getRoomMessages: room => rooms[room || 'global'] });
+
+  await inbox.markRoomRead(BOB, null);
+  assert.deepEqual(inbox.getUnreadByRoom(BOB), { global: 1 });
+  await inbox.markRoomRead(BOB, 'pool:0x1');
+  assert.deepEqual(inbox.getUnreadByRoom(BOB.toUpperCase()), { global: 1, 'pool:0x1': 1 });
+  await inbox.close();
+});
+
+test('items, read markers and preferences survive a reload', async () => {
+  const inbox = await openInbox({ getRoomMessages: () => [] });
+  const item = await inbox.addItem(BOB, mention('m1', 1));
+  await inbox.addItem(BOB, mention('m2', 2));
+  await inbox.markRead(BOB, [item.id]);
+  await inbox.markRoomRead(BOB, 'pool:0x1');
+  assert.deepEqual(await inbox.setPreferences(BOB, { cashtags: true }), { cashtags: true });
+  await inbox.close();
+
+  const reloaded = new InboxStore(inbox.messageStore, { filePath: inbox.inboxPath });
+  await reloaded.initialize();
+  assert.equal(reloaded.getUnreadCount(BOB), 1);
+  assert.deepEqual(reloaded.getUnreadByRoom(BOB), { 'pool:0x1': 0 });
+  assert.deepEqual(reloaded.getPreferences(BOB.toUpperCase()), { cashtags: true });
+  assert.deepEqual(reloaded.getPreferences(ALICE), { cashtags: false });
+  await reloaded.close();
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoanAlertScheduler } from '../src/loan-alerts.js';
+
+const VAULT = '0x' + 'a'.repeat(40);
+const USER = '0x' + 'b'.repeat(40);
+
+// A scheduler over a fixed list of open positions that records what it delivers, without saving to disk
+function createScheduler(positions) {
+  const delivered = [];
+  const scheduler = new LoanAlertScheduler(
+    { getOpenPositions: () => positions },
+    { sendToAddress: (address, message) => delivered.push(message.type) > 0 },
+    { filePath: 'unused.json' }
+  );
+  scheduler.save = async () => { scheduler.isDirty = false; };
+  return { scheduler, delivered };
+}
+
+test('a loan left open long after expiry is only reported expired once', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const positions = [{ vaultAddress: VAULT, user: USER, status: 'open', principal: 1n, collateral: 2n, expiry: now - 3 * 86400 }];
+  const { scheduler, delivered } = createScheduler(positions);
+
+  await scheduler.check();
+  await scheduler.check();
+
+  assert.deepEqual(delivered, ['loanExpired']);
+  assert.equal(scheduler.sent.size, 1);
+});
+
+test('alerts of loans that are no longer open are forgotten a day after expiry', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const positions = [{ vaultAddress: VAULT, user: USER, status: 'open', principal: 1n, collateral: 2n, expiry: now - 2 * 86400 }];
+  const { scheduler } = createScheduler(positions);
+  scheduler.sent.set(`${VAULT}:${USER}:${now - 3 * 86400}:expired`, Date.now());
+  scheduler.sent.set(`${VAULT}:${USER}:${now + 3600}:86400`, Date.now());
+
+  await scheduler.check();
+
+  assert.deepEqual([...scheduler.sent.keys()].sort(), [
+    `${VAULT}:${USER}:${now - 2 * 86400}:expired`,
+    `${VAULT}:${USER}:${now + 3600}:86400`
+  ].sort());
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { LoanLedger } from '../src/loan-ledger.js';
+
+const VAULT = '0x5555555555555555555555555555555555555555';
+const USER = '0x6666666666666666666666666666666666666666';
+
+// The part of LoanStorage the ledger replays from
+function createStorage(loans = []) {
+  return {
+    loans,
+    getAllLoans: () => loans,
+    getLoansByVault: vault => loans.filter(loan => loan.vaultAddress.toLowerCase() === vault.toLowerCase()),
+    getLoanCount: () => loans.length
+  };
+}
+
+function loan(blockNumber, eventName, args) {
+  return {
+    id: `${blockNumber}-${eventName}`,
+    vaultAddress: VAULT,
+    eventName,
+    blockNumber,
+    logIndex: 0,
+    blockTimestamp: 1000 + blockNumber,
+    transactionHash: `0x${blockNumber}`,
+    args: { who: USER, ...args }
+  };
+}
+
+const history = [
+  loan(1, 'Borrow', { borrowAmount: '1000', duration: '3600', collateralAmount: '500' }),
+  loan(2, 'AddCollateral', { amount: '100' }),
+  loan(3, 'Payback', { repayAmount: '400', collateralReleased: '240' }),
+  loan(4, 'Payback', { repayAmount: '300' }),
+  loan(5, 'RollLoan', { newDuration: '7200' })
+];
+
+test('partial paybacks, added collateral and rolls replay into the open position', () => {
+  const ledger = new LoanLedger(createStorage(history));
+  ledger.rebuild();
+
+  const [position] = ledger.getPositions(USER).positions;
+  assert.equal(position.status, 'rolled');
+  // 1000 - 400 - 300 borrowed; 500 + 100 - 240, then 360 * 300 / 600 released pro rata
+  assert.equal(position.principal, '300');
+  assert.equal(position.collateral, '180');
+  assert.equal(position.duration, 7200);
+  assert.equal(position.expiry, 1005 + 7200);
+  assert.equal(position.rollCount, 1);
+  assert.equal(position.startTime, 1001);
+});
+
+test('events stored out of order or twice replay to the same position', () => {
+  const inOrder = new LoanLedger(createStorage(history));
+  inOrder.rebuild();
+
+  const storage = createStorage([]);
+  const ledger = new LoanLedger(storage);
+  for (const event of [history[0], history[2], history[4], history[1], history[3], history[3]]) {
+    if (!storage.loans.includes(event)) storage.loans.push(event);
+    ledger.applyEvent(event);
+  }
+
+  assert.deepEqual(ledger.getPositions(USER), inOrder.getPositions(USER));
+});
+
+test('a full payback closes the position and a new borrow opens another', () => {
+  const ledger = new LoanLedger(createStorage([
+    ...history,
+    loan(6, 'Payback', { repayAmount: '300' }),
+    loan(7, 'Borrow', { borrowAmount: '50', duration: '60' })
+  ]));
+  ledger.rebuild();
+
+  const { positions, history: closed } = ledger.getPositions(USER);
+  assert.equal(positions.length, 1);
+  assert.equal(positions[0].status, 'active');
+  assert.equal(positions[0].principal, '50');
+  assert.equal(closed.length, 1);
+  assert.equal(closed[0].status, 'repaid');
+  assert.equal(closed[0].closedAt, 1006);
+});
+
+// A provider whose LendingVault.getActiveLoan answers with `loan`
+function createVaultProvider(loan) {
+  const vault = new ethers.Interface([
+    'function getActiveLoan(address who) view returns (uint256 borrowAmount, uint256 collateralAmount, uint256 fees, uint256 expiry, uint256 duration)'
+  ]);
+  return {
+    call: async () => vault.encodeFunctionResult('getActiveLoan', [
+      loan.borrowAmount, loan.collateralAmount, loan.fees, loan.expiry, loan.duration
+    ])
+  };
+}
+
+const onChainLoan = { borrowAmount: 250n, collateralAmount: 150n, fees: 5n, expiry: 9000n, duration: 7200n };
+
+test('reconcile only reports the differences unless asked to apply them', async () => {
+  const ledger = new LoanLedger(createStorage(history), createVaultProvider(onChainLoan), [VAULT]);
+  ledger.rebuild();
+  const before = ledger.getPositions(USER);
+
+  const [result] = await ledger.reconcile(USER);
+  assert.equal(result.matches, false);
+  assert.equal(result.applied, false);
+  assert.deepEqual(result.discrepancies.map(d => d.field), ['principal', 'collateral', 'expiry']);
+  assert.deepEqual(ledger.getPositions(USER), before);
+
+  const [applied] = await ledger.reconcile(USER, VAULT, { apply: true });
+  assert.deepEqual(applied.discrepancies, result.discrepancies);
+  const [position] = ledger.getPositions(USER).positions;
+  assert.equal(position.principal, '250');
+  assert.equal(position.collateral, '150');
+  assert.equal(position.expiry, 9000);
+  assert.equal(position.fees, '5');
+  assert.ok(position.reconciledAt);
+});
+
+test('a loan missing from the ledger is reported, and only opened when applied', async () => {
+  const ledger = new LoanLedger(createStorage([]), createVaultProvider(onChainLoan), [VAULT]);
+  ledger.rebuild();
+
+  const [result] = await ledger.reconcile(USER);
+  assert.deepEqual(result.discrepancies, [{ field: 'status', ledger: null, chain: 'active' }]);
+  assert.equal(ledger.getPositions(USER).positions.length, 0);
+
+  await ledger.reconcile(USER, null, { apply: true });
+  const [position] = ledger.getPositions(USER).positions;
+  assert.equal(position.status, 'active');
+  assert.equal(position.startTime, 9000 - 7200);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LoanMonitor } from '../src/loan-monitor.js';
+import { BlockCursorStore } from '../src/block-cursor-store.js';
+
+const VAULT = '0x4444444444444444444444444444444444444444';
+
+// A monitor over one vault whose scans are recorded instead of queried
+function createMonitor(headBlock, confirmations) {
+  const cursorStore = new BlockCursorStore('unused-block-cursors.json');
+  const monitor = new LoanMonitor({ getBlockNumber: async () => headBlock }, [], { cursorStore, confirmations });
+  monitor.vaultContracts.set(VAULT, {});
+  monitor.scanned = [];
+  monitor.scanVaultRange = async (vaultAddress, contract, startBlock, endBlock) => {
+    monitor.scanned.push([startBlock, endBlock]);
+    return 0;
+  };
+  return monitor;
+}
+
+test('polling stops at the confirmed head', async () => {
+  const monitor = createMonitor(100, 2);
+  monitor.advanceCursor(VAULT, 90);
+
+  await monitor.pollEvents();
+
+  assert.deepEqual(monitor.scanned, [[91, 98]]);
+  assert.equal(monitor.cursorStore.get(monitor.getCursorName(VAULT)), 98);
+});
+
+test('a vault added while running is polled from its start block', async () => {
+  const monitor = createMonitor(100, 2);
+  monitor.resolveCollateralToken = async () => {};
+  monitor.isRunning = true;
+  const added = '0x5555555555555555555555555555555555555555';
+
+  await monitor.addVault(added, 60);
+  monitor.scanned = [];
+  await monitor.pollEvents();
+
+  assert.deepEqual(monitor.scanned, [[60, 98]]);
+  assert.equal(monitor.cursorStore.get(monitor.getCursorName(added)), 98);
+});
+
+test('a reorged block is re-scanned only for vaults that already scanned it', async () => {
+  const monitor = createMonitor(100, 2);
+  monitor.advanceCursor(VAULT, 95);
+
+  await monitor.rescanBlock(94);
+  await monitor.rescanBlock(97);
+
+  assert.deepEqual(monitor.scanned, [[94, 94]]);
+});
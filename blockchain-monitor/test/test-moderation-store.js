@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { ModerationStore, createRoleActionMessage } from '../src/moderation-store.js';
+
+// A store for a root admin wallet that keeps its changes in memory
+function createStore(admin) {
+  const store = new ModerationStore({ rootAdmins: [admin.address] });
+  store.adapter.persist = async () => {};
+  return store;
+}
+
+test('a used signature is rejected in any encoding and never returned by the audit log', async () => {
+  const admin = ethers.Wallet.createRandom();
+  const store = createStore(admin);
+  const message = createRoleActionMessage({ action: 'grantRole', target: ethers.Wallet.createRandom().address, role: 'moderator' });
+  const signature = await admin.signMessage(message);
+
+  await store.applySignedAction({ message, signature });
+
+  const compact = ethers.Signature.from(signature).compactSerialized;
+  await assert.rejects(store.applySignedAction({ message, signature: compact }), { status: 409 });
+
+  const { entries } = store.getAuditLog({ action: 'grantRole' });
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].details.signature, undefined);
+  assert.match(entries[0].details.signatureHash, /^0x[0-9a-f]{64}$/);
+  assert.equal(JSON.stringify(entries).includes(signature.slice(2)), false);
+});
+
+test('signatures stored by older versions still block replays but are left out of responses', async () => {
+  const admin = ethers.Wallet.createRandom();
+  const store = createStore(admin);
+  const message = createRoleActionMessage({ action: 'revokeRole', target: ethers.Wallet.createRandom().address });
+  const signature = await admin.signMessage(message);
+
+  await store.audit.put({ id: 'legacy', action: 'revokeRole', actor: admin.address.toLowerCase(), target: null, details: { signature }, timestamp: Date.now() });
+
+  await assert.rejects(store.applySignedAction({ message, signature }), { status: 409 });
+  assert.deepEqual(store.getAuditLog().entries[0].details, {});
+});
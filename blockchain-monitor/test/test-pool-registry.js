@@ -0,0 +1,106 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PoolRegistry } from '../src/pool-registry.js';
+
+const POOL = {
+  address: '0x' + '1'.repeat(40),
+  name: 'WMON/USDC',
+  token0: { symbol: 'wmon', address: '0x' + '2'.repeat(40), decimals: 18 },
+  token1: { symbol: 'USDC', address: '0x' + '3'.repeat(40), decimals: 6 }
+};
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+// A registry over pools.json in a fresh temporary directory, without the file watcher
+async function createRegistry() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pool-registry-'));
+  tempDirs.push(dir);
+  const registry = new PoolRegistry(path.join(dir, 'pools.json'), { watchIntervalMs: 0 });
+  await registry.initialize();
+  return registry;
+}
+
+test('a null tradeAlertMinUsd resets the threshold without touching the symbol', async () => {
+  const registry = await createRegistry();
+  await registry.addPool({ ...POOL, symbol: 'mon' });
+  await registry.updatePool(POOL.address, { tradeAlertMinUsd: 250 });
+
+  const entry = await registry.updatePool(POOL.address, { tradeAlertMinUsd: null });
+
+  assert.equal(entry.symbol, 'mon');
+  assert.equal('tradeAlertMinUsd' in entry, false);
+  assert.equal(registry.getPool(POOL.address).symbol, 'MON');
+  assert.equal(registry.getPool(POOL.address).tradeAlertMinUsd, null);
+
+  await registry.updatePool(POOL.address, { symbol: null });
+  assert.equal(registry.getPool(POOL.address).symbol, 'WMON');
+});
+
+// Every event the registry emits, as [name, pool symbol]
+function recordEvents(registry) {
+  const events = [];
+  for (const name of ['poolAdded', 'poolRemoved', 'poolUpdated']) {
+    registry.on(name, ({ pool }) => events.push([name, pool.symbol]));
+  }
+  return events;
+}
+
+test('adding, disabling, enabling, relabelling and removing a pool rewrite the file and emit events', async () => {
+  const registry = await createRegistry();
+  const events = recordEvents(registry);
+
+  const added = await registry.addPool(POOL, { fromBlock: 100 });
+  assert.equal(added.address, ethers.getAddress(POOL.address));
+  assert.equal(await registry.addPool(POOL), null);
+  await registry.updatePool(POOL.address, { enabled: false });
+  assert.equal(registry.getPool(POOL.address), null);
+  await registry.updatePool(POOL.address, { enabled: true });
+  await registry.updatePool(POOL.address, { symbol: 'mon' });
+  await registry.removePool(POOL.address);
+
+  assert.deepEqual(events, [
+    ['poolAdded', 'WMON'],
+    ['poolRemoved', 'WMON'],
+    ['poolAdded', 'WMON'],
+    ['poolUpdated', 'MON'],
+    ['poolRemoved', 'MON']
+  ]);
+  assert.equal(await registry.removePool(POOL.address), null);
+  assert.deepEqual(JSON.parse(await fs.readFile(registry.filePath, 'utf-8')), { pools: [] });
+});
+
+test('admin changes keep outside edits to the file', async () => {
+  const registry = await createRegistry();
+  const other = { ...POOL, address: '0x' + '4'.repeat(40), name: 'OTHER/USDC', token0: { ...POOL.token0, symbol: 'other' } };
+  await registry.addPool(POOL);
+  await fs.writeFile(registry.filePath, JSON.stringify([...registry.getEntries(), other]));
+
+  await registry.updatePool(POOL.address, { name: 'renamed' });
+
+  assert.deepEqual(registry.getPools().map(pool => [pool.symbol, pool.name]), [['WMON', 'renamed'], ['OTHER', 'OTHER/USDC']]);
+});
+
+test('reload applies outside edits, skips our own writes unless forced and keeps the pools on an invalid file', async () => {
+  const registry = await createRegistry();
+  const events = recordEvents(registry);
+  await registry.addPool(POOL);
+
+  assert.equal(await registry.reload(), null);
+  assert.deepEqual(await registry.reload({ force: true }), { added: [], removed: [], updated: [] });
+
+  const [entry] = registry.getEntries();
+  await fs.writeFile(registry.filePath, JSON.stringify({ pools: [{ ...entry, symbol: 'mon' }] }));
+  const changes = await registry.reload();
+  assert.deepEqual(changes.updated.map(pool => pool.symbol), ['MON']);
+
+  await fs.writeFile(registry.filePath, '{ "pools": [');
+  assert.equal(await registry.reload(), null);
+  await assert.rejects(registry.reload({ force: true }), SyntaxError);
+  assert.equal(registry.getPool(POOL.address).symbol, 'MON');
+  assert.deepEqual(events, [['poolAdded', 'WMON'], ['poolUpdated', 'MON']]);
+});
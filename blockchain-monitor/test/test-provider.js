@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { ProviderPool } from '../src/provider.js';
+
+// A pool whose endpoints answer from `handlers` (url -> req => result, throwing to fail) instead of the network
+function createPool(handlers, options = {}) {
+  const urls = Object.keys(handlers);
+  const pool = new ProviderPool(urls.map(url => ({ url })), { healthCheckInterval: 0, ...options });
+  const calls = [];
+  for (const endpoint of pool.endpoints) {
+    endpoint.provider = {
+      _perform: async req => {
+        calls.push(endpoint.url);
+        return handlers[endpoint.url](req);
+      }
+    };
+  }
+  return { pool, calls };
+}
+
+const logsRequest = { method: 'getLogs', filter: { address: '0x' + '1'.repeat(40), fromBlock: '0x1', toBlock: '0x2' } };
+const log = (blockHash, logIndex) => ({ blockHash, logIndex });
+
+test('a failing endpoint fails over to the next one and cools down after repeated errors', async () => {
+  const { pool, calls } = createPool({
+    'http://a.example': () => { throw new Error('connection refused'); },
+    'http://b.example': () => '0x10'
+  }, { maxConsecutiveErrors: 2 });
+
+  assert.equal(await pool._perform({ method: 'getBlockNumber' }), '0x10');
+  assert.equal(await pool._perform({ method: 'getBlockNumber' }), '0x10');
+  assert.deepEqual(calls, ['http://a.example', 'http://b.example', 'http://b.example']);
+
+  // b now ranks first on its error rate; once it is unusable a gets retried and cools down
+  pool.endpoints[1].cooldownUntil = Date.now() + 60000;
+  await pool._perform({ method: 'getBlockNumber' });
+  assert.equal(pool.endpoints[0].consecutiveErrors, 2);
+  assert.equal(pool.getStats().endpoints[0].coolingDown, true);
+  assert.equal(pool.getStats().active, 'http://b.example');
+});
+
+test('reverts are not retried on other endpoints', async () => {
+  const { pool, calls } = createPool({
+    'http://a.example': () => { throw ethers.makeError('execution reverted', 'CALL_EXCEPTION'); },
+    'http://b.example': () => '0x'
+  });
+
+  await assert.rejects(pool._perform({ method: 'call', transaction: { to: '0x' + '1'.repeat(40), data: '0x' } }), { code: 'CALL_EXCEPTION' });
+  assert.deepEqual(calls, ['http://a.example']);
+  assert.equal(pool.endpoints[0].errors, 0);
+});
+
+test('getLogs returns the result a quorum of endpoints agrees on', async () => {
+  const { pool, calls } = createPool({
+    'http://a.example': () => [log('0xaa', 0)],
+    'http://b.example': () => [log('0xbb', 0)],
+    'http://c.example': () => [log('0xaa', 0)]
+  }, { logsQuorum: 2 });
+
+  assert.deepEqual(await pool._perform(logsRequest), [log('0xaa', 0)]);
+  assert.deepEqual(calls.sort(), ['http://a.example', 'http://b.example', 'http://c.example']);
+  assert.deepEqual(pool.quorumStats, { checks: 1, mismatches: 1, failures: 0 });
+});
+
+test('getLogs fails when the endpoints never agree', async () => {
+  const { pool } = createPool({
+    'http://a.example': () => [log('0xaa', 0)],
+    'http://b.example': () => [log('0xbb', 0)],
+    'http://c.example': () => { throw new Error('timeout'); }
+  }, { logsQuorum: 2 });
+
+  await assert.rejects(pool._perform(logsRequest), /quorum of 2 not reached \(2 distinct results\)/);
+  assert.deepEqual(pool.quorumStats, { checks: 1, mismatches: 1, failures: 1 });
+});
+
+test('endpoints that are behind the end of a log range are asked last', async () => {
+  const { pool, calls } = createPool({
+    'http://a.example': () => [],
+    'http://b.example': () => []
+  });
+  pool.endpoints[0].blockNumber = 1;
+  pool.endpoints[1].blockNumber = 2;
+  pool.endpoints[1].weight = 0.5;
+
+  await pool._perform(logsRequest);
+  assert.deepEqual(calls, ['http://b.example']);
+});
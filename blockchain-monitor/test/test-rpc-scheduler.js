@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { RpcScheduler } from '../src/rpc-scheduler.js';
+
+const MULTICALL3 = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+
+// A scheduler over a provider that answers with `perform` and records every request it receives
+function createScheduler(perform, options = {}) {
+  const requests = [];
+  const scheduler = new RpcScheduler({
+    _perform: async req => {
+      requests.push(req);
+      return perform(req, requests.length);
+    }
+  }, { rate: 100, ...options });
+  return { scheduler, requests };
+}
+
+test('queued requests are served by priority, in order within a priority', async () => {
+  const { scheduler, requests } = createScheduler(req => req.id, { maxConcurrent: 1 });
+
+  const results = await Promise.all([
+    scheduler.schedule({ method: 'getBlockNumber', id: 'vault' }, 'vault'),
+    scheduler.schedule({ method: 'getBlockNumber', id: 'referral' }, 'referral'),
+    scheduler.schedule({ method: 'getBlockNumber', id: 'live 1' }, 'live'),
+    scheduler.schedule({ method: 'getBlockNumber', id: 'live 2' }, 'live')
+  ]);
+
+  assert.deepEqual(results, ['vault', 'referral', 'live 1', 'live 2']);
+  assert.deepEqual(requests.map(req => req.id), ['live 1', 'live 2', 'referral', 'vault']);
+  scheduler.stop();
+});
+
+test('calls queued together go out as one Multicall3 call and keep their own results and reverts', async () => {
+  const { scheduler, requests } = createScheduler(req => {
+    const [calls] = MULTICALL3.decodeFunctionData('aggregate3', req.transaction.data);
+    return MULTICALL3.encodeFunctionResult('aggregate3', [
+      calls.map(call => [call.target !== ethers.ZeroAddress, call.callData])
+    ]);
+  });
+  const call = (to, data) => ({ method: 'call', transaction: { to, data }, blockTag: 'latest' });
+
+  const [first, reverted, second] = await Promise.allSettled([
+    scheduler.schedule(call('0x' + '1'.repeat(40), '0x01'), 'vault'),
+    scheduler.schedule(call(ethers.ZeroAddress, '0x02'), 'vault'),
+    scheduler.schedule(call('0x' + '2'.repeat(40), '0x03'), 'live')
+  ]);
+
+  assert.equal(requests.length, 1);
+  assert.equal(first.value, '0x01');
+  assert.equal(second.value, '0x03');
+  assert.equal(reverted.reason.code, 'CALL_EXCEPTION');
+  assert.equal(reverted.reason.data, '0x02');
+  assert.deepEqual(scheduler.getStats().multicall, { enabled: true, batches: 1, calls: 3, fallbacks: 0 });
+  scheduler.stop();
+});
+
+test('rate-limit responses pause requests with growing backoff and are retried', async () => {
+  const { scheduler, requests } = createScheduler((req, attempt) => {
+    if (attempt <= 2) throw Object.assign(new Error('Too Many Requests'), { code: 429 });
+    return '0x10';
+  }, { baseBackoffMs: 20 });
+
+  const startedAt = Date.now();
+  assert.equal(await scheduler.schedule({ method: 'getBlockNumber' }, 'live'), '0x10');
+
+  assert.equal(requests.length, 3);
+  assert.ok(Date.now() - startedAt >= 20 + 40);
+  assert.equal(scheduler.getStats().rateLimited, 2);
+  assert.equal(scheduler.getStats().retries, 2);
+  assert.equal(scheduler.backoffMs, 0);
+  scheduler.stop();
+});
+
+test('a request that stays rate limited fails after maxRetries', async () => {
+  const { scheduler, requests } = createScheduler(() => {
+    throw Object.assign(new Error('rate limit exceeded'), { code: -32005 });
+  }, { baseBackoffMs: 5, maxRetries: 1 });
+
+  await assert.rejects(scheduler.schedule({ method: 'getBlockNumber' }, 'vault'), /rate limit exceeded/);
+  assert.equal(requests.length, 2);
+  assert.equal(scheduler.getStats().queues.vault.failed, 1);
+  scheduler.stop();
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StakingMonitor } from '../src/staking-monitor.js';
+import { BlockCursorStore, findDeploymentBlock } from '../src/block-cursor-store.js';
+
+const STAKING = '0x6666666666666666666666666666666666666666';
+
+// A chain of `headBlock` blocks where the staking contract has code from `deployedAt` on
+function createProvider(headBlock, deployedAt) {
+  return {
+    getBlockNumber: async () => headBlock,
+    getCode: async (address, blockTag) => (deployedAt !== null && blockTag >= deployedAt ? '0x6080' : '0x')
+  };
+}
+
+// A monitor over one staking contract whose scans are recorded instead of queried
+function createMonitor(provider, options = {}) {
+  const cursorStore = new BlockCursorStore('unused-block-cursors.json');
+  const monitor = new StakingMonitor(provider, [], { cursorStore, backfillChunkSize: 1000, ...options });
+  monitor.stakingContracts.set(STAKING, {});
+  monitor.scanned = [];
+  monitor.scanStakingRange = async (stakingAddress, contract, startBlock, endBlock) => {
+    monitor.scanned.push([startBlock, endBlock]);
+    return 0;
+  };
+  return monitor;
+}
+
+test('the deployment block is found by binary search over the contract code', async () => {
+  for (const deployedAt of [0, 1, 37, 499, 500]) {
+    assert.equal(await findDeploymentBlock(createProvider(500, deployedAt), STAKING, 500), deployedAt);
+  }
+  assert.equal(await findDeploymentBlock(createProvider(500, null), STAKING, 500), null);
+});
+
+test('a contract without a cursor is backfilled from its deployment block', async () => {
+  const monitor = createMonitor(createProvider(2500, 1200));
+
+  await monitor.backfill();
+
+  assert.deepEqual(monitor.scanned, [[1200, 2199], [2200, 2500]]);
+  assert.equal(monitor.cursorStore.get(monitor.getCursorName(STAKING)), 2500);
+  assert.equal(monitor.getBackfillStatus().state, 'complete');
+});
+
+test('a configured start block takes the place of the deployment block', async () => {
+  const monitor = createMonitor(createProvider(2500, 1200), { startBlock: 2000 });
+
+  await monitor.backfill();
+
+  assert.deepEqual(monitor.scanned, [[2000, 2500]]);
+});
+
+test('a failed first backfill resumes from the deployment block, not the head', async () => {
+  const monitor = createMonitor(createProvider(2500, 1200));
+  monitor.scanStakingRange = async () => { throw new Error('getLogs failed'); };
+
+  await monitor.backfill();
+  assert.equal(monitor.cursorStore.get(monitor.getCursorName(STAKING)), 1199);
+});
+
+test('a reorged block is re-scanned only for contracts that already scanned it', async () => {
+  const monitor = createMonitor(createProvider(100, 0));
+  monitor.advanceCursor(STAKING, 95);
+
+  await monitor.rescanBlock(94);
+  await monitor.rescanBlock(97);
+
+  assert.deepEqual(monitor.scanned, [[94, 94]]);
+});
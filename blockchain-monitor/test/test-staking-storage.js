@@ -0,0 +1,92 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { StakingStorage } from '../src/staking-storage.js';
+
+const STAKING = '0x6666666666666666666666666666666666666666';
+const USER = '0x7777777777777777777777777777777777777777';
+
+function stakingEvent(eventName, amount, blockNumber) {
+  return { stakingAddress: STAKING, eventName, blockNumber, blockTimestamp: blockNumber * 10, args: { user: USER, amount } };
+}
+
+test('an Unstaked whose Staked was never indexed books no rewards', () => {
+  const storage = new StakingStorage('unused.json', [{ address: STAKING }]);
+
+  const [position] = storage.replayPositions([stakingEvent('Unstaked', '1000', 5)]);
+
+  assert.equal(position.staked, 0n);
+  assert.equal(position.totalUnstaked, 1000n);
+  assert.equal(position.realizedRewards, 0n);
+});
+
+test('an Unstaked returning more than the stake books the difference as rewards', () => {
+  const storage = new StakingStorage('unused.json', [{ address: STAKING }]);
+
+  const [position] = storage.replayPositions([
+    stakingEvent('Staked', '600', 1),
+    stakingEvent('Staked', '400', 2),
+    stakingEvent('Unstaked', '1100', 3)
+  ]);
+
+  assert.equal(position.staked, 0n);
+  assert.equal(position.realizedRewards, 100n);
+  assert.equal(storage.formatPosition(position).status, 'unstaked');
+});
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+const WEEK = 7 * 24 * 60 * 60;
+
+// A storage in a fresh temporary directory holding a NotifiedReward per [reward, totalStaked, blockTimestamp]
+async function storageWithRewards(rewards) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'staking-storage-'));
+  tempDirs.push(dir);
+  const storage = new StakingStorage(path.join(dir, 'staking-events.json'), [{ address: STAKING }]);
+  await storage.initialize();
+
+  for (const [index, [reward, totalStaked, blockTimestamp]] of rewards.entries()) {
+    await storage.addEvent({
+      stakingAddress: STAKING,
+      eventName: 'NotifiedReward',
+      blockNumber: index + 1,
+      blockTimestamp,
+      logIndex: 0,
+      transactionHash: `0x${index + 1}`,
+      args: { reward, totalStaked }
+    });
+  }
+  return storage;
+}
+
+test('the APR annualizes the reward rates after the first reward of the window', async () => {
+  const storage = await storageWithRewards([
+    ['50', '1000', 1000],
+    ['10', '1000', 1000 + WEEK],
+    ['30', '1000', 1000 + 2 * WEEK]
+  ]);
+
+  // (1% + 3%) over two weeks
+  assert.deepEqual(storage.getAprEstimate(STAKING), {
+    apr: 104.29,
+    epochs: 2,
+    from: 1000,
+    to: 1000 + 2 * WEEK,
+    rewards: '40'
+  });
+  // Only the last reward, over the week before it
+  assert.equal(storage.getAprEstimate(STAKING, 1).apr, 156.43);
+});
+
+test('there is no APR estimate without two rewards that carry the amount staked', async () => {
+  const storage = await storageWithRewards([
+    ['10', undefined, 1000],
+    ['10', '1000', 1000 + WEEK]
+  ]);
+
+  assert.equal(storage.getAprEstimate(STAKING), null);
+  assert.equal(storage.getAprEstimate('0x' + '8'.repeat(40)), null);
+});
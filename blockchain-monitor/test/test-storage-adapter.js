@@ -0,0 +1,102 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createStorageAdapter } from '../src/storage-adapter.js';
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+// A collection of block-numbered events, in a fresh temporary directory unless `dir` is given
+async function openEvents(backend, options = {}) {
+  let dir = options.dir;
+  if (!dir) {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-adapter-'));
+    tempDirs.push(dir);
+  }
+  const adapter = createStorageAdapter(backend, { events: { file: path.join(dir, 'events.json') } }, options);
+  const events = adapter.collection('events', {
+    indexes: {
+      block: event => event.blockNumber,
+      pool: event => event.pool
+    }
+  });
+  await adapter.open();
+  return { dir, adapter, events };
+}
+
+const ids = records => records.map(record => record.id);
+
+test('findRange returns records in insertion order across buckets', async () => {
+  const { events } = await openEvents('json');
+  await events.put({ id: 'a', blockNumber: 12 });
+  await events.put({ id: 'b', blockNumber: 10 });
+  await events.put({ id: 'c', blockNumber: 11 });
+  await events.put({ id: 'd', blockNumber: 10 });
+  await events.put({ id: 'e', blockNumber: 20 });
+
+  assert.deepEqual(ids(events.findRange('block', 10, 12)), ['a', 'b', 'c', 'd']);
+
+  await events.remove('b');
+  await events.put({ id: 'a', blockNumber: 12, replaced: true });
+  assert.deepEqual(ids(events.findRange('block', 10, 12)), ['a', 'c', 'd']);
+});
+
+test('replacing a record keeps its place, in every bucket and after a reload', async () => {
+  const { dir, adapter, events } = await openEvents('log');
+  await events.put({ id: 'a', blockNumber: 1, pool: '0xP' });
+  await events.put({ id: 'b', blockNumber: 1, pool: '0xQ' });
+  await events.put({ id: 'c', blockNumber: 2, pool: '0xP' });
+  await events.put({ id: 'd', blockNumber: 2, pool: '0xQ' });
+
+  // Same keys: replaced in place
+  await events.put({ id: 'a', blockNumber: 1, pool: '0xP', replaced: true });
+  // Moved to another pool: lands among 0xQ's records where it was first inserted
+  await events.put({ id: 'c', blockNumber: 2, pool: '0xQ' });
+
+  assert.deepEqual(ids(events.all()), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(ids(events.find('block', 1)), ['a', 'b']);
+  assert.deepEqual(ids(events.find('pool', '0xp')), ['a']);
+  assert.deepEqual(ids(events.find('pool', '0xq')), ['b', 'c', 'd']);
+  assert.equal(events.find('block', 1)[0].replaced, true);
+
+  await adapter.close();
+  const reloaded = (await openEvents('log', { dir })).events;
+  assert.deepEqual(ids(reloaded.all()), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(ids(reloaded.find('pool', '0xq')), ['b', 'c', 'd']);
+});
+
+test('the log is compacted to one put per live record', async () => {
+  const { dir, adapter, events } = await openEvents('log', { compactMinOps: 10 });
+  for (let i = 0; i < 30; i++) {
+    await events.put({ id: `e${i % 3}`, blockNumber: i });
+  }
+  await events.remove('e1');
+  await adapter.close();
+
+  const lines = (await fs.readFile(path.join(dir, 'events.log'), 'utf-8')).trim().split('\n');
+  assert.ok(lines.length < 10, `expected a compacted log, found ${lines.length} lines`);
+
+  const reloaded = (await openEvents('log', { dir })).events;
+  assert.deepEqual(reloaded.all(), [{ id: 'e0', blockNumber: 27 }, { id: 'e2', blockNumber: 29 }]);
+});
+
+test('a torn last line is skipped and does not swallow the next write', async () => {
+  const { dir, adapter, events } = await openEvents('log');
+  await events.put({ id: 'a', blockNumber: 1 });
+  await events.put({ id: 'b', blockNumber: 2 });
+  await adapter.close();
+
+  // The process died halfway through appending a line
+  await fs.appendFile(path.join(dir, 'events.log'), '{"op":"put","record":{"id":"c","bl');
+
+  const recovered = await openEvents('log', { dir });
+  assert.deepEqual(ids(recovered.events.all()), ['a', 'b']);
+  await recovered.events.put({ id: 'd', blockNumber: 4 });
+  await recovered.adapter.close();
+
+  const reloaded = (await openEvents('log', { dir })).events;
+  assert.deepEqual(ids(reloaded.all()), ['a', 'b', 'd']);
+  assert.deepEqual(ids(reloaded.findRange('block', 2, 4)), ['b', 'd']);
+});
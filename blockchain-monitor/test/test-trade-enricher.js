@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TradeEnricher } from '../src/trade-enricher.js';
+import { EventStorage } from '../src/event-storage.js';
+import { MonPriceService } from '../src/mon-price.js';
+
+const POOL = '0x3333333333333333333333333333333333333333';
+
+function swap(pool, amount0, amount1) {
+  return {
+    id: `${amount0}:${amount1}`,
+    eventName: 'Swap',
+    poolAddress: POOL,
+    blockNumber: 1,
+    logIndex: 0,
+    transactionHash: '0xabc',
+    args: { amount0, amount1, sqrtPriceX96: (2n ** 96n).toString(), sender: '0x1', recipient: '0x2' }
+  };
+}
+
+async function describe(pool, amount0, amount1) {
+  const enricher = new TradeEnricher([pool]);
+  const storage = new EventStorage('unused.json', [pool]);
+  const event = await enricher.enrich(swap(pool, amount0, amount1));
+  return storage.formatTradeInfo(event);
+}
+
+test('a pool with WMON as token0 agrees on the direction of its listed token', async () => {
+  const pool = { address: POOL, symbol: 'NOMA', token0: { symbol: 'WMON', decimals: 18 }, token1: { symbol: 'NOMA', decimals: 18 } };
+
+  const bought = await describe(pool, '-1000000000000000000', '500000000000000000000');
+  assert.equal(bought.baseSymbol, 'NOMA');
+  assert.equal(bought.direction, 'buy');
+  assert.equal(bought.type, 'buy');
+
+  const sold = await describe(pool, '1000000000000000000', '-500000000000000000000');
+  assert.equal(sold.direction, 'sell');
+  assert.equal(sold.type, 'sell');
+});
+
+test('a pool with the listed token as token0 keeps the token0 rule', async () => {
+  const pool = { address: POOL, symbol: 'NOMA', token0: { symbol: 'NOMA', decimals: 18 }, token1: { symbol: 'WMON', decimals: 18 } };
+
+  const bought = await describe(pool, '500000000000000000000', '-1000000000000000000');
+  assert.equal(bought.baseSymbol, 'NOMA');
+  assert.equal(bought.direction, 'buy');
+  assert.equal(bought.type, 'buy');
+});
+
+test('without a MON price, MON-quoted trades are stored without USD values', async () => {
+  const pool = { address: POOL, symbol: 'NOMA', token0: { symbol: 'NOMA', decimals: 18 }, token1: { symbol: 'WMON', decimals: 18 } };
+  const unpriced = new MonPriceService(null, { chainId: 990101, contracts: {} });
+  const failing = new MonPriceService(null, { chainId: 990102, contracts: {} });
+  failing.poolContract = { slot0: async () => { throw new Error('call reverted'); } };
+
+  for (const service of [unpriced, failing]) {
+    assert.equal(await service.getMonPrice(), null);
+
+    const enricher = new TradeEnricher([pool], service);
+    const { trade } = await enricher.enrich(swap(pool, '500000000000000000000', '-1000000000000000000'));
+    assert.equal(trade.monPriceUSD, null);
+    assert.equal(trade.priceUSD, null);
+    assert.equal(trade.valueUSD, null);
+    assert.equal(trade.price, 1);
+  }
+});
@@ -0,0 +1,73 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { VaultMetricsSampler } from '../src/vault-metrics.js';
+
+const VAULT = '0x' + '4'.repeat(40);
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+// A sampler over fresh files that never calls the vault
+async function createSampler() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vault-metrics-'));
+  tempDirs.push(dir);
+  const sampler = new VaultMetricsSampler(null, [VAULT], {
+    filePath: path.join(dir, 'vault-metrics.json'),
+    vaultService: { getVaultInfoOnly: async () => null }
+  });
+  await sampler.initialize();
+  return sampler;
+}
+
+const record = (sampler, timestamp, floorPrice) =>
+  sampler.record(VAULT, timestamp, { source: 'schedule', blockNumber: null, metrics: { floorPrice } });
+
+test('samples fold into hourly candles, recorded out of order or not', async () => {
+  const sampler = await createSampler();
+  const hour = Math.floor(Date.now() / HOUR) * HOUR - 3 * HOUR;
+  for (const [minutes, value] of [[1, '10'], [30, '30'], [50, '5'], [20, '20']]) {
+    await record(sampler, hour + minutes * MINUTE, value);
+  }
+
+  const hourly = sampler.getHistory(VAULT, { metrics: ['floorPrice'], from: hour, to: hour + HOUR - 1, resolution: '1h' });
+  assert.equal(hourly.source, 'hourly');
+  assert.deepEqual(hourly.series.floorPrice, [{ timestamp: hour, open: '10', high: '30', low: '5', close: '5', samples: 4 }]);
+
+  const fiveMinutes = sampler.getHistory(VAULT, { metrics: ['floorPrice'], from: hour, to: hour + HOUR - 1, resolution: '5m' });
+  assert.equal(fiveMinutes.source, 'raw');
+  assert.deepEqual(fiveMinutes.series.floorPrice.map(candle => candle.close), ['10', '20', '30', '5']);
+  await sampler.stop();
+});
+
+test('pruning keeps each tier for its retention and history falls back to the coarser tiers', async () => {
+  const sampler = await createSampler();
+  const now = Date.now();
+  await record(sampler, now - 40 * DAY, '1');
+  await record(sampler, now - 10 * DAY, '2');
+  await record(sampler, now - HOUR, '3');
+
+  await sampler.prune();
+  assert.deepEqual(sampler.getStats().records, { raw: 1, hourly: 2, daily: 3 });
+
+  const tenDays = sampler.getHistory(VAULT, { metrics: ['floorPrice'], from: now - 11 * DAY, to: now, resolution: '1h' });
+  assert.equal(tenDays.source, 'hourly');
+  assert.deepEqual(tenDays.series.floorPrice.map(candle => candle.close), ['2', '3']);
+
+  const fortyDays = sampler.getHistory(VAULT, { metrics: ['floorPrice'], from: now - 41 * DAY, to: now, resolution: '1h' });
+  assert.equal(fortyDays.source, 'daily');
+  assert.deepEqual(fortyDays.series.floorPrice.map(candle => candle.close), ['1', '2', '3']);
+  await sampler.stop();
+});
+
+test('history rejects unknown resolutions and metrics', async () => {
+  const sampler = await createSampler();
+  assert.throws(() => sampler.getHistory(VAULT, { resolution: '2h' }), /Invalid resolution "2h"/);
+  assert.throws(() => sampler.getHistory(VAULT, { metrics: ['tvl'] }), /Unknown metric "tvl"/);
+  await sampler.stop();
+});
@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WSServer } from '../src/websocket-server.js';
+
+// The constructor starts health-check timers; sendToAddress only needs the client map
+function createServer() {
+  const server = Object.create(WSServer.prototype);
+  server.clients = new Map();
+  return server;
+}
+
+function addClient(server, id, address, authenticated = true) {
+  const client = { id, address, authenticated, pools: [], streams: [], sent: [], ws: { readyState: 1 } };
+  client.ws.send = payload => client.sent.push(JSON.parse(payload));
+  server.clients.set(id, client);
+  return client;
+}
+
+test('sendToAddress serializes BigInt and reaches every socket of a checksummed address', () => {
+  const server = createServer();
+  const laptop = addClient(server, 'laptop', '0x52908400098527886e0f7030069857d2e4169ee7');
+  const phone = addClient(server, 'phone', '0x52908400098527886E0F7030069857D2E4169EE7');
+  const guest = addClient(server, 'guest', '0x52908400098527886e0f7030069857d2e4169ee7', false);
+
+  const isDelivered = server.sendToAddress('0x52908400098527886E0F7030069857D2E4169EE7', {
+    type: 'loanExpiring',
+    data: { principal: 10n ** 18n, collateral: 5n }
+  });
+
+  assert.equal(isDelivered, true);
+  for (const client of [laptop, phone]) {
+    assert.deepEqual(client.sent, [{ type: 'loanExpiring', data: { principal: '1000000000000000000', collateral: '5' } }]);
+  }
+  assert.equal(guest.sent.length, 0);
+});
+
+test('sendToAddress reports addresses without an open connection', () => {
+  const server = createServer();
+  const client = addClient(server, 'closed', '0x1111111111111111111111111111111111111111');
+  client.ws.readyState = 3;
+
+  assert.equal(server.sendToAddress('0x1111111111111111111111111111111111111111', { type: 'ping' }), false);
+  assert.equal(server.sendToAddress('0x2222222222222222222222222222222222222222', { type: 'ping' }), false);
+});
+
+test('the global channel key cannot be joined or paged as a room', async () => {
+  const server = createServer();
+  server.rooms = new Map();
+  const client = addClient(server, 'alice', '0x1111111111111111111111111111111111111111');
+
+  await server.handleJoinRoom(client, { roomId: 'global' });
+  await server.handleGetRoomMessages(client, { roomId: 'Global' });
+
+  assert.equal(server.rooms.size, 0);
+  assert.deepEqual(client.sent.map(message => message.type), ['error', 'error']);
+});
+
+test('slowmode only starts after a message is accepted', async () => {
+  const server = createServer();
+  const client = addClient(server, 'alice', '0x1111111111111111111111111111111111111111');
+  let stored = 0;
+  Object.assign(server, {
+    rooms: new Map(),
+    lastMessageAt: new Map(),
+    moderation: { slowmodeSeconds: 30, getBan: () => null, getMute: () => null, hasRole: () => false },
+    rateLimiter: { isRateLimited: () => false },
+    usernameStore: { getUsername: () => 'alice', getAddressByUsername: () => null },
+    cashtagPrices: { resolve: () => null },
+    messageStore: { addMessage: async () => ({ id: String(++stored), address: client.address, timestamp: Date.now() }) },
+    broadcastMessage: () => {},
+    notifyRecipients: async () => {},
+    sendCashtagPrices: async () => {}
+  });
+
+  await server.handleChatMessage(client, { content: 'hi', room: 'not-joined' });
+  await server.handleChatMessage(client, { content: 'hi' });
+  await server.handleChatMessage(client, { content: 'again' });
+
+  assert.equal(stored, 1);
+  assert.deepEqual(client.sent.map(message => message.message), [
+    'You must join the room before sending messages',
+    'Slowmode is on. You can send another message in 30s.'
+  ]);
+});
+
+test('banned or rate-limited senders cannot send direct messages', async () => {
+  const server = createServer();
+  const client = addClient(server, 'alice', '0x1111111111111111111111111111111111111111');
+  const banned = new Set([client.address]);
+  let limited = false;
+  let stored = 0;
+  Object.assign(server, {
+    moderation: { getBan: address => (banned.has(address) ? { until: null } : null) },
+    rateLimiter: { isRateLimited: () => limited },
+    dmStore: { sendMessage: async () => { stored++; } }
+  });
+
+  await server.handleDirectMessage(client, { recipientAddress: '0x2222222222222222222222222222222222222222', message: 'hi' });
+  banned.clear();
+  limited = true;
+  await server.handleDirectMessage(client, { recipientAddress: '0x2222222222222222222222222222222222222222', message: 'hi' });
+
+  assert.equal(stored, 0);
+  assert.deepEqual(client.sent.map(message => message.message), [
+    'You are banned from sending messages',
+    'Rate limit exceeded. Please slow down.'
+  ]);
+});
+
+test('edits are refused while muted and notify only the users they newly mention', async () => {
+  const server = createServer();
+  const alice = addClient(server, 'alice', '0x1111111111111111111111111111111111111111');
+  const bob = addClient(server, 'bob', '0x2222222222222222222222222222222222222222');
+  const carol = addClient(server, 'carol', '0x3333333333333333333333333333333333333333');
+  const muted = new Set([alice.address]);
+  const users = { bob: bob.address, carol: carol.address };
+  const inbox = [];
+  let message = { id: 'm1', address: alice.address, content: 'hi @bob', mentions: [bob.address], replyTo: null, room: null, timestamp: Date.now() };
+  Object.assign(server, {
+    moderation: { getBan: () => null, getMute: address => (muted.has(address) ? { until: Date.now() + 60000 } : null), hasRole: () => false },
+    rateLimiter: { isRateLimited: () => false },
+    usernameStore: { getAddressByUsername: username => users[username.toLowerCase()] || null },
+    cashtagPrices: { resolve: () => null },
+    messageStore: {
+      getMessageById: () => message,
+      isWithinEditWindow: () => true,
+      editMessage: async (id, content, fields) => (message = { ...message, ...fields, content, editedAt: Date.now(), edits: [{}] })
+    },
+    inboxStore: {
+      addItem: async (address, item) => { inbox.push({ address, ...item }); return item; },
+      getUnreadCount: () => 1
+    },
+    broadcastMessage: () => {}
+  });
+
+  await server.handleEditMessage(alice, { messageId: 'm1', content: 'hi @bob and @carol' });
+  assert.equal(message.content, 'hi @bob');
+  assert.match(alice.sent[0].message, /^You are muted until/);
+
+  muted.clear();
+  await server.handleEditMessage(alice, { messageId: 'm1', content: 'hi @bob and @carol' });
+  assert.deepEqual(message.mentions, [bob.address, carol.address]);
+  assert.deepEqual(inbox.map(item => [item.address, item.type]), [[carol.address, 'mention']]);
+  assert.deepEqual(carol.sent.map(sent => sent.type), ['notification']);
+  assert.equal(bob.sent.some(sent => sent.type === 'notification'), false);
+});
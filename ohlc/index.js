@@ -1,4 +1,4 @@
-import { ethers, Contract, JsonRpcProvider, WebSocketProvider } from "ethers";
+import { ethers, Contract, WebSocketProvider } from "ethers";
 import express from "express";
 import cors from "cors";
 import fs from "fs-extra";
@@ -6,6 +6,14 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import IUniswapV3PoolABI from "../assets/IUniswapV3Pool.json" assert { type: "json" };
+import { createProviderPool } from "../blockchain-monitor/src/provider.js";
+import { createRpcScheduler } from "../blockchain-monitor/src/rpc-scheduler.js";
+import metrics, { METRICS_CONTENT_TYPE, collectBlockProgress, messageType } from "../blockchain-monitor/src/metrics.js";
+import { HealthChecks } from "../blockchain-monitor/src/health-checks.js";
+import { configureLogging, createLogger } from "../blockchain-monitor/src/logger.js";
+import { loadConfig, describeConfig } from "../blockchain-monitor/src/config.js";
+
+const logger = createLogger("ohlc");
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -15,42 +23,43 @@ dotenv.config({ path: path.join(__dirname, '.env') });
 // Parse command line arguments
 const args = process.argv.slice(2);
 const DEBUG_MODE = args.includes('--debug') || process.env.DEBUG === 'true';
+configureLogging({ debug: DEBUG_MODE });
+
+// Configuration (shared with the blockchain monitor); invalid values stop the service here
+let config;
+try {
+  config = loadConfig({ service: "ohlc" });
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+configureLogging({ ...config.logging, debug: DEBUG_MODE });
 
 if (DEBUG_MODE) {
-  console.log('🔍 Debug mode enabled');
-  console.log('Command line args:', args);
-  console.log('Environment:', {
-    CHAIN: process.env.CHAIN,
-    USE_WEBSOCKET: process.env.USE_WEBSOCKET,
-    NODE_ENV: process.env.NODE_ENV
-  });
+  logger.debug('🔍 Debug mode enabled');
+  logger.debug('Command line args:', args);
+  logger.debug('Config sources:', config.meta.sources);
+}
+for (const warning of config.meta.warnings) {
+  logger.warn(`⚠️ ${warning}`);
 }
+logger.info(`Effective configuration (chain ${config.chain.name}, chainId ${config.chain.chainId})`, describeConfig(config));
 
-// Configuration
-const isLocalChain = process.env.CHAIN === "local";
-const providerUrl = isLocalChain ? "http://localhost:8545" : (process.env.RPC_URL || "https://rpc.ankr.com/monad_testnet");
-const wsProviderUrl = process.env.WS_RPC_URL || (isLocalChain ? "ws://localhost:8545" : "wss://monad-testnet.rpc.ankr.com/ws");
+const wsProviderUrl = config.rpc.wsUrl;
+// One OHLC process per chain: run another instance (CHAIN, PORT, WS_PORT) for each further chain
+const CHAIN_ID = config.chain.chainId;
 // Removed hardcoded default pool - pool parameter is now required for all endpoints
-const dataFilePath = isLocalChain
-  ? path.join(__dirname, "..", "data", "priceData_local.json")
-  : path.join(__dirname, "..", "data", "priceData.json");
-const PORT = process.env.PORT || 3001;
-const WS_PORT = process.env.WS_PORT || 3002; // Separate port for WebSocket server
-const USE_WEBSOCKET = process.env.USE_WEBSOCKET === 'true' || false; // Enable WebSocket via env variable
-
-// Standard datapoint limits per interval to ensure consistency
-const DATAPOINT_LIMITS = {
-  "1m": 100,
-  "5m": 100,
-  "15m": 100,
-  "30m": 100,
-  "1h": 100,
-  "6h": 100,
-  "12h": 100,
-  "24h": 100,
-  "1w": 100,
-  "1M": 100
-};
+const dataFilePath = path.join(config.chain.dataDir, "priceData.json");
+const poolsConfigPath = path.join(config.chain.dataDir, "pools.json");
+const PORT = config.ohlc.port;
+const WS_PORT = config.ohlc.wsPort; // Separate port for WebSocket server
+const USE_WEBSOCKET = config.ohlc.useWebsocket;
+// Health thresholds: /readyz fails on a stale price or head block
+const HEALTH_MAX_PRICE_AGE_MS = config.health.maxPriceAgeSeconds * 1000;
+const HEALTH_MAX_BLOCK_AGE_MS = config.health.maxBlockAgeSeconds * 1000;
+
+// Datapoint limits per interval (OHLC_DATAPOINT_LIMIT, 100 each by default)
+const DATAPOINT_LIMITS = config.ohlc.datapointLimits;
 
 // Global providers
 let provider;
@@ -64,6 +73,52 @@ const lastProcessedBlocks = new Map(); // Map<poolAddress, blockNumber>
 const invalidAddresses = new Set(); // Cache invalid addresses to avoid repeated checks
 const wsIncompatiblePools = new Set(); // Pools that don't work with WebSocket
 
+// Metrics served on /metrics (RPC metrics come from the shared provider pool)
+const swapsIngested = metrics.counter("pool_events_ingested_total", "Pool events applied to price and volume data, by pool and event type");
+const poolsTracked = metrics.gauge("ohlc_pools_tracked", "Pools with price data in memory");
+const wsMessagesReceived = metrics.counter("ws_messages_received_total", "WebSocket messages received, by message type");
+const wsMessagesSent = metrics.counter("ws_messages_sent_total", "WebSocket messages sent, by message type");
+const wsClientsGauge = metrics.gauge("ws_clients", "Connected WebSocket clients, by state");
+const wsSubscriptions = metrics.gauge("ws_subscriptions", "Price feed subscriptions, by channel");
+
+metrics.collect(() => poolsTracked.set({}, poolsData.size));
+collectBlockProgress(
+  () => provider?.pool?.headBlock,
+  () => Object.fromEntries([...lastProcessedBlocks].map(([poolAddress, blockNumber]) => [`pool:${poolAddress}`, blockNumber])),
+  config.chain.chainId
+);
+
+// Checks served on /healthz and /readyz
+const healthChecks = new HealthChecks();
+
+// Prices are refreshed every 5 seconds, so a pool whose last price is older than maxAgeMs is not updating.
+// Warns when some pools are stale and fails when all of them are.
+const getPriceHealth = (maxAgeMs) => {
+  const now = Date.now();
+  const pools = {};
+  let stalePools = 0;
+
+  for (const [poolAddress, poolData] of poolsData) {
+    const ageMs = now - (poolData.lastUpdated ?? healthChecks.startedAt);
+    pools[poolAddress] = { lastUpdated: poolData.lastUpdated, ageMs };
+    if (ageMs > maxAgeMs) stalePools++;
+  }
+
+  let status = "pass";
+  if (stalePools > 0) {
+    status = stalePools === poolsData.size ? "fail" : "warn";
+  }
+
+  return { status, stalePools, maxAgeMs, pools };
+};
+
+healthChecks.register("prices", () => getPriceHealth(HEALTH_MAX_PRICE_AGE_MS));
+healthChecks.register("rpc", () => ({
+  ...provider.pool.getHealth(HEALTH_MAX_BLOCK_AGE_MS),
+  // Swaps fall back to HTTP polling without it, so it is reported but never fails the check
+  websocketProvider: USE_WEBSOCKET ? (wsProvider ? "connected" : "disconnected") : "disabled"
+}));
+
 // Initialize pool data structure
 const createPoolData = () => ({
   latestPrice: null,
@@ -118,7 +173,7 @@ const isValidAddress = (address) => {
 // Initialize a new pool with initial price fetch
 const initializePool = async (poolAddress) => {
   try {
-    console.log(`Initializing new pool: ${poolAddress}`);
+    logger.info(`Initializing new pool: ${poolAddress}`);
     
     // Fetch initial price
     await updatePrice(poolAddress);
@@ -129,9 +184,9 @@ const initializePool = async (poolAddress) => {
     // Set up periodic price updates for this pool
     setInterval(() => updatePrice(poolAddress), 5000);
     
-    console.log(`Pool ${poolAddress} initialized successfully`);
+    logger.info(`Pool ${poolAddress} initialized successfully`);
   } catch (error) {
-    console.error(`Error initializing pool ${poolAddress}:`, error);
+    logger.error(`Error initializing pool ${poolAddress}:`, error);
   }
 };
 
@@ -153,7 +208,7 @@ const isValidContractAddress = async (address) => {
     const code = await provider.getCode(address);
     return code !== '0x' && code.length > 2;
   } catch (error) {
-    console.error(`Error checking contract code for ${address}:`, error.message);
+    logger.error(`Error checking contract code for ${address}:`, error.message);
     return false;
   }
 };
@@ -197,7 +252,7 @@ const getPoolContract = async (poolAddress) => {
     
     // Validate the address contains contract code
     if (!await isValidContractAddress(poolAddress)) {
-      console.error(`Address ${poolAddress} does not contain contract code`);
+      logger.error(`Address ${poolAddress} does not contain contract code`);
       invalidAddresses.add(normalizedAddress);
       return null;
     }
@@ -206,7 +261,7 @@ const getPoolContract = async (poolAddress) => {
     
     // Verify it's a valid Uniswap V3 pool
     if (!await isValidUniswapV3Pool(contract)) {
-      console.error(`Address ${poolAddress} is not a valid Uniswap V3 pool`);
+      logger.error(`Address ${poolAddress} is not a valid Uniswap V3 pool`);
       invalidAddresses.add(normalizedAddress);
       return null;
     }
@@ -225,7 +280,7 @@ app.use(express.json());
 // Debug middleware
 if (DEBUG_MODE) {
   app.use((req, res, next) => {
-    console.log(`🔍 DEBUG: ${req.method} ${req.path}`, {
+    logger.debug(`${req.method} ${req.path}`, {
       query: req.query,
       body: req.body,
       headers: req.headers['user-agent']
@@ -234,9 +289,47 @@ if (DEBUG_MODE) {
   });
 }
 
+// Requests may name the chain they expect with ?chainId=; this process only serves CHAIN_ID
+app.use("/api", (req, res, next) => {
+  const { chainId } = req.query;
+  if (chainId !== undefined && Number(chainId) !== CHAIN_ID) {
+    return res.status(404).json({
+      error: `Chain ${chainId} not served here`,
+      chainId: CHAIN_ID
+    });
+  }
+  next();
+});
+
 // Track pools being initialized
 const poolsInitializing = new Set();
 
+// Start tracking a pool we have not seen yet (added to pools.json and initialized in the background)
+const ensurePoolTracked = (poolAddress) => {
+  const normalizedAddress = poolAddress.toLowerCase();
+  if (poolsData.has(normalizedAddress) || poolsInitializing.has(normalizedAddress)) {
+    return false;
+  }
+
+  poolsInitializing.add(normalizedAddress);
+
+  // Create pool data immediately
+  const newPoolData = createPoolData();
+  poolsData.set(normalizedAddress, newPoolData);
+
+  // Add to pools.json if not already there
+  addPoolToConfig(poolAddress).catch(err => {
+    logger.error(`Failed to add pool to config: ${err.message}`);
+  });
+
+  // Initialize pool asynchronously
+  initializePool(poolAddress).finally(() => {
+    poolsInitializing.delete(normalizedAddress);
+  });
+
+  return true;
+};
+
 // Middleware to parse and validate pool parameter
 const parsePoolAddress = async (req, res, next) => {
   // Get pool address from query parameter
@@ -263,24 +356,7 @@ const parsePoolAddress = async (req, res, next) => {
   req.normalizedPoolAddress = poolAddress.toLowerCase();
 
   // Check if this is a new pool that needs initialization
-  const normalizedAddress = poolAddress.toLowerCase();
-  if (!poolsData.has(normalizedAddress) && !poolsInitializing.has(normalizedAddress)) {
-    poolsInitializing.add(normalizedAddress);
-
-    // Create pool data immediately
-    const newPoolData = createPoolData();
-    poolsData.set(normalizedAddress, newPoolData);
-
-    // Add to pools.json if not already there
-    addPoolToConfig(poolAddress).catch(err => {
-      console.error(`Failed to add pool to config: ${err.message}`);
-    });
-
-    // Initialize pool asynchronously
-    initializePool(poolAddress).finally(() => {
-      poolsInitializing.delete(normalizedAddress);
-    });
-  }
+  ensurePoolTracked(poolAddress);
 
   next();
 };
@@ -327,6 +403,7 @@ const backfillHistoricalOHLC = (poolData) => {
         const openPrice = currentOHLC.length > 0 ? currentOHLC[currentOHLC.length - 1].close : price;
         
         currentOHLC.push({
+          chainId: CHAIN_ID,
           timestamp: roundedTimestamp,
           open: openPrice,
           high: price,
@@ -342,7 +419,7 @@ const backfillHistoricalOHLC = (poolData) => {
       }
     });
 
-    console.log(`Backfilled ${poolData.ohlc[interval].length} candles for ${interval} interval`);
+    logger.info(`Backfilled ${poolData.ohlc[interval].length} candles for ${interval} interval`);
   });
 };
 
@@ -351,25 +428,25 @@ const generateIntervalsFromExisting = (poolData) => {
   // Generate 6h from 1h data
   if (poolData.ohlc["1h"] && poolData.ohlc["1h"].length > 0) {
     poolData.ohlc["6h"] = generateLongerInterval(poolData.ohlc["1h"], 6 * 60 * 60 * 1000);
-    console.log(`Generated ${poolData.ohlc["6h"].length} 6h candles from 1h data`);
+    logger.info(`Generated ${poolData.ohlc["6h"].length} 6h candles from 1h data`);
   }
   
   // Generate 12h from 1h data
   if (poolData.ohlc["1h"] && poolData.ohlc["1h"].length > 0) {
     poolData.ohlc["12h"] = generateLongerInterval(poolData.ohlc["1h"], 12 * 60 * 60 * 1000);
-    console.log(`Generated ${poolData.ohlc["12h"].length} 12h candles from 1h data`);
+    logger.info(`Generated ${poolData.ohlc["12h"].length} 12h candles from 1h data`);
   }
   
   // If no 1h data, try generating from 5m data
   else if (poolData.ohlc["5m"] && poolData.ohlc["5m"].length > 0) {
     // First generate 1h from 5m
     poolData.ohlc["1h"] = generateLongerInterval(poolData.ohlc["5m"], 60 * 60 * 1000);
-    console.log(`Generated ${poolData.ohlc["1h"].length} 1h candles from 5m data`);
+    logger.info(`Generated ${poolData.ohlc["1h"].length} 1h candles from 5m data`);
     
     // Then generate 6h and 12h from the new 1h data
     poolData.ohlc["6h"] = generateLongerInterval(poolData.ohlc["1h"], 6 * 60 * 60 * 1000);
     poolData.ohlc["12h"] = generateLongerInterval(poolData.ohlc["1h"], 12 * 60 * 60 * 1000);
-    console.log(`Generated ${poolData.ohlc["6h"].length} 6h and ${poolData.ohlc["12h"].length} 12h candles`);
+    logger.info(`Generated ${poolData.ohlc["6h"].length} 6h and ${poolData.ohlc["12h"].length} 12h candles`);
   }
 };
 
@@ -387,6 +464,7 @@ const generateLongerInterval = (sourceCandles, targetIntervalMs) => {
     
     if (!targetCandle) {
       targetCandle = {
+        chainId: CHAIN_ID,
         timestamp: targetTimestamp,
         open: candle.open,
         high: candle.high,
@@ -417,7 +495,7 @@ const validateAndFixOHLCContinuity = (poolData) => {
       
       // Check if close of previous candle equals open of current candle
       if (prevCandle.close !== currCandle.open) {
-        console.log(`OHLC continuity issue detected in ${interval}: candle[${i-1}].close (${prevCandle.close}) != candle[${i}].open (${currCandle.open})`);
+        logger.info(`OHLC continuity issue detected in ${interval}: candle[${i-1}].close (${prevCandle.close}) != candle[${i}].open (${currCandle.open})`);
         
         // Fix by adjusting current candle's open to previous candle's close
         currCandle.open = prevCandle.close;
@@ -427,7 +505,7 @@ const validateAndFixOHLCContinuity = (poolData) => {
   });
   
   if (fixCount > 0) {
-    console.log(`Fixed ${fixCount} OHLC continuity issues`);
+    logger.info(`Fixed ${fixCount} OHLC continuity issues`);
   }
   
   return fixCount;
@@ -436,14 +514,13 @@ const validateAndFixOHLCContinuity = (poolData) => {
 // Load pool addresses from pools.json
 const loadPoolAddresses = async () => {
   try {
-    const poolsConfigPath = "../data/pools.json";
     if (await fs.pathExists(poolsConfigPath)) {
       const poolsConfig = await fs.readJson(poolsConfigPath);
       // Handle both formats: { pools: [...] } or [...]
       const poolsArray = Array.isArray(poolsConfig) ? poolsConfig : poolsConfig.pools;
 
       if (!Array.isArray(poolsArray)) {
-        console.error("pools.json must contain an array or { pools: [...] }");
+        logger.error("pools.json must contain an array or { pools: [...] }");
         return [];
       }
 
@@ -452,12 +529,12 @@ const loadPoolAddresses = async () => {
         .map(pool => pool.address)
         .filter(addr => isValidAddress(addr));
 
-      console.log(`Loaded ${poolAddresses.length} pool addresses from pools.json`);
+      logger.info(`Loaded ${poolAddresses.length} pool addresses from pools.json`);
       return poolAddresses;
     }
     return [];
   } catch (error) {
-    console.error("Error loading pools.json:", error);
+    logger.error("Error loading pools.json:", error);
     return [];
   }
 };
@@ -465,7 +542,6 @@ const loadPoolAddresses = async () => {
 // Add a pool to pools.json if it doesn't exist
 const addPoolToConfig = async (poolAddress) => {
   try {
-    const poolsConfigPath = "../data/pools.json";
     let poolsConfig = { pools: [] };
 
     if (await fs.pathExists(poolsConfigPath)) {
@@ -515,14 +591,14 @@ const addPoolToConfig = async (poolAddress) => {
 
           poolsConfig.pools = poolsArray;
           await fs.writeJson(poolsConfigPath, poolsConfig, { spaces: 2 });
-          console.log(`Added pool to pools.json: ${poolAddress}`);
+          logger.info(`Added pool to pools.json: ${poolAddress}`);
         } catch (error) {
-          console.error(`Error fetching pool details for ${poolAddress}:`, error.message);
+          logger.error(`Error fetching pool details for ${poolAddress}:`, error.message);
         }
       }
     }
   } catch (error) {
-    console.error("Error adding pool to config:", error);
+    logger.error("Error adding pool to config:", error);
   }
 };
 
@@ -531,11 +607,19 @@ const initializeDataFile = async () => {
   try {
     // Load pool addresses from pools.json first
     const configuredPools = await loadPoolAddresses();
-    console.log(`Found ${configuredPools.length} pools in pools.json`);
+    logger.info(`Found ${configuredPools.length} pools in pools.json`);
+
+    await fs.ensureDir(config.chain.dataDir);
 
     if (await fs.pathExists(dataFilePath)) {
       const data = await fs.readJson(dataFilePath);
 
+      // A data file written for another chain (e.g. a copied directory) must not be mixed in
+      if (data.chainId !== undefined && data.chainId !== CHAIN_ID) {
+        logger.error(`${dataFilePath} holds prices for chain ${data.chainId}, not ${CHAIN_ID}`);
+        process.exit(1);
+      }
+
       // Check if it's the new format (version 2 or has pools structure)
       if (data.pools) {
         // Load all pools from priceData.json
@@ -544,7 +628,7 @@ const initializeDataFile = async () => {
 
           // Skip invalid addresses
           if (!isValidAddress(poolAddress)) {
-            console.log(`Skipping invalid address from file: ${poolAddress}`);
+            logger.info(`Skipping invalid address from file: ${poolAddress}`);
             continue;
           }
 
@@ -552,17 +636,21 @@ const initializeDataFile = async () => {
           if (!poolData.volumeHistory) {
             poolData.volumeHistory = [];
           }
+          // Candles saved before chain IDs were recorded
+          for (const candles of Object.values(poolData.ohlc || {})) {
+            candles.forEach(candle => { candle.chainId ??= CHAIN_ID; });
+          }
           poolsData.set(normalizedAddress, poolData);
-          console.log(`Loaded existing data for pool: ${poolAddress}`);
+          logger.info(`Loaded existing data for pool: ${poolAddress}`);
         }
 
-        console.log(`Loaded ${poolsData.size} pools from ${dataFilePath}`);
+        logger.info(`Loaded ${poolsData.size} pools from ${dataFilePath}`);
 
         // Validate and fix OHLC continuity for all pools
         for (const [poolAddress, poolData] of poolsData.entries()) {
           const fixCount = validateAndFixOHLCContinuity(poolData);
           if (fixCount > 0) {
-            console.log(`Fixed ${fixCount} continuity issues for pool ${poolAddress}`);
+            logger.info(`Fixed ${fixCount} continuity issues for pool ${poolAddress}`);
           }
         }
 
@@ -570,31 +658,33 @@ const initializeDataFile = async () => {
         priceData = null;
       } else {
         // Old format - migrate data to pools structure
-        console.log("Warning: Old format data file detected. Creating new empty data file.");
+        logger.info("Warning: Old format data file detected. Creating new empty data file.");
 
         // Create new empty data file
         const initialData = {
+          chainId: CHAIN_ID,
           pools: {},
           version: 2,
           lastSaved: Date.now()
         };
         await fs.writeJson(dataFilePath, initialData);
-        console.log("Created new empty data file with v2 format");
+        logger.info("Created new empty data file with v2 format");
       }
 
-      console.log("Loaded existing price data");
+      logger.info("Loaded existing price data");
     } else {
       // No file exists - create empty pools structure
       priceData = null;
 
       // Create new file with new format
       const initialData = {
+        chainId: CHAIN_ID,
         pools: {},
         version: 2,
         lastSaved: Date.now()
       };
       await fs.writeJson(dataFilePath, initialData);
-      console.log("Created new price data file with v2 format");
+      logger.info("Created new price data file with v2 format");
     }
 
     // Merge pools from pools.json - add any that aren't already in poolsData
@@ -603,13 +693,13 @@ const initializeDataFile = async () => {
       if (!poolsData.has(normalizedAddress)) {
         const newPoolData = createPoolData();
         poolsData.set(normalizedAddress, newPoolData);
-        console.log(`Added new pool from pools.json: ${poolAddress}`);
+        logger.info(`Added new pool from pools.json: ${poolAddress}`);
       }
     }
 
     return configuredPools;
   } catch (error) {
-    console.error("Error initializing data file:", error);
+    logger.error("Error initializing data file:", error);
     return [];
   }
 };
@@ -623,19 +713,19 @@ const setupWebSocketProvider = async () => {
     let checkConnectionInterval;
     
     try {
-      console.log(`Attempting WebSocket connection to ${wsProviderUrl}...`);
+      logger.info(`Attempting WebSocket connection to ${wsProviderUrl}...`);
       
       // Create WebSocket provider with error handling
       try {
         wsProvider = new WebSocketProvider(wsProviderUrl);
         
         if (DEBUG_MODE) {
-          console.log('🔍 DEBUG: WebSocket provider created');
+          logger.debug('WebSocket provider created');
           
           // Wait a bit for the provider to initialize its internal websocket
           setTimeout(() => {
             if (wsProvider._websocket) {
-              console.log('🔍 DEBUG: Found internal WebSocket, attaching listeners');
+              logger.debug('Found internal WebSocket, attaching listeners');
               
               // Store original methods
               const originalSend = wsProvider._websocket.send;
@@ -646,14 +736,14 @@ const setupWebSocketProvider = async () => {
               
               // Override send to log outgoing messages
               wsProvider._websocket.send = function(data) {
-                console.log('🔍 DEBUG: → Sending:', data.substring ? data.substring(0, 500) : data);
+                logger.debug('→ Sending:', data.substring ? data.substring(0, 500) : data);
                 return originalSend.apply(this, arguments);
               };
               
               // Override onmessage to log incoming messages
               wsProvider._websocket.onmessage = function(event) {
                 const message = event.data;
-                console.log('🔍 DEBUG: ← Received:', message.substring ? message.substring(0, 500) : message);
+                logger.debug('← Received:', message.substring ? message.substring(0, 500) : message);
                 if (originalOnMessage) {
                   return originalOnMessage.apply(this, arguments);
                 }
@@ -661,7 +751,7 @@ const setupWebSocketProvider = async () => {
               
               // Override onopen
               wsProvider._websocket.onopen = function(event) {
-                console.log('🔍 DEBUG: WebSocket opened');
+                logger.debug('WebSocket opened');
                 if (originalOnOpen) {
                   return originalOnOpen.apply(this, arguments);
                 }
@@ -669,7 +759,7 @@ const setupWebSocketProvider = async () => {
               
               // Override onclose
               wsProvider._websocket.onclose = function(event) {
-                console.log('🔍 DEBUG: WebSocket closed. Code:', event.code, 'Reason:', event.reason);
+                logger.debug('WebSocket closed. Code:', event.code, 'Reason:', event.reason);
                 if (originalOnClose) {
                   return originalOnClose.apply(this, arguments);
                 }
@@ -677,13 +767,13 @@ const setupWebSocketProvider = async () => {
               
               // Override onerror
               wsProvider._websocket.onerror = function(event) {
-                console.log('🔍 DEBUG: WebSocket error:', event.message || 'Unknown error');
+                logger.debug('WebSocket error:', event.message || 'Unknown error');
                 if (originalOnError) {
                   return originalOnError.apply(this, arguments);
                 }
               };
             } else {
-              console.log('🔍 DEBUG: WebSocket not accessible, trying alternative debug method');
+              logger.debug('WebSocket not accessible, trying alternative debug method');
               
               // Try to intercept at the provider level
               const originalSend = wsProvider.send ? wsProvider.send.bind(wsProvider) : null;
@@ -691,13 +781,13 @@ const setupWebSocketProvider = async () => {
               
               if (wsProvider.send) {
                 wsProvider.send = async function(method, params) {
-                  console.log('🔍 DEBUG: RPC Request:', JSON.stringify({ method, params }, null, 2));
+                  logger.debug('RPC Request:', JSON.stringify({ method, params }, null, 2));
                   try {
                     const result = await originalSend(method, params);
-                    console.log('🔍 DEBUG: RPC Response:', JSON.stringify(result, null, 2).substring(0, 500));
+                    logger.debug('RPC Response:', JSON.stringify(result, null, 2).substring(0, 500));
                     return result;
                   } catch (error) {
-                    console.log('🔍 DEBUG: RPC Error:', error.message);
+                    logger.debug('RPC Error:', error.message);
                     throw error;
                   }
                 };
@@ -705,13 +795,13 @@ const setupWebSocketProvider = async () => {
               
               if (wsProvider._send) {
                 wsProvider._send = async function(payload) {
-                  console.log('🔍 DEBUG: _send Request:', JSON.stringify(payload, null, 2));
+                  logger.debug('_send Request:', JSON.stringify(payload, null, 2));
                   try {
                     const result = await original_send(payload);
-                    console.log('🔍 DEBUG: _send Response:', JSON.stringify(result, null, 2).substring(0, 500));
+                    logger.debug('_send Response:', JSON.stringify(result, null, 2).substring(0, 500));
                     return result;
                   } catch (error) {
-                    console.log('🔍 DEBUG: _send Error:', error.message);
+                    logger.debug('_send Error:', error.message);
                     throw error;
                   }
                 };
@@ -726,14 +816,14 @@ const setupWebSocketProvider = async () => {
         );
         
         await Promise.race([wsProvider.ready, timeoutPromise]);
-        console.log("WebSocket provider connected successfully");
+        logger.info("WebSocket provider connected successfully");
         
         // Test the connection
         const network = await wsProvider.getNetwork();
-        console.log(`WebSocket connected to network: ${network.name} (chainId: ${network.chainId})`);
+        logger.info(`WebSocket connected to network: ${network.name} (chainId: ${network.chainId})`);
         
         if (DEBUG_MODE) {
-          console.log('🔍 DEBUG: WebSocket provider state:', {
+          logger.debug('WebSocket provider state:', {
             ready: wsProvider.ready !== undefined,
             destroyed: wsProvider._destroyed,
             websocket: wsProvider._websocket !== undefined,
@@ -742,21 +832,21 @@ const setupWebSocketProvider = async () => {
           
           // Try again to attach listeners after connection is established
           if (wsProvider._websocket && !wsProvider._websocket._debugAttached) {
-            console.log('🔍 DEBUG: Attaching debug listeners to established WebSocket');
+            logger.debug('Attaching debug listeners to established WebSocket');
             wsProvider._websocket._debugAttached = true;
             
             const ws = wsProvider._websocket;
             const originalSend = ws.send.bind(ws);
             
             ws.send = function(data) {
-              console.log('🔍 DEBUG: → Sending:', typeof data === 'string' ? data : data.toString());
+              logger.debug('→ Sending:', typeof data === 'string' ? data : data.toString());
               return originalSend(data);
             };
             
             // For existing onmessage handler
             const originalOnMessage = ws.onmessage;
             ws.onmessage = function(event) {
-              console.log('🔍 DEBUG: ← Received:', event.data);
+              logger.debug('← Received:', event.data);
               if (originalOnMessage) {
                 return originalOnMessage.apply(this, arguments);
               }
@@ -766,8 +856,8 @@ const setupWebSocketProvider = async () => {
         
       } catch (error) {
         if (error.message.includes('403') || error.message.includes('Forbidden')) {
-          console.error('WebSocket authentication failed (403 Forbidden). Please check your API key and permissions.');
-          console.error('Falling back to HTTP polling.');
+          logger.error('WebSocket authentication failed (403 Forbidden). Please check your API key and permissions.');
+          logger.error('Falling back to HTTP polling.');
           wsProvider = null;
           reconnectAttempts = maxReconnectAttempts; // Don't retry on auth errors
           return;
@@ -780,23 +870,23 @@ const setupWebSocketProvider = async () => {
       
       // Set up provider event handlers
       wsProvider.on('error', (error) => {
-        console.error('WebSocket provider error:', error);
+        logger.error('WebSocket provider error:', error);
         handleReconnect();
       });
       
       wsProvider.on('network', (network) => {
-        console.log(`WebSocket connected to network: ${network.name} (chainId: ${network.chainId})`);
+        logger.info(`WebSocket connected to network: ${network.name} (chainId: ${network.chainId})`);
       });
       
       if (DEBUG_MODE) {
         // Debug: Log all provider events
         wsProvider.on('debug', (info) => {
-          console.log('🔍 DEBUG: Provider event:', info);
+          logger.debug('Provider event:', info);
         });
         
         // Parse and format JSON-RPC messages
         wsProvider.on('pending', (payload) => {
-          console.log('🔍 DEBUG: Pending request:', payload);
+          logger.debug('Pending request:', payload);
         });
       }
       
@@ -806,7 +896,7 @@ const setupWebSocketProvider = async () => {
           // Send a test request to check if connection is alive
           await wsProvider.getBlockNumber();
         } catch (error) {
-          console.error('WebSocket connection lost:', error.message);
+          logger.error('WebSocket connection lost:', error.message);
           clearInterval(checkConnectionInterval);
           handleReconnect();
         }
@@ -818,7 +908,7 @@ const setupWebSocketProvider = async () => {
       }
       
     } catch (error) {
-      console.error('Failed to connect WebSocket:', error.message);
+      logger.error('Failed to connect WebSocket:', error.message);
       
       // Clear any active intervals
       if (checkConnectionInterval) {
@@ -842,20 +932,20 @@ const setupWebSocketProvider = async () => {
         }
       } catch (error) {
         if (DEBUG_MODE) {
-          console.log('🔍 DEBUG: Error during provider cleanup:', error.message);
+          logger.debug('Error during provider cleanup:', error.message);
         }
       }
       wsProvider = null;
     }
     
     if (reconnectAttempts >= maxReconnectAttempts) {
-      console.error('Max WebSocket reconnection attempts reached. Falling back to HTTP polling.');
+      logger.error('Max WebSocket reconnection attempts reached. Falling back to HTTP polling.');
       return;
     }
     
     reconnectAttempts++;
     const delay = Math.min(1000 * Math.pow(2, reconnectAttempts - 1), 30000); // Exponential backoff, max 30s
-    console.log(`Attempting WebSocket reconnection ${reconnectAttempts}/${maxReconnectAttempts} in ${delay}ms...`);
+    logger.info(`Attempting WebSocket reconnection ${reconnectAttempts}/${maxReconnectAttempts} in ${delay}ms...`);
     
     setTimeout(() => {
       connect();
@@ -882,7 +972,7 @@ const reestablishPoolWebSocketListeners = async (poolAddress) => {
     try {
       await wsProvider.ready;
     } catch (error) {
-      console.error(`WebSocket provider not ready for pool ${poolAddress}`);
+      logger.error(`WebSocket provider not ready for pool ${poolAddress}`);
       return;
     }
     
@@ -890,7 +980,7 @@ const reestablishPoolWebSocketListeners = async (poolAddress) => {
     
     // Re-attach Swap event listener
     wsPoolContract.on("Swap", (...args) => {
-      console.log(`WebSocket Swap event detected for pool ${poolAddress}`);
+      logger.info(`WebSocket Swap event detected for pool ${poolAddress}`);
       
       // Extract arguments based on length (7 for standard, 9 for extended)
       let sender, recipient, amount0, amount1, sqrtPriceX96, liquidity, tick;
@@ -903,6 +993,7 @@ const reestablishPoolWebSocketListeners = async (poolAddress) => {
       
       // Get pool data
       const poolData = getPoolData(poolAddress);
+      swapsIngested.inc({ pool: poolAddress.toLowerCase(), type: "Swap" });
       
       // Calculate volume
       const volumeUSD = calculateSwapVolume(amount0, amount1, false);
@@ -924,15 +1015,15 @@ const reestablishPoolWebSocketListeners = async (poolAddress) => {
       // Update OHLC data
       updateOHLCData(poolData, price, now);
       
-      console.log(`WebSocket update for ${poolAddress}: Price: ${price}, Volume: $${volumeUSD.toFixed(2)}, Total Volume (24h): $${poolData.volume["24h"].toFixed(2)}`);
+      logger.info(`WebSocket update for ${poolAddress}: Price: ${price}, Volume: $${volumeUSD.toFixed(2)}, Total Volume (24h): $${poolData.volume["24h"].toFixed(2)}`);
     });
     
     // Store the WebSocket contract
     wsPoolContracts.set(poolAddress.toLowerCase(), wsPoolContract);
     
-    console.log(`WebSocket listeners re-established for pool ${poolAddress}`);
+    logger.info(`WebSocket listeners re-established for pool ${poolAddress}`);
   } catch (error) {
-    console.error(`Error re-establishing WebSocket listeners for pool ${poolAddress}:`, error.message);
+    logger.error(`Error re-establishing WebSocket listeners for pool ${poolAddress}:`, error.message);
   }
 };
 
@@ -941,7 +1032,7 @@ const fetchLatestPrice = async (poolAddress) => {
   try {
     const poolContract = await getPoolContract(poolAddress);
     if (!poolContract) {
-      console.error(`No pool contract for ${poolAddress}`);
+      logger.error(`No pool contract for ${poolAddress}`);
       return null;
     }
     
@@ -951,18 +1042,18 @@ const fetchLatestPrice = async (poolAddress) => {
       const sqrtPriceX96 = slot0.sqrtPriceX96;
       
       if (!sqrtPriceX96 || sqrtPriceX96.toString() === '0') {
-        console.error(`Invalid price data for pool ${poolAddress}`);
+        logger.error(`Invalid price data for pool ${poolAddress}`);
         return null;
       }
       
       const price = (Number(sqrtPriceX96) ** 2) / 2 ** 192;
       return price;
     } catch (contractError) {
-      console.error(`Pool ${poolAddress} may not be a valid Uniswap V3 pool:`, contractError.message);
+      logger.error(`Pool ${poolAddress} may not be a valid Uniswap V3 pool:`, contractError.message);
       return null;
     }
   } catch (error) { 
-    console.error(`Error fetching price for ${poolAddress}:`, error.message);
+    logger.error(`Error fetching price for ${poolAddress}:`, error.message);
     return null;
   }
 };
@@ -987,7 +1078,7 @@ const queryPastEvents = async (poolAddress) => {
     // Don't query if no new blocks
     if (currentBlock <= lastProcessedBlock) return;
     
-    console.log(`Querying events from block ${lastProcessedBlock + 1} to ${currentBlock}`);
+    logger.info(`Querying events from block ${lastProcessedBlock + 1} to ${currentBlock}`);
     
     // Try both standard and extended V3 Swap event signatures
     const eventSignatures = [
@@ -1017,7 +1108,7 @@ const queryPastEvents = async (poolAddress) => {
           
           const logs = await provider.getLogs(filter);
           if (logs.length > 0) {
-            console.log(`Found ${logs.length} swap events with signature: ${eventSig}`);
+            logger.info(`Found ${logs.length} swap events with signature: ${eventSig}`);
             allEvents = allEvents.concat(logs);
           }
         } catch (err) {
@@ -1047,17 +1138,18 @@ const queryPastEvents = async (poolAddress) => {
         // Calculate volume (assuming token1 is USD - you'd need to verify this)
         const volumeUSD = calculateSwapVolume(amount0, amount1, false);
         updateVolume(poolData, volumeUSD);
+        swapsIngested.inc({ pool: normalizedAddress, type: "Swap" });
         
-        console.log(`Pool ${poolAddress}: Processed swap event: Volume $${volumeUSD.toFixed(2)}`);
+        logger.info(`Pool ${poolAddress}: Processed swap event: Volume $${volumeUSD.toFixed(2)}`);
       } catch (error) {
-        console.error('Error processing swap event:', error.message);
+        logger.error('Error processing swap event:', error.message);
       }
     }
     
     // Update last processed block for this pool
     lastProcessedBlocks.set(normalizedAddress, currentBlock);
   } catch (error) {
-    console.error("Error querying past events:", error);
+    logger.error("Error querying past events:", error);
   }
 };
 
@@ -1071,18 +1163,18 @@ const setupEventListenersForPool = async (poolAddress) => {
         // Check if address is known to be invalid or incompatible with WebSocket
         const normalizedAddress = poolAddress.toLowerCase();
         if (invalidAddresses.has(normalizedAddress)) {
-          console.error(`WebSocket: Address ${poolAddress} is known to be invalid`);
+          logger.error(`WebSocket: Address ${poolAddress} is known to be invalid`);
           return;
         }
         
         if (wsIncompatiblePools.has(normalizedAddress)) {
-          console.log(`Pool ${poolAddress} is known to be incompatible with WebSocket, using HTTP polling`);
+          logger.info(`Pool ${poolAddress} is known to be incompatible with WebSocket, using HTTP polling`);
           return;
         }
         
         // Validate pool address before creating WebSocket contract
         if (!await isValidContractAddress(poolAddress)) {
-          console.error(`WebSocket: Address ${poolAddress} does not contain contract code`);
+          logger.error(`WebSocket: Address ${poolAddress} does not contain contract code`);
           invalidAddresses.add(normalizedAddress);
           return;
         }
@@ -1091,7 +1183,7 @@ const setupEventListenersForPool = async (poolAddress) => {
         
         // Verify it's a valid Uniswap V3 pool before proceeding
         if (!await isValidUniswapV3Pool(wsPoolContract)) {
-          console.error(`WebSocket: Address ${poolAddress} is not a valid Uniswap V3 pool`);
+          logger.error(`WebSocket: Address ${poolAddress} is not a valid Uniswap V3 pool`);
           invalidAddresses.add(normalizedAddress);
           return;
         }
@@ -1100,10 +1192,10 @@ const setupEventListenersForPool = async (poolAddress) => {
         try {
           const token0 = await wsPoolContract.token0();
           const token1 = await wsPoolContract.token1();
-          console.log("Token0:", token0);
-          console.log("Token1:", token1);
+          logger.info("Token0:", token0);
+          logger.info("Token1:", token1);
         } catch (error) {
-          console.log("Token addresses already validated during pool verification");
+          logger.info("Token addresses already validated during pool verification");
         }
         
         // Store WebSocket contract for this pool
@@ -1111,10 +1203,10 @@ const setupEventListenersForPool = async (poolAddress) => {
         
         // Listen to Swap events (handle both standard and extended formats)
         wsPoolContract.on("Swap", (...args) => {
-          console.log("WebSocket Swap event detected!");
+          logger.info("WebSocket Swap event detected!");
           
           if (DEBUG_MODE) {
-            console.log('🔍 DEBUG: Swap event args:', args.map((arg, i) => 
+            logger.debug('Swap event args:', args.map((arg, i) => 
               `arg[${i}]: ${arg?.toString ? arg.toString() : JSON.stringify(arg)}`
             ));
           }
@@ -1130,6 +1222,7 @@ const setupEventListenersForPool = async (poolAddress) => {
           
           // Get pool data
           const poolData = getPoolData(poolAddress);
+          swapsIngested.inc({ pool: poolAddress.toLowerCase(), type: "Swap" });
           
           // Calculate volume
           const volumeUSD = calculateSwapVolume(amount0, amount1, false);
@@ -1151,23 +1244,23 @@ const setupEventListenersForPool = async (poolAddress) => {
           // Update OHLC data
           updateOHLCData(poolData, price, now);
           
-          console.log(`Pool ${poolAddress}: Price: ${price}, Volume: $${volumeUSD.toFixed(2)}, Total Volume (24h): $${poolData.volume["24h"].toFixed(2)}`);
+          logger.info(`Pool ${poolAddress}: Price: ${price}, Volume: $${volumeUSD.toFixed(2)}, Total Volume (24h): $${poolData.volume["24h"].toFixed(2)}`);
         });
         
-        console.log("WebSocket event listeners set up successfully");
+        logger.info("WebSocket event listeners set up successfully");
       } catch (wsError) {
-        console.error("WebSocket connection failed:", wsError.message);
+        logger.error("WebSocket connection failed:", wsError.message);
         
         // Mark this pool as incompatible with WebSocket if it's a contract call error
         if (wsError.code === 'CALL_EXCEPTION') {
           wsIncompatiblePools.add(poolAddress.toLowerCase());
-          console.log(`Marked pool ${poolAddress} as WebSocket-incompatible`);
+          logger.info(`Marked pool ${poolAddress} as WebSocket-incompatible`);
         }
         
-        console.log("Will use periodic event querying instead");
+        logger.info("Will use periodic event querying instead");
       }
     } else {
-      console.log("WebSocket disabled, using periodic event querying");
+      logger.info("WebSocket disabled, using periodic event querying");
     }
     
     // Set up periodic event querying for this pool
@@ -1176,7 +1269,7 @@ const setupEventListenersForPool = async (poolAddress) => {
     // Initial query
     await queryPastEvents(poolAddress);
   } catch (error) {
-    console.error("Error setting up event listeners:", error);
+    logger.error("Error setting up event listeners:", error);
   }
 };
 
@@ -1274,6 +1367,7 @@ const saveDataToFile = async () => {
     }
     
     const dataToSave = {
+      chainId: CHAIN_ID,
       // Save pools data
       pools: allPoolsData,
       // Metadata
@@ -1283,7 +1377,7 @@ const saveDataToFile = async () => {
     
     await fs.writeJson(dataFilePath, dataToSave);
   } catch (error) {
-    console.error("Error saving data to file:", error);
+    logger.error("Error saving data to file:", error);
   }
 };
 
@@ -1316,6 +1410,7 @@ const updateOHLCData = (poolData, price, timestamp) => {
       const openPrice = currentOHLC.length > 0 ? currentOHLC[currentOHLC.length - 1].close : price;
 
       currentOHLC.push({
+        chainId: CHAIN_ID,
         timestamp: roundedTimestamp,
         open: openPrice,
         high: price,
@@ -1423,9 +1518,9 @@ const updatePrice = async (poolAddress) => {
       await saveDataToFile();
     }
 
-    console.log("Updated price:", price);
+    logger.info("Updated price:", price);
   } else {
-    console.log("Failed to fetch the latest price");
+    logger.info("Failed to fetch the latest price");
   }
 };
 
@@ -1471,17 +1566,52 @@ const limitDatapoints = (data, intervalKey) => {
 };
 
 
+// Liveness and readiness probes for the process manager: 503 when a check fails
+app.get("/healthz", healthChecks.handler("liveness"));
+app.get("/readyz", healthChecks.handler("readiness"));
+
+// Prometheus metrics
+app.get("/metrics", async (req, res) => {
+  try {
+    res.setHeader("Content-Type", METRICS_CONTENT_TYPE);
+    res.send(await metrics.render());
+  } catch (error) {
+    logger.error("Error rendering metrics:", error);
+    res.status(500).json({ error: "Failed to render metrics" });
+  }
+});
+
 // API Endpoints
 app.get("/api/price", parsePoolAddress, (req, res) => {
   const poolData = getPoolData(req.poolAddress);
   
   res.json({
+    chainId: CHAIN_ID,
     pool: req.poolAddress,
     latest: poolData.latestPrice,
     lastUpdated: poolData.lastUpdated
   });
 });
 
+// Register a pool before anyone queries it (the blockchain monitor calls this for pools deployed through NomaFactory)
+app.post("/api/pools", (req, res) => {
+  const poolAddress = req.body?.address;
+
+  if (!poolAddress || !isValidAddress(poolAddress)) {
+    return res.status(400).json({
+      error: "Invalid pool address format",
+      message: "Send { \"address\": \"0x...\" }"
+    });
+  }
+
+  const added = ensurePoolTracked(poolAddress);
+  res.status(added ? 201 : 200).json({
+    chainId: CHAIN_ID,
+    pool: poolAddress,
+    added
+  });
+});
+
 // Test endpoint for fetchTokenPriceStats
 app.get("/api/test/price-stats", async (req, res) => {
   try {
@@ -1505,6 +1635,7 @@ app.get("/api/debug/pool", parsePoolAddress, (req, res) => {
   const poolData = getPoolData(req.poolAddress);
   
   res.json({
+    chainId: CHAIN_ID,
     pool: req.poolAddress,
     normalizedPool: req.normalizedPoolAddress,
     hasData: poolsData.has(req.normalizedPoolAddress),
@@ -1525,6 +1656,7 @@ app.get("/api/price/latest", parsePoolAddress, (req, res) => {
   const poolData = getPoolData(req.poolAddress);
   
   res.json({
+    chainId: CHAIN_ID,
     pool: req.poolAddress,
     latest: poolData.latestPrice,
     lastUpdated: poolData.lastUpdated
@@ -1593,6 +1725,7 @@ app.get("/api/price/query", parsePoolAddress, (req, res) => {
   const limitedData = limitDatapoints(filteredData, intervalKey);
   
   res.json({
+    chainId: CHAIN_ID,
     interval: intervalKey,
     from_timestamp: fromTimestamp,
     to_timestamp: toTimestamp,
@@ -1664,6 +1797,7 @@ app.get("/api/price/ohlc", parsePoolAddress, (req, res) => {
   const limitedData = limitDatapoints(filteredData, intervalKey);
   
   res.json({
+    chainId: CHAIN_ID,
     interval: intervalKey,
     from_timestamp: fromTimestamp,
     to_timestamp: toTimestamp,
@@ -1678,6 +1812,7 @@ app.get("/api/price/ohlc/all", parsePoolAddress, (req, res) => {
   const poolData = getPoolData(req.poolAddress);
   
   res.json({
+    chainId: CHAIN_ID,
     pool: req.poolAddress,
     ohlc: poolData.ohlc,
     lastUpdated: poolData.lastUpdated
@@ -1734,6 +1869,7 @@ app.get("/api/price/ohlc/:interval", parsePoolAddress, (req, res) => {
 
   if (limitedData.length > 0) {
     res.json({
+      chainId: CHAIN_ID,
       interval: intervalKey,
       from_timestamp: fromTimestamp,
       to_timestamp: toTimestamp,
@@ -1800,6 +1936,7 @@ app.get("/api/price/:interval", parsePoolAddress, (req, res) => {
     const limitedData = limitDatapoints(filteredData, intervalKey);
     
     res.json({
+      chainId: CHAIN_ID,
       interval: intervalKey,
       from_timestamp: fromTimestamp,
       to_timestamp: toTimestamp,
@@ -1846,6 +1983,7 @@ app.get("/api/price/:interval", parsePoolAddress, (req, res) => {
     }
 
     res.json({
+      chainId: CHAIN_ID,
       interval: intervalKey,
       from_timestamp: fromTimestamp,
       to_timestamp: toTimestamp,
@@ -1886,6 +2024,7 @@ app.get("/api/price/all", parsePoolAddress, (req, res) => {
   });
 
   res.json({
+    chainId: CHAIN_ID,
     intervals: result,
     lastUpdated: poolData.lastUpdated
   });
@@ -1915,6 +2054,7 @@ app.get("/api/price/intervals/all", parsePoolAddress, (req, res) => {
   });
 
   res.json({
+    chainId: CHAIN_ID,
     intervals: result,
     lastUpdated: poolData.lastUpdated
   });
@@ -1925,6 +2065,7 @@ app.get("/api/volume", parsePoolAddress, (req, res) => {
   const poolData = getPoolData(req.poolAddress);
   
   res.json({
+    chainId: CHAIN_ID,
     pool: req.poolAddress,
     volume: poolData.volume,
     lastUpdated: poolData.lastUpdated
@@ -2065,6 +2206,7 @@ app.get("/api/stats", parsePoolAddress, (req, res) => {
   }
   
   res.json({
+    chainId: CHAIN_ID,
     interval: interval,
     currentPrice: currentPrice,
     startPrice: startPrice,
@@ -2086,39 +2228,38 @@ app.get("/api/stats", parsePoolAddress, (req, res) => {
 // Initialize and start the app
 const init = async () => {
   try {
-    console.log("Starting initialization...");
+    logger.info("Starting initialization...");
     
     // Initialize data file and get configured pools
     const configuredPools = await initializeDataFile();
-    console.log("Data file initialized");
+    logger.info("Data file initialized");
 
-    // Set up providers
-    console.log(`Setting up provider with URL: ${providerUrl}`);
-    provider = new JsonRpcProvider(providerUrl);
-    console.log("Provider initialized");
+    // Set up providers (RPC_URLS replaces the single RPC_URL with failover endpoints)
+    provider = createRpcScheduler(createProviderPool(config.rpc), config.rpc).view('live');
+    logger.info("Provider initialized");
 
     // Set up WebSocket provider if enabled
     if (USE_WEBSOCKET) {
-      console.log(`WebSocket enabled. Connecting to: ${wsProviderUrl}`);
+      logger.info(`WebSocket enabled. Connecting to: ${wsProviderUrl}`);
       try {
         await setupWebSocketProvider();
       } catch (error) {
-        console.error('Failed to set up WebSocket provider:', error.message);
-        console.log('Continuing with HTTP polling only.');
+        logger.error('Failed to set up WebSocket provider:', error.message);
+        logger.info('Continuing with HTTP polling only.');
       }
     }
 
     // Initialize monitoring for pools from pools.json
     if (configuredPools.length > 0) {
-      console.log(`Initializing monitoring for ${configuredPools.length} pools from pools.json...`);
+      logger.info(`Initializing monitoring for ${configuredPools.length} pools from pools.json...`);
       const invalidPools = [];
 
       for (const poolAddress of configuredPools) {
-        console.log(`Starting monitoring for pool: ${poolAddress}`);
+        logger.info(`Starting monitoring for pool: ${poolAddress}`);
 
         // Skip if this address is already known to be invalid
         if (invalidAddresses.has(poolAddress.toLowerCase())) {
-          console.log(`Skipping known invalid address: ${poolAddress}`);
+          logger.info(`Skipping known invalid address: ${poolAddress}`);
           invalidPools.push(poolAddress);
           continue;
         }
@@ -2126,7 +2267,7 @@ const init = async () => {
         // Check if it's a valid contract first
         const poolContract = await getPoolContract(poolAddress);
         if (!poolContract) {
-          console.log(`Invalid pool contract: ${poolAddress} - removing from monitoring`);
+          logger.info(`Invalid pool contract: ${poolAddress} - removing from monitoring`);
           invalidPools.push(poolAddress);
           continue;
         }
@@ -2137,23 +2278,23 @@ const init = async () => {
       // Clean up invalid pools from memory
       for (const invalidPool of invalidPools) {
         poolsData.delete(invalidPool.toLowerCase());
-        console.log(`Removed invalid pool from data: ${invalidPool}`);
+        logger.info(`Removed invalid pool from data: ${invalidPool}`);
       }
 
-      console.log(`Active pools after cleanup: ${poolsData.size}`);
+      logger.info(`Active pools after cleanup: ${poolsData.size}`);
     } else {
-      console.log("No pools configured in pools.json");
+      logger.info("No pools configured in pools.json");
     }
     
     // Start API server
     const server = app.listen(PORT, () => {
-      console.log(`Price API server running on port ${PORT}`);
-      console.log("Server is ready to accept connections");
+      logger.info(`Price API server running on port ${PORT}`);
+      logger.info("Server is ready to accept connections");
     });
     
     // Add error handler for server
     server.on('error', (error) => {
-      console.error('Server error:', error);
+      logger.error('Server error:', error);
       process.exit(1);
     });
     
@@ -2162,12 +2303,30 @@ const init = async () => {
     const wss = new WebSocketServer({ 
       port: WS_PORT
     });
+
+    let wssListening = false;
+    wss.on('listening', () => { wssListening = true; });
+    wss.on('close', () => { wssListening = false; });
+    wss.on('error', (error) => {
+      wssListening = false;
+      logger.error('WebSocket server error:', error.message);
+    });
     
-    console.log(`WebSocket server started on port ${WS_PORT}`);
-    console.log(`WebSocket URL: ws://localhost:${WS_PORT}`);
+    logger.info(`WebSocket server started on port ${WS_PORT}`);
+    logger.info(`WebSocket URL: ws://localhost:${WS_PORT}`);
     
     // Track connected clients and their subscriptions
     const wsClients = new Map();
+
+    metrics.collect(() => {
+      wsClientsGauge.set({ state: "open" }, wsClients.size);
+      wsSubscriptions.reset();
+      for (const client of wsClients.values()) {
+        for (const sub of client.subscriptions) {
+          wsSubscriptions.inc({ channel: sub.key.split(":")[0] });
+        }
+      }
+    });
     
     // Handle WebSocket connections
     wss.on('connection', (ws, req) => {
@@ -2180,13 +2339,21 @@ const init = async () => {
       };
       
       wsClients.set(clientId, clientInfo);
-      console.log(`WebSocket client connected: ${clientId} from ${clientInfo.ip}`);
+      logger.info(`WebSocket client connected: ${clientId} from ${clientInfo.ip}`);
+
+      // Count every outgoing message for /metrics
+      const send = ws.send.bind(ws);
+      ws.send = (data, ...rest) => {
+        wsMessagesSent.inc({ type: messageType(data) });
+        return send(data, ...rest);
+      };
       
       // Send welcome message
       ws.send(JSON.stringify({
         type: 'welcome',
         clientId: clientId,
         message: 'Connected to price feed WebSocket',
+        chainId: CHAIN_ID,
         availableSubscriptions: ['ohlc', 'stats', 'price']
       }));
       
@@ -2196,7 +2363,7 @@ const init = async () => {
           const data = JSON.parse(message);
           handleWebSocketMessage(clientId, data);
         } catch (error) {
-          console.error('Invalid WebSocket message:', error);
+          logger.error('Invalid WebSocket message:', error);
           ws.send(JSON.stringify({
             type: 'error',
             message: 'Invalid message format'
@@ -2206,7 +2373,7 @@ const init = async () => {
       
       // Handle client disconnect
       ws.on('close', () => {
-        console.log(`WebSocket client disconnected: ${clientId}`);
+        logger.info(`WebSocket client disconnected: ${clientId}`);
         // Clean up subscriptions
         const client = wsClients.get(clientId);
         if (client) {
@@ -2218,7 +2385,7 @@ const init = async () => {
       });
       
       ws.on('error', (error) => {
-        console.error(`WebSocket error for client ${clientId}:`, error);
+        logger.error(`WebSocket error for client ${clientId}:`, error);
       });
     });
     
@@ -2227,6 +2394,9 @@ const init = async () => {
       const client = wsClients.get(clientId);
       if (!client) return;
       
+      // Unknown types are counted together so clients cannot create arbitrary label values
+      wsMessagesReceived.inc({ type: ['subscribe', 'unsubscribe', 'ping'].includes(data.type) ? data.type : 'unknown' });
+
       switch (data.type) {
         case 'subscribe':
           handleSubscribe(client, data);
@@ -2248,6 +2418,15 @@ const init = async () => {
     // Handle subscription requests
     const handleSubscribe = (client, data) => {
       const { channel, poolAddress, interval } = data;
+
+      if (data.chainId !== undefined && Number(data.chainId) !== CHAIN_ID) {
+        client.ws.send(JSON.stringify({
+          type: 'error',
+          message: `Chain ${data.chainId} not served here`,
+          chainId: CHAIN_ID
+        }));
+        return;
+      }
       
       if (!poolAddress || !isValidAddress(poolAddress)) {
         client.ws.send(JSON.stringify({
@@ -2293,6 +2472,7 @@ const init = async () => {
               
             client.ws.send(JSON.stringify({
               type: 'ohlc',
+              chainId: CHAIN_ID,
               poolAddress: poolAddress,
               data: ohlcData,
               timestamp: Date.now()
@@ -2322,6 +2502,7 @@ const init = async () => {
             
             client.ws.send(JSON.stringify({
               type: 'stats',
+              chainId: CHAIN_ID,
               poolAddress: poolAddress,
               data: stats
             }));
@@ -2339,6 +2520,7 @@ const init = async () => {
           const sendPrice = () => {
             client.ws.send(JSON.stringify({
               type: 'price',
+              chainId: CHAIN_ID,
               poolAddress: poolAddress,
               price: poolData.latestPrice,
               timestamp: Date.now()
@@ -2371,6 +2553,7 @@ const init = async () => {
       
       client.ws.send(JSON.stringify({
         type: 'subscribed',
+        chainId: CHAIN_ID,
         channel: channel,
         poolAddress: poolAddress,
         interval: interval
@@ -2411,20 +2594,28 @@ const init = async () => {
       return ((newPrice - oldPrice) / oldPrice) * 100;
     };
     
+    healthChecks.register("websocket", () => ({
+      status: wssListening ? "pass" : "fail",
+      listening: wssListening,
+      port: WS_PORT,
+      clients: wsClients.size
+    }), { liveness: true });
+    healthChecks.started();
+
     // Keep the process alive
     process.on('SIGINT', () => {
-      console.log('\nShutting down server...');
+      logger.info('Shutting down server...');
       server.close(() => {
-        console.log('Server closed');
+        logger.info('Server closed');
         process.exit(0);
       });
     });
     
     // Handle uncaught WebSocket errors
     process.on('uncaughtException', (error) => {
-      console.error('Uncaught exception:', error);
+      logger.error('Uncaught exception:', error);
       if (error.message && error.message.includes('WebSocket')) {
-        console.log('WebSocket error detected, will continue with HTTP polling');
+        logger.info('WebSocket error detected, will continue with HTTP polling');
       } else {
         // For non-WebSocket errors, exit
         process.exit(1);
@@ -2432,17 +2623,17 @@ const init = async () => {
     });
     
     process.on('unhandledRejection', (reason, promise) => {
-      console.error('Unhandled rejection at:', promise, 'reason:', reason);
+      logger.error('Unhandled rejection at:', promise, 'reason:', reason);
       // Don't exit on unhandled rejections, just log them
     });
     
   } catch (error) {
-    console.error("Fatal initialization error:", error);
+    logger.error("Fatal initialization error:", error);
     process.exit(1);
   }
 };
 
 init().catch(error => {
-  console.error("Initialization error:", error);
+  logger.error("Initialization error:", error);
   process.exit(1);
 });